@@ -11,7 +11,61 @@ import geneExpressionEssentials from '../geneExpressionEssentials.js';
 const GEEQueryParameters = QueryStringMachine.getAll( {
 
   // show bounding rectangle for mRNA, useful for debugging
-  showMRnaBoundingRect: { type: 'flag' }
+  showMRnaBoundingRect: { type: 'flag' },
+
+  // algorithm used to simulate the cells on the Multiple Cells screen, see CellSolverType
+  cellSolver: {
+    type: 'string',
+    defaultValue: 'direct',
+    validValues: [ 'direct', 'nextReaction', 'tauLeaping' ]
+  },
+
+  // switch the cells on the Multiple Cells screen to tau-leaping automatically when their reaction rates are high
+  autoTauLeaping: { type: 'flag' },
+
+  // master seed for the random number streams of the cells on the Multiple Cells screen, which makes the protein levels
+  // of each cell reproducible, whether or not the cells divide and however many of them are visible. The exception is
+  // signaling, since only the visible cells secrete the signal. If this isn't provided, the seed is taken from the
+  // sim's random number generator.
+  cellSeed: {
+    type: 'number',
+    defaultValue: 0
+  },
+
+  // start the cells on the Multiple Cells screen growing and dividing when the screen is created and reset
+  cellDivision: { type: 'flag' },
+
+  // Step the cells on the Multiple Cells screen by the nominal frame time, rather than by the time of each frame. A run
+  // with this and cellSeed, in which the screen isn't reset and no setting other than the number of visible cells is
+  // changed, has exactly the counts that js/scripts/run-cells.js gives with the same seed and settings, see
+  // js/scripts/compare-recordings.js.
+  fixedTimeStep: { type: 'flag' },
+
+  // program of parameter changes that is applied to the cells on the Multiple Cells screen once they have reached
+  // steady state, as JSON, see InputSchedule.fromJSON
+  inputSchedule: {
+    type: 'string',
+    defaultValue: null
+  },
+
+  // descriptions of the genes on the Expression screen, as JSON or as the URL of a JSON file, in place of genes A, B
+  // and C, see GeneDescriptionLoader
+  genes: {
+    type: 'string',
+    defaultValue: null
+  },
+
+  // number of genes on the DNA strand of the mRNA screen, which compete for the same transcription factors and
+  // polymerase
+  mRnaGenes: {
+    type: 'number',
+    defaultValue: 1,
+    validValues: [ 1, 2, 3 ]
+  },
+
+  // give each gene on the mRNA screen transcription factors of its own, rather than having all of them share those of
+  // the first gene
+  distinctTranscriptionFactors: { type: 'flag' }
 
 } );
 
@@ -0,0 +1,78 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A gene that is built from a description rather than hard-coded like GeneA, GeneB and GeneC, so that new genes can be
+ * authored as data, see GeneDescriptionLoader for the format. The description has already been validated by the
+ * loader when this is constructed.
+ *
+ * @author agent
+ */
+
+import Range from '../../../../dot/js/Range.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import Gene from './Gene.js';
+import TranscriptionFactor from './TranscriptionFactor.js';
+
+/**
+ * @param {DnaMolecule} dnaMolecule - The DNA molecule within which this gene exists
+ * @param {Object} description - see GeneDescriptionLoader
+ * @param {number} initialBasePair - Where this gene starts on the DNA strand
+ * @param {function(new:Protein)} proteinType - constructor of the protein that this gene codes for
+ * @param {RegulatoryLogic} regulatoryLogic
+ * @constructor
+ */
+function DescribedGene( dnaMolecule, description, initialBasePair, proteinType, regulatoryLogic ) {
+  const regulatoryRegionLength = description.regulatoryRegionLength;
+  Gene.call( this, dnaMolecule,
+    new Range( initialBasePair, initialBasePair + regulatoryRegionLength ),
+    new Color( description.regulatoryRegionColor ),
+    new Range(
+      initialBasePair + regulatoryRegionLength + 1,
+      initialBasePair + regulatoryRegionLength + 1 + description.transcribedRegionLength
+    ),
+    new Color( description.transcribedRegionColor ),
+    description.windingAlgorithm
+  );
+
+  const self = this;
+  description.transcriptionFactorSites.forEach( function( site ) {
+    self.addTranscriptionFactorPosition(
+      site.position,
+      TranscriptionFactor[ DescribedGene.getTranscriptionFactorConfigKey( site.config ) ]
+    );
+  } );
+  this.setRegulatoryLogic( regulatoryLogic );
+
+  // @private
+  this.proteinType = proteinType;
+}
+
+geneExpressionEssentials.register( 'DescribedGene', DescribedGene );
+
+inherit( Gene, DescribedGene, {
+
+  /**
+   * @override
+   * @returns {Protein}
+   * @public
+   */
+  getProteinPrototype: function() {
+    return new this.proteinType();
+  }
+}, {
+
+  /**
+   * Get the name of the static of TranscriptionFactor that holds the configuration referred to by a description, e.g.
+   * TRANSCRIPTION_FACTOR_CONFIG_GENE_1_POS for GENE_1_POS.
+   * @param {string} reference
+   * @returns {string}
+   * @public
+   */
+  getTranscriptionFactorConfigKey: function( reference ) {
+    return 'TRANSCRIPTION_FACTOR_CONFIG_' + reference;
+  }
+} );
+
+export default DescribedGene;
@@ -18,6 +18,7 @@ import geneExpressionEssentials from '../../geneExpressionEssentials.js';
 import GEEConstants from '../GEEConstants.js';
 import AttachmentSite from './AttachmentSite.js';
 import PlacementHint from './PlacementHint.js';
+import RegulatoryLogic from './RegulatoryLogic.js';
 import RnaPolymerase from './RnaPolymerase.js';
 import StubGeneExpressionModel from './StubGeneExpressionModel.js';
 import TranscriptionFactor from './TranscriptionFactor.js';
@@ -81,6 +82,10 @@ function Gene( dnaMolecule,
   // support transcription.
   this.polymeraseAffinityProperty = new Property( 1.0 );
 
+  // @private {RegulatoryLogic} - the rule by which the bound transcription factors determine the affinity of the site
+  // where polymerase attaches. Descendant classes may set a different one.
+  this.regulatoryLogic = RegulatoryLogic.AND;
+
   // Initialize the placement hint for polymerase.
   this.rnaPolymerasePlacementHint.setPosition( this.polymeraseAttachmentSite.positionProperty.get() );
 }
@@ -185,13 +190,29 @@ inherit( Object, Gene, {
    * @public
    */
   updateAffinities: function() {
-    // Update the affinity of the polymerase attachment site based upon the state of the transcription factors.
-    if ( this.transcriptionFactorsSupportTranscription() ) {
-      this.polymeraseAttachmentSite.affinityProperty.set( this.polymeraseAffinityProperty.get() );
-    }
-    else {
-      this.polymeraseAttachmentSite.affinityProperty.set( GEEConstants.DEFAULT_AFFINITY );
-    }
+
+    // Update the affinity of the polymerase attachment site based upon the state of the transcription factors, which
+    // scales it from the default affinity up to the one set for this gene.
+    const defaultAffinity = GEEConstants.DEFAULT_AFFINITY;
+    this.polymeraseAttachmentSite.affinityProperty.set(
+      defaultAffinity + ( this.polymeraseAffinityProperty.get() - defaultAffinity ) * this.getActivation()
+    );
+  },
+
+  /**
+   * @param {RegulatoryLogic} regulatoryLogic
+   * @public
+   */
+  setRegulatoryLogic: function( regulatoryLogic ) {
+    this.regulatoryLogic = regulatoryLogic;
+  },
+
+  /**
+   * @returns {RegulatoryLogic}
+   * @public
+   */
+  getRegulatoryLogic: function() {
+    return this.regulatoryLogic;
   },
 
   /**
@@ -217,42 +238,55 @@ inherit( Object, Gene, {
   },
 
   /**
-   * Returns true if all positive transcription factors are attached and no negative ones are attached, which indicates
-   * that transcription is essentially enabled.
+   * Returns true if the transcription factors that are attached enable transcription at all, according to the
+   * regulatory logic of this gene.
    * @returns {boolean}
    * @public
    */
   transcriptionFactorsSupportTranscription: function() {
+    return this.getActivation() > 0;
+  },
 
-    // In this sim, blocking factors overrule positive factors, so test for those first.
-    if ( this.transcriptionFactorsBlockTranscription() ) {
-      return false;
-    }
+  /**
+   * Get the activation of this gene by the transcription factors that are attached to it, according to its regulatory
+   * logic.
+   * @returns {number} - from 0 to 1, see RegulatoryLogic
+   * @public
+   */
+  getActivation: function() {
 
-    // Count the number of positive transcription factors needed to enable transcription.
-    let numPositiveTranscriptionFactorsNeeded = 0;
+    // Count the number of sites for positive transcription factors.
+    let numPositiveTranscriptionFactorSites = 0;
     _.values( this.transcriptionFactorMap ).forEach( function( transcriptionFactor ) {
       if ( transcriptionFactor.getConfig().isPositive ) {
-        numPositiveTranscriptionFactorsNeeded += 1;
+        numPositiveTranscriptionFactorSites += 1;
       }
     } );
 
-    // Count the number of positive transcription factors attached.
+    // Count the number of positive transcription factors attached, and of negative ones attached or attaching, since
+    // the latter block transcription as soon as they're on their way.
     let numPositiveTranscriptionFactorsAttached = 0;
+    let numNegativeTranscriptionFactorsAttached = 0;
     this.transcriptionFactorAttachmentSites.forEach( function( transcriptionFactorAttachmentSite ) {
       if ( transcriptionFactorAttachmentSite.attachedOrAttachingMoleculeProperty.get() !== null ) {
         const tf = transcriptionFactorAttachmentSite.attachedOrAttachingMoleculeProperty.get();
+        if ( !tf.isPositive() ) {
+          numNegativeTranscriptionFactorsAttached += 1;
+        }
 
         // there is a very slight difference in the y direction and to mitigate that we use an empirically determined
         // tolerance factor
-        if ( tf.getPosition().distance( transcriptionFactorAttachmentSite.positionProperty.get() ) < 0.001 &&
-             tf.isPositive() ) {
+        else if ( tf.getPosition().distance( transcriptionFactorAttachmentSite.positionProperty.get() ) < 0.001 ) {
           numPositiveTranscriptionFactorsAttached += 1;
         }
       }
     } );
 
-    return numPositiveTranscriptionFactorsAttached === numPositiveTranscriptionFactorsNeeded;
+    return this.regulatoryLogic.getActivation(
+      numPositiveTranscriptionFactorsAttached,
+      numPositiveTranscriptionFactorSites,
+      numNegativeTranscriptionFactorsAttached
+    );
   },
 
   /**
@@ -0,0 +1,246 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Loads descriptions of genes, so that instructors can author genes for the Expression screen without changing the
+ * code, and builds DescribedGene instances from them on a DNA molecule. The mRNA screen builds its extra genes this way
+ * too. A description is an object like this, which is what GeneA would look like:
+ *
+ * {
+ *   "regulatoryRegionLength": 16,
+ *   "transcribedRegionLength": 100,
+ *   "regulatoryRegionColor": "rgb( 216, 191, 216 )",
+ *   "transcribedRegionColor": "rgba( 255, 165, 79, 0.6 )",
+ *   "windingAlgorithm": 4,
+ *   "transcriptionFactorSites": [
+ *     { "position": 5, "config": "GENE_1_POS" },
+ *     { "position": 2, "config": "GENE_1_NEG" }
+ *   ],
+ *   "regulatoryLogic": "AND",
+ *   "protein": "ProteinA"
+ * }
+ *
+ * The lengths are in base pairs, and the positions of the transcription factor sites are base pairs within the
+ * regulatory region. The colors are CSS colors. The winding algorithm is the number of the set of parameters with
+ * which the mRNA from the gene winds, see WindingBiomolecule. Each site refers to one of the transcription factor
+ * configurations of TranscriptionFactor by the end of its name. The regulatory logic is optional, and is AND, OR or
+ * WEIGHTED for the presets of RegulatoryLogic, or THRESHOLD with a "threshold" field for the number of positive
+ * transcription factors that is needed. The protein is one of the proteins that can be collected on the screen.
+ *
+ * A list of descriptions can be given inline, as an object or as JSON, or as the URL of a JSON file, which is how the
+ * genes query parameter is handled. The genes must fit on the DNA strand that they are for, which is checked along with
+ * the rest of the descriptions, so that a list that is loaded can always be built.
+ *
+ * @author agent
+ */
+
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import ProteinA from '../../manual-gene-expression/model/ProteinA.js';
+import ProteinB from '../../manual-gene-expression/model/ProteinB.js';
+import ProteinC from '../../manual-gene-expression/model/ProteinC.js';
+import DescribedGene from './DescribedGene.js';
+import RegulatoryLogic from './RegulatoryLogic.js';
+import TranscriptionFactor from './TranscriptionFactor.js';
+
+// constants
+
+// the proteins that genes can code for, which are the ones that the Expression screen has collection boxes for
+const PROTEIN_TYPES = {
+  ProteinA: ProteinA,
+  ProteinB: ProteinB,
+  ProteinC: ProteinC
+};
+
+// the presets of RegulatoryLogic that can be named in a description
+const REGULATORY_LOGIC_PRESETS = {
+  AND: RegulatoryLogic.AND,
+  OR: RegulatoryLogic.OR,
+  WEIGHTED: RegulatoryLogic.WEIGHTED
+};
+
+// number of sets of winding parameters in WindingBiomolecule
+const NUMBER_OF_WINDING_ALGORITHMS = 11;
+
+const REQUIRED_STRING_FIELDS = [ 'regulatoryRegionColor', 'transcribedRegionColor', 'protein' ];
+
+const GeneDescriptionLoader = {
+
+  /**
+   * Get a list of gene descriptions from an inline object or list of objects, JSON, or the URL of a JSON file.
+   * @param {Object|Array.<Object>|string} source
+   * @param {number} numberOfBasePairs - on the DNA strand that the genes are for
+   * @returns {Promise.<Array.<Object>>} - rejected if the file can't be fetched, or if the descriptions are invalid
+   * @public
+   */
+  load: function( source, numberOfBasePairs ) {
+    if ( typeof source === 'string' && !/^\s*[[{]/.test( source ) ) {
+      return window.fetch( source ).then( function( response ) {
+        if ( !response.ok ) {
+          throw new Error( 'unable to load gene descriptions from ' + source + ': ' + response.status );
+        }
+        return response.json();
+      } ).then( function( descriptions ) {
+        return GeneDescriptionLoader.parse( descriptions, numberOfBasePairs );
+      } );
+    }
+    return new Promise( function( resolve ) {
+      resolve( GeneDescriptionLoader.parse( source, numberOfBasePairs ) );
+    } );
+  },
+
+  /**
+   * Get a list of gene descriptions from an inline object or list of objects, or JSON, and check that they're valid
+   * and that they fit on the DNA strand.
+   * @param {Object|Array.<Object>|string} source
+   * @param {number} numberOfBasePairs - on the DNA strand that the genes are for
+   * @returns {Array.<Object>}
+   * @public
+   */
+  parse: function( source, numberOfBasePairs ) {
+    let descriptions = typeof source === 'string' ? JSON.parse( source ) : source;
+    if ( !Array.isArray( descriptions ) ) {
+      descriptions = [ descriptions ];
+    }
+    if ( descriptions.length === 0 ) {
+      throw new Error( 'there must be at least one gene description' );
+    }
+    descriptions.forEach( function( description, index ) {
+      GeneDescriptionLoader.validate( description, 'gene ' + ( index + 1 ) );
+    } );
+
+    // This throws if the genes don't fit.
+    GeneDescriptionLoader.getInitialBasePairs( descriptions, numberOfBasePairs );
+    return descriptions;
+  },
+
+  /**
+   * Check a description, throwing an error that names the problem if it's invalid.
+   * @param {Object} description
+   * @param {string} name - of the gene, for the error messages
+   * @public
+   */
+  validate: function( description, name ) {
+    [ 'regulatoryRegionLength', 'transcribedRegionLength' ].forEach( function( field ) {
+      if ( !Number.isInteger( description[ field ] ) || description[ field ] < 1 ) {
+        throw new Error( name + ' must have a positive whole number of base pairs for ' + field );
+      }
+    } );
+    REQUIRED_STRING_FIELDS.forEach( function( field ) {
+      if ( typeof description[ field ] !== 'string' ) {
+        throw new Error( name + ' must have a string for ' + field );
+      }
+    } );
+    if ( !Number.isInteger( description.windingAlgorithm ) || description.windingAlgorithm < 0 ||
+         description.windingAlgorithm >= NUMBER_OF_WINDING_ALGORITHMS ) {
+      throw new Error( name + ' must have a windingAlgorithm from 0 to ' + ( NUMBER_OF_WINDING_ALGORITHMS - 1 ) );
+    }
+    if ( !Array.isArray( description.transcriptionFactorSites ) ) {
+      throw new Error( name + ' must have a list of transcriptionFactorSites' );
+    }
+    description.transcriptionFactorSites.forEach( function( site ) {
+      if ( !Number.isInteger( site.position ) || site.position < 0 ||
+           site.position > description.regulatoryRegionLength ) {
+        throw new Error( 'the transcription factor sites of ' + name + ' must be within its regulatory region' );
+      }
+      if ( !TranscriptionFactor[ DescribedGene.getTranscriptionFactorConfigKey( site.config ) ] ) {
+        throw new Error( 'unknown transcription factor configuration for ' + name + ': ' + site.config );
+      }
+    } );
+    if ( !PROTEIN_TYPES[ description.protein ] ) {
+      throw new Error( name + ' has an unknown protein: ' + description.protein + ', it must be one of ' +
+                       Object.keys( PROTEIN_TYPES ).join( ', ' ) );
+    }
+
+    // This checks the threshold too.
+    GeneDescriptionLoader.getRegulatoryLogic( description, name );
+  },
+
+  /**
+   * @param {Object} description
+   * @returns {number} - total length of the gene in base pairs
+   * @public
+   */
+  getNumberOfBasePairs: function( description ) {
+    return description.regulatoryRegionLength + description.transcribedRegionLength;
+  },
+
+  /**
+   * Build a gene from its description, which isn't added to the DNA molecule.
+   * @param {DnaMolecule} dnaMolecule
+   * @param {Object} description
+   * @param {number} initialBasePair - where the gene starts on the DNA strand
+   * @returns {DescribedGene}
+   * @public
+   */
+  createGene: function( dnaMolecule, description, initialBasePair ) {
+    return new DescribedGene(
+      dnaMolecule,
+      description,
+      initialBasePair,
+      PROTEIN_TYPES[ description.protein ],
+      GeneDescriptionLoader.getRegulatoryLogic( description, 'the gene' )
+    );
+  },
+
+  /**
+   * Build genes from their descriptions and add them to the DNA molecule, with their centers spread evenly along it,
+   * as the genes of the Expression screen are.
+   * @param {DnaMolecule} dnaMolecule
+   * @param {Array.<Object>} descriptions
+   * @param {number} numberOfBasePairs - on the DNA strand
+   * @returns {Array.<DescribedGene>}
+   * @public
+   */
+  addGenes: function( dnaMolecule, descriptions, numberOfBasePairs ) {
+    const initialBasePairs = GeneDescriptionLoader.getInitialBasePairs( descriptions, numberOfBasePairs );
+    return descriptions.map( function( description, index ) {
+      const gene = GeneDescriptionLoader.createGene( dnaMolecule, description, initialBasePairs[ index ] );
+      dnaMolecule.addGene( gene );
+      return gene;
+    } );
+  },
+
+  /**
+   * Get where each gene starts when their centers are spread evenly along the DNA strand, throwing an error if they
+   * don't fit.
+   * @param {Array.<Object>} descriptions
+   * @param {number} numberOfBasePairs - on the DNA strand
+   * @returns {Array.<number>}
+   * @private
+   */
+  getInitialBasePairs: function( descriptions, numberOfBasePairs ) {
+    let previousEnd = 0;
+    return descriptions.map( function( description, index ) {
+      const length = GeneDescriptionLoader.getNumberOfBasePairs( description );
+      const center = numberOfBasePairs * ( index + 1 ) / ( descriptions.length + 1 );
+      const initialBasePair = Math.round( center - length / 2 );
+      if ( initialBasePair < previousEnd || initialBasePair + length >= numberOfBasePairs ) {
+        throw new Error( 'the genes are too long to fit on the DNA strand, gene ' + ( index + 1 ) + ' overlaps' );
+      }
+      previousEnd = initialBasePair + length + 1;
+      return initialBasePair;
+    } );
+  },
+
+  /**
+   * @param {Object} description
+   * @param {string} name - of the gene, for the error messages
+   * @returns {RegulatoryLogic}
+   * @private
+   */
+  getRegulatoryLogic: function( description, name ) {
+    const regulatoryLogic = description.regulatoryLogic || 'AND';
+    if ( regulatoryLogic === 'THRESHOLD' ) {
+      if ( !Number.isInteger( description.threshold ) || description.threshold < 1 ) {
+        throw new Error( name + ' must have a threshold of at least one transcription factor' );
+      }
+      return RegulatoryLogic.createThreshold( description.threshold );
+    }
+    if ( !REGULATORY_LOGIC_PRESETS[ regulatoryLogic ] ) {
+      throw new Error( name + ' has an unknown regulatoryLogic: ' + regulatoryLogic );
+    }
+    return REGULATORY_LOGIC_PRESETS[ regulatoryLogic ];
+  }
+};
+
+geneExpressionEssentials.register( 'GeneDescriptionLoader', GeneDescriptionLoader );
+export default GeneDescriptionLoader;
@@ -13,6 +13,7 @@ import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import Shape from '../../../../kite/js/Shape.js';
 import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
 import GEEConstants from '../GEEConstants.js';
 import MessengerRnaAttachmentStateMachine from './attachment-state-machines/MessengerRnaAttachmentStateMachine.js';
@@ -42,6 +43,15 @@ function MessengerRna( model, proteinPrototype, position, options ) {
 
   const self = this;
 
+  options = merge( {
+
+    // {Gene|null} - gene from which this mRNA is transcribed, if it's known
+    gene: null
+  }, options );
+
+  // @public (read-only) {Gene|null}
+  this.gene = options.gene;
+
   // @private {Object} - object that maps from ribosomes to the shape segment to which they are attached
   this.mapRibosomeToShapeSegment = {};
 
@@ -0,0 +1,94 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The regulatory logic of a gene's promoter, i.e. the rule by which the transcription factors that are bound to the
+ * gene's regulatory region determine how readily polymerase starts to transcribe it. The rule gives an activation from
+ * 0 to 1, where 0 means that transcription is not supported at all, and 1 means that polymerase is attracted with the
+ * full affinity set for the gene. In between, the affinity is scaled accordingly, see Gene.updateAffinities.
+ *
+ * There are presets for the common kinds of promoter logic, in all of which a bound negative transcription factor
+ * blocks transcription, and other rules can be plugged in by creating an instance with a different function.
+ *
+ * @author agent
+ */
+
+import inherit from '../../../../phet-core/js/inherit.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+/**
+ * @param {function(number, number, number):number} activationFunction - takes the number of positive transcription
+ * factors that are bound, the number of sites for them on the gene, and the number of negative transcription factors
+ * that are bound, and returns the activation, from 0 to 1
+ * @constructor
+ */
+function RegulatoryLogic( activationFunction ) {
+
+  // @private
+  this.activationFunction = activationFunction;
+}
+
+geneExpressionEssentials.register( 'RegulatoryLogic', RegulatoryLogic );
+
+/**
+ * Create a rule in which any bound negative transcription factor blocks transcription, as it does on all of the genes
+ * in this sim, and the positive ones are combined by the given function otherwise.
+ * @param {function(number, number):number} activationFunction - takes the number of positive transcription factors
+ * that are bound and the number of sites for them
+ * @returns {RegulatoryLogic}
+ */
+const createBlockableLogic = function( activationFunction ) {
+  return new RegulatoryLogic( function( boundActivatorCount, activatorSiteCount, boundRepressorCount ) {
+    return boundRepressorCount > 0 ? 0 : activationFunction( boundActivatorCount, activatorSiteCount );
+  } );
+};
+
+inherit( Object, RegulatoryLogic, {
+
+  /**
+   * @param {number} boundActivatorCount - number of positive transcription factors that are bound to the gene
+   * @param {number} activatorSiteCount - number of sites for positive transcription factors on the gene
+   * @param {number} boundRepressorCount - number of negative transcription factors that are bound to the gene
+   * @returns {number} - from 0 to 1
+   * @public
+   */
+  getActivation: function( boundActivatorCount, activatorSiteCount, boundRepressorCount ) {
+    const activation = this.activationFunction( boundActivatorCount, activatorSiteCount, boundRepressorCount );
+    assert && assert( activation >= 0 && activation <= 1, 'activation out of range: ' + activation );
+    return activation;
+  }
+}, {
+
+  /**
+   * Create a rule in which transcription is fully supported when at least the given number of positive transcription
+   * factors are bound, i.e. a k-of-n rule.
+   * @param {number} threshold
+   * @returns {RegulatoryLogic}
+   * @public
+   */
+  createThreshold: function( threshold ) {
+    assert && assert( threshold >= 1, 'the threshold must be at least one transcription factor' );
+    return createBlockableLogic( function( boundActivatorCount ) {
+      return boundActivatorCount >= threshold ? 1 : 0;
+    } );
+  }
+} );
+
+// The presets can only be created once the prototype is in place.
+
+// all of the positive transcription factors must be bound, which is the original rule of this sim
+RegulatoryLogic.AND = createBlockableLogic( function( boundActivatorCount, activatorSiteCount ) {
+  return boundActivatorCount === activatorSiteCount ? 1 : 0;
+} );
+
+// any one of the positive transcription factors is enough
+RegulatoryLogic.OR = createBlockableLogic( function( boundActivatorCount ) {
+  return boundActivatorCount > 0 ? 1 : 0;
+} );
+
+// each bound positive transcription factor contributes an equal share of the affinity, so a partly occupied
+// promoter is transcribed less often
+RegulatoryLogic.WEIGHTED = createBlockableLogic( function( boundActivatorCount, activatorSiteCount ) {
+  return activatorSiteCount === 0 ? 1 : boundActivatorCount / activatorSiteCount;
+} );
+
+export default RegulatoryLogic;
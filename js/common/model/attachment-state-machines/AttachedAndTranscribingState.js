@@ -124,7 +124,7 @@ inherit( AttachmentState, AttachedAndTranscribingState, {
       biomolecule.getModel(),
       geneToTranscribe.getProteinPrototype(),
       biomolecule.getPosition().plus( biomolecule.messengerRnaGenerationOffset ),
-      { windingParamSet: geneToTranscribe.windingAlgorithmParameterSet }
+      { windingParamSet: geneToTranscribe.windingAlgorithmParameterSet, gene: geneToTranscribe }
     );
     biomolecule.spawnMessengerRna( this.messengerRna );
     this.messengerRna.movableByUserProperty.set( false );
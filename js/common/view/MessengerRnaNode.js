@@ -12,6 +12,7 @@
 import Bounds2 from '../../../../dot/js/Bounds2.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
 import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
 import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
@@ -26,11 +27,12 @@ const quotedMRnaString = geneExpressionEssentialsStrings.quotedMRna;
 /**
  * @param {ModelViewTransform2} modelViewTransform
  * @param {MessengerRna} messengerRna
+ * @param {Object} [options] - see MobileBiomoleculeNode
  * @constructor
  */
-function MessengerRnaNode( modelViewTransform, messengerRna ) {
+function MessengerRnaNode( modelViewTransform, messengerRna, options ) {
 
-  MobileBiomoleculeNode.call( this, modelViewTransform, messengerRna, { lineWidth: 2 } );
+  MobileBiomoleculeNode.call( this, modelViewTransform, messengerRna, merge( { lineWidth: 2 }, options ) );
   const self = this;
 
   // Add placement hints that show where ribosomes and mRNA destroyers can be attached.  Placement hint node, like
@@ -32,7 +32,8 @@ function MobileBiomoleculeNode( modelViewTransform, mobileBiomolecule, options )
   const self = this;
   Node.call( self, { cursor: 'pointer' } );
   options = merge( {
-    lineWidth: 1
+    lineWidth: 1,
+    stroke: Color.BLACK
   }, options );
 
   // @protected (read-only) {ModelViewTransform2} - scale-only transform for scaling the shape without translation
@@ -44,7 +45,7 @@ function MobileBiomoleculeNode( modelViewTransform, mobileBiomolecule, options )
 
   // @protected {Path} - main path that represents the biomolecule
   this.shapeNode = new Path( new Shape(), {
-    stroke: Color.BLACK,
+    stroke: options.stroke,
     lineWidth: options.lineWidth,
     lineJoin: 'round'
   } );
@@ -0,0 +1,560 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Chart that plots several quantities against time, scrolling continuously so that the most recent values are always
+ * at the right edge. Each series has its own vertical axis, which it can share with other series that are measured in
+ * the same units, and which grows to fit the values shown. There is a legend with a checkbox for each series, a choice
+ * of the span of time that is shown, and a readout of the values. When the clock is paused, the plot can be clicked or
+ * dragged to move a cursor through the history, and the readout shows the values at the cursor. Series can have gaps,
+ * where there is no value to plot, and can have their visibility controlled by the client instead of the legend. Times
+ * of interest, such as changes of the inputs, can be marked with vertical lines.
+ *
+ * @author John Blanco
+ * @author Aadish Gupta
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import SimpleDragHandler from '../../../../scenery/js/input/SimpleDragHandler.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Line from '../../../../scenery/js/nodes/Line.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import Panel from '../../../../sun/js/Panel.js';
+import VerticalAquaRadioButtonGroup from '../../../../sun/js/VerticalAquaRadioButtonGroup.js';
+import GEEConstants from '../GEEConstants.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+
+// constants
+const FONT = new PhetFont( 12 );
+const NUMBER_OF_HORIZONTAL_GRID_LINES = 4;
+
+// Spacing of the vertical grid lines for each of the time windows, in seconds.
+const VERTICAL_GRID_LINE_SPACINGS = { 10: 2, 30: 5, 60: 10, 120: 20 };
+
+// Each series is drawn with at most this many points per pixel of width, so that long time windows don't slow it down.
+const POINTS_PER_PIXEL = 2;
+
+// text shown in the readout in place of a value that is missing from a series
+const NO_VALUE_STRING = '–';
+
+// color of the lines that mark times of interest, such as changes of the inputs
+const MARKER_COLOR = new Color( 140, 90, 40 );
+
+const secondsPatternString = geneExpressionEssentialsStrings.secondsPattern;
+const timeString = geneExpressionEssentialsStrings.time;
+
+class ScrollingChartNode extends Panel {
+
+  /**
+   * @param {Array.<Object>} seriesDescriptions - descriptions of the series in the order that they're drawn, each with:
+   * {
+   *   label: {string} - for the legend, not needed if there's a visibleProperty,
+   *   property: {Property.<number>} - value that is added to the series with each data point,
+   *   getValue: {function:number|null} [optional] - used instead of the property, null leaves a gap in the series,
+   *   color: {Color|string},
+   *   lineWidth: {number} [optional],
+   *   lineDash: {Array.<number>} [optional],
+   *   axisName: {string} - series with the same axis name share a vertical axis,
+   *   axisRange: {Range} - the axis covers at least this range, growing beyond its max to fit the values shown,
+   *   fixedAxisRange: {boolean} [optional] - if true, the axis doesn't grow, and values beyond it are clipped,
+   *   decimalPlaces: {number} - for the readout,
+   *   visible: {boolean} [optional] - whether the series is initially shown,
+   *   visibleProperty: {Property.<boolean>} [optional] - controls whether the series is shown, in which case it isn't
+   *                    in the legend and is controlled only by the client,
+   *   showInReadout: {boolean} [optional] - whether the value is shown in the readout, true by default
+   * }
+   * @param {Property.<boolean>} clockRunningProperty
+   * @param {Object} [options]
+   */
+  constructor( seriesDescriptions, clockRunningProperty, options ) {
+
+    options = merge( {
+      plotWidth: 400,
+      plotHeight: 120,
+
+      // {Array.<number>} - the spans of time, in seconds, that can be shown, each of which must have a grid spacing
+      timeWindows: [ 10, 30, 60, 120 ],
+      defaultTimeWindow: 30,
+
+      // passed to the Panel
+      cornerRadius: GEEConstants.CORNER_RADIUS,
+      fill: 'lightgrey',
+      xMargin: 10,
+      yMargin: 10
+    }, options );
+
+    const plotWidth = options.plotWidth;
+    const plotHeight = options.plotHeight;
+    const timeWindows = options.timeWindows;
+    const defaultTimeWindow = options.defaultTimeWindow;
+    delete options.plotWidth;
+    delete options.plotHeight;
+    delete options.timeWindows;
+    delete options.defaultTimeWindow;
+
+    const contentNode = new Node();
+
+    // span of time that is shown, in seconds
+    const timeWindowProperty = new NumberProperty( defaultTimeWindow, { validValues: timeWindows } );
+
+    // time of the cursor, or null if the cursor isn't shown
+    const cursorTimeProperty = new Property( null );
+
+    const series = seriesDescriptions.map( function( description ) {
+      return {
+        description: description,
+        getValue: description.getValue || function() { return description.property.get(); },
+        visibleProperty: description.visibleProperty || new BooleanProperty( description.visible !== false ),
+        values: [],
+        path: new Path( null, {
+          stroke: description.color,
+          lineWidth: description.lineWidth || 2,
+          lineDash: description.lineDash || [],
+          lineJoin: 'round'
+        } ),
+        axisMaxLabel: new Text( '', { font: FONT, fill: description.color, maxWidth: 40 } ),
+        readoutText: new Text( '', { font: FONT, fill: description.color, maxWidth: 60 } )
+      };
+    } );
+
+    // legend, which is also where the series are turned on and off, except for those that the client controls
+    const legendSeries = series.filter( function( aSeries ) {
+      return !aSeries.description.visibleProperty;
+    } );
+    const legend = new HBox( {
+      spacing: 12,
+      children: legendSeries.map( function( aSeries ) {
+        const icon = new Line( 0, 0, 16, 0, {
+          stroke: aSeries.description.color,
+          lineWidth: aSeries.description.lineWidth || 2
+        } );
+        const label = new Text( aSeries.description.label, {
+          font: FONT,
+          maxWidth: plotWidth / legendSeries.length - 45
+        } );
+        return new Checkbox( new HBox( { spacing: 4, children: [ icon, label ] } ), aSeries.visibleProperty, {
+          boxWidth: 14
+        } );
+      } )
+    } );
+    contentNode.addChild( legend );
+
+    const plotNode = new Node( { top: legend.bottom + 8 } );
+    contentNode.addChild( plotNode );
+
+    const plotBackground = new Rectangle( 0, 0, plotWidth, plotHeight, {
+      fill: 'white',
+      stroke: 'black',
+      lineWidth: 1,
+      cursor: 'pointer'
+    } );
+    plotNode.addChild( plotBackground );
+
+    const gridPath = new Path( null, {
+      stroke: 'grey',
+      lineWidth: 0.5,
+      lineDash: [ 2, 1 ],
+      pickable: false
+    } );
+    plotNode.addChild( gridPath );
+
+    const markersPath = new Path( null, {
+      stroke: MARKER_COLOR,
+      lineWidth: 1.5,
+      lineDash: [ 4, 3 ],
+      pickable: false
+    } );
+    plotNode.addChild( markersPath );
+
+    // The series are clipped to the plot, since the values can go beyond a fixed axis.
+    const seriesLayer = new Node( {
+      children: _.map( series, 'path' ),
+      clipArea: Shape.rect( 0, 0, plotWidth, plotHeight ),
+      pickable: false
+    } );
+    plotNode.addChild( seriesLayer );
+
+    const cursorLine = new Line( 0, 0, 0, plotHeight, {
+      stroke: 'black',
+      lineWidth: 1,
+      visible: false,
+      pickable: false
+    } );
+    plotNode.addChild( cursorLine );
+
+    // labels for the tops of the vertical axes, in the colors of the series, and one zero label for all of them
+    const axisMaxLabels = new VBox( { align: 'right', spacing: 0 } );
+    plotNode.addChild( axisMaxLabels );
+    plotNode.addChild( new Text( '0', { font: FONT, right: -5, centerY: plotHeight } ) );
+
+    // labels for the times at the two ends of the plot
+    const startTimeLabel = new Text( '', { font: FONT } );
+    const endTimeLabel = new Text( '', { font: FONT } );
+    plotNode.addChild( startTimeLabel );
+    plotNode.addChild( endTimeLabel );
+
+    // The time label goes between the labels for the times at the ends of the plot.
+    const timeLabel = new Text( timeString, { font: FONT, maxWidth: plotWidth / 2 } );
+    timeLabel.centerX = plotWidth / 2;
+    timeLabel.top = plotNode.top + plotHeight + 2;
+    contentNode.addChild( timeLabel );
+
+    const timeWindowRadioButtonGroup = new VerticalAquaRadioButtonGroup(
+      timeWindowProperty,
+      timeWindows.map( function( timeWindow ) {
+        return {
+          node: new Text( StringUtils.fillIn( secondsPatternString, { seconds: timeWindow } ), {
+            font: FONT,
+            maxWidth: 40
+          } ),
+          value: timeWindow
+        };
+      } ),
+      {
+        spacing: 8,
+        radioButtonOptions: { radius: 6 },
+        left: plotWidth + 10,
+        top: plotNode.top
+      }
+    );
+    contentNode.addChild( timeWindowRadioButtonGroup );
+
+    // readout of the values at the cursor, or the latest values if there is no cursor
+    const readoutTimeText = new Text( '', { font: FONT, maxWidth: 60 } );
+    const readout = new HBox( {
+      spacing: 12,
+      x: 0,
+      y: timeLabel.bottom + 5
+    } );
+    contentNode.addChild( readout );
+
+    super( contentNode, options );
+
+    // @public
+    this.timeWindowProperty = timeWindowProperty;
+
+    // @public (read-only) {Array.<Property.<boolean>>} - whether each of the series is shown, in the order of the
+    // descriptions
+    this.seriesVisibleProperties = _.map( series, 'visibleProperty' );
+    this.cursorTimeProperty = cursorTimeProperty;
+
+    // @private
+    this.plotWidth = plotWidth;
+    this.plotHeight = plotHeight;
+    this.maxTimeWindow = Math.max.apply( null, timeWindows );
+    this.series = series;
+    this.times = [];
+    this.simRunningTime = 0;
+    this.gridPath = gridPath;
+    this.markersPath = markersPath;
+
+    // {Array.<number>} - times that are marked, oldest first
+    this.markerTimes = [];
+    this.cursorLine = cursorLine;
+    this.axisMaxLabels = axisMaxLabels;
+    this.startTimeLabel = startTimeLabel;
+    this.endTimeLabel = endTimeLabel;
+    this.readout = readout;
+    this.readoutTimeText = readoutTimeText;
+
+    // The cursor can only be placed while the clock is paused, and goes away when the clock starts again.
+    const self = this;
+    plotBackground.addInputListener( new SimpleDragHandler( {
+      allowTouchSnag: true,
+      start: function( event ) {
+        self.moveCursor( plotBackground.globalToLocalPoint( event.pointer.point ).x );
+      },
+      drag: function( event ) {
+        self.moveCursor( plotBackground.globalToLocalPoint( event.pointer.point ).x );
+      }
+    } ) );
+    clockRunningProperty.link( function( clockRunning ) {
+      plotBackground.pickable = !clockRunning;
+      if ( clockRunning ) {
+        cursorTimeProperty.set( null );
+      }
+    } );
+
+    const update = function() { self.update(); };
+    timeWindowProperty.lazyLink( update );
+    cursorTimeProperty.lazyLink( update );
+    series.forEach( function( aSeries ) {
+      aSeries.visibleProperty.link( function( visible ) {
+        aSeries.path.visible = visible;
+      } );
+      aSeries.visibleProperty.lazyLink( update );
+    } );
+    this.update();
+  }
+
+  /**
+   * Add the current values of the series to the chart and scroll it.
+   * @param {number} dt
+   * @public
+   */
+  addDataPoint( dt ) {
+    this.simRunningTime += dt;
+    this.times.push( this.simRunningTime );
+    this.series.forEach( function( aSeries ) {
+      aSeries.values.push( aSeries.getValue() );
+    } );
+
+    // Forget the data that is too old to be shown in any of the time windows.
+    let numberToForget = 0;
+    while ( this.times[ numberToForget ] < this.simRunningTime - this.maxTimeWindow ) {
+      numberToForget++;
+    }
+    if ( numberToForget > 0 ) {
+      this.times.splice( 0, numberToForget );
+      this.series.forEach( function( aSeries ) {
+        aSeries.values.splice( 0, numberToForget );
+      } );
+    }
+    while ( this.markerTimes.length > 0 && this.markerTimes[ 0 ] < this.simRunningTime - this.maxTimeWindow ) {
+      this.markerTimes.shift();
+    }
+
+    this.update();
+  }
+
+  /**
+   * Mark the time of the latest data point with a vertical line, e.g. to show when an input changed.
+   * @public
+   */
+  addMarker() {
+    this.markerTimes.push( this.simRunningTime );
+    this.update();
+  }
+
+  /**
+   * Get the range of times that is currently shown. Until the window has filled up, it starts at zero.
+   * @returns {{min: number, max: number}}
+   * @private
+   */
+  getTimeRange() {
+    const timeWindow = this.timeWindowProperty.get();
+    const max = Math.max( this.simRunningTime, timeWindow );
+    return { min: max - timeWindow, max: max };
+  }
+
+  /**
+   * Move the cursor to the data point nearest to an x position on the plot.
+   * @param {number} x - in the coordinate frame of the plot
+   * @private
+   */
+  moveCursor( x ) {
+    if ( this.times.length === 0 ) {
+      return;
+    }
+    const timeRange = this.getTimeRange();
+    const time = timeRange.min + Utils.clamp( x / this.plotWidth, 0, 1 ) * ( timeRange.max - timeRange.min );
+    this.cursorTimeProperty.set( this.times[ this.getIndexNearestTime( time ) ] );
+  }
+
+  /**
+   * @param {number} time
+   * @returns {number} index of the data point whose time is closest to the given time
+   * @private
+   */
+  getIndexNearestTime( time ) {
+    let low = 0;
+    let high = this.times.length - 1;
+    while ( high - low > 1 ) {
+      const middle = Math.floor( ( low + high ) / 2 );
+      if ( this.times[ middle ] < time ) {
+        low = middle;
+      }
+      else {
+        high = middle;
+      }
+    }
+    return Math.abs( this.times[ low ] - time ) <= Math.abs( this.times[ high ] - time ) ? low : high;
+  }
+
+  /**
+   * Redraw the series, axes and readout.
+   * @private
+   */
+  update() {
+    const self = this;
+    const plotWidth = this.plotWidth;
+    const plotHeight = this.plotHeight;
+    const timeRange = this.getTimeRange();
+    const xScale = plotWidth / ( timeRange.max - timeRange.min );
+
+    // range of indices of the data points that are shown
+    let firstIndex = 0;
+    while ( firstIndex < this.times.length && this.times[ firstIndex ] < timeRange.min ) {
+      firstIndex++;
+    }
+    const numberShown = this.times.length - firstIndex;
+    const stride = Math.max( Math.ceil( numberShown / ( plotWidth * POINTS_PER_PIXEL ) ), 1 );
+
+    // Find the max of each axis, which is the max of its range or the largest value of its visible series, rounded up
+    // to a multiple of the spacing of the grid lines.
+    const axisMaxes = {};
+    this.series.forEach( function( aSeries ) {
+      const description = aSeries.description;
+      if ( !aSeries.visibleProperty.get() ) {
+        return;
+      }
+      let max = description.axisRange.max;
+      if ( !description.fixedAxisRange ) {
+        for ( let i = firstIndex; i < self.times.length; i++ ) {
+          if ( aSeries.values[ i ] !== null ) {
+            max = Math.max( max, aSeries.values[ i ] );
+          }
+        }
+        const gridSpacing = description.axisRange.max / NUMBER_OF_HORIZONTAL_GRID_LINES;
+        max = Math.ceil( max / gridSpacing ) * gridSpacing;
+      }
+      axisMaxes[ description.axisName ] = Math.max( axisMaxes[ description.axisName ] || 0, max );
+    } );
+
+    const markersShape = new Shape();
+    this.markerTimes.forEach( function( markerTime ) {
+      if ( markerTime >= timeRange.min ) {
+        const x = ( markerTime - timeRange.min ) * xScale;
+        markersShape.moveTo( x, 0 ).lineTo( x, plotHeight );
+      }
+    } );
+    this.markersPath.shape = markersShape;
+
+    // Draw the series.
+    this.series.forEach( function( aSeries ) {
+      if ( !aSeries.visibleProperty.get() ) {
+        return;
+      }
+      const yScale = plotHeight / axisMaxes[ aSeries.description.axisName ];
+      const shape = new Shape();
+      let penDown = false;
+      for ( let i = firstIndex; i < self.times.length; i += stride ) {
+        if ( aSeries.values[ i ] === null ) {
+          penDown = false;
+          continue;
+        }
+        const x = ( self.times[ i ] - timeRange.min ) * xScale;
+        const y = plotHeight - aSeries.values[ i ] * yScale;
+        if ( penDown ) {
+          shape.lineTo( x, y );
+        }
+        else {
+          shape.moveTo( x, y );
+          penDown = true;
+        }
+      }
+      aSeries.path.setShape( shape );
+    } );
+
+    // Draw the grid. The vertical lines are at fixed times, so they scroll along with the data.
+    const gridShape = new Shape();
+    for ( let i = 1; i < NUMBER_OF_HORIZONTAL_GRID_LINES; i++ ) {
+      const y = i * plotHeight / NUMBER_OF_HORIZONTAL_GRID_LINES;
+      gridShape.moveTo( 0, y ).lineTo( plotWidth, y );
+    }
+    const gridSpacing = VERTICAL_GRID_LINE_SPACINGS[ this.timeWindowProperty.get() ];
+    const firstGridLineTime = Math.ceil( timeRange.min / gridSpacing ) * gridSpacing;
+    for ( let time = firstGridLineTime; time < timeRange.max; time += gridSpacing ) {
+      const x = ( time - timeRange.min ) * xScale;
+      gridShape.moveTo( x, 0 ).lineTo( x, plotHeight );
+    }
+    this.gridPath.setShape( gridShape );
+
+    // Label the top of each axis in the color of the first of its series that is shown.
+    const labeledAxisNames = [];
+    const axisMaxLabels = [];
+    this.series.forEach( function( aSeries ) {
+      const axisName = aSeries.description.axisName;
+      if ( aSeries.visibleProperty.get() && labeledAxisNames.indexOf( axisName ) < 0 ) {
+        labeledAxisNames.push( axisName );
+        aSeries.axisMaxLabel.text = Utils.toFixed( axisMaxes[ axisName ], 0 );
+        axisMaxLabels.push( aSeries.axisMaxLabel );
+      }
+    } );
+    this.axisMaxLabels.children = axisMaxLabels;
+    if ( axisMaxLabels.length > 0 ) {
+      this.axisMaxLabels.right = -5;
+      this.axisMaxLabels.top = 0;
+    }
+
+    this.startTimeLabel.text = Utils.toFixed( timeRange.min, 0 );
+    this.startTimeLabel.left = 0;
+    this.startTimeLabel.top = plotHeight + 2;
+    this.endTimeLabel.text = Utils.toFixed( timeRange.max, 0 );
+    this.endTimeLabel.right = plotWidth;
+    this.endTimeLabel.top = plotHeight + 2;
+
+    // Show the values at the cursor if there is one, otherwise the latest values.
+    const cursorTime = this.cursorTimeProperty.get();
+    this.cursorLine.visible = cursorTime !== null;
+    if ( cursorTime !== null ) {
+      this.cursorLine.x1 = ( cursorTime - timeRange.min ) * xScale;
+      this.cursorLine.x2 = this.cursorLine.x1;
+    }
+    const readoutIndex = cursorTime !== null ? this.getIndexNearestTime( cursorTime ) : this.times.length - 1;
+    const readoutChildren = [];
+    if ( readoutIndex >= 0 ) {
+      this.readoutTimeText.text = StringUtils.fillIn( secondsPatternString, {
+        seconds: Utils.toFixed( this.times[ readoutIndex ], 1 )
+      } );
+      readoutChildren.push( this.readoutTimeText );
+      this.series.forEach( function( aSeries ) {
+        if ( aSeries.visibleProperty.get() && aSeries.description.showInReadout !== false ) {
+          const value = aSeries.values[ readoutIndex ];
+          aSeries.readoutText.text = value === null ? NO_VALUE_STRING :
+                                     Utils.toFixed( value, aSeries.description.decimalPlaces );
+          readoutChildren.push( aSeries.readoutText );
+        }
+      } );
+    }
+    this.readout.children = readoutChildren;
+  }
+
+  /**
+   * Forget the history of a series, e.g. when it starts to plot a different quantity, leaving a gap in its place.
+   * @param {number} index - index of the series in the descriptions
+   * @public
+   */
+  clearSeries( index ) {
+    const aSeries = this.series[ index ];
+    aSeries.values = this.times.map( function() { return null; } );
+    this.update();
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.simRunningTime = 0;
+    this.times = [];
+    this.markerTimes = [];
+    this.series.forEach( function( aSeries ) {
+      aSeries.values = [];
+
+      // Visibility that is controlled by the client is also reset by it.
+      if ( !aSeries.description.visibleProperty ) {
+        aSeries.visibleProperty.reset();
+      }
+    } );
+    this.timeWindowProperty.reset();
+    this.cursorTimeProperty.reset();
+    this.update();
+  }
+}
+
+geneExpressionEssentials.register( 'ScrollingChartNode', ScrollingChartNode );
+export default ScrollingChartNode;
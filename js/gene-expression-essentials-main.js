@@ -8,8 +8,11 @@
 
 import Sim from '../../joist/js/Sim.js';
 import simLauncher from '../../joist/js/simLauncher.js';
+import GEEQueryParameters from './common/GEEQueryParameters.js';
+import GeneDescriptionLoader from './common/model/GeneDescriptionLoader.js';
 import geneExpressionEssentialsStrings from './geneExpressionEssentialsStrings.js';
 import ManualGeneExpressionScreen from './manual-gene-expression/ManualGeneExpressionScreen.js';
+import ManualGeneExpressionModel from './manual-gene-expression/model/ManualGeneExpressionModel.js';
 import MessengerRnaProductionScreen from './mrna-production/MessengerRnaProductionScreen.js';
 import MultipleCellsScreen from './multiple-cells/MultipleCellsScreen.js';
 
@@ -24,13 +27,35 @@ const simOptions = {
   }
 };
 
-// we are go for launch
-simLauncher.launch( function() {
-  const sim = new Sim( geneExpressionEssentialsTitleString,
-    [
-      new ManualGeneExpressionScreen(),
-      new MessengerRnaProductionScreen(),
-      new MultipleCellsScreen()
-    ], simOptions );
-  sim.start();
-} );
\ No newline at end of file
+/**
+ * @param {Array.<Object>|null} geneDescriptions - for the Expression screen, see GeneDescriptionLoader
+ */
+const launch = function( geneDescriptions ) {
+
+  // we are go for launch
+  simLauncher.launch( function() {
+    const sim = new Sim( geneExpressionEssentialsTitleString,
+      [
+        new ManualGeneExpressionScreen( geneDescriptions ),
+        new MessengerRnaProductionScreen(),
+        new MultipleCellsScreen()
+      ], simOptions );
+    sim.start();
+  } );
+};
+
+// The genes may come from a file, which has to be fetched before the screens are created. If the descriptions can't be
+// loaded, or they are invalid, the problem is reported as a query parameter warning, and the sim starts with genes A, B
+// and C.
+if ( GEEQueryParameters.genes ) {
+  GeneDescriptionLoader.load(
+    GEEQueryParameters.genes,
+    ManualGeneExpressionModel.NUM_BASE_PAIRS_ON_DNA_STRAND
+  ).then( launch, function( error ) {
+    QueryStringMachine.addWarning( 'genes', GEEQueryParameters.genes, error.message );
+    launch( null );
+  } );
+}
+else {
+  launch( null );
+}
\ No newline at end of file
@@ -20,7 +20,12 @@ import ManualGeneExpressionModel from './model/ManualGeneExpressionModel.js';
 import ManualGeneExpressionScreenView from './view/ManualGeneExpressionScreenView.js';
 
 class ManualGeneExpressionScreen extends Screen {
-  constructor() {
+
+  /**
+   * @param {Array.<Object>|null} geneDescriptions - descriptions of the genes, see GeneDescriptionLoader, null for the
+   * standard ones
+   */
+  constructor( geneDescriptions ) {
 
     const options = {
       name: geneExpressionEssentialsStrings.screen.expression,
@@ -33,7 +38,7 @@ class ManualGeneExpressionScreen extends Screen {
     };
 
     super(
-      function() { return new ManualGeneExpressionModel();},
+      function() { return new ManualGeneExpressionModel( geneDescriptions );},
       function( model ) { return new ManualGeneExpressionScreenView( model ); },
       options
     );
@@ -12,6 +12,7 @@ import Range from '../../../../dot/js/Range.js';
 import inherit from '../../../../phet-core/js/inherit.js';
 import Color from '../../../../scenery/js/util/Color.js';
 import Gene from '../../common/model/Gene.js';
+import RegulatoryLogic from '../../common/model/RegulatoryLogic.js';
 import TranscriptionFactor from '../../common/model/TranscriptionFactor.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
 import ProteinB from './ProteinB.js';
@@ -45,6 +46,9 @@ function GeneB( dnaMolecule, initialBasePair ) {
   this.addTranscriptionFactorPosition( 5, TranscriptionFactor.TRANSCRIPTION_FACTOR_CONFIG_GENE_2_POS_1 );
   this.addTranscriptionFactorPosition( 16, TranscriptionFactor.TRANSCRIPTION_FACTOR_CONFIG_GENE_2_POS_2 );
   this.addTranscriptionFactorPosition( 11, TranscriptionFactor.TRANSCRIPTION_FACTOR_CONFIG_GENE_2_NEG );
+
+  // Either one of the positive transcription factors is enough for this gene to be transcribed at the full rate.
+  this.setRegulatoryLogic( RegulatoryLogic.OR );
 }
 
 geneExpressionEssentials.register( 'GeneB', GeneB );
@@ -12,6 +12,7 @@ import Range from '../../../../dot/js/Range.js';
 import inherit from '../../../../phet-core/js/inherit.js';
 import Color from '../../../../scenery/js/util/Color.js';
 import Gene from '../../common/model/Gene.js';
+import RegulatoryLogic from '../../common/model/RegulatoryLogic.js';
 import TranscriptionFactor from '../../common/model/TranscriptionFactor.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
 import ProteinC from './ProteinC.js';
@@ -46,6 +47,10 @@ function GeneC( dnaMolecule, initialBasePair ) {
   this.addTranscriptionFactorPosition( 5, TranscriptionFactor.TRANSCRIPTION_FACTOR_CONFIG_GENE_3_POS_1 );
   this.addTranscriptionFactorPosition( 16, TranscriptionFactor.TRANSCRIPTION_FACTOR_CONFIG_GENE_3_POS_2 );
   this.addTranscriptionFactorPosition( 11, TranscriptionFactor.TRANSCRIPTION_FACTOR_CONFIG_GENE_3_NEG );
+
+  // Each positive transcription factor recruits polymerase on its own, so with only one of them in place, this gene is
+  // transcribed, but less readily than with both.
+  this.setRegulatoryLogic( RegulatoryLogic.WEIGHTED );
 }
 
 geneExpressionEssentials.register( 'GeneC', GeneC );
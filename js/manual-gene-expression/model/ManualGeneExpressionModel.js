@@ -21,6 +21,7 @@ import inherit from '../../../../phet-core/js/inherit.js';
 import GEEConstants from '../../common/GEEConstants.js';
 import DnaMolecule from '../../common/model/DnaMolecule.js';
 import GeneA from '../../common/model/GeneA.js';
+import GeneDescriptionLoader from '../../common/model/GeneDescriptionLoader.js';
 import GeneExpressionModel from '../../common/model/GeneExpressionModel.js';
 import MotionBounds from '../../common/model/motion-strategies/MotionBounds.js';
 import Protein from '../../common/model/Protein.js';
@@ -41,9 +42,11 @@ const BIOMOLECULE_STAGE_HEIGHT = 6000; // In picometers.
 const NUM_BASE_PAIRS_ON_DNA_STRAND = 2000;
 
 /**
+ * @param {Array.<Object>|null} geneDescriptions - descriptions of the genes on the DNA strand, see
+ * GeneDescriptionLoader, null for genes A, B and C
  * @constructor
  */
-function ManualGeneExpressionModel() {
+function ManualGeneExpressionModel( geneDescriptions ) {
   GeneExpressionModel.call( this );
 
   // @private {DnaMolecule} - the DNA strand, which is where the genes reside and where the polymerase does its
@@ -54,9 +57,20 @@ function ManualGeneExpressionModel() {
     -NUM_BASE_PAIRS_ON_DNA_STRAND * GEEConstants.DISTANCE_BETWEEN_BASE_PAIRS / 4,
     false
   );
-  this.dnaMolecule.addGene( new GeneA( this.dnaMolecule, NUM_BASE_PAIRS_ON_DNA_STRAND / 4 - GeneA.NUM_BASE_PAIRS / 2 ) );
-  this.dnaMolecule.addGene( new GeneB( this.dnaMolecule, NUM_BASE_PAIRS_ON_DNA_STRAND / 2 - GeneB.NUM_BASE_PAIRS / 2 ) );
-  this.dnaMolecule.addGene( new GeneC( this.dnaMolecule, NUM_BASE_PAIRS_ON_DNA_STRAND * 3 / 4 - GeneC.NUM_BASE_PAIRS / 2 ) );
+  if ( geneDescriptions ) {
+    GeneDescriptionLoader.addGenes( this.dnaMolecule, geneDescriptions, NUM_BASE_PAIRS_ON_DNA_STRAND );
+  }
+  else {
+    this.dnaMolecule.addGene(
+      new GeneA( this.dnaMolecule, NUM_BASE_PAIRS_ON_DNA_STRAND / 4 - GeneA.NUM_BASE_PAIRS / 2 )
+    );
+    this.dnaMolecule.addGene(
+      new GeneB( this.dnaMolecule, NUM_BASE_PAIRS_ON_DNA_STRAND / 2 - GeneB.NUM_BASE_PAIRS / 2 )
+    );
+    this.dnaMolecule.addGene(
+      new GeneC( this.dnaMolecule, NUM_BASE_PAIRS_ON_DNA_STRAND * 3 / 4 - GeneC.NUM_BASE_PAIRS / 2 )
+    );
+  }
 
   // list of mobile biomolecules in the model, excluding mRNA
   this.mobileBiomoleculeList = createObservableArray(); // @public
@@ -371,6 +385,10 @@ inherit( GeneExpressionModel, ManualGeneExpressionModel, {
     } );
     return motionBounds;
   }
+}, {
+
+  // statics
+  NUM_BASE_PAIRS_ON_DNA_STRAND: NUM_BASE_PAIRS_ON_DNA_STRAND
 } );
 
 export default ManualGeneExpressionModel;
\ No newline at end of file
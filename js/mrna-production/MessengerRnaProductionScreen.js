@@ -13,6 +13,7 @@ import ScreenIcon from '../../../joist/js/ScreenIcon.js';
 import Image from '../../../scenery/js/nodes/Image.js';
 import mRnaProductionIcon from '../../mipmaps/mrna-production-icon_png.js';
 import GEEConstants from '../common/GEEConstants.js';
+import GEEQueryParameters from '../common/GEEQueryParameters.js';
 import geneExpressionEssentials from '../geneExpressionEssentials.js';
 import geneExpressionEssentialsStrings from '../geneExpressionEssentialsStrings.js';
 import MessengerRnaProductionModel from './model/MessengerRnaProductionModel.js';
@@ -32,7 +33,12 @@ class MessengerRnaProductionScreen extends Screen {
     };
 
     super(
-      function() { return new MessengerRnaProductionModel(); },
+      function() {
+        return new MessengerRnaProductionModel( {
+          numberOfGenes: GEEQueryParameters.mRnaGenes,
+          distinctTranscriptionFactors: GEEQueryParameters.distinctTranscriptionFactors
+        } );
+      },
       function( model ) { return new MessengerRnaProductionScreenView( model ); },
       options
     );
@@ -0,0 +1,252 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Automated experiment that measures the dose-response curve of a gene on the mRNA screen, i.e. the rate at which it
+ * is transcribed as a function of the number of its positive transcription factors, and optionally of the number of
+ * its negative ones too. Unlike the parameter sweep of the Multiple Cells screen, it doesn't use an abstract model of
+ * the gene, but runs the molecules of the MessengerRnaProductionModel itself, by calling its stepInTime many times for
+ * each step of the sim, so the results are those of the molecular model that the user sees.
+ *
+ * At each level of the transcription factors, the counts are set, the model is left to settle for a while so that the
+ * new transcription factors have a chance to find the gene, and then the completed transcriptions are counted in a
+ * number of consecutive measurement periods, which are the repeats from which the mean rate and its standard deviation
+ * are taken. The counts of the transcription factors are put back as they were when the experiment is done.
+ *
+ * Varying both kinds of transcription factors takes several minutes, so the experiment estimates how much longer it
+ * will take from the rate at which the sim has been running it.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+// constants
+
+// The model is stepped with the time step of a sim running at 60 frames per second, so that the molecules move just as
+// they do when the sim is playing.
+const TIME_STEP = 1 / 60;
+
+const SECONDS_PER_MINUTE = 60;
+
+/**
+ * @param {MessengerRnaProductionModel} model
+ * @param {Gene} gene - the gene whose transcription factors are varied and whose transcriptions are counted
+ * @param {number} maxCount - the largest number of each kind of transcription factor
+ * @param {Object} [options]
+ * @constructor
+ */
+function DoseResponseExperiment( model, gene, maxCount, options ) {
+
+  options = merge( {
+
+    // {boolean} - whether to step the number of negative transcription factors through all of its values as well,
+    // otherwise it's left as it is
+    varyNegative: false,
+
+    // {number} - time that the model is left to settle at each level before measuring, in seconds
+    settlingTime: 15,
+
+    // {number} - length of each measurement period, in seconds
+    measurementTime: 30,
+
+    // {number} - number of measurement periods at each level
+    numberOfRepeats: 3,
+
+    // {number} - number of time steps of the model for each step of the experiment, i.e. how many times faster than
+    // real time the experiment runs
+    timeStepsPerStep: 20
+  }, options );
+  assert && assert( options.numberOfRepeats >= 2, 'there must be at least two repeats for the error bars' );
+
+  // @private
+  this.model = model;
+  this.gene = gene;
+  this.options = options;
+
+  // @private {Property.<number>} - numbers of the gene's transcription factors, which may be shared with other genes
+  const configs = gene.getTranscriptionFactorConfigs();
+  this.positiveCountProperty = model.getTranscriptionFactorCountProperty(
+    _.find( configs, function( config ) { return config.isPositive; } )
+  );
+  this.negativeCountProperty = model.getTranscriptionFactorCountProperty(
+    _.find( configs, function( config ) { return !config.isPositive; } )
+  );
+
+  // @private {TranscriptionCounter}
+  this.transcriptionCounter = model.getTranscriptionCounter( gene );
+
+  // @private {number} - counts of the transcription factors before the experiment, which are restored at the end
+  this.initialPositiveCount = this.positiveCountProperty.get();
+  this.initialNegativeCount = this.negativeCountProperty.get();
+
+  // @private {Array.<number>} - the levels of each kind of transcription factor, all of those that the sliders allow
+  this.positiveCounts = _.range( maxCount + 1 );
+  this.negativeCounts = options.varyNegative ? _.range( maxCount + 1 ) : [ this.initialNegativeCount ];
+
+  // @private {Array.<Object>} - results of the levels that have been completed, see getResults
+  this.points = [];
+
+  // @private {Array.<number>} - rates measured in the repeats of the current level so far, in mRNA per minute
+  this.rates = [];
+
+  // @private {number} - simulation time since the current level started settling, or since its current measurement
+  // period started
+  this.time = 0;
+
+  // @private {number|null} - completions counted when the current measurement period started, null while settling
+  this.completionCountAtPeriodStart = null;
+
+  // @private {number} - real time for which the experiment has run, and the number of steps that it has taken, from
+  // which the time per step is estimated
+  this.elapsedTime = 0;
+  this.numberOfSteps = 0;
+
+  this.startLevel();
+}
+
+geneExpressionEssentials.register( 'DoseResponseExperiment', DoseResponseExperiment );
+
+inherit( Object, DoseResponseExperiment, {
+
+  /**
+   * Whether all of the levels have been measured.
+   * @returns {boolean}
+   * @public
+   */
+  isComplete: function() {
+    return this.points.length === this.positiveCounts.length * this.negativeCounts.length;
+  },
+
+  /**
+   * Fraction of the work that has been done, from 0 to 1.
+   * @returns {number}
+   * @public
+   */
+  getProgress: function() {
+    const options = this.options;
+    const levelTime = this.completionCountAtPeriodStart === null ?
+                      this.time :
+                      options.settlingTime + this.rates.length * options.measurementTime + this.time;
+    const levelDuration = options.settlingTime + options.numberOfRepeats * options.measurementTime;
+    const numberOfLevels = this.positiveCounts.length * this.negativeCounts.length;
+    return Math.min( ( this.points.length + levelTime / levelDuration ) / numberOfLevels, 1 );
+  },
+
+  /**
+   * Estimate the real time that it will take to finish the experiment, assuming that it keeps being stepped at the
+   * same rate as so far, or at 60 frames per second before it has been stepped.
+   * @returns {number} - in seconds
+   * @public
+   */
+  getTimeRemaining: function() {
+    const options = this.options;
+    const levelDuration = options.settlingTime + options.numberOfRepeats * options.measurementTime;
+    const numberOfLevels = this.positiveCounts.length * this.negativeCounts.length;
+    const simulationTimeRemaining = ( 1 - this.getProgress() ) * numberOfLevels * levelDuration;
+    const timePerStep = this.numberOfSteps > 0 ? this.elapsedTime / this.numberOfSteps : TIME_STEP;
+    return simulationTimeRemaining / ( options.timeStepsPerStep * TIME_STEP ) * timePerStep;
+  },
+
+  /**
+   * Step the model through a number of time steps, moving on to the next measurement period or level as needed. The
+   * counts of the transcription factors are restored once the last level is done.
+   * @param {number} dt - real time since the last step of the sim, which is only used to estimate the time remaining
+   * @public
+   */
+  step: function( dt ) {
+    assert && assert( !this.isComplete(), 'the experiment is already complete' );
+    const options = this.options;
+    const completionCountProperty = this.transcriptionCounter.completionCountProperty;
+    this.elapsedTime += dt;
+    this.numberOfSteps++;
+
+    for ( let i = 0; i < options.timeStepsPerStep && !this.isComplete(); i++ ) {
+      this.model.stepInTime( TIME_STEP );
+      this.time += TIME_STEP;
+
+      if ( this.completionCountAtPeriodStart === null ) {
+        if ( this.time >= options.settlingTime ) {
+          this.completionCountAtPeriodStart = completionCountProperty.get();
+          this.time = 0;
+        }
+      }
+      else if ( this.time >= options.measurementTime ) {
+        const completions = completionCountProperty.get() - this.completionCountAtPeriodStart;
+        this.rates.push( completions * SECONDS_PER_MINUTE / this.time );
+        this.completionCountAtPeriodStart = completionCountProperty.get();
+        this.time = 0;
+        if ( this.rates.length === options.numberOfRepeats ) {
+          this.finishLevel();
+        }
+      }
+    }
+  },
+
+  /**
+   * Set the counts of the transcription factors for the next level.
+   * @private
+   */
+  startLevel: function() {
+    const levelIndex = this.points.length;
+    this.positiveCountProperty.set( this.positiveCounts[ levelIndex % this.positiveCounts.length ] );
+    this.negativeCountProperty.set( this.negativeCounts[ Math.floor( levelIndex / this.positiveCounts.length ) ] );
+    this.time = 0;
+    this.completionCountAtPeriodStart = null;
+    this.rates = [];
+  },
+
+  /**
+   * Record the statistics of the repeats of the current level, and start the next one, or restore the counts of the
+   * transcription factors if it was the last.
+   * @private
+   */
+  finishLevel: function() {
+    const mean = _.sum( this.rates ) / this.rates.length;
+    const sumOfSquares = _.sum( this.rates.map( function( rate ) { return ( rate - mean ) * ( rate - mean ); } ) );
+    this.points.push( {
+      positiveCount: this.positiveCountProperty.get(),
+      negativeCount: this.negativeCountProperty.get(),
+      rates: this.rates,
+      mean: Utils.toFixedNumber( mean, 3 ),
+      standardDeviation: Utils.toFixedNumber( Math.sqrt( sumOfSquares / ( this.rates.length - 1 ) ), 3 )
+    } );
+    if ( this.isComplete() ) {
+      this.restore();
+    }
+    else {
+      this.startLevel();
+    }
+  },
+
+  /**
+   * Put the counts of the transcription factors back as they were before the experiment, which is also how one that
+   * is canceled is cleaned up after.
+   * @public
+   */
+  restore: function() {
+    this.positiveCountProperty.set( this.initialPositiveCount );
+    this.negativeCountProperty.set( this.initialNegativeCount );
+  },
+
+  /**
+   * Get the results of the levels that have been completed.
+   * @returns {{gene: Gene, positiveCounts: Array.<number>, negativeCounts: Array.<number>, points: Array.<Object>}} -
+   * each point has the counts of the transcription factors, the rates measured in the repeats, in mRNA per minute, and
+   * their mean and sample standard deviation. The points are in the order in which they were run, with the positive
+   * count varying fastest.
+   * @public
+   */
+  getResults: function() {
+    return {
+      gene: this.gene,
+      positiveCounts: this.positiveCounts,
+      negativeCounts: this.negativeCounts,
+      points: this.points
+    };
+  }
+} );
+
+export default DoseResponseExperiment;
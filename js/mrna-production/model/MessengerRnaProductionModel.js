@@ -15,13 +15,17 @@ import Utils from '../../../../dot/js/Utils.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import Vector3 from '../../../../dot/js/Vector3.js';
 import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
 import GEEConstants from '../../common/GEEConstants.js';
 import DnaMolecule from '../../common/model/DnaMolecule.js';
 import GeneA from '../../common/model/GeneA.js';
+import GeneDescriptionLoader from '../../common/model/GeneDescriptionLoader.js';
 import MotionBounds from '../../common/model/motion-strategies/MotionBounds.js';
 import RnaPolymerase from '../../common/model/RnaPolymerase.js';
 import TranscriptionFactor from '../../common/model/TranscriptionFactor.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import DoseResponseExperiment from './DoseResponseExperiment.js';
+import TranscriptionCounter from './TranscriptionCounter.js';
 
 // constants
 
@@ -41,11 +45,53 @@ const MAX_TRANSCRIPTION_FACTOR_COUNT = 8;
 // Number of RNA polymerase molecules present.
 const RNA_POLYMERASE_COUNT = 7;
 
+// Bounds within which the mobile biomolecules move when there is one gene, empirically determined.
+const SINGLE_GENE_MOTION_BOUNDS = new Bounds2( -2458, -1854, 2663, 1236 );
+
+// Maximum number of genes that can be placed on the DNA strand.
+const MAX_NUMBER_OF_GENES = 3;
+
+// Number of base pairs between the genes when there are several of them.
+const GENE_SPACING = 20;
+
+// When there are several genes, they are built from descriptions, see GeneDescriptionLoader. They look like genes A, B
+// and C, but their transcribed regions are half as long so that they can all be seen at once.
+const MULTIPLE_GENE_REGULATORY_REGION_LENGTH = 16;
+const MULTIPLE_GENE_TRANSCRIBED_REGION_LENGTH = 50;
+const MULTIPLE_GENE_COLORS = [
+  'rgba( 255, 165, 79, 0.6 )',
+  'rgba( 240, 246, 143, 0.6 )',
+  'rgba( 205, 255, 112, 0.6 )'
+];
+const MULTIPLE_GENE_PROTEINS = [ 'ProteinA', 'ProteinB', 'ProteinC' ];
+
+// The transcription factors of each of the genes when they have their own, otherwise they all use those of the first.
+const DISTINCT_TRANSCRIPTION_FACTORS = [
+  { positive: 'GENE_1_POS', negative: 'GENE_1_NEG' },
+  { positive: 'GENE_2_POS_1', negative: 'GENE_2_NEG' },
+  { positive: 'GENE_3_POS_1', negative: 'GENE_3_NEG' }
+];
+
 /**
+ * @param {Object} [options]
  * @constructor
  */
-function MessengerRnaProductionModel() {
+function MessengerRnaProductionModel( options ) {
   const self = this;
+
+  options = merge( {
+
+    // {number} - number of genes on the DNA strand, which all draw on the same pools of transcription factors and
+    // polymerase, so that they compete for them
+    numberOfGenes: 1,
+
+    // {boolean} - whether each gene is regulated by transcription factors of its own, otherwise all of them have sites
+    // for the transcription factors of the first gene
+    distinctTranscriptionFactors: false
+  }, options );
+  assert && assert( options.numberOfGenes >= 1 && options.numberOfGenes <= MAX_NUMBER_OF_GENES,
+    'invalid number of genes: ' + options.numberOfGenes );
+
   this.clockRunningProperty = new Property( true ); //@public
 
   // DNA strand, which is where the genes reside, where the polymerase does its transcription, and where a lot of the
@@ -58,74 +104,109 @@ function MessengerRnaProductionModel() {
     true
   );
 
-  // @private {Gene} The one gene that is on this DNA strand in this model.
-  this.gene = new GeneA( this.dnaMolecule, Utils.roundSymmetric( NUM_BASE_PAIRS_ON_DNA_STRAND * 0.4 ) );
-  this.dnaMolecule.addGene( this.gene );
+  // The genes on this DNA strand. A single gene is gene A, as it has always been. Several genes are placed next to
+  // each other around the middle of the strand.
+  if ( options.numberOfGenes === 1 ) {
+    this.dnaMolecule.addGene(
+      new GeneA( this.dnaMolecule, Utils.roundSymmetric( NUM_BASE_PAIRS_ON_DNA_STRAND * 0.4 ) )
+    );
+  }
+  else {
+    const descriptions = _.range( options.numberOfGenes ).map( function( index ) {
+      return createGeneDescription( index, options.distinctTranscriptionFactors );
+    } );
+    const totalLength = _.sum( descriptions.map( GeneDescriptionLoader.getNumberOfBasePairs ) ) +
+                        GENE_SPACING * ( options.numberOfGenes - 1 );
+    let initialBasePair = Utils.roundSymmetric( ( NUM_BASE_PAIRS_ON_DNA_STRAND - totalLength ) / 2 );
+    descriptions.forEach( function( description ) {
+      self.dnaMolecule.addGene( GeneDescriptionLoader.createGene( self.dnaMolecule, description, initialBasePair ) );
+      initialBasePair += GeneDescriptionLoader.getNumberOfBasePairs( description ) + GENE_SPACING;
+    } );
+  }
+  const genes = this.dnaMolecule.getGenes();
+
+  // @public (read-only) {number} - factor by which the area in which the molecules move is bigger than it is for a
+  // single gene, so that it spans all of the genes, and the view can zoom out accordingly
+  this.moleculeAreaScale = genes.length === 1 ? 1 : Math.max(
+    ( genes[ genes.length - 1 ].getEndX() - genes[ 0 ].getStartX() ) /
+    ( GeneA.NUM_BASE_PAIRS * GEEConstants.DISTANCE_BETWEEN_BASE_PAIRS ),
+    1
+  );
 
   // List of mobile biomolecules in the model, excluding mRNA.
   this.mobileBiomoleculeList = createObservableArray(); // @public
-  this.positiveTranscriptionFactorList = []; // @private
-  this.negativeTranscriptionFactorList = []; // @private
 
   // List of mRNA molecules in the sim. These are kept separate because they are treated a bit differently than the
   // other mobile biomolecules.
   this.messengerRnaList = createObservableArray(); // @public
 
-  // Properties that control the quantity of transcription factors.
-  this.positiveTranscriptionFactorCountProperty = new Property( 0 ); // @public
-  this.positiveTranscriptionFactorCountProperty.link( function( count ) {
-    self.setTranscriptionFactorCount(
-      TranscriptionFactor.TRANSCRIPTION_FACTOR_CONFIG_GENE_1_POS,
-      Utils.roundSymmetric( count ),
-      self.positiveTranscriptionFactorList
-    );
-  } );
-
-  this.negativeTranscriptionFactorCountProperty = new Property( 0 ); // @public
-  this.negativeTranscriptionFactorCountProperty.link( function( count ) {
-    self.setTranscriptionFactorCount(
-      TranscriptionFactor.TRANSCRIPTION_FACTOR_CONFIG_GENE_1_NEG,
-      Utils.roundSymmetric( count ),
-      self.negativeTranscriptionFactorList
-    );
-  } );
+  // @public (read-only) {Array.<TranscriptionCounter>} - counts the transcriptions of each gene and measures their
+  // rate, in the order of the genes on the strand
+  this.transcriptionCounters = genes.map( function() { return new TranscriptionCounter(); } );
 
   // Motion bounds for the mobile biomolecules.
   this.moleculeMotionBounds = null; // @private
   this.setUpMotionBounds();
 
-  // @private {number} - accumulator used for deciding when to shuffle the biomolecules
-  this.shuffleTimeAccumulator = 0;
-
-  // The bounds within which polymerase may be moved when recycled. Set up the area where RNA polymerase goes when it
-  // is recycled. This is near the beginning of the transcribed region in order to make transcription more likely to
-  // occur.
-  const polymeraseSize = new RnaPolymerase().bounds;
-  const firstGene = this.dnaMolecule.getGenes()[ 0 ];
-  const recycleZoneCenterX = this.dnaMolecule.getBasePairXOffsetByIndex( firstGene.getTranscribedRegion().min ) +
-                             ( phet.joist.random.nextDouble() - 0.5 ) * 2000;
-  const recycleZoneHeight = polymeraseSize.getHeight() * 1.2;
-  const recycleZoneWidth = polymeraseSize.getWidth() * 4;
-  const minX = recycleZoneCenterX - polymeraseSize.getWidth() * 2;
-  let minY = GEEConstants.DNA_MOLECULE_Y_POS + polymeraseSize.getHeight();
+  // @private {Array.<{config: TranscriptionFactorConfig, countProperty: Property.<number>, transcriptionFactors:
+  // Array.<TranscriptionFactor>}>} - a pool of transcription factors for each configuration that has sites on any of
+  // the genes, which is shared by all of the genes that have those sites
+  this.transcriptionFactorPools = [];
+  genes.forEach( function( gene ) {
+    gene.getTranscriptionFactorConfigs().forEach( function( config ) {
+      if ( !_.some( self.transcriptionFactorPools, function( pool ) { return pool.config === config; } ) ) {
+        const pool = { config: config, countProperty: new Property( 0 ), transcriptionFactors: [] };
+        pool.countProperty.link( function( count ) {
+          self.setTranscriptionFactorCount( config, Utils.roundSymmetric( count ), pool.transcriptionFactors );
+        } );
+        self.transcriptionFactorPools.push( pool );
+      }
+    } );
+  } );
 
-  // @private
-  this.aboveDnaPolymeraseReturnBounds = new Bounds2(
-    minX,
-    minY,
-    minX + recycleZoneWidth,
-    minY + recycleZoneHeight
+  // Properties that control the quantity of the transcription factors of the first gene.
+  // @public
+  this.positiveTranscriptionFactorCountProperty = this.getTranscriptionFactorCountProperty(
+    POSITIVE_TRANSCRIPTION_FACTOR_CONFIG
+  );
+  this.negativeTranscriptionFactorCountProperty = this.getTranscriptionFactorCountProperty(
+    NEGATIVE_TRANSCRIPTION_FACTOR_CONFIG
   );
 
-  minY = GEEConstants.DNA_MOLECULE_Y_POS - polymeraseSize.getHeight() - recycleZoneHeight;
+  // @private {number} - accumulator used for deciding when to shuffle the biomolecules
+  this.shuffleTimeAccumulator = 0;
 
-  // @private
-  this.belowDnaPolymeraseReturnBounds = new Bounds2(
-    minX,
-    minY,
-    minX + recycleZoneWidth,
-    minY + polymeraseSize.getHeight() * 1.2
-  );
+  // @private {Array.<Bounds2>} - The bounds within which polymerase may be moved when recycled. There is an area above
+  // and below the DNA for each gene, near the beginning of its transcribed region in order to make transcription more
+  // likely to occur. The polymerase picks one of them at random, so no gene is favored.
+  this.polymeraseRecycleReturnZones = [];
+  const polymeraseSize = new RnaPolymerase().bounds;
+  genes.forEach( function( gene ) {
+    const recycleZoneCenterX = self.dnaMolecule.getBasePairXOffsetByIndex( gene.getTranscribedRegion().min ) +
+                               ( phet.joist.random.nextDouble() - 0.5 ) * 2000;
+    const recycleZoneHeight = polymeraseSize.getHeight() * 1.2;
+    const recycleZoneWidth = polymeraseSize.getWidth() * 4;
+    const minX = recycleZoneCenterX - polymeraseSize.getWidth() * 2;
+    let minY = GEEConstants.DNA_MOLECULE_Y_POS + polymeraseSize.getHeight();
+
+    // above the DNA
+    self.polymeraseRecycleReturnZones.push( new Bounds2(
+      minX,
+      minY,
+      minX + recycleZoneWidth,
+      minY + recycleZoneHeight
+    ) );
+
+    minY = GEEConstants.DNA_MOLECULE_Y_POS - polymeraseSize.getHeight() - recycleZoneHeight;
+
+    // below the DNA
+    self.polymeraseRecycleReturnZones.push( new Bounds2(
+      minX,
+      minY,
+      minX + recycleZoneWidth,
+      minY + polymeraseSize.getHeight() * 1.2
+    ) );
+  } );
 
   // Watch for mobileBiomolecule being added and link up the properties.
   this.mobileBiomoleculeList.addItemAddedListener( function( mobileBiomolecule ) {
@@ -169,6 +250,19 @@ function MessengerRnaProductionModel() {
     // Since this will never be translated in this model, make it fade away once it is formed.
     messengerRna.setFadeAwayWhenFormed( true );
 
+    // The mRNA is added when a polymerase starts to transcribe a gene, and is finished when the polymerase lets go.
+    // Each transcription is counted for the gene that it is of.
+    const transcriptionCounter = self.getTranscriptionCounter( messengerRna.gene );
+    transcriptionCounter.recordInitiation();
+
+    function handleBeingSynthesizedChanged( beingSynthesized ) {
+      if ( !beingSynthesized ) {
+        transcriptionCounter.recordCompletion();
+      }
+    }
+
+    messengerRna.beingSynthesizedProperty.lazyLink( handleBeingSynthesizedChanged );
+
     function handleExistenceStrengthChanged( existenceStrength ) {
       if ( existenceStrength <= 0 ) {
         // It's "gone", so remove it from the model.
@@ -182,15 +276,55 @@ function MessengerRnaProductionModel() {
     self.messengerRnaList.addItemRemovedListener( function removalListener( removedMessengerRna ) {
       if ( removedMessengerRna === messengerRna ) {
         messengerRna.existenceStrengthProperty.unlink( handleExistenceStrengthChanged );
+        messengerRna.beingSynthesizedProperty.unlink( handleBeingSynthesizedChanged );
         self.messengerRnaList.removeItemRemovedListener( removalListener );
       }
     } );
   } );
 
+  // @private {DoseResponseExperiment|null} - the dose-response experiment that is running, if any
+  this.doseResponseExperiment = null;
+
+  // @public (read-only) {Property.<number|null>} - fraction of the running dose-response experiment that is done, null
+  // if none is running
+  this.doseResponseProgressProperty = new Property( null );
+
+  // @public (read-only) {Property.<number|null>} - estimate of the real time that the running dose-response experiment
+  // will take to finish, in seconds, null if none is running
+  this.doseResponseTimeRemainingProperty = new Property( null );
+
+  // @public (read-only) {Property.<Object|null>} - results of the last dose-response experiment that was completed,
+  // see DoseResponseExperiment.getResults
+  this.doseResponseResultsProperty = new Property( null );
+
   // Reset this model in order to set initial state.
   this.reset();
 }
 
+/**
+ * Create the description of one of the genes that are placed on the strand when there are several of them.
+ * @param {number} index - of the gene on the strand
+ * @param {boolean} distinctTranscriptionFactors - whether the gene has transcription factors of its own
+ * @returns {Object} - see GeneDescriptionLoader
+ */
+const createGeneDescription = function( index, distinctTranscriptionFactors ) {
+  const transcriptionFactors = DISTINCT_TRANSCRIPTION_FACTORS[ distinctTranscriptionFactors ? index : 0 ];
+  return {
+    regulatoryRegionLength: MULTIPLE_GENE_REGULATORY_REGION_LENGTH,
+    transcribedRegionLength: MULTIPLE_GENE_TRANSCRIBED_REGION_LENGTH,
+    regulatoryRegionColor: 'rgb( 216, 191, 216 )',
+    transcribedRegionColor: MULTIPLE_GENE_COLORS[ index ],
+    windingAlgorithm: 4,
+
+    // as on gene A, the negative transcription factor overlaps, and thus blocks, the positive one
+    transcriptionFactorSites: [
+      { position: 5, config: transcriptionFactors.positive },
+      { position: 2, config: transcriptionFactors.negative }
+    ],
+    protein: MULTIPLE_GENE_PROTEINS[ index ]
+  };
+};
+
 geneExpressionEssentials.register( 'MessengerRnaProductionModel', MessengerRnaProductionModel );
 
 inherit( Object, MessengerRnaProductionModel, {
@@ -201,7 +335,23 @@ inherit( Object, MessengerRnaProductionModel, {
    * @public
    */
   step: function( dt ) {
-    if ( this.clockRunningProperty.get() ) {
+
+    // The dose-response experiment drives the model itself, faster than real time, so it runs instead of the clock, and
+    // whether or not the clock is paused.
+    if ( this.doseResponseExperiment ) {
+      this.doseResponseExperiment.step( dt );
+      if ( this.doseResponseExperiment.isComplete() ) {
+        this.doseResponseResultsProperty.set( this.doseResponseExperiment.getResults() );
+        this.doseResponseExperiment = null;
+        this.doseResponseProgressProperty.set( null );
+        this.doseResponseTimeRemainingProperty.set( null );
+      }
+      else {
+        this.doseResponseProgressProperty.set( this.doseResponseExperiment.getProgress() );
+        this.doseResponseTimeRemainingProperty.set( this.doseResponseExperiment.getTimeRemaining() );
+      }
+    }
+    else if ( this.clockRunningProperty.get() ) {
       this.stepInTime( dt );
     }
   },
@@ -220,6 +370,9 @@ inherit( Object, MessengerRnaProductionModel, {
       messengerRna.step( dt );
     } );
     this.dnaMolecule.step( dt );
+    this.transcriptionCounters.forEach( function( transcriptionCounter ) {
+      transcriptionCounter.step( dt );
+    } );
 
     // periodically shuffle the mobile biomolecules so that no molecule gets preference for attachments
     this.shuffleTimeAccumulator += dt;
@@ -234,16 +387,38 @@ inherit( Object, MessengerRnaProductionModel, {
    */
   setUpMotionBounds: function() {
 
-    // Bounds, have been empirically determined to keep biomolecules in .
-    const minY = -1854;
-    const maxY = 1236;
-    const minX = -2458;
-    const maxX = 2663;
-
-    const bounds = new Bounds2( minX, minY, maxX, maxY );
+    // The bounds for a single gene are scaled up so that the molecules can reach all of the genes.
+    const scale = this.moleculeAreaScale;
+    const bounds = new Bounds2(
+      SINGLE_GENE_MOTION_BOUNDS.minX * scale,
+      SINGLE_GENE_MOTION_BOUNDS.minY * scale,
+      SINGLE_GENE_MOTION_BOUNDS.maxX * scale,
+      SINGLE_GENE_MOTION_BOUNDS.maxY * scale
+    );
     this.moleculeMotionBounds = new MotionBounds( bounds );
   },
 
+  /**
+   * Get the property that controls the number of transcription factors with the given configuration.
+   * @param {TranscriptionFactorConfig} config - of transcription factors that have sites on at least one of the genes
+   * @returns {Property.<number>}
+   * @public
+   */
+  getTranscriptionFactorCountProperty: function( config ) {
+    const pool = _.find( this.transcriptionFactorPools, function( pool ) { return pool.config === config; } );
+    assert && assert( pool, 'no gene has sites for this transcription factor' );
+    return pool.countProperty;
+  },
+
+  /**
+   * Get the configurations of all of the transcription factors that have sites on the genes, without repeats.
+   * @returns {Array.<TranscriptionFactorConfig>}
+   * @public
+   */
+  getTranscriptionFactorConfigs: function() {
+    return this.transcriptionFactorPools.map( function( pool ) { return pool.config; } );
+  },
+
   /**
    * @returns {DnaMolecule}
    * @public
@@ -316,17 +491,25 @@ inherit( Object, MessengerRnaProductionModel, {
    * @public
    */
   reset: function() {
-    this.positiveTranscriptionFactorCountProperty.reset();
-    this.negativeTranscriptionFactorCountProperty.reset();
-    this.positiveTranscriptionFactorList = [];
-    this.negativeTranscriptionFactorList = [];
+    this.cancelDoseResponseExperiment();
+    this.doseResponseResultsProperty.reset();
+    this.transcriptionFactorPools.forEach( function( pool ) {
+      pool.countProperty.reset();
+      pool.transcriptionFactors = [];
+    } );
     this.mobileBiomoleculeList.clear();
     this.messengerRnaList.clear();
+    this.transcriptionCounters.forEach( function( transcriptionCounter ) {
+      transcriptionCounter.reset();
+    } );
     this.dnaMolecule.reset();
-    this.gene.getPolymeraseAffinityProperty().reset();
     this.clockRunningProperty.reset();
-    this.gene.getTranscriptionFactorAffinityProperty( POSITIVE_TRANSCRIPTION_FACTOR_CONFIG ).reset();
-    this.gene.getTranscriptionFactorAffinityProperty( NEGATIVE_TRANSCRIPTION_FACTOR_CONFIG ).reset();
+    this.dnaMolecule.getGenes().forEach( function( gene ) {
+      gene.getPolymeraseAffinityProperty().reset();
+      gene.getTranscriptionFactorConfigs().forEach( function( config ) {
+        gene.getTranscriptionFactorAffinityProperty( config ).reset();
+      } );
+    } );
 
     // Add the polymerase molecules. These don't come and go, the concentration of these remains constant in this
     // model.
@@ -335,12 +518,57 @@ inherit( Object, MessengerRnaProductionModel, {
       rnaPolymerase.setPosition3D( this.generateInitialPosition3D( rnaPolymerase ) );
       rnaPolymerase.set3DMotionEnabled( true );
       rnaPolymerase.setRecycleMode( true );
-      rnaPolymerase.addRecycleReturnZone( this.aboveDnaPolymeraseReturnBounds );
-      rnaPolymerase.addRecycleReturnZone( this.belowDnaPolymeraseReturnBounds );
+      this.polymeraseRecycleReturnZones.forEach( function( recycleReturnZone ) {
+        rnaPolymerase.addRecycleReturnZone( recycleReturnZone );
+      } );
       this.addMobileBiomolecule( rnaPolymerase );
     }
   },
 
+  /**
+   * @param {Gene} gene - one of the genes on the strand
+   * @returns {TranscriptionCounter} - the counter of the transcriptions of the gene
+   * @public
+   */
+  getTranscriptionCounter: function( gene ) {
+    const index = this.dnaMolecule.getGenes().indexOf( gene );
+    assert && assert( index >= 0, 'the gene is not on the strand' );
+    return this.transcriptionCounters[ index ];
+  },
+
+  /**
+   * Start an experiment that steps the number of a gene's positive transcription factors through all of its values,
+   * and optionally the number of its negative ones too, and measures the rate at which the gene is transcribed at each
+   * level. The transcription factors of any other genes are left as they are, so when there are several genes, the
+   * measurement is of the one gene against the background of the others. Any experiment that is already running is
+   * canceled. The results are put in doseResponseResultsProperty when it's complete.
+   * @param {Gene} gene - one of the genes on the strand
+   * @param {boolean} varyNegative - whether to vary the number of negative transcription factors as well
+   * @public
+   */
+  startDoseResponseExperiment: function( gene, varyNegative ) {
+    this.cancelDoseResponseExperiment();
+    this.doseResponseExperiment = new DoseResponseExperiment( this, gene, MAX_TRANSCRIPTION_FACTOR_COUNT, {
+      varyNegative: varyNegative
+    } );
+    this.doseResponseProgressProperty.set( 0 );
+    this.doseResponseTimeRemainingProperty.set( this.doseResponseExperiment.getTimeRemaining() );
+  },
+
+  /**
+   * Stop the dose-response experiment that is running, if any, without producing results, and put the counts of the
+   * transcription factors back as they were before it.
+   * @public
+   */
+  cancelDoseResponseExperiment: function() {
+    if ( this.doseResponseExperiment ) {
+      this.doseResponseExperiment.restore();
+      this.doseResponseExperiment = null;
+      this.doseResponseProgressProperty.set( null );
+      this.doseResponseTimeRemainingProperty.set( null );
+    }
+  },
+
   /**
    * Generate a random, valid, initial position, including the Z dimension.
    * @param {MobileBiomolecule} biomolecule
@@ -386,6 +614,7 @@ inherit( Object, MessengerRnaProductionModel, {
 
   // statics
   MAX_TRANSCRIPTION_FACTOR_COUNT: MAX_TRANSCRIPTION_FACTOR_COUNT,
+  MAX_NUMBER_OF_GENES: MAX_NUMBER_OF_GENES,
   POSITIVE_TRANSCRIPTION_FACTOR_CONFIG: POSITIVE_TRANSCRIPTION_FACTOR_CONFIG,
   NEGATIVE_TRANSCRIPTION_FACTOR_CONFIG: NEGATIVE_TRANSCRIPTION_FACTOR_CONFIG
 } );
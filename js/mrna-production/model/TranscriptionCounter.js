@@ -0,0 +1,109 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Counts the transcriptions of a gene on the mRNA screen, i.e. the initiations, when a polymerase starts to make an
+ * mRNA, and the completions, when it lets go of a finished one. Besides the running totals, it gives the rates of both
+ * over a sliding window of simulation time, so that the effect of the concentrations and affinities on the output of
+ * the gene can be measured.
+ *
+ * @author agent
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+// constants
+
+// Length of the window over which the rates are averaged, in seconds. Transcriptions only happen every few seconds,
+// so this is long enough for the rates to be fairly steady, but short enough for them to follow changes of the
+// sliders.
+const WINDOW_DURATION = 30;
+
+const SECONDS_PER_MINUTE = 60;
+
+/**
+ * @constructor
+ */
+function TranscriptionCounter() {
+
+  // @public (read-only) {NumberProperty} - numbers of transcriptions started and completed since the last reset
+  this.initiationCountProperty = new NumberProperty( 0 );
+  this.completionCountProperty = new NumberProperty( 0 );
+
+  // @public (read-only) {NumberProperty} - transcriptions started and completed per minute, averaged over the window.
+  // These start at zero and fill in as the window does.
+  this.initiationRateProperty = new NumberProperty( 0 );
+  this.completionRateProperty = new NumberProperty( 0 );
+
+  // @private {number} - simulation time since the last reset, in seconds
+  this.time = 0;
+
+  // @private {Array.<number>} - times of the initiations and completions in the window, oldest first
+  this.initiationTimes = [];
+  this.completionTimes = [];
+}
+
+geneExpressionEssentials.register( 'TranscriptionCounter', TranscriptionCounter );
+
+inherit( Object, TranscriptionCounter, {
+
+  /**
+   * Note that a polymerase has started to transcribe the gene.
+   * @public
+   */
+  recordInitiation: function() {
+    this.initiationTimes.push( this.time );
+    this.initiationCountProperty.set( this.initiationCountProperty.get() + 1 );
+    this.updateRates();
+  },
+
+  /**
+   * Note that a polymerase has finished transcribing the gene.
+   * @public
+   */
+  recordCompletion: function() {
+    this.completionTimes.push( this.time );
+    this.completionCountProperty.set( this.completionCountProperty.get() + 1 );
+    this.updateRates();
+  },
+
+  /**
+   * @param {number} dt - in seconds
+   * @public
+   */
+  step: function( dt ) {
+    this.time += dt;
+    this.updateRates();
+  },
+
+  /**
+   * Forget the events that have left the window, and update the rates from those that remain.
+   * @private
+   */
+  updateRates: function() {
+    const windowStart = this.time - WINDOW_DURATION;
+    [ this.initiationTimes, this.completionTimes ].forEach( function( times ) {
+      while ( times.length > 0 && times[ 0 ] <= windowStart ) {
+        times.shift();
+      }
+    } );
+    this.initiationRateProperty.set( this.initiationTimes.length * SECONDS_PER_MINUTE / WINDOW_DURATION );
+    this.completionRateProperty.set( this.completionTimes.length * SECONDS_PER_MINUTE / WINDOW_DURATION );
+  },
+
+  /**
+   * @public
+   */
+  reset: function() {
+    this.time = 0;
+    this.initiationTimes = [];
+    this.completionTimes = [];
+    this.initiationCountProperty.reset();
+    this.completionCountProperty.reset();
+    this.initiationRateProperty.reset();
+    this.completionRateProperty.reset();
+  }
+} );
+
+export default TranscriptionCounter;
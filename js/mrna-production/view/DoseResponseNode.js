@@ -0,0 +1,269 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Panel for running a dose-response experiment on the selected gene of the mRNA screen, see DoseResponseExperiment,
+ * and a plot of its results, which is the mean rate of transcription against the number of positive transcription
+ * factors, with bars of plus and minus one standard deviation of the repeats. When the number of negative
+ * transcription factors is varied too, there is a curve for each number of them, colored from red for none to blue
+ * for the most.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Shape from '../../../../kite/js/Shape.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import LinearGradient from '../../../../scenery/js/util/LinearGradient.js';
+import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import Panel from '../../../../sun/js/Panel.js';
+import GEEConstants from '../../common/GEEConstants.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+import MessengerRnaProductionModel from '../model/MessengerRnaProductionModel.js';
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 16, weight: 'bold' } );
+const FONT = new PhetFont( 13 );
+const TICK_LABEL_FONT = new PhetFont( 12 );
+const PLOT_WIDTH = 200;
+const PLOT_HEIGHT = 100;
+const COLOR_KEY_WIDTH = 80;
+const NO_NEGATIVE_COLOR = PhetColorScheme.RED_COLORBLIND;
+const MOST_NEGATIVE_COLOR = new Color( 0, 0, 255 );
+
+// The vertical scale is a multiple of this number of mRNA per minute.
+const VERTICAL_SCALE_INCREMENT = 2;
+
+const cancelString = geneExpressionEssentialsStrings.cancel;
+const doseResponseOfGenePatternString = geneExpressionEssentialsStrings.doseResponseOfGenePattern;
+const doseResponseString = geneExpressionEssentialsStrings.doseResponse;
+const geneString = geneExpressionEssentialsStrings.gene;
+const minutesRemainingPatternString = geneExpressionEssentialsStrings.minutesRemainingPattern;
+const mRnaPerMinuteString = geneExpressionEssentialsStrings.mRnaPerMinute;
+const negativeFactorsString = geneExpressionEssentialsStrings.negativeFactors;
+const percentDonePatternString = geneExpressionEssentialsStrings.percentDonePattern;
+const positiveFactorsString = geneExpressionEssentialsStrings.positiveFactors;
+const runString = geneExpressionEssentialsStrings.run;
+const varyNegativeFactorString = geneExpressionEssentialsStrings.varyNegativeFactor;
+
+class DoseResponseNode extends Panel {
+
+  /**
+   * @param {MessengerRnaProductionModel} model
+   * @param {Property.<Gene>} selectedGeneProperty - the gene that the experiment is run on
+   * @param {Property.<boolean>} negativeTranscriptionFactorEnabledProperty - whether the negative transcription factor
+   * is in use, which it must be for its number to be varied
+   */
+  constructor( model, selectedGeneProperty, negativeTranscriptionFactorEnabledProperty ) {
+
+    // When there are several genes, the title and the plot say which gene they are for.
+    const genes = model.getDnaMolecule().getGenes();
+    const getGeneName = function( gene ) {
+      return StringUtils.fillIn( geneString, { geneID: genes.indexOf( gene ) + 1 } );
+    };
+
+    const titleNode = new Text( doseResponseString, { font: TITLE_FONT, maxWidth: 200 } );
+    if ( genes.length > 1 ) {
+      selectedGeneProperty.link( function( gene ) {
+        titleNode.text = StringUtils.fillIn( doseResponseOfGenePatternString, { gene: getGeneName( gene ) } );
+      } );
+    }
+
+    // whether the number of negative transcription factors is varied in the next experiment
+    const varyNegativeProperty = new Property( false );
+    const varyNegativeCheckbox = new Checkbox(
+      new Text( varyNegativeFactorString, { font: FONT, maxWidth: 180 } ),
+      varyNegativeProperty,
+      { boxWidth: 16 }
+    );
+    negativeTranscriptionFactorEnabledProperty.link( function( enabled ) {
+      varyNegativeCheckbox.enabled = enabled;
+    } );
+
+    const runButtonText = new Text( runString, { font: FONT, maxWidth: 80 } );
+    const runButton = new RectangularPushButton( {
+      content: runButtonText,
+      baseColor: 'white',
+      listener: function() {
+        if ( model.doseResponseProgressProperty.get() === null ) {
+          model.startDoseResponseExperiment(
+            selectedGeneProperty.get(),
+            varyNegativeProperty.get() && negativeTranscriptionFactorEnabledProperty.get()
+          );
+        }
+        else {
+          model.cancelDoseResponseExperiment();
+        }
+      }
+    } );
+    const progressText = new Text( '', { font: new PhetFont( 12 ), maxWidth: 110 } );
+    model.doseResponseProgressProperty.link( function( progress ) {
+      runButtonText.text = progress === null ? runString : cancelString;
+      progressText.text = progress === null ? '' : StringUtils.fillIn( percentDonePatternString, {
+        percent: Math.round( progress * 100 )
+      } );
+    } );
+
+    // Varying both kinds of transcription factors takes minutes, so the user is told how much longer it will take.
+    const timeRemainingText = new Text( '', { font: new PhetFont( 12 ), maxWidth: 110 } );
+    model.doseResponseTimeRemainingProperty.link( function( timeRemaining ) {
+      timeRemainingText.text = timeRemaining === null ? '' : StringUtils.fillIn( minutesRemainingPatternString, {
+        minutes: Math.max( Math.ceil( timeRemaining / 60 ), 1 )
+      } );
+    } );
+
+    const plotNode = new Node();
+    plotNode.addChild( new Rectangle( 0, 0, PLOT_WIDTH, PLOT_HEIGHT, {
+      fill: 'white',
+      stroke: 'black',
+      lineWidth: 1
+    } ) );
+
+    // The curves and their bars are replaced whenever there are new results.
+    const curvesNode = new Node();
+    plotNode.addChild( curvesNode );
+
+    // The horizontal axis is the number of positive transcription factors, with a tick label at each end.
+    plotNode.addChild( new Text( '0', { font: TICK_LABEL_FONT, left: 0, top: PLOT_HEIGHT + 3 } ) );
+    plotNode.addChild( new Text( MessengerRnaProductionModel.MAX_TRANSCRIPTION_FACTOR_COUNT, {
+      font: TICK_LABEL_FONT,
+      right: PLOT_WIDTH,
+      top: PLOT_HEIGHT + 3
+    } ) );
+    plotNode.addChild( new Text( positiveFactorsString, {
+      font: FONT,
+      maxWidth: PLOT_WIDTH - 50,
+      centerX: PLOT_WIDTH / 2,
+      top: PLOT_HEIGHT + 3
+    } ) );
+    plotNode.addChild( new Text( mRnaPerMinuteString, {
+      font: FONT,
+      maxWidth: PLOT_HEIGHT,
+      rotation: 3 * Math.PI / 2,
+      centerY: PLOT_HEIGHT / 2,
+      right: -5
+    } ) );
+    const maxVerticalLabel = new Text( '', { font: TICK_LABEL_FONT } );
+    plotNode.addChild( maxVerticalLabel );
+    const resultsGeneLabel = new Text( '', { font: TICK_LABEL_FONT, maxWidth: PLOT_WIDTH / 2 } );
+    plotNode.addChild( resultsGeneLabel );
+
+    // key to the colors of the curves, for an experiment in which the negative transcription factor is varied
+    const colorKeyNode = new HBox( {
+      spacing: 3,
+      children: [
+        new Text( negativeFactorsString, { font: TICK_LABEL_FONT, maxWidth: 90 } ),
+        new Text( '0', { font: TICK_LABEL_FONT } ),
+        new Rectangle( 0, 0, COLOR_KEY_WIDTH, 10, {
+          fill: new LinearGradient( 0, 0, COLOR_KEY_WIDTH, 0 )
+            .addColorStop( 0, NO_NEGATIVE_COLOR )
+            .addColorStop( 1, MOST_NEGATIVE_COLOR ),
+          stroke: 'black',
+          lineWidth: 0.5
+        } ),
+        new Text( MessengerRnaProductionModel.MAX_TRANSCRIPTION_FACTOR_COUNT, { font: TICK_LABEL_FONT } )
+      ]
+    } );
+
+    super( new VBox( {
+      spacing: 8,
+      align: 'left',
+      children: [
+        titleNode,
+        varyNegativeCheckbox,
+        new HBox( {
+          spacing: 10,
+          children: [
+            runButton,
+            new VBox( { spacing: 2, align: 'left', children: [ progressText, timeRemainingText ] } )
+          ]
+        } ),
+        plotNode,
+        colorKeyNode
+      ]
+    } ), {
+      cornerRadius: GEEConstants.CORNER_RADIUS,
+      fill: new Color( 250, 250, 250 ),
+      lineWidth: 2,
+      xMargin: 10,
+      yMargin: 10
+    } );
+
+    model.doseResponseResultsProperty.link( function( results ) {
+      curvesNode.children = [];
+      maxVerticalLabel.visible = results !== null;
+      resultsGeneLabel.visible = results !== null && genes.length > 1;
+      colorKeyNode.visible = results !== null && results.negativeCounts.length > 1;
+      if ( results === null ) {
+        return;
+      }
+
+      let maxValue = 0;
+      results.points.forEach( function( point ) {
+        maxValue = Math.max( maxValue, point.mean + point.standardDeviation );
+      } );
+      maxValue = Math.max( Math.ceil( maxValue / VERTICAL_SCALE_INCREMENT ), 1 ) * VERTICAL_SCALE_INCREMENT;
+      maxVerticalLabel.text = maxValue;
+      maxVerticalLabel.left = 3;
+      maxVerticalLabel.top = 2;
+      resultsGeneLabel.text = getGeneName( results.gene );
+      resultsGeneLabel.right = PLOT_WIDTH - 3;
+      resultsGeneLabel.top = 2;
+
+      const toX = function( positiveCount ) {
+        return positiveCount / MessengerRnaProductionModel.MAX_TRANSCRIPTION_FACTOR_COUNT * PLOT_WIDTH;
+      };
+      const toY = function( rate ) { return PLOT_HEIGHT - rate / maxValue * PLOT_HEIGHT; };
+
+      // The points are in rows of the negative count, with the positive count varying fastest.
+      const numberOfColumns = results.positiveCounts.length;
+      results.negativeCounts.forEach( function( negativeCount, row ) {
+        const color = results.negativeCounts.length > 1 ?
+                      Color.interpolateRGBA(
+                        Color.toColor( NO_NEGATIVE_COLOR ),
+                        MOST_NEGATIVE_COLOR,
+                        negativeCount / MessengerRnaProductionModel.MAX_TRANSCRIPTION_FACTOR_COUNT
+                      ) :
+                      NO_NEGATIVE_COLOR;
+        const curveShape = new Shape();
+        const errorBarsShape = new Shape();
+        results.points.slice( row * numberOfColumns, ( row + 1 ) * numberOfColumns ).forEach( function( point, index ) {
+          const x = toX( point.positiveCount );
+          if ( index === 0 ) {
+            curveShape.moveTo( x, toY( point.mean ) );
+          }
+          else {
+            curveShape.lineTo( x, toY( point.mean ) );
+          }
+          errorBarsShape.moveTo( x, toY( Math.max( point.mean - point.standardDeviation, 0 ) ) );
+          errorBarsShape.lineTo( x, toY( point.mean + point.standardDeviation ) );
+        } );
+        curvesNode.addChild( new Path( errorBarsShape, { stroke: color, lineWidth: 1, opacity: 0.5 } ) );
+        curvesNode.addChild( new Path( curveShape, { stroke: color, lineWidth: 2, lineJoin: 'round' } ) );
+      } );
+    } );
+
+    // @private
+    this.varyNegativeProperty = varyNegativeProperty;
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.varyNegativeProperty.reset();
+  }
+}
+
+geneExpressionEssentials.register( 'DoseResponseNode', DoseResponseNode );
+export default DoseResponseNode;
@@ -11,26 +11,47 @@
 import Property from '../../../../axon/js/Property.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import ScreenView from '../../../../joist/js/ScreenView.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
 import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import TimeControlNode from '../../../../scenery-phet/js/TimeControlNode.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
+import Color from '../../../../scenery/js/util/Color.js';
 import Checkbox from '../../../../sun/js/Checkbox.js';
+import HorizontalAquaRadioButtonGroup from '../../../../sun/js/HorizontalAquaRadioButtonGroup.js';
+import Panel from '../../../../sun/js/Panel.js';
+import GEEConstants from '../../common/GEEConstants.js';
 import DnaMoleculeNode from '../../common/view/DnaMoleculeNode.js';
 import MessengerRnaNode from '../../common/view/MessengerRnaNode.js';
 import MobileBiomoleculeNode from '../../common/view/MobileBiomoleculeNode.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
 import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
-import MessengerRnaProductionModel from '../model/MessengerRnaProductionModel.js';
+import DoseResponseNode from './DoseResponseNode.js';
 import PolymeraseAffinityControlPanel from './PolymeraseAffinityControlPanel.js';
 import TranscriptionFactorControlPanel from './TranscriptionFactorControlPanel.js';
+import TranscriptionMeterNode from './TranscriptionMeterNode.js';
 
 // constants
 const INSET = 10;  // Inset for several of the controls.
+const ZOOM_FACTOR = 0.2; // for a single gene, it's reduced when there are several so that all of them can be seen
 
+const geneString = geneExpressionEssentialsStrings.gene;
 const negativeTranscriptionFactorString = geneExpressionEssentialsStrings.negativeTranscriptionFactor;
+const transcriptionRateOfGenePatternString = geneExpressionEssentialsStrings.transcriptionRateOfGenePattern;
+
+/**
+ * Get the color of the mRNA from a gene when there are several genes, which is an opaque, darker version of the color
+ * of the gene's transcribed region, so that it stands out against the background.
+ * @param {Gene} gene
+ * @returns {Color}
+ */
+const getMessengerRnaColor = function( gene ) {
+  return gene.getTranscribedRegionColor().withAlpha( 1 ).colorUtilsDarker( 0.4 );
+};
 
 class MessengerRnaProductionScreenView extends ScreenView {
 
@@ -50,7 +71,7 @@ class MessengerRnaProductionScreenView extends ScreenView {
     this.modelViewTransform = ModelViewTransform2.createSinglePointScaleInvertedYMapping(
       Vector2.ZERO,
       viewPortPosition,
-      0.2  // "Zoom factor" - smaller zooms out, larger zooms in.
+      ZOOM_FACTOR / model.moleculeAreaScale  // "Zoom factor" - smaller zooms out, larger zooms in.
     );
 
     // Set up the root node for all model objects. Nodes placed under this one will scroll when the user moves along the
@@ -76,34 +97,54 @@ class MessengerRnaProductionScreenView extends ScreenView {
     const controlsNode = new Node();
     this.addChild( controlsNode );
 
-    // Add the representation of the DNA strand.
-    this.dnaMoleculeNode = new DnaMoleculeNode( model.getDnaMolecule(), this.modelViewTransform, 5, false );
-    dnaLayer.addChild( this.dnaMoleculeNode );
-
-    // Get a reference to the gene being controlled.
-    const gene = model.getDnaMolecule().getGenes()[ 0 ];
+    const genes = model.getDnaMolecule().getGenes();
 
-    // Add the nodes that allow the user to control the concentrations and affinities.
-    const positiveTranscriptionFactorControlPanel = new TranscriptionFactorControlPanel(
-      model,
-      MessengerRnaProductionModel.POSITIVE_TRANSCRIPTION_FACTOR_CONFIG,
-      gene.getTranscriptionFactorAffinityProperty( MessengerRnaProductionModel.POSITIVE_TRANSCRIPTION_FACTOR_CONFIG )
-    );
-    controlsNode.addChild( positiveTranscriptionFactorControlPanel );
-
-    const polymeraseAffinityControlPanel = new PolymeraseAffinityControlPanel(
-      MessengerRnaProductionModel.POSITIVE_TRANSCRIPTION_FACTOR_CONFIG,
-      positiveTranscriptionFactorControlPanel.bounds.height,
-      gene.getPolymeraseAffinityProperty()
+    // Add the representation of the DNA strand. The genes are only labeled when there is more than one.
+    this.dnaMoleculeNode = new DnaMoleculeNode(
+      model.getDnaMolecule(),
+      this.modelViewTransform,
+      5,
+      genes.length > 1
     );
-    controlsNode.addChild( polymeraseAffinityControlPanel );
+    dnaLayer.addChild( this.dnaMoleculeNode );
 
-    const negativeTranscriptionFactorControlPanel = new TranscriptionFactorControlPanel(
-      model,
-      MessengerRnaProductionModel.NEGATIVE_TRANSCRIPTION_FACTOR_CONFIG,
-      gene.getTranscriptionFactorAffinityProperty( MessengerRnaProductionModel.NEGATIVE_TRANSCRIPTION_FACTOR_CONFIG )
-    );
-    controlsNode.addChild( negativeTranscriptionFactorControlPanel );
+    // @private {Property.<Gene>} - the gene whose controls are shown
+    this.selectedGeneProperty = new Property( genes[ 0 ] );
+
+    // Add the nodes that allow the user to control the concentrations and affinities. There is a set for each gene,
+    // since each has its own affinities, and only the set for the selected gene is shown.
+    const positiveTranscriptionFactorControlPanels = [];
+    const polymeraseAffinityControlPanels = [];
+    const negativeTranscriptionFactorControlPanels = [];
+    genes.forEach( function( gene ) {
+      const configs = gene.getTranscriptionFactorConfigs();
+      const positiveConfig = _.find( configs, function( config ) { return config.isPositive; } );
+      const negativeConfig = _.find( configs, function( config ) { return !config.isPositive; } );
+
+      const positiveTranscriptionFactorControlPanel = new TranscriptionFactorControlPanel(
+        model,
+        positiveConfig,
+        gene.getTranscriptionFactorAffinityProperty( positiveConfig )
+      );
+      controlsNode.addChild( positiveTranscriptionFactorControlPanel );
+      positiveTranscriptionFactorControlPanels.push( positiveTranscriptionFactorControlPanel );
+
+      const polymeraseAffinityControlPanel = new PolymeraseAffinityControlPanel(
+        positiveConfig,
+        positiveTranscriptionFactorControlPanel.bounds.height,
+        gene.getPolymeraseAffinityProperty()
+      );
+      controlsNode.addChild( polymeraseAffinityControlPanel );
+      polymeraseAffinityControlPanels.push( polymeraseAffinityControlPanel );
+
+      const negativeTranscriptionFactorControlPanel = new TranscriptionFactorControlPanel(
+        model,
+        negativeConfig,
+        gene.getTranscriptionFactorAffinityProperty( negativeConfig )
+      );
+      controlsNode.addChild( negativeTranscriptionFactorControlPanel );
+      negativeTranscriptionFactorControlPanels.push( negativeTranscriptionFactorControlPanel );
+    } );
 
     // Add the checkbox for showing/hiding the control panel for the negative transcription factor.
     const negativeFactorEnabledCheckbox = new Checkbox(
@@ -113,15 +154,92 @@ class MessengerRnaProductionScreenView extends ScreenView {
     );
     controlsNode.addChild( negativeFactorEnabledCheckbox );
 
-    // Only show the control for the negative transcription factor if it is enabled.
+    // Only show the controls for the selected gene, and the control for the negative transcription factor only if it
+    // is enabled.
+    const updateControlPanelVisibility = function() {
+      genes.forEach( function( gene, index ) {
+        const selected = gene === self.selectedGeneProperty.get();
+        positiveTranscriptionFactorControlPanels[ index ].visible = selected;
+        polymeraseAffinityControlPanels[ index ].visible = selected;
+        negativeTranscriptionFactorControlPanels[ index ].visible =
+          selected && self.negativeTranscriptionFactorEnabled.get();
+      } );
+    };
+    this.selectedGeneProperty.link( updateControlPanelVisibility );
     this.negativeTranscriptionFactorEnabled.link( function( enabled ) {
-      negativeTranscriptionFactorControlPanel.setVisible( enabled );
+      updateControlPanelVisibility();
       if ( !enabled ) {
-        // When the negative transcription factor control is hidden, there should be no negative factors.
-        self.model.negativeTranscriptionFactorCountProperty.reset();
+        // When the negative transcription factor controls are hidden, there should be no negative factors.
+        self.model.getTranscriptionFactorConfigs().forEach( function( config ) {
+          if ( !config.isPositive ) {
+            self.model.getTranscriptionFactorCountProperty( config ).reset();
+          }
+        } );
       }
     } );
 
+    // When there are several genes, the user picks the one whose controls are shown. Each is labeled with the color of
+    // its mRNA.
+    let geneSelectionPanel = null;
+    if ( genes.length > 1 ) {
+      geneSelectionPanel = new Panel( new HorizontalAquaRadioButtonGroup(
+        this.selectedGeneProperty,
+        genes.map( function( gene, index ) {
+          return {
+            node: new HBox( {
+              spacing: 5,
+              children: [
+                new Rectangle( 0, 0, 14, 14, { fill: getMessengerRnaColor( gene ), stroke: 'black', lineWidth: 0.5 } ),
+                new Text( StringUtils.fillIn( geneString, { geneID: index + 1 } ), {
+                  font: new PhetFont( 16 ),
+                  maxWidth: 80
+                } )
+              ]
+            } ),
+            value: gene
+          };
+        } ),
+        { spacing: 15, radioButtonOptions: { radius: 8 } }
+      ), {
+        cornerRadius: GEEConstants.CORNER_RADIUS,
+        fill: new Color( 250, 250, 250 ),
+        lineWidth: 2,
+        xMargin: 10,
+        yMargin: 6
+      } );
+      controlsNode.addChild( geneSelectionPanel );
+    }
+
+    // @private {Array.<TranscriptionMeterNode>} - measure the output of each gene, so that the effects of the controls
+    // can be quantified. They are all in the same place, and only the one for the selected gene is shown.
+    this.transcriptionMeterNodes = genes.map( function( gene, index ) {
+      const transcriptionMeterNode = new TranscriptionMeterNode(
+        model.getTranscriptionCounter( gene ),
+        model.clockRunningProperty,
+        genes.length > 1 ? {
+          title: StringUtils.fillIn( transcriptionRateOfGenePatternString, {
+            gene: StringUtils.fillIn( geneString, { geneID: index + 1 } )
+          } )
+        } : {}
+      );
+      controlsNode.addChild( transcriptionMeterNode );
+      return transcriptionMeterNode;
+    } );
+    this.selectedGeneProperty.link( function( selectedGene ) {
+      genes.forEach( function( gene, index ) {
+        self.transcriptionMeterNodes[ index ].visible = gene === selectedGene;
+      } );
+    } );
+
+    // @private - runs experiments that measure the output of the selected gene at each level of its transcription
+    // factors
+    this.doseResponseNode = new DoseResponseNode(
+      model,
+      this.selectedGeneProperty,
+      this.negativeTranscriptionFactorEnabled
+    );
+    controlsNode.addChild( this.doseResponseNode );
+
     // Adds the node that has the buttons for controlling time and pausing and stepping forward
     const timeControlNode = new TimeControlNode( model.clockRunningProperty, {
       playPauseStepButtonOptions: {
@@ -131,7 +249,12 @@ class MessengerRnaProductionScreenView extends ScreenView {
           touchAreaDilation: 5
         },
         stepForwardButtonOptions: {
-          listener: function() { model.stepInTime( 0.016 ); },
+          listener: function() {
+            model.stepInTime( 0.016 );
+            self.transcriptionMeterNodes.forEach( function( transcriptionMeterNode ) {
+              transcriptionMeterNode.addDataPoint( 0.016 );
+            } );
+          },
           radius: 15,
           touchAreaDilation: 5
         }
@@ -139,11 +262,33 @@ class MessengerRnaProductionScreenView extends ScreenView {
     } );
     this.addChild( timeControlNode );
 
+    // The experiment sets the levels of the transcription factors, so they can't be changed while it's running, and
+    // neither can the polymerase affinities or the selected gene, which would change what it measures. The time
+    // controls are locked too, since the experiment steps the model itself and extra steps would skew its rates.
+    const lockedNodes = positiveTranscriptionFactorControlPanels.concat(
+      polymeraseAffinityControlPanels,
+      negativeTranscriptionFactorControlPanels,
+      [ negativeFactorEnabledCheckbox ],
+      geneSelectionPanel ? [ geneSelectionPanel ] : [],
+      [ timeControlNode ]
+    );
+    model.doseResponseProgressProperty.link( function( progress ) {
+      lockedNodes.forEach( function( node ) {
+        node.pickable = progress === null;
+        node.opacity = progress === null ? 1 : 0.5;
+      } );
+    } );
+
     // Add the Reset All button.
     const resetAllButton = new ResetAllButton( {
       listener: function() {
         self.model.reset();
         self.negativeTranscriptionFactorEnabled.reset();
+        self.selectedGeneProperty.reset();
+        self.transcriptionMeterNodes.forEach( function( transcriptionMeterNode ) {
+          transcriptionMeterNode.reset();
+        } );
+        self.doseResponseNode.reset();
       },
       right: this.layoutBounds.maxX - INSET,
       bottom: this.layoutBounds.maxY - INSET
@@ -152,17 +297,32 @@ class MessengerRnaProductionScreenView extends ScreenView {
 
     // Lay out the controls.
 
-    positiveTranscriptionFactorControlPanel.left = INSET;
-    positiveTranscriptionFactorControlPanel.bottom = this.layoutBounds.maxY - INSET;
+    // The sets of controls for the genes are all in the same place, since only one is shown at a time.
+    genes.forEach( function( gene, index ) {
+      positiveTranscriptionFactorControlPanels[ index ].left = INSET;
+      positiveTranscriptionFactorControlPanels[ index ].bottom = self.layoutBounds.maxY - INSET;
 
-    polymeraseAffinityControlPanel.left = positiveTranscriptionFactorControlPanel.right + INSET;
-    polymeraseAffinityControlPanel.bottom = positiveTranscriptionFactorControlPanel.bottom;
+      polymeraseAffinityControlPanels[ index ].left = positiveTranscriptionFactorControlPanels[ index ].right + INSET;
+      polymeraseAffinityControlPanels[ index ].bottom = positiveTranscriptionFactorControlPanels[ index ].bottom;
 
-    negativeTranscriptionFactorControlPanel.left = polymeraseAffinityControlPanel.right + INSET;
-    negativeTranscriptionFactorControlPanel.bottom = polymeraseAffinityControlPanel.bottom;
-    negativeFactorEnabledCheckbox.left = negativeTranscriptionFactorControlPanel.right + INSET;
+      negativeTranscriptionFactorControlPanels[ index ].left = polymeraseAffinityControlPanels[ index ].right + INSET;
+      negativeTranscriptionFactorControlPanels[ index ].bottom = polymeraseAffinityControlPanels[ index ].bottom;
+    } );
+    if ( geneSelectionPanel ) {
+      geneSelectionPanel.left = INSET;
+      geneSelectionPanel.bottom = positiveTranscriptionFactorControlPanels[ 0 ].top - INSET;
+    }
+    negativeFactorEnabledCheckbox.left = negativeTranscriptionFactorControlPanels[ 0 ].right + INSET;
     negativeFactorEnabledCheckbox.centerY = resetAllButton.centerY;
 
+    this.transcriptionMeterNodes.forEach( function( transcriptionMeterNode ) {
+      transcriptionMeterNode.left = INSET;
+      transcriptionMeterNode.top = self.layoutBounds.minY + INSET;
+    } );
+
+    this.doseResponseNode.right = this.layoutBounds.maxX - INSET;
+    this.doseResponseNode.top = this.layoutBounds.minY + INSET;
+
     timeControlNode.bottom = negativeFactorEnabledCheckbox.top - 2 * INSET;
     timeControlNode.centerX = negativeFactorEnabledCheckbox.centerX;
 
@@ -220,7 +380,12 @@ class MessengerRnaProductionScreenView extends ScreenView {
     // Watch for and handle comings and goings of messenger RNA.
     model.messengerRnaList.addItemAddedListener( function( addedMessengerRna ) {
 
-      const messengerRnaNode = new MessengerRnaNode( self.modelViewTransform, addedMessengerRna );
+      // When there are several genes, the mRNA is colored to show which of them it was transcribed from.
+      const messengerRnaNode = new MessengerRnaNode(
+        self.modelViewTransform,
+        addedMessengerRna,
+        genes.length > 1 && addedMessengerRna.gene ? { stroke: getMessengerRnaColor( addedMessengerRna.gene ) } : {}
+      );
       messengerRnaLayer.addChild( messengerRnaNode );
 
       model.messengerRnaList.addItemRemovedListener( function removalListener( removedMessengerRna ) {
@@ -235,10 +400,18 @@ class MessengerRnaProductionScreenView extends ScreenView {
 
   /**
    * Step function for this view
+   * @param {number} dt
    * @public
    */
-  step() {
+  step( dt ) {
     this.dnaMoleculeNode.step();
+
+    // While an experiment is running, the model runs faster than real time, so its rates aren't charted.
+    if ( this.model.clockRunningProperty.get() && this.model.doseResponseProgressProperty.get() === null ) {
+      this.transcriptionMeterNodes.forEach( function( transcriptionMeterNode ) {
+        transcriptionMeterNode.addDataPoint( dt );
+      } );
+    }
   }
 }
 
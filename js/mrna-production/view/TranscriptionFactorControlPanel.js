@@ -39,21 +39,15 @@ class TranscriptionFactorControlPanel extends Panel {
   /**
    * @param {MessengerRnaProductionModel} model
    * @param {TranscriptionFactorConfig} transcriptionFactorConfig
-   * @param {Property} affinityProperty
+   * @param {Property} affinityProperty - of the site for the transcription factor on the gene being controlled
    */
   constructor( model, transcriptionFactorConfig, affinityProperty ) {
-    let titleText;
-    let tfLevelProperty;
-    if ( transcriptionFactorConfig.isPositive ) {
-      transcriptionFactorConfig = MessengerRnaProductionModel.POSITIVE_TRANSCRIPTION_FACTOR_CONFIG;
-      titleText = positiveTranscriptionFactorHtmlString;
-      tfLevelProperty = model.positiveTranscriptionFactorCountProperty;
-    }
-    else {
-      transcriptionFactorConfig = MessengerRnaProductionModel.NEGATIVE_TRANSCRIPTION_FACTOR_CONFIG;
-      titleText = negativeTranscriptionFactorHtmlString;
-      tfLevelProperty = model.negativeTranscriptionFactorCountProperty;
-    }
+    const titleText = transcriptionFactorConfig.isPositive ?
+                      positiveTranscriptionFactorHtmlString :
+                      negativeTranscriptionFactorHtmlString;
+
+    // The number of transcription factors is shared by all of the genes that have sites for them.
+    const tfLevelProperty = model.getTranscriptionFactorCountProperty( transcriptionFactorConfig );
 
     const titleNode = new RichText( titleText, {
       font: TITLE_FONT,
@@ -0,0 +1,134 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Panel that shows how fast a gene on the mRNA screen is being transcribed, with a readout of the rate at which mRNA
+ * is completed and of the total so far, and a chart of the rates of initiation and completion over time.
+ *
+ * @author agent
+ */
+
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import Panel from '../../../../sun/js/Panel.js';
+import GEEConstants from '../../common/GEEConstants.js';
+import ScrollingChartNode from '../../common/view/ScrollingChartNode.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+
+// constants
+const TITLE_FONT = new PhetFont( { size: 16, weight: 'bold' } );
+const READOUT_FONT = new PhetFont( 14 );
+
+// the rates are in transcriptions per minute, and the axis grows beyond this if they go higher
+const RATE_AXIS_RANGE = new Range( 0, 8 );
+const RATE_DECIMAL_PLACES = 1;
+
+const completedString = geneExpressionEssentialsStrings.completed;
+const perMinutePatternString = geneExpressionEssentialsStrings.perMinutePattern;
+const startedString = geneExpressionEssentialsStrings.started;
+const totalMRnaPatternString = geneExpressionEssentialsStrings.totalMRnaPattern;
+const transcriptionRateString = geneExpressionEssentialsStrings.transcriptionRate;
+
+class TranscriptionMeterNode extends Panel {
+
+  /**
+   * @param {TranscriptionCounter} transcriptionCounter - of the gene
+   * @param {Property.<boolean>} clockRunningProperty
+   * @param {Object} [options]
+   */
+  constructor( transcriptionCounter, clockRunningProperty, options ) {
+
+    options = merge( {
+
+      // {string} - which can name the gene when there are several
+      title: transcriptionRateString
+    }, options );
+
+    const titleNode = new Text( options.title, { font: TITLE_FONT, maxWidth: 200 } );
+
+    const rateText = new Text( '', { font: READOUT_FONT, maxWidth: 150 } );
+    transcriptionCounter.completionRateProperty.link( function( completionRate ) {
+      rateText.text = StringUtils.fillIn( perMinutePatternString, {
+        rate: Utils.toFixed( completionRate, RATE_DECIMAL_PLACES )
+      } );
+    } );
+
+    const totalText = new Text( '', { font: READOUT_FONT, maxWidth: 150 } );
+    transcriptionCounter.completionCountProperty.link( function( completionCount ) {
+      totalText.text = StringUtils.fillIn( totalMRnaPatternString, { count: completionCount } );
+    } );
+
+    const chartNode = new ScrollingChartNode( [
+      {
+        label: startedString,
+        property: transcriptionCounter.initiationRateProperty,
+        color: 'black',
+        lineWidth: 1,
+        lineDash: [ 4, 3 ],
+        axisName: 'rate',
+        axisRange: RATE_AXIS_RANGE,
+        decimalPlaces: RATE_DECIMAL_PLACES
+      },
+      {
+        label: completedString,
+        property: transcriptionCounter.completionRateProperty,
+        color: PhetColorScheme.RED_COLORBLIND,
+        axisName: 'rate',
+        axisRange: RATE_AXIS_RANGE,
+        decimalPlaces: RATE_DECIMAL_PLACES
+      }
+    ], clockRunningProperty, {
+      plotWidth: 240,
+      plotHeight: 60,
+      timeWindows: [ 30, 60, 120 ],
+      defaultTimeWindow: 60,
+
+      // The chart sits directly in this panel.
+      fill: null,
+      stroke: null,
+      xMargin: 0,
+      yMargin: 0
+    } );
+
+    super( new VBox( {
+      spacing: 8,
+      children: [ titleNode, new HBox( { spacing: 20, children: [ rateText, totalText ] } ), chartNode ]
+    } ), {
+      cornerRadius: GEEConstants.CORNER_RADIUS,
+      fill: new Color( 250, 250, 250 ),
+      lineWidth: 2,
+      xMargin: 10,
+      yMargin: 10
+    } );
+
+    // @private
+    this.chartNode = chartNode;
+  }
+
+  /**
+   * Add the current rates to the chart.
+   * @param {number} dt
+   * @public
+   */
+  addDataPoint( dt ) {
+    this.chartNode.addDataPoint( dt );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.chartNode.reset();
+  }
+}
+
+geneExpressionEssentials.register( 'TranscriptionMeterNode', TranscriptionMeterNode );
+export default TranscriptionMeterNode;
@@ -0,0 +1,19 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Enumeration of the ways in which the protein synthesized by CellProteinSynthesisSimulator can regulate its own gene.
+ *
+ * NONE - the protein has no effect on the gene, which is the original open-loop model
+ * REPRESSION - the protein binds to the gene and keeps transcription factors from binding, i.e. negative feedback
+ * ACTIVATION - the protein binds to the gene and recruits polymerase to transcribe it, i.e. positive feedback
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+const AutoregulationType = Enumeration.byKeys( [ 'NONE', 'REPRESSION', 'ACTIVATION' ] );
+
+geneExpressionEssentials.register( 'AutoregulationType', AutoregulationType );
+export default AutoregulationType;
@@ -2,7 +2,8 @@
 
 /**
  * Model element that represents a cell on the "Multiple Cells" screen. The cell has a shape, a protein level, and a
- * number of parameters that control how it synthesizes protein molecules. Only one protein is synthesized.
+ * number of parameters that control how it synthesizes protein molecules. Usually only one protein is synthesized, but
+ * the cell can also be given a circuit of several genes, each of which makes its own protein.
  *
  * @author John Blanco
  * @author Aadish Gupta
@@ -16,6 +17,7 @@ import BioShapeUtils from '../../common/model/BioShapeUtils.js';
 import ShapeChangingModelElement from '../../common/model/ShapeChangingModelElement.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
 import CellProteinSynthesisSimulator from './CellProteinSynthesisSimulator.js';
+import HeadlessCell from './HeadlessCell.js';
 
 // Default size for a cell.
 const DEFAULT_CELL_SIZE = new Dimension2( 2E-6, 0.75E-6 ); // In meters.
@@ -32,19 +34,49 @@ const E_COLI_LLIKE_SHAPE = BioShapeUtils.createEColiLikeShape( DEFAULT_CELL_SIZE
 
 /**
  * @param {number} rotationAngle rotation for the cell in model space
+ * @param {number} [randomSeed] seed for the cell's own random number stream, if omitted the sim's shared random number
+ * generator is used
+ * @param {HeadlessCell} [headlessCell] simulation of the cell, such as the daughter of a division, if omitted a new one
+ * is created with the seed
  * @constructor
  */
-function Cell( rotationAngle ) {
+function Cell( rotationAngle, randomSeed, headlessCell ) {
   ShapeChangingModelElement.call( this, this.createShape( rotationAngle ) );
 
-  // This is a separate object in which the protein synthesis is simulated. The reason that this is broken out into a
-  // separate class is that it was supplied by someone outside of the PhET project, and this keeps it encapsulated and
-  // thus easier for the original author to help maintain.
-  this.proteinSynthesisSimulator = new CellProteinSynthesisSimulator( 100 ); // @private
+  // This is a separate object in which the protein synthesis, growth and division of the cell are simulated, so that
+  // they can also be simulated without the rest of the sim, see HeadlessCell. The protein synthesis itself is
+  // simulated in a further object that was supplied by someone outside of the PhET project, and this keeps it
+  // encapsulated and thus easier for the original author to help maintain.
+  this.headlessCell = headlessCell || new HeadlessCell( randomSeed ); // @private
+
+  // @public (read-only) {number|null} - ID of the cell in its population, see CellLineage, which stays the same while
+  // the cells around it divide and are shown or hidden, null if it isn't in a population
+  this.id = this.headlessCell.id;
 
   // Property that indicates the current protein count in the cell. This should not be set by external users, only
   // monitored.
   this.proteinCount = new Property( 0 ); // @public
+
+  // Properties that indicate the protein count of each gene when the cell has a circuit of several genes, the first of
+  // which is proteinCount. The counts for genes that the circuit doesn't have are zero. These should not be set by
+  // external users, only monitored.
+  // @public {Array.<Property.<number>>}
+  this.proteinCounts = [ this.proteinCount ];
+  while ( this.proteinCounts.length < CellProteinSynthesisSimulator.MaxCircuitGenes ) {
+    this.proteinCounts.push( new Property( 0 ) );
+  }
+
+  // Property that indicates the current count of free mRNA of the first gene in the cell. This should not be set by
+  // external users, only monitored.
+  this.messengerRnaCount = new Property( 0 ); // @public
+
+  // Property that indicates the fraction of the copies of the first gene that have a transcription factor bound to
+  // them. This should not be set by external users, only monitored.
+  this.boundGeneFraction = new Property( 0 ); // @public
+
+  if ( headlessCell ) {
+    this.updateMoleculeCounts();
+  }
 }
 
 geneExpressionEssentials.register( 'Cell', Cell );
@@ -56,9 +88,34 @@ inherit( ShapeChangingModelElement, Cell, {
    * @public
    */
   step: function( dt ) {
-    // NOTE: The time step is multiplied in order to get the model to run at the desired rate.
-    this.proteinSynthesisSimulator.step( dt * 1000 );
-    this.proteinCount.set( this.proteinSynthesisSimulator.getProteinCount() );
+    this.headlessCell.step( dt );
+    this.updateMoleculeCounts();
+  },
+
+  /**
+   * @private
+   */
+  updateMoleculeCounts: function() {
+    const proteinSynthesisSimulator = this.headlessCell.proteinSynthesisSimulator;
+    for ( let i = 0; i < this.proteinCounts.length; i++ ) {
+      this.proteinCounts[ i ].set( proteinSynthesisSimulator.getProteinCount( i ) );
+    }
+    this.messengerRnaCount.set( proteinSynthesisSimulator.getMessengerRnaCount() );
+    this.boundGeneFraction.set( proteinSynthesisSimulator.getBoundGeneFraction() );
+  },
+
+  /**
+   * Divide this cell, splitting its molecules with a new daughter cell. Both cells start a new cycle, and the daughter
+   * has the same parameters as this cell, including its extrinsic variation. Only the simulation of the daughter is
+   * created, and it is made into a Cell by passing it to the constructor.
+   * @param {number} randomSeed - seed for the daughter's random number stream
+   * @returns {HeadlessCell} the daughter
+   * @public
+   */
+  divide: function( randomSeed ) {
+    const daughter = this.headlessCell.divide( randomSeed );
+    this.updateMoleculeCounts();
+    return daughter;
   },
 
   /**
@@ -73,16 +130,33 @@ inherit( ShapeChangingModelElement, Cell, {
   },
 
   /*-----------------------------------------------------------------------------------------------------------------
-   * The following methods are essentially "pass through" methods to the protein synthesis simulator. This is done to
-   * allow proteinSynthesisSimulator to be a separate type.
+   * The following methods are essentially "pass through" methods to the headless cell, and through it to the protein
+   * synthesis simulator. This is done to allow them to be separate types.
    *---------------------------------------------------------------------------------------------------------------*/
 
+  /**
+   * Set whether the cell grows and divides. When growth is turned off, the cell returns to its birth volume.
+   * @param {boolean} growing
+   * @public
+   */
+  setGrowing: function( growing ) {
+    this.headlessCell.setGrowing( growing );
+  },
+
+  /**
+   * @returns {boolean} - true if the cell has reached the end of its cycle and should be divided
+   * @public
+   */
+  isReadyToDivide: function() {
+    return this.headlessCell.isReadyToDivide();
+  },
+
   /**
    * @param {number} tfCount
    * @public
    */
   setTranscriptionFactorCount: function( tfCount ) {
-    this.proteinSynthesisSimulator.setTranscriptionFactorCount( tfCount );
+    this.headlessCell.setTranscriptionFactorCount( tfCount );
   },
 
   /**
@@ -90,7 +164,7 @@ inherit( ShapeChangingModelElement, Cell, {
    * @public
    */
   setPolymeraseCount: function( polymeraseCount ) {
-    this.proteinSynthesisSimulator.setPolymeraseCount( polymeraseCount );
+    this.headlessCell.setPolymeraseCount( polymeraseCount );
   },
 
   /**
@@ -98,7 +172,15 @@ inherit( ShapeChangingModelElement, Cell, {
    * @public
    */
   setGeneTranscriptionFactorAssociationRate: function( newRate ) {
-    this.proteinSynthesisSimulator.setGeneTranscriptionFactorAssociationRate( newRate );
+    this.headlessCell.setGeneTranscriptionFactorAssociationRate( newRate );
+  },
+
+  /**
+   * @param {number} signalResponse
+   * @public
+   */
+  setSignalResponse: function( signalResponse ) {
+    this.headlessCell.setSignalResponse( signalResponse );
   },
 
   /**
@@ -106,7 +188,7 @@ inherit( ShapeChangingModelElement, Cell, {
    * @public
    */
   setPolymeraseAssociationRate: function( newRate ) {
-    this.proteinSynthesisSimulator.setPolymeraseAssociationRate( newRate );
+    this.headlessCell.setPolymeraseAssociationRate( newRate );
   },
 
   /**
@@ -114,7 +196,7 @@ inherit( ShapeChangingModelElement, Cell, {
    * @public
    */
   setRNARibosomeAssociationRate: function( newRate ) {
-    this.proteinSynthesisSimulator.setRNARibosomeAssociationRate( newRate );
+    this.headlessCell.setRNARibosomeAssociationRate( newRate );
   },
 
   /**
@@ -122,7 +204,7 @@ inherit( ShapeChangingModelElement, Cell, {
    * @public
    */
   setProteinDegradationRate: function( newRate ) {
-    this.proteinSynthesisSimulator.setProteinDegradationRate( newRate );
+    this.headlessCell.setProteinDegradationRate( newRate );
   },
 
   /**
@@ -130,12 +212,81 @@ inherit( ShapeChangingModelElement, Cell, {
    * @public
    */
   setMRnaDegradationRate: function( mRnaDegradationRate ) {
-    this.proteinSynthesisSimulator.setMrnaDegradationRate( mRnaDegradationRate );
+    this.headlessCell.setMRnaDegradationRate( mRnaDegradationRate );
+  },
+
+  /**
+   * @param {AutoregulationType} autoregulationType
+   * @public
+   */
+  setAutoregulationType: function( autoregulationType ) {
+    this.headlessCell.setAutoregulationType( autoregulationType );
+  },
+
+  /**
+   * @param {number} newRate
+   * @public
+   */
+  setProteinBindingRate: function( newRate ) {
+    this.headlessCell.setProteinBindingRate( newRate );
+  },
+
+  /**
+   * @param {GeneCircuitType} geneCircuitType
+   * @public
+   */
+  setGeneCircuitType: function( geneCircuitType ) {
+    this.headlessCell.setGeneCircuitType( geneCircuitType );
+    this.updateMoleculeCounts();
+  },
+
+  /**
+   * @param {CellSolverType} solverType
+   * @public
+   */
+  setSolverType: function( solverType ) {
+    this.headlessCell.setSolverType( solverType );
+  },
+
+  /**
+   * @param {boolean} automaticTauLeaping
+   * @public
+   */
+  setAutomaticTauLeaping: function( automaticTauLeaping ) {
+    this.headlessCell.setAutomaticTauLeaping( automaticTauLeaping );
+  },
+
+  /**
+   * @returns {Object.<string, number>} map of species names to counts
+   * @public
+   */
+  getSpeciesCounts: function() {
+    return this.headlessCell.getSpeciesCounts();
+  },
+
+  /**
+   * @returns {Object.<string, number>} map of reaction names to rate constants, including this cell's variation
+   * @public
+   */
+  getRates: function() {
+    return this.headlessCell.getRates();
+  },
+
+  /**
+   * Set the amount of extrinsic variability, i.e. how much this cell's ribosome and polymerase counts and degradation
+   * rates differ from the nominal values. The cell's deviation from the nominal values is fixed when the cell is
+   * created, so this only scales it.
+   * @param {number} parameterSpread - standard deviation of the logarithm of the parameters, zero for no variation
+   * @public
+   */
+  setParameterSpread: function( parameterSpread ) {
+    this.headlessCell.setParameterSpread( parameterSpread );
   }
 }, {
 
   // statics
   DefaultCellSize: DEFAULT_CELL_SIZE,
+  CellCycleDuration: HeadlessCell.CellCycleDuration,
   ProteinLevelWhereColorChangeStarts: PROTEIN_LEVEL_WHERE_COLOR_CHANGE_STARTS,
   ProteinLevelWhereColorChangeCompletes: PROTEIN_LEVEL_WHERE_COLOR_CHANGE_COMPLETES
 } );
@@ -0,0 +1,281 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Records the species counts of the visible cells on the Multiple Cells screen at regular intervals of simulation
+ * time, along with the values of the parameters that the user controls, so that they can be exported for analysis in
+ * other software. The rate constants of the reactions are recorded whenever they change, and are included in the
+ * metadata of the export.
+ *
+ * The amount of memory used is bounded by a maximum number of cell records, i.e. the counts of one cell at one time.
+ * When it is reached, the oldest samples are dropped to make room for the new ones. The recording is kept when the
+ * clock is paused, and continues where it left off when the clock is started again.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import RecordingFormat from './RecordingFormat.js';
+
+// constants
+
+// interval between samples, in seconds of simulation time
+const SAMPLE_INTERVAL = 0.5;
+
+// Maximum number of cell records that are kept. With the maximum number of cells, this is several minutes of data.
+const MAX_CELL_RECORDS = 50000;
+
+// number of decimal places of the times in the exported data
+const TIME_DECIMAL_PLACES = 3;
+
+const TITLE = 'Gene Expression Essentials - Multiple Cells recording';
+
+// descriptions of the columns of the CSV export
+const COLUMNS = [
+  { name: 'time', description: 'simulation time since the screen was reset, in seconds' },
+  { name: 'cell', description: 'ID of the cell, which is unique within the recording, empty for the parameters' },
+  { name: 'variable', description: 'name of a species whose count is given, or of a parameter' },
+  { name: 'value', description: 'number of molecules of the species in the cell, or the value of the parameter' }
+];
+
+const RATES_DESCRIPTION = 'Stochastic rate constants of the reactions at unit volume, in the units of time of the ' +
+                          'simulation, in which a second is 1000 units. The cells vary from these nominal values by ' +
+                          'the cell-to-cell variation.';
+
+/**
+ * @param {MultipleCellsModel} model
+ * @constructor
+ */
+function CellDataRecorder( model ) {
+
+  // @public - whether samples are being recorded
+  this.recordingProperty = new BooleanProperty( false );
+
+  // @public (read-only) - number of samples that have been recorded and not dropped
+  this.numberOfSamplesProperty = new Property( 0 );
+
+  // @private {Array.<{name: string, property: Property}>} - the parameters that are recorded with each sample, which
+  // are those of CellParameters and the other settings of the cells
+  this.parameters = Object.keys( model.cellParameterProperties ).map( function( name ) {
+    return { name: name, property: model.cellParameterProperties[ name ] };
+  } ).concat( [
+    { name: 'geneCircuitType', property: model.geneCircuitTypeProperty },
+    { name: 'autoregulationType', property: model.autoregulationTypeProperty },
+    { name: 'parameterSpread', property: model.parameterSpreadProperty },
+    { name: 'cellDivisionEnabled', property: model.cellDivisionEnabledProperty },
+    { name: 'numberOfVisibleCells', property: model.numberOfVisibleCellsProperty }
+  ] );
+
+  // @private
+  this.model = model;
+
+  // @private {number} - simulation time since the recorder was reset, which advances whether or not it's recording
+  this.time = 0;
+
+  // @private {number} - simulation time since the last sample was recorded
+  this.timeSinceLastSample = 0;
+
+  // @private {Array.<{time: number, parameters: Object, speciesNames: Array.<string>, cellIds: Array.<number>,
+  // cellCounts: Array.<Array>}>} - the samples, oldest first. The counts are kept in arrays in the order of the names
+  // to save memory, and samples with the same species share the array of names.
+  this.samples = [];
+
+  // @private {number} - total number of cell records in the samples
+  this.numberOfCellRecords = 0;
+
+  // @private {number} - number of samples that were dropped to stay within MAX_CELL_RECORDS
+  this.numberOfDroppedSamples = 0;
+
+  // @private {Array.<{time: number, rates: Object.<string, number>}>} - the nominal rate constants, recorded when the
+  // recording starts and whenever they change
+  this.rateHistory = [];
+
+  // Record a sample as soon as the recording is started.
+  const self = this;
+  this.recordingProperty.link( function( recording ) {
+    if ( recording ) {
+      self.timeSinceLastSample = SAMPLE_INTERVAL;
+    }
+  } );
+}
+
+geneExpressionEssentials.register( 'CellDataRecorder', CellDataRecorder );
+
+inherit( Object, CellDataRecorder, {
+
+  /**
+   * Advance the time, and record a sample if one is due. This should be called after the cells have been stepped.
+   * @param {number} dt
+   * @public
+   */
+  step: function( dt ) {
+    this.time += dt;
+    if ( this.recordingProperty.get() ) {
+      this.timeSinceLastSample += dt;
+      if ( this.timeSinceLastSample >= SAMPLE_INTERVAL ) {
+        this.timeSinceLastSample = this.timeSinceLastSample % SAMPLE_INTERVAL;
+        this.recordSample();
+      }
+    }
+  },
+
+  /**
+   * @private
+   */
+  recordSample: function() {
+    const time = Utils.toFixedNumber( this.time, TIME_DECIMAL_PLACES );
+
+    const parameters = {};
+    this.parameters.forEach( function( parameter ) {
+      const value = parameter.property.get();
+
+      // Enumeration values are recorded by name.
+      parameters[ parameter.name ] = typeof value === 'object' ? value.name : value;
+    } );
+
+    // All cells have the same network, so the names of the species can be taken from any of them.
+    const cells = this.model.visibleCellList;
+    let speciesNames = cells.length > 0 ? Object.keys( cells[ 0 ].getSpeciesCounts() ) : [];
+    const previousSample = this.samples[ this.samples.length - 1 ];
+    if ( previousSample && previousSample.speciesNames.join() === speciesNames.join() ) {
+      speciesNames = previousSample.speciesNames;
+    }
+    const cellIds = cells.map( function( cell ) { return cell.id; } );
+    const cellCounts = cells.map( function( cell ) {
+      const counts = cell.getSpeciesCounts();
+      return speciesNames.map( function( speciesName ) { return counts[ speciesName ]; } );
+    } );
+
+    this.samples.push( {
+      time: time,
+      parameters: parameters,
+      speciesNames: speciesNames,
+      cellIds: cellIds,
+      cellCounts: cellCounts
+    } );
+    this.numberOfCellRecords += cellCounts.length;
+
+    // The nominal rates are those of the deterministic cell, which has no cell-to-cell variation.
+    const rates = this.model.deterministicCell.getRates();
+    const previousRates = this.rateHistory.length > 0 ? this.rateHistory[ this.rateHistory.length - 1 ].rates : null;
+    if ( !previousRates || JSON.stringify( previousRates ) !== JSON.stringify( rates ) ) {
+      this.rateHistory.push( { time: time, rates: rates } );
+    }
+
+    while ( this.numberOfCellRecords > MAX_CELL_RECORDS ) {
+      this.numberOfCellRecords -= this.samples.shift().cellCounts.length;
+      this.numberOfDroppedSamples++;
+    }
+
+    // Drop the rates that were replaced before the oldest remaining sample, keeping the ones that apply to it.
+    const oldestTime = this.samples[ 0 ].time;
+    while ( this.rateHistory.length > 1 && this.rateHistory[ 1 ].time <= oldestTime ) {
+      this.rateHistory.shift();
+    }
+
+    this.numberOfSamplesProperty.set( this.samples.length );
+  },
+
+  /**
+   * Get the recorded data in a format that can be saved to a file.
+   * @param {RecordingFormat} format
+   * @returns {string}
+   * @public
+   */
+  export: function( format ) {
+    return format === RecordingFormat.CSV ? this.toCSV() : this.toJSON();
+  },
+
+  /**
+   * Get the recorded data as comma-separated values in long format, i.e. one row per value. The metadata precedes the
+   * header row as lines that start with '#'.
+   * @returns {string}
+   * @public
+   */
+  toCSV: function() {
+    const lines = [
+      '# ' + TITLE,
+      '# sample interval (s): ' + SAMPLE_INTERVAL,
+      '# samples dropped to stay within the memory limit: ' + this.numberOfDroppedSamples
+    ];
+    COLUMNS.forEach( function( column ) {
+      lines.push( '# column ' + column.name + ': ' + column.description );
+    } );
+    lines.push( '# rates: ' + RATES_DESCRIPTION );
+    this.rateHistory.forEach( function( entry ) {
+      Object.keys( entry.rates ).forEach( function( reactionName ) {
+        lines.push( '# rate from ' + entry.time + ' s: ' + reactionName + ' = ' + entry.rates[ reactionName ] );
+      } );
+    } );
+
+    lines.push( _.map( COLUMNS, 'name' ).join( ',' ) );
+    this.samples.forEach( function( sample ) {
+      Object.keys( sample.parameters ).forEach( function( parameterName ) {
+        lines.push( [ sample.time, '', parameterName, sample.parameters[ parameterName ] ].join( ',' ) );
+      } );
+      sample.cellCounts.forEach( function( counts, cellIndex ) {
+        sample.speciesNames.forEach( function( speciesName, speciesIndex ) {
+          lines.push( [ sample.time, sample.cellIds[ cellIndex ], speciesName, counts[ speciesIndex ] ].join( ',' ) );
+        } );
+      } );
+    } );
+
+    return lines.join( '\n' ) + '\n';
+  },
+
+  /**
+   * Get the recorded data as JSON, with each cell as its ID and a map of the species names to the counts.
+   * @returns {string}
+   * @public
+   */
+  toJSON: function() {
+    return JSON.stringify( {
+      title: TITLE,
+      sampleInterval: SAMPLE_INTERVAL,
+      numberOfDroppedSamples: this.numberOfDroppedSamples,
+      ratesDescription: RATES_DESCRIPTION,
+      rates: this.rateHistory,
+      samples: this.samples.map( function( sample ) {
+        return {
+          time: sample.time,
+          parameters: sample.parameters,
+          cells: sample.cellCounts.map( function( counts, cellIndex ) {
+            return { id: sample.cellIds[ cellIndex ], counts: _.zipObject( sample.speciesNames, counts ) };
+          } )
+        };
+      } )
+    } );
+  },
+
+  /**
+   * Discard the recorded data, without changing whether it's recording.
+   * @public
+   */
+  clear: function() {
+    this.samples = [];
+    this.numberOfCellRecords = 0;
+    this.numberOfDroppedSamples = 0;
+    this.rateHistory = [];
+    this.numberOfSamplesProperty.reset();
+  },
+
+  /**
+   * @public
+   */
+  reset: function() {
+    this.recordingProperty.reset();
+    this.time = 0;
+    this.timeSinceLastSample = 0;
+    this.clear();
+  }
+}, {
+
+  // statics
+  SampleInterval: SAMPLE_INTERVAL,
+  MaxCellRecords: MAX_CELL_RECORDS
+} );
+
+export default CellDataRecorder;
@@ -0,0 +1,85 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The rules by which the population of cells on the Multiple Cells screen is founded and renewed: the seeds of the
+ * cells' own random number streams, which are drawn in turn from a master generator, the cells that the daughters of
+ * divisions replace, and the IDs of the cells. MultipleCellsModel and CellTimeCourse both use this, so that with the
+ * same master seed they simulate the same cells, see the fixedTimeStep query parameter.
+ *
+ * The founding cells get the IDs from zero up in the order in which they're created, and each daughter gets the next
+ * ID when it's born.
+ *
+ * @author agent
+ */
+
+import Random from '../../../../dot/js/Random.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import HeadlessCell from './HeadlessCell.js';
+
+// constants
+
+// number of cells in the population, all of which are simulated whether or not they're shown
+const POPULATION_SIZE = 90;
+
+/**
+ * @param {number} seed - the master seed
+ * @constructor
+ */
+function CellLineage( seed ) {
+
+  // @private - supplies the seeds of the cells and chooses the cells that the daughters replace
+  this.random = new Random( { seed: seed } );
+
+  // @private {number} - ID of the next cell that is created
+  this.nextId = 0;
+}
+
+geneExpressionEssentials.register( 'CellLineage', CellLineage );
+
+inherit( Object, CellLineage, {
+
+  /**
+   * Create one of the cells that the population starts with.
+   * @returns {HeadlessCell}
+   * @public
+   */
+  createFounder: function() {
+    const cell = new HeadlessCell( this.random.nextDouble() );
+    cell.id = this.nextId++;
+    return cell;
+  },
+
+  /**
+   * Divide the cells that have reached the end of their cycles, in order. Each daughter replaces a cell other than its
+   * mother that is chosen at random from the whole population, as though that cell had been washed out of a chemostat,
+   * so the size of the population stays the same. The cells are checked by index, so that a cell that is replaced by
+   * the daughter of one before it doesn't divide.
+   * @param {Array.<Cell|HeadlessCell>} cells - the population
+   * @param {function(HeadlessCell, number)} replaceCell - called with the daughter and the index of the cell that it
+   * replaces, which must put the daughter in cells at that index
+   * @public
+   */
+  divideCells: function( cells, replaceCell ) {
+    for ( let i = 0; i < cells.length; i++ ) {
+      if ( cells[ i ].isReadyToDivide() ) {
+        const daughter = cells[ i ].divide( this.random.nextDouble() );
+        daughter.id = this.nextId++;
+
+        // Every cell other than the mother is equally likely to be replaced.
+        let replacedIndex = this.random.nextInt( cells.length - 1 );
+        if ( replacedIndex >= i ) {
+          replacedIndex++;
+        }
+        replaceCell( daughter, replacedIndex );
+        assert && assert( cells[ replacedIndex ].id === daughter.id, 'the daughter must replace the cell' );
+      }
+    }
+  }
+}, {
+
+  // statics
+  PopulationSize: POPULATION_SIZE
+} );
+
+export default CellLineage;
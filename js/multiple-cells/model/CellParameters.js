@@ -0,0 +1,67 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The parameters of the cells on the Multiple Cells screen that the user controls with sliders, keyed by the names of
+ * the corresponding properties of MultipleCellsModel, with their ranges, their defaults and the functions that set
+ * them in a Cell or a HeadlessCell. This is the one list of them, which the model, the input schedules, the parameter
+ * sweeps, the data recorder and the time courses all use.
+ *
+ * @author agent
+ */
+
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import CellProteinSynthesisSimulator from './CellProteinSynthesisSimulator.js';
+
+// The values of a parameter are spaced logarithmically in a sweep if its range spans orders of magnitude, and counts
+// are rounded to whole numbers.
+const CellParameters = {
+  transcriptionFactorLevel: {
+    range: CellProteinSynthesisSimulator.TranscriptionFactorCountRange,
+    defaultValue: CellProteinSynthesisSimulator.DefaultTranscriptionFactorCount,
+    logarithmic: true,
+    isCount: true,
+    setValue: function( cell, value ) { cell.setTranscriptionFactorCount( value ); }
+  },
+  transcriptionFactorAssociationProbability: {
+    range: CellProteinSynthesisSimulator.TFAssociationProbabilityRange,
+    defaultValue: CellProteinSynthesisSimulator.DefaultTFAssociationProbability,
+    logarithmic: true,
+    isCount: false,
+    setValue: function( cell, value ) { cell.setGeneTranscriptionFactorAssociationRate( value ); }
+  },
+  polymeraseAssociationProbability: {
+    range: CellProteinSynthesisSimulator.PolymeraseAssociationProbabilityRange,
+    defaultValue: CellProteinSynthesisSimulator.DefaultPolymeraseAssociationProbability,
+    logarithmic: false,
+    isCount: false,
+    setValue: function( cell, value ) { cell.setPolymeraseAssociationRate( value ); }
+  },
+  mRnaDegradationRate: {
+    range: CellProteinSynthesisSimulator.MRNADegradationRateRange,
+    defaultValue: CellProteinSynthesisSimulator.DefaultMRNADegradationRate,
+    logarithmic: true,
+    isCount: false,
+    setValue: function( cell, value ) { cell.setMRnaDegradationRate( value ); }
+  },
+  proteinDegradationRate: {
+    range: CellProteinSynthesisSimulator.ProteinDegradationRange,
+    defaultValue: CellProteinSynthesisSimulator.DefaultProteinDegradationRate,
+    logarithmic: false,
+    isCount: false,
+    setValue: function( cell, value ) { cell.setProteinDegradationRate( value ); }
+  },
+
+  // The binding rate must be set again whenever the network of a cell is changed, since the new network starts with its
+  // default rates.
+  proteinBindingRate: {
+    range: CellProteinSynthesisSimulator.ProteinBindingRateRange,
+    defaultValue: CellProteinSynthesisSimulator.DefaultProteinBindingRate,
+    logarithmic: true,
+    isCount: false,
+    setValue: function( cell, value ) { cell.setProteinBindingRate( value ); }
+  }
+};
+
+geneExpressionEssentials.register( 'CellParameters', CellParameters );
+
+export default CellParameters;
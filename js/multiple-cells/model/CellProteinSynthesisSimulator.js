@@ -4,7 +4,12 @@
  * This class defines a synthetic cell. The central dogma is simulated as a Markov process for a single protein.
  *  Transcription    Translation
  * DNA   ->    RNA       ->    Protein
- * Simulated using the algorithm from Gillespie, 1977
+ * The species and reactions are defined by a ReactionNetwork, and this central dogma network is the default, but the
+ * simulator works with any network. Variants of the network in which the protein represses or activates its own gene
+ * are also provided, see AutoregulationType, as are networks for circuits of several genes, see GeneCircuitType.
+ * Simulated using the algorithm from Gillespie, 1977, or alternatively with the next reaction method from Gibson and
+ * Bruck, 2000, or with approximate tau-leaping. The same reactions can also be integrated deterministically as rate
+ * equations. See CellSolverType.
  *
  * @Author George A. Emanuel
  * @Author Aadish Gupta
@@ -12,7 +17,16 @@
 
 import Range from '../../../../dot/js/Range.js';
 import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import AutoregulationType from './AutoregulationType.js';
+import CellSolverType from './CellSolverType.js';
+import GeneCircuitType from './GeneCircuitType.js';
+import NextReactionSolver from './NextReactionSolver.js';
+import RateEquationSolver from './RateEquationSolver.js';
+import ReactionNetwork from './ReactionNetwork.js';
+import SamplingUtils from './SamplingUtils.js';
+import TauLeapingSolver from './TauLeapingSolver.js';
 
 const DEFAULT_TRANSCRIPTION_FACTOR_COUNT = 2000;
 const TRANSCRIPTION_FACTOR_COUNT_RANGE = new Range( DEFAULT_TRANSCRIPTION_FACTOR_COUNT / 10, DEFAULT_TRANSCRIPTION_FACTOR_COUNT * 10 );
@@ -25,37 +39,357 @@ const PROTEIN_DEGRADATION_RANGE = new Range( DEFAULT_PROTEIN_DEGRADATION_RATE *
 const DEFAULT_MRNA_DEGRADATION_RATE = 0.01;
 const MRNA_DEGRADATION_RATE_RANGE = new Range( DEFAULT_MRNA_DEGRADATION_RATE / 1000, DEFAULT_MRNA_DEGRADATION_RATE * 1000 );
 
+// Rates for the binding of the protein to its own gene when it is autoregulated. With the defaults, half of the free
+// genes are bound when there are about 50 proteins, which is close to the unregulated steady state.
+const DEFAULT_PROTEIN_BINDING_RATE = 2E-5;
+const PROTEIN_BINDING_RATE_RANGE = new Range( DEFAULT_PROTEIN_BINDING_RATE / 10, DEFAULT_PROTEIN_BINDING_RATE * 10 );
+const PROTEIN_UNBINDING_RATE = 0.001;
+
+// Rate at which a gene with an activator bound to it is transcribed, similar to the rate for a gene with a
+// transcription factor bound when polymerase is plentiful.
+const ACTIVATED_TRANSCRIPTION_RATE = 0.002;
+
+// Names of the genes in the multi-gene circuits, which are appended to the names of the species and reactions of each
+// gene, e.g. 'proteinB' and 'transcriptionB'. The species and reactions of the single gene networks have no suffix.
+const CIRCUIT_GENE_NAMES = [ 'A', 'B', 'C' ];
+
+// Number of copies of each gene in the multi-gene circuits. This is more than in the single gene network so that the
+// proteins of the genes that are not repressed reach levels at which the cells are clearly colored.
+const CIRCUIT_GENE_COPY_COUNT = 60;
+
+// Rates for the binding of a pair of repressor molecules to a gene in the multi-gene circuits. Binding in pairs makes
+// the repression cooperative, which is needed for the toggle switch to be bistable and for the repressilator to
+// oscillate. The repressors are not removed from the pool while they are bound, as though there were many more of
+// them than copies of the gene, so that the repression follows a Hill function. Without this, the bound repressors
+// would use up most of the protein, since each copy of a gene only makes a few. Empirically determined.
+const REPRESSOR_PAIR_BINDING_RATE = 0.001;
+const REPRESSOR_PAIR_UNBINDING_RATE = 0.001;
+
+// Species and reactions of the central dogma for a single gene.
+const CENTRAL_DOGMA_SPECIES = [
+  { name: 'gene', initialCount: 20, isGenomic: true },
+  { name: 'transcriptionFactor', initialCount: DEFAULT_TRANSCRIPTION_FACTOR_COUNT, isBuffered: true },
+  { name: 'polymerase', initialCount: 5000, isBuffered: true },
+  {
+    name: 'geneTranscriptionFactorComplex',
+    initialCount: 0,
+    isGenomic: true,
+    components: { gene: 1, transcriptionFactor: 1 }
+  },
+  {
+    name: 'geneTranscriptionFactorPolymeraseComplex',
+    initialCount: 0,
+    isGenomic: true,
+    components: { gene: 1, transcriptionFactor: 1, polymerase: 1 }
+  },
+  { name: 'messengerRna', initialCount: 0 },
+  { name: 'ribosome', initialCount: 2000, isBuffered: true },
+  {
+    name: 'messengerRnaRibosomeComplex',
+    initialCount: 0,
+    components: { messengerRna: 1, ribosome: 1 }
+  },
+  { name: 'protein', initialCount: 0 }
+];
+
+const CENTRAL_DOGMA_REACTIONS = [
+  {
+    name: 'transcriptionFactorAssociation',
+    reactants: { gene: 1, transcriptionFactor: 1 },
+    products: { geneTranscriptionFactorComplex: 1 },
+    rate: DEFAULT_TF_ASSOCIATION_PROBABILITY
+  },
+  {
+    name: 'transcriptionFactorDissociation',
+    reactants: { geneTranscriptionFactorComplex: 1 },
+    products: { gene: 1, transcriptionFactor: 1 },
+    rate: 0.0009
+  },
+  {
+    name: 'polymeraseAssociation',
+    reactants: { polymerase: 1, geneTranscriptionFactorComplex: 1 },
+    products: { geneTranscriptionFactorPolymeraseComplex: 1 },
+    rate: DEFAULT_POLYMERASE_ASSOCIATION_PROBABILITY
+  },
+  {
+    name: 'polymeraseDissociation',
+    reactants: { geneTranscriptionFactorPolymeraseComplex: 1 },
+    products: { polymerase: 1, geneTranscriptionFactorComplex: 1 },
+    rate: 0.00085
+  },
+  {
+    name: 'transcription',
+    reactants: { geneTranscriptionFactorPolymeraseComplex: 1 },
+    products: { gene: 1, transcriptionFactor: 1, polymerase: 1, messengerRna: 1 },
+    rate: 0.003
+  },
+  {
+    name: 'ribosomeAssociation',
+    reactants: { messengerRna: 1, ribosome: 1 },
+    products: { messengerRnaRibosomeComplex: 1 },
+    rate: 0.001
+  },
+  {
+    name: 'ribosomeDissociation',
+    reactants: { messengerRnaRibosomeComplex: 1 },
+    products: { messengerRna: 1, ribosome: 1 },
+    rate: 0.0009
+  },
+  {
+    name: 'translation',
+    reactants: { messengerRnaRibosomeComplex: 1 },
+    products: { ribosome: 1, protein: 1 },
+    rate: 0.0009
+  },
+  {
+    name: 'proteinDegradation',
+    reactants: { protein: 1 },
+    products: {},
+    rate: DEFAULT_PROTEIN_DEGRADATION_RATE
+  },
+  {
+    name: 'messengerRnaDegradation',
+    reactants: { messengerRna: 1 },
+    products: {},
+    rate: DEFAULT_MRNA_DEGRADATION_RATE
+  }
+];
+
+// The reaction network for the central dogma for a single gene, which is the default network for the simulator.
+const CENTRAL_DOGMA_NETWORK = new ReactionNetwork( {
+  species: CENTRAL_DOGMA_SPECIES,
+  reactions: CENTRAL_DOGMA_REACTIONS
+} );
+
+// The central dogma network with negative autoregulation. The protein binds to the free gene and keeps transcription
+// factors from binding to it until the protein unbinds.
+const REPRESSION_NETWORK = new ReactionNetwork( {
+  species: CENTRAL_DOGMA_SPECIES.concat( [
+    {
+      name: 'geneRepressorComplex',
+      initialCount: 0,
+      isGenomic: true,
+      components: { gene: 1, protein: 1 }
+    }
+  ] ),
+  reactions: CENTRAL_DOGMA_REACTIONS.concat( [
+    {
+      name: 'repressorAssociation',
+      reactants: { gene: 1, protein: 1 },
+      products: { geneRepressorComplex: 1 },
+      rate: DEFAULT_PROTEIN_BINDING_RATE
+    },
+    {
+      name: 'repressorDissociation',
+      reactants: { geneRepressorComplex: 1 },
+      products: { gene: 1, protein: 1 },
+      rate: PROTEIN_UNBINDING_RATE
+    }
+  ] )
+} );
+
+// The central dogma network with positive autoregulation. The protein binds to the free gene and recruits polymerase
+// to it, which is lumped into a single step that transcribes the gene and leaves the protein bound.
+const ACTIVATION_NETWORK = new ReactionNetwork( {
+  species: CENTRAL_DOGMA_SPECIES.concat( [
+    {
+      name: 'geneActivatorComplex',
+      initialCount: 0,
+      isGenomic: true,
+      components: { gene: 1, protein: 1 }
+    }
+  ] ),
+  reactions: CENTRAL_DOGMA_REACTIONS.concat( [
+    {
+      name: 'activatorAssociation',
+      reactants: { gene: 1, protein: 1 },
+      products: { geneActivatorComplex: 1 },
+      rate: DEFAULT_PROTEIN_BINDING_RATE
+    },
+    {
+      name: 'activatorDissociation',
+      reactants: { geneActivatorComplex: 1 },
+      products: { gene: 1, protein: 1 },
+      rate: PROTEIN_UNBINDING_RATE
+    },
+    {
+      name: 'activatedTranscription',
+      reactants: { geneActivatorComplex: 1 },
+      products: { geneActivatorComplex: 1, messengerRna: 1 },
+      rate: ACTIVATED_TRANSCRIPTION_RATE
+    }
+  ] )
+} );
+
+// Names of the species that are states of a copy of a gene, in all of the networks. Not every network has all of them.
+const GENE_STATE_SPECIES_NAMES = [
+  'gene',
+  'geneTranscriptionFactorComplex',
+  'geneTranscriptionFactorPolymeraseComplex',
+  'geneRepressorComplex',
+  'geneActivatorComplex'
+];
+
+// map of the autoregulation types to the networks that implement them
+const AUTOREGULATION_NETWORKS = {};
+AUTOREGULATION_NETWORKS[ AutoregulationType.NONE ] = CENTRAL_DOGMA_NETWORK;
+AUTOREGULATION_NETWORKS[ AutoregulationType.REPRESSION ] = REPRESSION_NETWORK;
+AUTOREGULATION_NETWORKS[ AutoregulationType.ACTIVATION ] = ACTIVATION_NETWORK;
+
+/**
+ * Creates the network for a circuit of genes in which each gene is repressed by the protein of another gene. Each gene
+ * has its own copy of the central dogma species and reactions, and the genes share the buffered species, i.e. the
+ * transcription factors, polymerases and ribosomes.
+ * @param {Array.<number>} repressorIndices - for each gene, the index of the gene whose protein represses it
+ * @returns {ReactionNetwork}
+ */
+function createRepressionCircuitNetwork( repressorIndices ) {
+  const species = CENTRAL_DOGMA_SPECIES.filter( function( definition ) { return definition.isBuffered; } );
+  const reactions = [];
+
+  repressorIndices.forEach( function( repressorIndex, geneIndex ) {
+    const geneName = CIRCUIT_GENE_NAMES[ geneIndex ];
+    const repressorName = 'protein' + CIRCUIT_GENE_NAMES[ repressorIndex ];
+
+    // Appends the name of the gene to the names of the species that aren't shared with the other genes.
+    const renameSpecies = function( stoichiometry ) {
+      const renamed = {};
+      Object.keys( stoichiometry ).forEach( function( speciesName ) {
+        const isShared = species.some( function( definition ) { return definition.name === speciesName; } );
+        renamed[ isShared ? speciesName : speciesName + geneName ] = stoichiometry[ speciesName ];
+      } );
+      return renamed;
+    };
+
+    CENTRAL_DOGMA_SPECIES.forEach( function( definition ) {
+      if ( !definition.isBuffered ) {
+        species.push( {
+          name: definition.name + geneName,
+          initialCount: definition.name === 'gene' ? CIRCUIT_GENE_COPY_COUNT : definition.initialCount,
+          isGenomic: definition.isGenomic,
+          components: definition.components && renameSpecies( definition.components )
+        } );
+      }
+    } );
+    CENTRAL_DOGMA_REACTIONS.forEach( function( definition ) {
+      reactions.push( {
+        name: definition.name + geneName,
+        reactants: renameSpecies( definition.reactants ),
+        products: renameSpecies( definition.products ),
+        rate: definition.rate
+      } );
+    } );
+
+    const complexName = 'geneRepressorComplex' + geneName;
+    const freeGene = {};
+    freeGene[ 'gene' + geneName ] = 1;
+    const repressorPair = {};
+    repressorPair[ repressorName ] = 2;
+    const complex = {};
+    complex[ complexName ] = 1;
+
+    species.push( {
+      name: complexName,
+      initialCount: 0,
+      isGenomic: true,
+      components: freeGene
+    } );
+    reactions.push( {
+      name: 'repressorPairAssociation' + geneName,
+      reactants: merge( {}, freeGene, repressorPair ),
+      products: merge( {}, complex, repressorPair ),
+      rate: REPRESSOR_PAIR_BINDING_RATE
+    } );
+    reactions.push( {
+      name: 'repressorPairDissociation' + geneName,
+      reactants: complex,
+      products: freeGene,
+      rate: REPRESSOR_PAIR_UNBINDING_RATE
+    } );
+  } );
+
+  return new ReactionNetwork( { species: species, reactions: reactions } );
+}
+
+/**
+ * Gets the name of the species or reaction in the single gene network that corresponds to one in a multi-gene circuit,
+ * i.e. the name without the name of the gene. Other names are returned unchanged.
+ * @param {string} name
+ * @returns {string}
+ */
+function removeGeneName( name ) {
+  return CIRCUIT_GENE_NAMES.indexOf( name.charAt( name.length - 1 ) ) >= 0 ? name.slice( 0, -1 ) : name;
+}
+
+// map of the multi-gene circuit types to their networks, the network for SINGLE_GENE depends on the autoregulation
+const CIRCUIT_NETWORKS = {};
+CIRCUIT_NETWORKS[ GeneCircuitType.TOGGLE_SWITCH ] = createRepressionCircuitNetwork( [ 1, 0 ] );
+CIRCUIT_NETWORKS[ GeneCircuitType.REPRESSILATOR ] = createRepressionCircuitNetwork( [ 2, 0, 1 ] );
+
 /**
  * @param {number} ribosomeCount
+ * @param {Object} [options]
  * @constructor
  */
-function CellProteinSynthesisSimulator( ribosomeCount ) {
-  this.objectCounts = [
-    20, //gene count
-    DEFAULT_TRANSCRIPTION_FACTOR_COUNT, //free transcription factor count
-    5000, //polymerase count
-    0, //gene, transcription factor complex count
-    0, //gene, TF, polymerase count
-    0, //mRNA count
-    2000, //ribosome count
-    0, //mRNA, ribosome complex count
-    0 //protein count
-  ];
-
-  this.reactionProbabilities = [
-    DEFAULT_TF_ASSOCIATION_PROBABILITY, //gene, TF association
-    0.0009, //gene-TF degradation
-    DEFAULT_POLYMERASE_ASSOCIATION_PROBABILITY, //gene-TF-polymerase association
-    0.00085, //gene-TF-polymerase degradation
-    0.003, //transcription
-    0.001, //mRNA-ribosome association
-    0.0009, //mRNA-ribosome degradation
-    0.0009, //translation
-    DEFAULT_PROTEIN_DEGRADATION_RATE, //protein degradation
-    DEFAULT_MRNA_DEGRADATION_RATE //mRNA degradation
-  ];
-
-  this.objectCounts[ 6 ] = ribosomeCount;
+function CellProteinSynthesisSimulator( ribosomeCount, options ) {
+
+  options = merge( {
+
+    // {ReactionNetwork} - the species and reactions that are simulated
+    reactionNetwork: CENTRAL_DOGMA_NETWORK,
+
+    // {CellSolverType} - algorithm used to advance the model
+    solverType: CellSolverType.DIRECT,
+
+    // {number|null} - when the sum of the propensities exceeds this, tau-leaping is used regardless of solverType, null
+    // means never
+    tauLeapingThreshold: null,
+
+    // {Random|null} - source of the random numbers used by the stochastic solvers, null to use the sim's shared one.
+    // Giving each simulator its own makes its results independent of how many other simulators are running.
+    random: null
+  }, options );
+
+  // @public (read-only) {ReactionNetwork}
+  this.reactionNetwork = options.reactionNetwork;
+
+  // @public (read-only, except for solvers) {Array.<number>} - count of each species in the network
+  this.objectCounts = this.reactionNetwork.createInitialCounts();
+
+  // @public (read-only) {Array.<number>} - rate constant of each reaction in the network, can be changed via setters
+  this.reactionProbabilities = this.reactionNetwork.createRateConstants();
+
+  if ( this.reactionNetwork.hasSpecies( 'ribosome' ) ) {
+    this.objectCounts[ this.reactionNetwork.getSpeciesIndex( 'ribosome' ) ] = ribosomeCount;
+  }
+
+  // @private {AutoregulationType} - how the protein regulates its own gene when there is a single gene
+  this.autoregulationType = AutoregulationType.NONE;
+
+  // @private {GeneCircuitType}
+  this.geneCircuitType = GeneCircuitType.SINGLE_GENE;
+
+  // @public (read-only) {Random} - used by this simulator and its solvers for all random draws
+  this.random = options.random || phet.joist.random;
+
+  // @public (read-only) {number} - volume of the cell relative to the volume at which the rate constants apply, which
+  // changes as the cell grows and divides
+  this.volume = 1;
+
+  // @private {CellSolverType}
+  this.solverType = options.solverType;
+
+  // @private {number|null}
+  this.tauLeapingThreshold = options.tauLeapingThreshold;
+
+  // @private - solver used when solverType is NEXT_REACTION, it keeps state between steps so it always exists
+  this.nextReactionSolver = new NextReactionSolver( this );
+
+  // @private - solver used when solverType is TAU_LEAPING or when the tau-leaping threshold is exceeded
+  this.tauLeapingSolver = new TauLeapingSolver( this );
+
+  // @private - solver used when solverType is RATE_EQUATIONS
+  this.rateEquationSolver = new RateEquationSolver( this );
 }
 
 geneExpressionEssentials.register( 'CellProteinSynthesisSimulator', CellProteinSynthesisSimulator );
@@ -69,7 +403,7 @@ inherit( Object, CellProteinSynthesisSimulator, {
   setTranscriptionFactorCount: function( tfCount ) {
     // Parameter checking.
     assert && assert( TRANSCRIPTION_FACTOR_COUNT_RANGE.contains( tfCount ) );
-    this.objectCounts[ 1 ] = tfCount;
+    this.setCount( 'transcriptionFactor', tfCount );
   },
   /**
    * Sets the number of polymerases
@@ -77,7 +411,7 @@ inherit( Object, CellProteinSynthesisSimulator, {
    * @public
    */
   setPolymeraseCount: function( polymeraseCount ) {
-    this.objectCounts[ 2 ] = polymeraseCount;
+    this.setCount( 'polymerase', polymeraseCount );
   },
 
   /**
@@ -87,7 +421,7 @@ inherit( Object, CellProteinSynthesisSimulator, {
    */
   setGeneTranscriptionFactorAssociationRate: function( newRate ) {
     assert && assert( TF_ASSOCIATION_PROBABILITY_RANGE.contains( newRate ) );
-    this.reactionProbabilities[ 0 ] = newRate;
+    this.setGeneRate( 'transcriptionFactorAssociation', newRate );
   },
 
   /**
@@ -97,7 +431,7 @@ inherit( Object, CellProteinSynthesisSimulator, {
    */
   setPolymeraseAssociationRate: function( newRate ) {
     assert && assert( POLYMERASE_ASSOCIATION_PROBABILITY_RANGE.contains( newRate ) );
-    this.reactionProbabilities[ 2 ] = newRate;
+    this.setGeneRate( 'polymeraseAssociation', newRate );
   },
 
   /**
@@ -106,7 +440,7 @@ inherit( Object, CellProteinSynthesisSimulator, {
    * @public
    */
   setRNARibosomeAssociationRate: function( newRate ) {
-    this.reactionProbabilities[ 5 ] = newRate;
+    this.setGeneRate( 'ribosomeAssociation', newRate );
   },
 
   /**
@@ -115,7 +449,7 @@ inherit( Object, CellProteinSynthesisSimulator, {
    */
   setProteinDegradationRate: function( proteinDegradationRate ) {
     assert && assert( PROTEIN_DEGRADATION_RANGE.contains( proteinDegradationRate ) );
-    this.reactionProbabilities[ 8 ] = proteinDegradationRate;
+    this.setGeneRate( 'proteinDegradation', proteinDegradationRate );
   },
 
   /**
@@ -124,7 +458,298 @@ inherit( Object, CellProteinSynthesisSimulator, {
    */
   setMrnaDegradationRate: function( mrnaDegradationRate ) {
     assert && assert( MRNA_DEGRADATION_RATE_RANGE.contains( mrnaDegradationRate ) );
-    this.reactionProbabilities[ 9 ] = mrnaDegradationRate;
+    this.setGeneRate( 'messengerRnaDegradation', mrnaDegradationRate );
+  },
+
+  /**
+   * Sets the protein's rate of binding to its own gene, which only has an effect when the gene is autoregulated.
+   * @param {number} newRate
+   * @public
+   */
+  setProteinBindingRate: function( newRate ) {
+    assert && assert( PROTEIN_BINDING_RATE_RANGE.contains( newRate ) );
+    const self = this;
+    [ 'repressorAssociation', 'activatorAssociation' ].forEach( function( reactionName ) {
+      if ( self.reactionNetwork.hasReaction( reactionName ) ) {
+        self.setRate( reactionName, newRate );
+      }
+    } );
+  },
+
+  /**
+   * Sets how the protein regulates its own gene by switching to the corresponding reaction network. This only has an
+   * effect when the gene circuit is SINGLE_GENE, and should only be used with the central dogma networks.
+   * @param {AutoregulationType} autoregulationType
+   * @public
+   */
+  setAutoregulationType: function( autoregulationType ) {
+    assert && assert( AutoregulationType.includes( autoregulationType ), 'invalid type: ' + autoregulationType );
+    this.autoregulationType = autoregulationType;
+    this.updateCentralDogmaNetwork();
+  },
+
+  /**
+   * Sets the circuit of genes that is simulated by switching to the corresponding reaction network. This should only
+   * be used with the central dogma networks.
+   * @param {GeneCircuitType} geneCircuitType
+   * @public
+   */
+  setGeneCircuitType: function( geneCircuitType ) {
+    assert && assert( GeneCircuitType.includes( geneCircuitType ), 'invalid type: ' + geneCircuitType );
+    this.geneCircuitType = geneCircuitType;
+    this.updateCentralDogmaNetwork();
+  },
+
+  /**
+   * Switches to the network for the current gene circuit and autoregulation type.
+   * @private
+   */
+  updateCentralDogmaNetwork: function() {
+    this.setReactionNetwork( this.geneCircuitType === GeneCircuitType.SINGLE_GENE ?
+                             AUTOREGULATION_NETWORKS[ this.autoregulationType ] :
+                             CIRCUIT_NETWORKS[ this.geneCircuitType ] );
+  },
+
+  /**
+   * Switch to a different reaction network. The counts and rates of the species and reactions that the networks have
+   * in common are kept, and complexes that don't exist in the new network are broken up into their components. The
+   * reactions of each gene in a multi-gene circuit get the rates of the corresponding reactions of the single gene or
+   * of the first gene, if the previous network had them. Other species and reactions start with the initial counts and
+   * rates of the new network.
+   * @param {ReactionNetwork} reactionNetwork
+   * @public
+   */
+  setReactionNetwork: function( reactionNetwork ) {
+    if ( reactionNetwork === this.reactionNetwork ) {
+      return;
+    }
+
+    const previousNetwork = this.reactionNetwork;
+    const previousCounts = this.objectCounts;
+    const previousRates = this.reactionProbabilities;
+
+    this.reactionNetwork = reactionNetwork;
+    this.objectCounts = reactionNetwork.createInitialCounts();
+    this.reactionProbabilities = reactionNetwork.createRateConstants();
+
+    const counts = this.objectCounts;
+    previousNetwork.species.forEach( function( species, index ) {
+      if ( reactionNetwork.hasSpecies( species.name ) ) {
+        counts[ reactionNetwork.getSpeciesIndex( species.name ) ] = previousCounts[ index ];
+      }
+    } );
+    previousNetwork.species.forEach( function( species, index ) {
+      if ( !reactionNetwork.hasSpecies( species.name ) ) {
+        species.components.forEach( function( component ) {
+          const componentName = previousNetwork.species[ component.index ].name;
+          if ( reactionNetwork.hasSpecies( componentName ) ) {
+            const componentIndex = reactionNetwork.getSpeciesIndex( componentName );
+            counts[ componentIndex ] += previousCounts[ index ] * component.stoichiometry;
+          }
+        } );
+      }
+    } );
+
+    const previousRatesByName = {};
+    previousNetwork.reactions.forEach( function( reaction, index ) {
+      previousRatesByName[ reaction.name ] = previousRates[ index ];
+      if ( previousRatesByName[ removeGeneName( reaction.name ) ] === undefined ) {
+        previousRatesByName[ removeGeneName( reaction.name ) ] = previousRates[ index ];
+      }
+    } );
+    const rates = this.reactionProbabilities;
+    reactionNetwork.reactions.forEach( function( reaction, index ) {
+      if ( previousRatesByName[ reaction.name ] !== undefined ) {
+        rates[ index ] = previousRatesByName[ reaction.name ];
+      }
+      else if ( previousRatesByName[ removeGeneName( reaction.name ) ] !== undefined ) {
+        rates[ index ] = previousRatesByName[ removeGeneName( reaction.name ) ];
+      }
+    } );
+
+    // The tau-leaping solver keeps information about the structure of the network, so it needs to be rebuilt.
+    this.tauLeapingSolver = new TauLeapingSolver( this );
+    this.nextReactionSolver.invalidate();
+  },
+
+  /**
+   * Sets the count of a species in the network.
+   * @param {string} speciesName
+   * @param {number} count
+   * @public
+   */
+  setCount: function( speciesName, count ) {
+    this.objectCounts[ this.reactionNetwork.getSpeciesIndex( speciesName ) ] = count;
+    this.nextReactionSolver.invalidate();
+  },
+
+  /**
+   * Sets the rate constant of a reaction in the network.
+   * @param {string} reactionName
+   * @param {number} rate
+   * @public
+   */
+  setRate: function( reactionName, rate ) {
+    this.reactionProbabilities[ this.reactionNetwork.getReactionIndex( reactionName ) ] = rate;
+    this.nextReactionSolver.invalidate();
+  },
+
+  /**
+   * Sets the rate constant of a reaction of the central dogma for every gene in the network, i.e. of the reaction with
+   * the given name in a single gene network, or of the reactions whose names are the given name followed by the name
+   * of a gene in a multi-gene circuit.
+   * @param {string} reactionName - name of the reaction in the single gene network
+   * @param {number} rate
+   * @public
+   */
+  setGeneRate: function( reactionName, rate ) {
+    const self = this;
+    [ reactionName ].concat( CIRCUIT_GENE_NAMES.map( function( geneName ) { return reactionName + geneName; } ) )
+      .forEach( function( name ) {
+        if ( self.reactionNetwork.hasReaction( name ) ) {
+          self.setRate( name, rate );
+        }
+      } );
+  },
+
+  /**
+   * Sets the volume of the cell, which scales the propensities of the reactions whose reactants are diluted by growth.
+   * @param {number} volume - relative to the volume at which the rate constants apply
+   * @public
+   */
+  setVolume: function( volume ) {
+    assert && assert( volume > 0, 'invalid volume: ' + volume );
+    if ( volume !== this.volume ) {
+      this.volume = volume;
+      if ( this.reactionNetwork.isVolumeDependent() ) {
+        this.nextReactionSolver.invalidate();
+      }
+    }
+  },
+
+  /**
+   * Divide the cell in two. The genomic species are copied to the daughter, and each molecule of the species that are
+   * neither genomic nor buffered goes to one cell or the other with equal probability. Each cell then gets the same
+   * total amount of the buffered species as this cell had, part of which may now be bound in the complexes that it
+   * received. The volume is split evenly.
+   * @param {Random} random - for the daughter's own random draws, see the random option
+   * @returns {CellProteinSynthesisSimulator} the simulator for the daughter cell
+   * @public
+   */
+  divide: function( random ) {
+    assert && assert( this.solverType !== CellSolverType.RATE_EQUATIONS, 'continuous amounts cannot be divided' );
+
+    // The ribosome count is set along with all the other counts below.
+    const daughter = new CellProteinSynthesisSimulator( 0, {
+      reactionNetwork: this.reactionNetwork,
+      solverType: this.solverType,
+      tauLeapingThreshold: this.tauLeapingThreshold,
+      random: random
+    } );
+    daughter.autoregulationType = this.autoregulationType;
+    daughter.geneCircuitType = this.geneCircuitType;
+
+    const species = this.reactionNetwork.species;
+    const bufferedTotals = [];
+    for ( let i = 0; i < species.length; i++ ) {
+      if ( species[ i ].isBuffered ) {
+        bufferedTotals[ i ] = this.objectCounts[ i ] + this.reactionNetwork.calculateBoundCount( i, this.objectCounts );
+      }
+    }
+
+    for ( let i = 0; i < species.length; i++ ) {
+      if ( species[ i ].isGenomic ) {
+        daughter.objectCounts[ i ] = this.objectCounts[ i ];
+      }
+      else if ( !species[ i ].isBuffered ) {
+        const retainedCount = SamplingUtils.nextBinomial( this.random, this.objectCounts[ i ], 0.5 );
+        daughter.objectCounts[ i ] = this.objectCounts[ i ] - retainedCount;
+        this.objectCounts[ i ] = retainedCount;
+      }
+    }
+
+    for ( let i = 0; i < species.length; i++ ) {
+      if ( species[ i ].isBuffered ) {
+        this.objectCounts[ i ] = bufferedTotals[ i ] - this.reactionNetwork.calculateBoundCount( i, this.objectCounts );
+        daughter.objectCounts[ i ] = bufferedTotals[ i ] -
+                                     this.reactionNetwork.calculateBoundCount( i, daughter.objectCounts );
+      }
+    }
+    daughter.reactionProbabilities = this.reactionProbabilities.slice();
+
+    this.setVolume( this.volume / 2 );
+    daughter.setVolume( this.volume );
+    this.nextReactionSolver.invalidate();
+
+    return daughter;
+  },
+
+  /**
+   * Get the count of a species in the network.
+   * @param {string} speciesName
+   * @returns {number}
+   * @public
+   */
+  getCount: function( speciesName ) {
+    return this.objectCounts[ this.reactionNetwork.getSpeciesIndex( speciesName ) ];
+  },
+
+  /**
+   * Get the counts of all the species in the network.
+   * @returns {Object.<string, number>} map of species names to counts
+   * @public
+   */
+  getCounts: function() {
+    const counts = {};
+    const objectCounts = this.objectCounts;
+    this.reactionNetwork.species.forEach( function( species, index ) {
+      counts[ species.name ] = objectCounts[ index ];
+    } );
+    return counts;
+  },
+
+  /**
+   * Get the rate constants of all the reactions in the network.
+   * @returns {Object.<string, number>} map of reaction names to rate constants
+   * @public
+   */
+  getRates: function() {
+    const rates = {};
+    const reactionProbabilities = this.reactionProbabilities;
+    this.reactionNetwork.reactions.forEach( function( reaction, index ) {
+      rates[ reaction.name ] = reactionProbabilities[ index ];
+    } );
+    return rates;
+  },
+
+  /**
+   * Sets the algorithm used to advance the model.
+   * @param {CellSolverType} solverType
+   * @public
+   */
+  setSolverType: function( solverType ) {
+    assert && assert( CellSolverType.includes( solverType ), 'invalid solverType: ' + solverType );
+    if ( solverType !== this.solverType ) {
+      if ( this.solverType === CellSolverType.RATE_EQUATIONS ) {
+
+        // The stochastic solvers need whole numbers of molecules.
+        for ( let i = 0; i < this.objectCounts.length; i++ ) {
+          this.objectCounts[ i ] = Math.round( this.objectCounts[ i ] );
+        }
+      }
+      this.solverType = solverType;
+      this.nextReactionSolver.invalidate();
+    }
+  },
+
+  /**
+   * Sets the total propensity above which tau-leaping is used automatically, regardless of the solver type.
+   * @param {number|null} threshold - null to never switch automatically
+   * @public
+   */
+  setTauLeapingThreshold: function( threshold ) {
+    assert && assert( threshold === null || threshold > 0, 'invalid threshold: ' + threshold );
+    this.tauLeapingThreshold = threshold;
   },
 
   /**
@@ -134,6 +759,25 @@ inherit( Object, CellProteinSynthesisSimulator, {
    * @public
    */
   step: function( dt ) {
+    if ( this.solverType === CellSolverType.RATE_EQUATIONS ) {
+      this.rateEquationSolver.step( dt );
+      return;
+    }
+
+    if ( this.solverType === CellSolverType.TAU_LEAPING ||
+         ( this.tauLeapingThreshold !== null && this.sum( this.calculateA() ) > this.tauLeapingThreshold ) ) {
+      this.tauLeapingSolver.step( dt );
+
+      // The counts were changed outside of the next reaction solver, so its reaction times are no longer valid.
+      this.nextReactionSolver.invalidate();
+      return;
+    }
+
+    if ( this.solverType === CellSolverType.NEXT_REACTION ) {
+      this.nextReactionSolver.step( dt );
+      return;
+    }
+
     let accumulatedTime = 0.0;
     let timeIncrement = -1.0;
     while ( accumulatedTime < dt && timeIncrement !== 0.0 ) {
@@ -147,14 +791,14 @@ inherit( Object, CellProteinSynthesisSimulator, {
    *
    * @param maxTime the maximum of time to wait for this reaction to occur
    * @returns {number} the amount of time evolved in the system
-   * @private
+   * @public
    */
   simulateOneReaction: function( maxTime ) {
     const a = this.calculateA();
     const a0 = this.sum( a );
 
-    const r1 = phet.joist.random.nextDouble();
-    const r2 = phet.joist.random.nextDouble();
+    const r1 = this.random.nextDouble();
+    const r2 = this.random.nextDouble();
     const tau = ( 1 / a0 ) * Math.log( 1 / r1 );
     if ( tau > maxTime ) {
       return 0.0;
@@ -174,7 +818,7 @@ inherit( Object, CellProteinSynthesisSimulator, {
    * Calculates sum of the array elements
    * @param {Array.<number>} array
    * @returns {number}
-   * @private
+   * @public
    */
   sum: function( array ) {
     let total = 0;
@@ -185,96 +829,94 @@ inherit( Object, CellProteinSynthesisSimulator, {
   },
 
   /**
+   * Calculates the propensity of every reaction.
    * @returns {Array.<number>}
-   * @private
+   * @public
    */
   calculateA: function() {
-    const h = [
-      this.objectCounts[ 0 ] * this.objectCounts[ 1 ],
-      this.objectCounts[ 3 ],
-      this.objectCounts[ 2 ] * this.objectCounts[ 3 ],
-      this.objectCounts[ 4 ],
-      this.objectCounts[ 4 ],
-      this.objectCounts[ 5 ] * this.objectCounts[ 6 ],
-      this.objectCounts[ 7 ],
-      this.objectCounts[ 7 ],
-      this.objectCounts[ 8 ],
-      this.objectCounts[ 5 ]
-    ];
-
-    for ( let i = 0; i < h.length; i++ ) {
-      h[ i ] *= this.reactionProbabilities[ i ];
+    const a = [];
+    for ( let i = 0; i < this.reactionNetwork.getNumberOfReactions(); i++ ) {
+      a.push( this.calculatePropensity( i ) );
     }
-    return h;
+    return a;
+  },
+
+  /**
+   * Calculates the propensity of a single reaction given the current counts and rates.
+   * @param {number} reactionIndex
+   * @returns {number}
+   * @public
+   */
+  calculatePropensity: function( reactionIndex ) {
+    return this.reactionNetwork.calculatePropensity(
+      reactionIndex,
+      this.objectCounts,
+      this.reactionProbabilities,
+      this.volume
+    );
   },
 
   /**
+   * Updates the counts to reflect a single occurrence of the specified reaction.
    * @param {number} mu
-   * @private
+   * @public
    */
   conductReaction: function( mu ) {
-    switch( mu ) {
-      case 0:
-        this.objectCounts[ 0 ]--;
-        this.objectCounts[ 1 ]--;
-        this.objectCounts[ 3 ]++;
-        break;
-      case 1:
-        this.objectCounts[ 0 ]++;
-        this.objectCounts[ 1 ]++;
-        this.objectCounts[ 3 ]--;
-        break;
-      case 2:
-        this.objectCounts[ 3 ]--;
-        this.objectCounts[ 2 ]--;
-        this.objectCounts[ 4 ]++;
-        break;
-      case 3:
-        this.objectCounts[ 3 ]++;
-        this.objectCounts[ 2 ]++;
-        this.objectCounts[ 4 ]--;
-        break;
-      case 4:
-        this.objectCounts[ 0 ]++;
-        this.objectCounts[ 1 ]++;
-        this.objectCounts[ 2 ]++;
-        this.objectCounts[ 4 ]--;
-        this.objectCounts[ 5 ]++;
-        break;
-      case 5:
-        this.objectCounts[ 5 ]--;
-        this.objectCounts[ 6 ]--;
-        this.objectCounts[ 7 ]++;
-        break;
-      case 6:
-        this.objectCounts[ 5 ]++;
-        this.objectCounts[ 6 ]++;
-        this.objectCounts[ 7 ]--;
-        break;
-      case 7:
-        this.objectCounts[ 6 ]++;
-        this.objectCounts[ 7 ]--;
-        this.objectCounts[ 8 ]++;
-        break;
-      case 8:
-        this.objectCounts[ 8 ]--;
-        break;
-      case 9:
-        this.objectCounts[ 5 ]--;
-        break;
-      default:
-        assert && assert( false, 'Unhandled mu value' );
-        break;
+    this.reactionNetwork.applyReaction( mu, this.objectCounts );
+  },
+
+  /**
+   * Get the count of a species of one of the genes currently in this cell. In a single-gene network the species has no
+   * gene name appended to it, and it belongs to the first gene.
+   * @param {string} speciesName - name of the species without the gene name, e.g. 'protein'
+   * @param {number} geneIndex - index of the gene in a multi-gene circuit
+   * @returns {number} count, zero if there is no such gene
+   * @private
+   */
+  getGeneSpeciesCount: function( speciesName, geneIndex ) {
+    if ( this.reactionNetwork.hasSpecies( speciesName ) ) {
+      return geneIndex === 0 ? this.getCount( speciesName ) : 0;
     }
+    const geneSpeciesName = speciesName + CIRCUIT_GENE_NAMES[ geneIndex ];
+    return this.reactionNetwork.hasSpecies( geneSpeciesName ) ? this.getCount( geneSpeciesName ) : 0;
+  },
+
+  /**
+   * Get the number of proteins of one of the genes currently in this cell.
+   * @param {number} [geneIndex] - index of the gene in a multi-gene circuit, defaults to the first gene
+   * @returns {number} protein count, zero if there is no such gene
+   * @public
+   */
+  getProteinCount: function( geneIndex ) {
+    return this.getGeneSpeciesCount( 'protein', geneIndex || 0 );
+  },
+
+  /**
+   * Get the number of free mRNA molecules of one of the genes currently in this cell.
+   * @param {number} [geneIndex] - index of the gene in a multi-gene circuit, defaults to the first gene
+   * @returns {number} mRNA count, zero if there is no such gene
+   * @public
+   */
+  getMessengerRnaCount: function( geneIndex ) {
+    return this.getGeneSpeciesCount( 'messengerRna', geneIndex || 0 );
   },
 
   /**
-   * Get the number of proteins currently in this cell.
-   * @returns {number} protein count
+   * Get the fraction of the copies of one of the genes that have a transcription factor bound to them, either alone or
+   * together with a polymerase.
+   * @param {number} [geneIndex] - index of the gene in a multi-gene circuit, defaults to the first gene
+   * @returns {number} fraction between 0 and 1, zero if there is no such gene
    * @public
    */
-  getProteinCount: function() {
-    return this.objectCounts[ 8 ];
+  getBoundGeneFraction: function( geneIndex ) {
+    const self = this;
+    geneIndex = geneIndex || 0;
+    const totalCount = GENE_STATE_SPECIES_NAMES.reduce( function( sum, speciesName ) {
+      return sum + self.getGeneSpeciesCount( speciesName, geneIndex );
+    }, 0 );
+    const boundCount = this.getGeneSpeciesCount( 'geneTranscriptionFactorComplex', geneIndex ) +
+                       this.getGeneSpeciesCount( 'geneTranscriptionFactorPolymeraseComplex', geneIndex );
+    return totalCount > 0 ? boundCount / totalCount : 0;
   }
 }, {
 
@@ -288,7 +930,13 @@ inherit( Object, CellProteinSynthesisSimulator, {
   PolymeraseAssociationProbabilityRange: POLYMERASE_ASSOCIATION_PROBABILITY_RANGE,
   ProteinDegradationRange: PROTEIN_DEGRADATION_RANGE,
   TFAssociationProbabilityRange: TF_ASSOCIATION_PROBABILITY_RANGE,
-  TranscriptionFactorCountRange: TRANSCRIPTION_FACTOR_COUNT_RANGE
+  TranscriptionFactorCountRange: TRANSCRIPTION_FACTOR_COUNT_RANGE,
+  DefaultProteinBindingRate: DEFAULT_PROTEIN_BINDING_RATE,
+  ProteinBindingRateRange: PROTEIN_BINDING_RATE_RANGE,
+  MaxCircuitGenes: CIRCUIT_GENE_NAMES.length,
+  CentralDogmaNetwork: CENTRAL_DOGMA_NETWORK,
+  AutoregulationNetworks: AUTOREGULATION_NETWORKS,
+  CircuitNetworks: CIRCUIT_NETWORKS
 } );
 
 export default CellProteinSynthesisSimulator;
\ No newline at end of file
@@ -0,0 +1,230 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Benchmark that compares the stochastic solvers available to CellProteinSynthesisSimulator. A population of cells is
+ * simulated from the same initial state with each solver, the wall-clock time is measured, and the distributions of
+ * the protein and mRNA counts over the population are compared with those of the direct method at several points in
+ * time, so that both the transient and the steady state are covered. The deterministic RATE_EQUATIONS solver has no
+ * distribution to compare, so it isn't included. This is run by js/scripts/run-solver-benchmark.js, and can also be
+ * called from the browser console via phet.geneExpressionEssentials.CellSolverBenchmark.run(), which returns the
+ * results.
+ *
+ * @author agent
+ */
+
+import Random from '../../../../dot/js/Random.js';
+import merge from '../../../../phet-core/js/merge.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import CellProteinSynthesisSimulator from './CellProteinSynthesisSimulator.js';
+import CellSolverType from './CellSolverType.js';
+
+// constants
+const NOMINAL_TIME_STEP = 1000 / 60; // in simulator time units, this matches what Cell uses for each frame
+const STEPS_PER_SECOND = 60;
+
+// probability that a solver that matches the direct method is reported as inconsistent with it
+const SIGNIFICANCE_LEVEL = 0.05;
+
+const CellSolverBenchmark = {
+
+  // @public {CellSolverType[]} - the solvers that are compared, the first is the reference
+  SolverTypes: CellSolverType.VALUES.filter( function( solverType ) {
+    return solverType !== CellSolverType.RATE_EQUATIONS;
+  } ),
+
+  /**
+   * Run the benchmark.
+   * @param {Object} [options]
+   * @returns {Object} the results, keyed by solver type, each with the elapsed time, the speedup relative to the direct
+   * method, the statistics of the counts at each sample time, see compareSamples, and whether all of them are
+   * consistent with those of the direct method, which a solver that matches it fails 5% of the time
+   * @public
+   */
+  run: function( options ) {
+
+    options = merge( {
+      numberOfCells: 90,
+      numberOfSteps: 1000,
+
+      // number of points in time at which the distributions are compared, evenly spaced up to the end of the run
+      numberOfSamples: 5,
+
+      // seed of the cells' random number streams
+      seed: 0,
+
+      // The direct method is slowest at high transcription factor levels, so benchmark there by default.
+      transcriptionFactorCount: CellProteinSynthesisSimulator.TranscriptionFactorCountRange.max
+    }, options );
+
+    const seedRandomizer = new Random( { seed: options.seed } );
+    const runs = {};
+    CellSolverBenchmark.SolverTypes.forEach( function( solverType ) {
+      runs[ solverType ] = CellSolverBenchmark.runSolver( solverType, seedRandomizer, options );
+    } );
+
+    // The significance level is divided among all of the comparisons of a solver, i.e. a Bonferroni correction.
+    const significanceLevel = SIGNIFICANCE_LEVEL / ( 2 * options.numberOfSamples );
+
+    const direct = runs[ CellSolverType.DIRECT ];
+    const results = {};
+    CellSolverBenchmark.SolverTypes.forEach( function( solverType ) {
+      const run = runs[ solverType ];
+      const samples = run.samples.map( function( sample, index ) {
+        return {
+          time: sample.time,
+          protein: CellSolverBenchmark.compareSamples( direct.samples[ index ].protein, sample.protein,
+            significanceLevel ),
+          messengerRna: CellSolverBenchmark.compareSamples( direct.samples[ index ].messengerRna, sample.messengerRna,
+            significanceLevel )
+        };
+      } );
+      results[ solverType ] = {
+        elapsedTime: run.elapsedTime,
+        speedup: direct.elapsedTime / run.elapsedTime,
+        samples: samples,
+        consistent: samples.every( function( sample ) {
+          return sample.protein.consistent && sample.messengerRna.consistent;
+        } )
+      };
+    } );
+
+    return results;
+  },
+
+  /**
+   * Simulate a population of cells with one solver, recording the counts of all of them at each sample time.
+   * @param {CellSolverType} solverType
+   * @param {Random} seedRandomizer - source of the seeds of the cells
+   * @param {Object} options - see run
+   * @returns {{elapsedTime: number, samples: Array.<{time: number, protein: number[], messengerRna: number[]}>}}
+   * @private
+   */
+  runSolver: function( solverType, seedRandomizer, options ) {
+    const simulators = [];
+    for ( let i = 0; i < options.numberOfCells; i++ ) {
+      const simulator = new CellProteinSynthesisSimulator( 100, {
+        solverType: solverType,
+        random: new Random( { seed: seedRandomizer.nextDouble() } )
+      } );
+      simulator.setTranscriptionFactorCount( options.transcriptionFactorCount );
+      simulators.push( simulator );
+    }
+
+    const samples = [];
+    let elapsedTime = 0;
+    let step = 0;
+    for ( let i = 1; i <= options.numberOfSamples; i++ ) {
+      const startTime = Date.now();
+      for ( ; step < Math.round( options.numberOfSteps * i / options.numberOfSamples ); step++ ) {
+        simulators.forEach( function( simulator ) {
+          simulator.step( NOMINAL_TIME_STEP );
+        } );
+      }
+      elapsedTime += Date.now() - startTime;
+      samples.push( {
+        time: step / STEPS_PER_SECOND,
+        protein: simulators.map( function( simulator ) { return simulator.getProteinCount(); } ),
+        messengerRna: simulators.map( function( simulator ) { return simulator.getMessengerRnaCount(); } )
+      } );
+    }
+
+    return {
+      elapsedTime: elapsedTime,
+      samples: samples
+    };
+  },
+
+  /**
+   * Compare the counts of the cells simulated with a solver to those simulated with the direct method at the same
+   * time. The distributions are consistent if the Kolmogorov-Smirnov statistic is below its critical value at the
+   * given significance level, which, since the counts are discrete, is a conservative test.
+   * @param {number[]} reference - counts from the direct method
+   * @param {number[]} values - counts from the solver
+   * @param {number} significanceLevel
+   * @returns {{mean: number, variance: number, referenceMean: number, referenceVariance: number,
+   * meanZScore: number, ksStatistic: number, ksCriticalValue: number, consistent: boolean}}
+   * @private
+   */
+  compareSamples: function( reference, values, significanceLevel ) {
+    const referenceStatistics = CellSolverBenchmark.getStatistics( reference );
+    const statistics = CellSolverBenchmark.getStatistics( values );
+    const ksStatistic = CellSolverBenchmark.ksStatistic( reference, values );
+    const ksCriticalValue = Math.sqrt( -Math.log( significanceLevel / 2 ) / 2 ) *
+                            Math.sqrt( ( reference.length + values.length ) / ( reference.length * values.length ) );
+    return {
+      mean: statistics.mean,
+      variance: statistics.variance,
+      referenceMean: referenceStatistics.mean,
+      referenceVariance: referenceStatistics.variance,
+      meanZScore: CellSolverBenchmark.zScore( referenceStatistics, statistics ),
+      ksStatistic: ksStatistic,
+      ksCriticalValue: ksCriticalValue,
+      consistent: ksStatistic < ksCriticalValue
+    };
+  },
+
+  /**
+   * @param {Array.<number>} values
+   * @returns {{mean: number, variance: number, n: number}}
+   * @private
+   */
+  getStatistics: function( values ) {
+    let sum = 0;
+    values.forEach( function( value ) { sum += value; } );
+    const mean = sum / values.length;
+    let sumOfSquares = 0;
+    values.forEach( function( value ) { sumOfSquares += ( value - mean ) * ( value - mean ); } );
+    return {
+      mean: mean,
+      variance: values.length > 1 ? sumOfSquares / ( values.length - 1 ) : 0,
+      n: values.length
+    };
+  },
+
+  /**
+   * Two-sample z statistic for the difference between the means, values well within +/-2 indicate that the means are
+   * consistent.
+   * @param {Object} a - statistics, see getStatistics
+   * @param {Object} b - statistics, see getStatistics
+   * @returns {number}
+   * @private
+   */
+  zScore: function( a, b ) {
+    const standardError = Math.sqrt( a.variance / a.n + b.variance / b.n );
+    return standardError > 0 ? ( b.mean - a.mean ) / standardError : 0;
+  },
+
+  /**
+   * Two-sample Kolmogorov-Smirnov statistic, i.e. the largest difference between the empirical cumulative
+   * distribution functions of the samples.
+   * @param {number[]} a
+   * @param {number[]} b
+   * @returns {number}
+   * @private
+   */
+  ksStatistic: function( a, b ) {
+    const compare = function( x, y ) { return x - y; };
+    const sortedA = a.slice().sort( compare );
+    const sortedB = b.slice().sort( compare );
+    let i = 0;
+    let j = 0;
+    let statistic = 0;
+    while ( i < sortedA.length && j < sortedB.length ) {
+
+      // Step past all of the values equal to the next one in either sample, so that ties are counted together.
+      const value = Math.min( sortedA[ i ], sortedB[ j ] );
+      while ( i < sortedA.length && sortedA[ i ] === value ) {
+        i++;
+      }
+      while ( j < sortedB.length && sortedB[ j ] === value ) {
+        j++;
+      }
+      statistic = Math.max( statistic, Math.abs( i / sortedA.length - j / sortedB.length ) );
+    }
+    return statistic;
+  }
+};
+
+geneExpressionEssentials.register( 'CellSolverBenchmark', CellSolverBenchmark );
+
+export default CellSolverBenchmark;
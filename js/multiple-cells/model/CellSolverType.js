@@ -0,0 +1,23 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Enumeration of the algorithms that can be used by CellProteinSynthesisSimulator to advance the model.
+ *
+ * DIRECT - Gillespie's direct method, which recalculates every propensity and searches them linearly for each reaction
+ * NEXT_REACTION - Gibson and Bruck's next reaction method, which only recalculates the propensities affected by each
+ *                 reaction and keeps the putative reaction times in an indexed priority queue
+ * TAU_LEAPING - approximate method that fires many reactions at once in leaps of adaptively chosen length, which is
+ *               much faster when the reaction rates are high
+ * RATE_EQUATIONS - deterministic integration of the mass-action rate equations, i.e. the mean-field behavior of the
+ *                  cell without noise, counts are not integers when this is used
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+const CellSolverType = Enumeration.byKeys( [ 'DIRECT', 'NEXT_REACTION', 'TAU_LEAPING', 'RATE_EQUATIONS' ] );
+
+geneExpressionEssentials.register( 'CellSolverType', CellSolverType );
+export default CellSolverType;
@@ -0,0 +1,238 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Time course of the molecule counts of a population of cells like those on the Multiple Cells screen, simulated with
+ * HeadlessCell so that it needs no view, Properties or browser, and can be run under plain Node, see
+ * js/scripts/run-cells.js. The cells are founded, seeded, configured, stepped and divided in the same way and by the
+ * same code as the cells of MultipleCellsModel, see CellLineage, so with the same master seed (the cellSeed query
+ * parameter) and the same settings, their counts are exactly those of the first cells of the sim when it's run with the
+ * fixedTimeStep query parameter.
+ *
+ * @author agent
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import AutoregulationType from './AutoregulationType.js';
+import CellLineage from './CellLineage.js';
+import CellParameters from './CellParameters.js';
+import CellSolverType from './CellSolverType.js';
+import GeneCircuitType from './GeneCircuitType.js';
+
+// constants
+
+// Time step with which the cells are stepped and number of steps that are taken to bring them to steady state before
+// the time course starts, the same as in MultipleCellsModel.
+const NOMINAL_TIME_STEP = 1 / 60;
+const STEADY_STATE_STEPS = 1000;
+
+// number of decimal places of the times in the CSV output, the same as in CellDataRecorder
+const TIME_DECIMAL_PLACES = 3;
+
+const TITLE = 'Gene Expression Essentials - Multiple Cells time course';
+
+// descriptions of the columns of the CSV output, which has the same layout as the recordings made in the sim
+const COLUMNS = [
+  { name: 'time', description: 'simulation time since the cells reached steady state, in seconds' },
+  { name: 'cell', description: 'ID of the cell, the same as in the sim\'s recordings' },
+  { name: 'variable', description: 'name of a species whose count is given' },
+  { name: 'value', description: 'number of molecules of the species in the cell' }
+];
+
+/**
+ * @param {Object} [options]
+ * @constructor
+ */
+function CellTimeCourse( options ) {
+
+  options = merge( {
+
+    // {Object.<string, number>} - values of the parameters, keyed by the names in CellParameters, the defaults are used
+    // for any that are missing
+    parameterValues: {},
+
+    autoregulationType: AutoregulationType.NONE,
+    geneCircuitType: GeneCircuitType.SINGLE_GENE,
+    solverType: CellSolverType.DIRECT,
+
+    // whether the cells switch to tau-leaping when their total propensity is high, as the sim's cells do when the
+    // autoTauLeaping query parameter is given
+    automaticTauLeaping: false,
+
+    // standard deviation of the logarithm of the parameters that vary from cell to cell, zero for no variation
+    parameterSpread: 0,
+
+    // master seed, from which the seed of each cell is drawn
+    seed: 0,
+
+    // number of cells whose counts are given, which are the first of the population, like the visible cells of the sim
+    numberOfCells: 20,
+
+    // Whether the cells grow and divide, as they do in the sim when the cellDivision query parameter is given. If they
+    // do, the whole population is simulated, since any cell can be replaced by a daughter.
+    cellDivision: false,
+
+    // length of the time course after the cells have reached steady state and the interval between samples, in seconds
+    duration: 60,
+    sampleInterval: 0.5,
+
+    // time step with which the cells are stepped, in seconds
+    timeStep: NOMINAL_TIME_STEP
+  }, options );
+
+  assert && Object.keys( options.parameterValues ).forEach( function( name ) {
+    assert( CellParameters[ name ], 'unknown parameter: ' + name );
+  } );
+  assert && assert( options.sampleInterval >= options.timeStep, 'samples must be at least a time step apart' );
+  assert && assert( !options.cellDivision || options.numberOfCells <= CellLineage.PopulationSize,
+    'a population of dividing cells has at most ' + CellLineage.PopulationSize + ' cells' );
+
+  // @private {Object.<string, number>}
+  this.parameterValues = {};
+  const parameterValues = this.parameterValues;
+  Object.keys( CellParameters ).forEach( function( name ) {
+    parameterValues[ name ] = options.parameterValues[ name ] === undefined ?
+                              CellParameters[ name ].defaultValue :
+                              options.parameterValues[ name ];
+  } );
+
+  // @private
+  this.options = options;
+
+  // @private {number} - number of time steps between samples
+  this.stepsPerSample = Utils.roundSymmetric( options.sampleInterval / options.timeStep );
+
+  // @private
+  this.cellLineage = new CellLineage( options.seed );
+
+  // @private {Array.<HeadlessCell>} - the population. Without division, the cells are independent, so only those whose
+  // counts are given are simulated.
+  const cellLineage = this.cellLineage;
+  this.cells = _.times( options.cellDivision ? CellLineage.PopulationSize : options.numberOfCells, function() {
+    return cellLineage.createFounder();
+  } );
+
+  // As in MultipleCellsModel, the binding rate is set again after the networks have been changed, since the new
+  // networks start with their default rates.
+  this.cells.forEach( function( cell ) {
+    Object.keys( CellParameters ).forEach( function( name ) {
+      CellParameters[ name ].setValue( cell, parameterValues[ name ] );
+    } );
+    cell.setAutoregulationType( options.autoregulationType );
+    cell.setGeneCircuitType( options.geneCircuitType );
+    CellParameters.proteinBindingRate.setValue( cell, parameterValues.proteinBindingRate );
+    cell.setParameterSpread( options.parameterSpread );
+    cell.setGrowing( options.cellDivision );
+    cell.setSolverType( options.solverType );
+    cell.setAutomaticTauLeaping( options.automaticTauLeaping );
+  } );
+}
+
+geneExpressionEssentials.register( 'CellTimeCourse', CellTimeCourse );
+
+inherit( Object, CellTimeCourse, {
+
+  /**
+   * Bring the cells to steady state, then step them for the duration, calling the callback with a sample at the start
+   * and at every sample interval after it.
+   * @param {function({time: number, cells: Array.<{id: number, counts: Object.<string, number>}>})} callback - each
+   * cell has its ID and a map of the species names to its counts
+   * @public
+   */
+  run: function( callback ) {
+    const self = this;
+    const timeStep = this.options.timeStep;
+
+    for ( let i = 0; i < STEADY_STATE_STEPS; i++ ) {
+      this.stepCells( NOMINAL_TIME_STEP );
+    }
+
+    const numberOfSteps = Utils.roundSymmetric( this.options.duration / timeStep );
+    for ( let stepIndex = 0; stepIndex <= numberOfSteps; stepIndex++ ) {
+      if ( stepIndex > 0 ) {
+        this.stepCells( timeStep );
+      }
+      if ( stepIndex % this.stepsPerSample === 0 ) {
+        callback( {
+          time: Utils.toFixedNumber( stepIndex * timeStep, TIME_DECIMAL_PLACES ),
+          cells: self.cells.slice( 0, self.options.numberOfCells ).map( function( cell ) {
+            return { id: cell.id, counts: cell.getSpeciesCounts() };
+          } )
+        } );
+      }
+    }
+  },
+
+  /**
+   * @param {number} dt
+   * @private
+   */
+  stepCells: function( dt ) {
+    const cells = this.cells;
+    cells.forEach( function( cell ) {
+      cell.step( dt );
+    } );
+    if ( this.options.cellDivision ) {
+      this.cellLineage.divideCells( cells, function( daughter, replacedIndex ) {
+        cells[ replacedIndex ] = daughter;
+      } );
+    }
+  },
+
+  /**
+   * Get the metadata of the CSV output, as lines that start with '#', and its header row.
+   * @returns {string}
+   * @public
+   */
+  getCSVHeader: function() {
+    const self = this;
+    const options = this.options;
+    const lines = [
+      '# ' + TITLE,
+      '# seed: ' + options.seed,
+      '# number of cells: ' + options.numberOfCells,
+      '# cell division: ' + options.cellDivision,
+      '# time step (s): ' + options.timeStep,
+      '# sample interval (s): ' + options.sampleInterval
+    ];
+    COLUMNS.forEach( function( column ) {
+      lines.push( '# column ' + column.name + ': ' + column.description );
+    } );
+    Object.keys( this.parameterValues ).forEach( function( name ) {
+      lines.push( '# parameter ' + name + ': ' + self.parameterValues[ name ] );
+    } );
+    lines.push( '# parameter autoregulationType: ' + options.autoregulationType.name );
+    lines.push( '# parameter geneCircuitType: ' + options.geneCircuitType.name );
+    lines.push( '# parameter solverType: ' + options.solverType.name );
+    lines.push( '# parameter automaticTauLeaping: ' + options.automaticTauLeaping );
+    lines.push( '# parameter parameterSpread: ' + options.parameterSpread );
+    lines.push( _.map( COLUMNS, 'name' ).join( ',' ) );
+    return lines.join( '\n' ) + '\n';
+  },
+
+  /**
+   * Get the rows of the CSV output for a sample, in long format, i.e. one row per count.
+   * @param {{time: number, cells: Array.<{id: number, counts: Object.<string, number>}>}} sample - see run
+   * @returns {string}
+   * @public
+   */
+  sampleToCSV: function( sample ) {
+    const lines = [];
+    sample.cells.forEach( function( cell ) {
+      Object.keys( cell.counts ).forEach( function( speciesName ) {
+        lines.push( [ sample.time, cell.id, speciesName, cell.counts[ speciesName ] ].join( ',' ) );
+      } );
+    } );
+    return lines.join( '\n' ) + '\n';
+  }
+}, {
+
+  // statics
+  NominalTimeStep: NOMINAL_TIME_STEP,
+  PopulationSize: CellLineage.PopulationSize,
+  ParameterNames: Object.keys( CellParameters )
+} );
+
+export default CellTimeCourse;
@@ -0,0 +1,19 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Enumeration of the distributions that can be fitted to the protein counts of the cells on the Multiple Cells screen.
+ *
+ * NONE - no fit
+ * GAMMA - the gamma distribution, which is the steady-state distribution of a protein made in bursts
+ * NEGATIVE_BINOMIAL - the discrete counterpart of the gamma distribution
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+const DistributionFitType = Enumeration.byKeys( [ 'NONE', 'GAMMA', 'NEGATIVE_BINOMIAL' ] );
+
+geneExpressionEssentials.register( 'DistributionFitType', DistributionFitType );
+export default DistributionFitType;
@@ -0,0 +1,165 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Utilities for summarizing the distribution of protein counts in a population of cells, i.e. binning them into a
+ * histogram and fitting gamma and negative binomial distributions to them. The fits use the method of moments, which
+ * is quick enough to redo on every frame.
+ *
+ * @author agent
+ */
+
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+// constants
+
+// coefficients of the Lanczos approximation used by logGamma, for g = 7
+const LANCZOS_G = 7;
+const LANCZOS_COEFFICIENTS = [
+  0.99999999999980993,
+  676.5203681218851,
+  -1259.1392167224028,
+  771.32342877765313,
+  -176.61502916214059,
+  12.507343278686905,
+  -0.13857109526572012,
+  9.9843695780195716E-6,
+  1.5056327351493116E-7
+];
+const LOG_SQRT_2_PI = 0.5 * Math.log( 2 * Math.PI );
+
+const DistributionUtils = {
+
+  /**
+   * Count the values that fall in each of a set of equal bins starting at zero. Values beyond the last bin are counted
+   * in the last bin, so that every value is represented.
+   * @param {Array.<number>} values - non-negative
+   * @param {number} binWidth
+   * @param {number} numberOfBins
+   * @returns {Array.<number>} the count for each bin
+   * @public
+   */
+  createHistogram: function( values, binWidth, numberOfBins ) {
+    assert && assert( binWidth > 0, 'invalid binWidth: ' + binWidth );
+    const counts = [];
+    for ( let i = 0; i < numberOfBins; i++ ) {
+      counts.push( 0 );
+    }
+    values.forEach( function( value ) {
+      counts[ Math.min( Math.floor( value / binWidth ), numberOfBins - 1 ) ]++;
+    } );
+    return counts;
+  },
+
+  /**
+   * @param {Array.<number>} values
+   * @returns {number}
+   * @public
+   */
+  calculateMean: function( values ) {
+    assert && assert( values.length > 0, 'the mean of no values is undefined' );
+    return values.reduce( function( sum, value ) { return sum + value; }, 0 ) / values.length;
+  },
+
+  /**
+   * Calculate the variance of the values, treating them as the whole population rather than a sample from it.
+   * @param {Array.<number>} values
+   * @returns {number}
+   * @public
+   */
+  calculateVariance: function( values ) {
+    const mean = DistributionUtils.calculateMean( values );
+    return values.reduce( function( sum, value ) { return sum + ( value - mean ) * ( value - mean ); }, 0 ) /
+           values.length;
+  },
+
+  /**
+   * Fit a gamma distribution to the values by matching its mean and variance.
+   * @param {Array.<number>} values
+   * @returns {{shape: number, scale: number}|null} - null if there aren't enough values or they are all the same
+   * @public
+   */
+  fitGamma: function( values ) {
+    if ( values.length < 2 ) {
+      return null;
+    }
+    const mean = DistributionUtils.calculateMean( values );
+    const variance = DistributionUtils.calculateVariance( values );
+    if ( mean <= 0 || variance <= 0 ) {
+      return null;
+    }
+    return { shape: mean * mean / variance, scale: variance / mean };
+  },
+
+  /**
+   * Probability density of the gamma distribution.
+   * @param {number} x - positive
+   * @param {number} shape
+   * @param {number} scale
+   * @returns {number}
+   * @public
+   */
+  gammaDensity: function( x, shape, scale ) {
+    return Math.exp( ( shape - 1 ) * Math.log( x ) - x / scale - DistributionUtils.logGamma( shape ) -
+                     shape * Math.log( scale ) );
+  },
+
+  /**
+   * Fit a negative binomial distribution to the values by matching its mean and variance. The distribution is that of
+   * the number of failures before the size-th success, with the given probability of success.
+   * @param {Array.<number>} values - non-negative integers
+   * @returns {{size: number, probability: number}|null} - null if there aren't enough values or their variance isn't
+   * more than their mean, which a negative binomial distribution can't have
+   * @public
+   */
+  fitNegativeBinomial: function( values ) {
+    if ( values.length < 2 ) {
+      return null;
+    }
+    const mean = DistributionUtils.calculateMean( values );
+    const variance = DistributionUtils.calculateVariance( values );
+    if ( mean <= 0 || variance <= mean ) {
+      return null;
+    }
+    return { size: mean * mean / ( variance - mean ), probability: mean / variance };
+  },
+
+  /**
+   * Probability mass of the negative binomial distribution.
+   * @param {number} k - a non-negative integer
+   * @param {number} size
+   * @param {number} probability
+   * @returns {number}
+   * @public
+   */
+  negativeBinomialProbability: function( k, size, probability ) {
+    return Math.exp( DistributionUtils.logGamma( k + size ) - DistributionUtils.logGamma( k + 1 ) -
+                     DistributionUtils.logGamma( size ) + size * Math.log( probability ) +
+                     k * Math.log( 1 - probability ) );
+  },
+
+  /**
+   * Natural log of the gamma function, using the Lanczos approximation.
+   * @param {number} x - positive
+   * @returns {number}
+   * @public
+   */
+  logGamma: function( x ) {
+    assert && assert( x > 0, 'x must be positive: ' + x );
+
+    // The approximation is for x >= 0.5, so use the reflection formula below that.
+    if ( x < 0.5 ) {
+      return Math.log( Math.PI / Math.sin( Math.PI * x ) ) - DistributionUtils.logGamma( 1 - x );
+    }
+    const z = x - 1;
+    let sum = LANCZOS_COEFFICIENTS[ 0 ];
+    for ( let i = 1; i < LANCZOS_COEFFICIENTS.length; i++ ) {
+      sum += LANCZOS_COEFFICIENTS[ i ] / ( z + i );
+    }
+    const t = z + LANCZOS_G + 0.5;
+    return LOG_SQRT_2_PI + ( z + 0.5 ) * Math.log( t ) - t + Math.log( sum );
+  }
+};
+
+geneExpressionEssentials.register( 'DistributionUtils', DistributionUtils );
+
+export default DistributionUtils;
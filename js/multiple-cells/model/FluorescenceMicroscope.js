@@ -0,0 +1,231 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A simple model of a fluorescence microscope with a camera, which produces a synthetic micrograph of the cells on the
+ * Multiple Cells screen from their protein counts, so that it can be compared with a picture of real cells. Each
+ * protein molecule is treated as an emitter spread evenly over its cell. The light from the emitters is blurred by the
+ * point spread function of the microscope, which is taken to be Gaussian, and added to a uniform background. The
+ * camera counts the photons that arrive at each pixel during the exposure, which are Poisson distributed, i.e. shot
+ * noise, and converts them to gray levels with its gain, saturating at white. Dim cells can therefore be lost in the
+ * noise of the background, which is what limits detection in real micrographs.
+ *
+ * @author agent
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Random from '../../../../dot/js/Random.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import SamplingUtils from './SamplingUtils.js';
+
+// constants
+
+// Width of the area that each pixel of the camera sees, in meters, and the standard deviation of the point spread
+// function. These are typical of a wide-field microscope with a 100x objective.
+const PIXEL_SIZE = 1E-7;
+const POINT_SPREAD_SIGMA = 2E-7;
+
+// the point spread function is cut off at this many standard deviations
+const POINT_SPREAD_CUTOFF = 3;
+
+// Margin of background that is included around the cells, in meters.
+const MARGIN = 1E-6;
+
+// Photons detected per second from each protein molecule and from the background at each pixel. These were chosen
+// so that at the default exposure and gain, a cell with the protein level at which the cells in the sim are fully
+// fluorescent is bright but not saturated, and one with a tenth of that can just be made out.
+const PHOTONS_PER_PROTEIN_PER_SECOND = 1500;
+const BACKGROUND_PHOTONS_PER_SECOND = 100;
+
+const MAX_GRAY_LEVEL = 255;
+
+// exposure time in seconds, and gain in gray levels per photon
+const EXPOSURE_TIME_RANGE = new Range( 0.01, 1 );
+const DEFAULT_EXPOSURE_TIME = 0.1;
+const GAIN_RANGE = new Range( 0.1, 10 );
+const DEFAULT_GAIN = 1;
+
+/**
+ * @constructor
+ */
+function FluorescenceMicroscope() {
+
+  // @public
+  this.exposureTimeProperty = new NumberProperty( DEFAULT_EXPOSURE_TIME, { range: EXPOSURE_TIME_RANGE } );
+  this.gainProperty = new NumberProperty( DEFAULT_GAIN, { range: GAIN_RANGE } );
+
+  // @private {Random} - source of the shot noise, separate from those of the cells so that taking pictures doesn't
+  // change what happens in them
+  this.random = new Random();
+
+  // @private {Map.<Cell, {xs: Array.<number>, ys: Array.<number>}>} - the pixels that each cell covers, as indices of
+  // pixels on a grid with its origin at that of the model, computed once for each cell since the cells don't move
+  this.cellPixels = new Map();
+
+  // @private {Array.<number>} - weights of the point spread function, from its center outwards, which sum to one over
+  // both sides
+  this.pointSpreadWeights = createPointSpreadWeights();
+}
+
+geneExpressionEssentials.register( 'FluorescenceMicroscope', FluorescenceMicroscope );
+
+inherit( Object, FluorescenceMicroscope, {
+
+  /**
+   * Take a picture of the given cells with the current exposure and gain.
+   * @param {Array.<Cell>} cells
+   * @returns {{bounds: Bounds2, width: number, height: number, grayLevels: Uint8ClampedArray}} - the area of the
+   * model that the picture covers, its size in pixels, and the gray level of each pixel in rows from the top
+   * @public
+   */
+  takePicture: function( cells ) {
+    const self = this;
+
+    // Forget the pixels of cells that are gone, e.g. replaced by the daughters of dividing cells.
+    const cellPixels = new Map();
+    cells.forEach( function( cell ) {
+      cellPixels.set( cell, self.cellPixels.get( cell ) || getCellPixels( cell ) );
+    } );
+    this.cellPixels = cellPixels;
+
+    // Find the grid area of the picture, which covers the cells with a margin around them.
+    const marginPixels = Math.ceil( MARGIN / PIXEL_SIZE );
+    let minX = Number.POSITIVE_INFINITY;
+    let minY = Number.POSITIVE_INFINITY;
+    let maxX = Number.NEGATIVE_INFINITY;
+    let maxY = Number.NEGATIVE_INFINITY;
+    cellPixels.forEach( function( pixels ) {
+      minX = Math.min( minX, _.min( pixels.xs ) );
+      minY = Math.min( minY, _.min( pixels.ys ) );
+      maxX = Math.max( maxX, _.max( pixels.xs ) );
+      maxY = Math.max( maxY, _.max( pixels.ys ) );
+    } );
+    if ( cells.length === 0 ) {
+      minX = minY = maxX = maxY = 0;
+    }
+    minX -= marginPixels;
+    minY -= marginPixels;
+    maxX += marginPixels;
+    maxY += marginPixels;
+    const width = maxX - minX + 1;
+    const height = maxY - minY + 1;
+
+    // Spread the protein molecules of each cell evenly over its pixels. The rows go from the top of the model down.
+    let image = new Float64Array( width * height );
+    cells.forEach( function( cell ) {
+      const pixels = cellPixels.get( cell );
+      const proteinsPerPixel = cell.proteinCount.get() / pixels.xs.length;
+      for ( let i = 0; i < pixels.xs.length; i++ ) {
+        image[ ( maxY - pixels.ys[ i ] ) * width + pixels.xs[ i ] - minX ] += proteinsPerPixel;
+      }
+    } );
+
+    // The point spread function is separable, so it is applied to the rows and then the columns.
+    image = convolve( image, width, this.pointSpreadWeights, 1, width );
+    image = convolve( image, width, this.pointSpreadWeights, width, height );
+
+    const exposureTime = this.exposureTimeProperty.get();
+    const gain = this.gainProperty.get();
+    const grayLevels = new Uint8ClampedArray( width * height );
+    for ( let i = 0; i < image.length; i++ ) {
+      const meanPhotons = exposureTime *
+                          ( image[ i ] * PHOTONS_PER_PROTEIN_PER_SECOND + BACKGROUND_PHOTONS_PER_SECOND );
+      const photons = SamplingUtils.nextPoisson( this.random, meanPhotons );
+      grayLevels[ i ] = Math.min( Utils.roundSymmetric( photons * gain ), MAX_GRAY_LEVEL );
+    }
+
+    return {
+      bounds: new Bounds2( minX * PIXEL_SIZE, minY * PIXEL_SIZE, ( maxX + 1 ) * PIXEL_SIZE, ( maxY + 1 ) * PIXEL_SIZE ),
+      width: width,
+      height: height,
+      grayLevels: grayLevels
+    };
+  },
+
+  /**
+   * @public
+   */
+  reset: function() {
+    this.exposureTimeProperty.reset();
+    this.gainProperty.reset();
+  }
+}, {
+
+  // statics
+  PixelSize: PIXEL_SIZE
+} );
+
+/**
+ * Get the pixels of the grid whose centers are inside a cell.
+ * @param {Cell} cell
+ * @returns {{xs: Array.<number>, ys: Array.<number>}}
+ */
+function getCellPixels( cell ) {
+
+  // The shape of the cell is centered on its position, see ColorChangingCellNode.
+  const shape = cell.getShape();
+  const offsetX = shape.bounds.centerX - cell.positionX;
+  const offsetY = shape.bounds.centerY - cell.positionY;
+  const cellBounds = shape.bounds.shifted( -offsetX, -offsetY );
+
+  const xs = [];
+  const ys = [];
+  const point = new Vector2( 0, 0 );
+  for ( let x = Math.floor( cellBounds.minX / PIXEL_SIZE ); x <= Math.floor( cellBounds.maxX / PIXEL_SIZE ); x++ ) {
+    for ( let y = Math.floor( cellBounds.minY / PIXEL_SIZE ); y <= Math.floor( cellBounds.maxY / PIXEL_SIZE ); y++ ) {
+      point.setXY( ( x + 0.5 ) * PIXEL_SIZE + offsetX, ( y + 0.5 ) * PIXEL_SIZE + offsetY );
+      if ( shape.containsPoint( point ) ) {
+        xs.push( x );
+        ys.push( y );
+      }
+    }
+  }
+  return { xs: xs, ys: ys };
+}
+
+/**
+ * @returns {Array.<number>} - weights of a Gaussian point spread function on the pixel grid, from the center outwards
+ */
+function createPointSpreadWeights() {
+  const sigmaPixels = POINT_SPREAD_SIGMA / PIXEL_SIZE;
+  const weights = _.range( Math.ceil( POINT_SPREAD_CUTOFF * sigmaPixels ) + 1 ).map( function( distance ) {
+    return Math.exp( -distance * distance / ( 2 * sigmaPixels * sigmaPixels ) );
+  } );
+  const total = weights[ 0 ] + 2 * _.sum( weights.slice( 1 ) );
+  return weights.map( function( weight ) { return weight / total; } );
+}
+
+/**
+ * Convolve an image along its rows or its columns with a symmetric kernel. Light that falls outside of the image is
+ * lost, as it is in a camera.
+ * @param {Float64Array} image
+ * @param {number} width
+ * @param {Array.<number>} weights - the kernel from its center outwards
+ * @param {number} stride - distance in the image between neighbors along the direction of the convolution, i.e. 1 for
+ * rows and the width for columns
+ * @param {number} length - number of pixels along the direction of the convolution
+ * @returns {Float64Array}
+ */
+function convolve( image, width, weights, stride, length ) {
+  const result = new Float64Array( image.length );
+  for ( let i = 0; i < image.length; i++ ) {
+    const position = stride === 1 ? i % width : Math.floor( i / width );
+    let sum = image[ i ] * weights[ 0 ];
+    for ( let distance = 1; distance < weights.length; distance++ ) {
+      if ( position - distance >= 0 ) {
+        sum += image[ i - distance * stride ] * weights[ distance ];
+      }
+      if ( position + distance < length ) {
+        sum += image[ i + distance * stride ] * weights[ distance ];
+      }
+    }
+    result[ i ] = sum;
+  }
+  return result;
+}
+
+export default FluorescenceMicroscope;
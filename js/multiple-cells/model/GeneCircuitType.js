@@ -0,0 +1,21 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Enumeration of the gene circuits that can be simulated by CellProteinSynthesisSimulator.
+ *
+ * SINGLE_GENE - one gene, optionally regulating itself, see AutoregulationType
+ * TOGGLE_SWITCH - two genes that repress each other, after Gardner, Cantor and Collins, 2000. Each cell settles into a
+ *                 state in which one of the proteins is high and the other is low.
+ * REPRESSILATOR - three genes that repress each other in a ring, after Elowitz and Leibler, 2000. The levels of the
+ *                 proteins oscillate, each one out of phase with the others.
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+const GeneCircuitType = Enumeration.byKeys( [ 'SINGLE_GENE', 'TOGGLE_SWITCH', 'REPRESSILATOR' ] );
+
+geneExpressionEssentials.register( 'GeneCircuitType', GeneCircuitType );
+export default GeneCircuitType;
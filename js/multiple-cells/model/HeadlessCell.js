@@ -0,0 +1,363 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The part of a cell on the "Multiple Cells" screen that determines how its molecule counts change over time, i.e. its
+ * protein synthesis simulator, its extrinsic variation, and its growth and division, without the shape or the
+ * Properties that the view uses. Cell delegates to this, and since it depends on nothing that needs a browser, it can
+ * also be run under plain Node, see CellTimeCourse.
+ *
+ * @author John Blanco
+ * @author Aadish Gupta
+ * @author agent
+ */
+
+import Random from '../../../../dot/js/Random.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import CellProteinSynthesisSimulator from './CellProteinSynthesisSimulator.js';
+
+// constants
+
+// Time from the birth of a cell to its division when growth is enabled, in seconds. The cell doubles in volume over
+// this time. This is shorter than for real bacteria, so that the effects of growth and division can be seen quickly.
+const CELL_CYCLE_DURATION = 5;
+
+// Number of ribosomes in each cell, before any extrinsic variability is applied.
+const RIBOSOME_COUNT = 100;
+
+// The simulator's unit of time is a millisecond, so the time step is multiplied in order to get the model to run at
+// the desired rate.
+const SIMULATOR_TIME_SCALE = 1000;
+
+// Number of reactions that a cell may simulate one at a time in a frame of 1/60 s when automatic switching to
+// tau-leaping is enabled. The direct method takes roughly a microsecond per reaction, so this keeps the 90 cells of the
+// Multiple Cells screen within about 10 ms per frame.
+const MAX_REACTIONS_PER_FRAME = 100;
+
+// Total reaction propensity of a cell, per unit of simulator time, above which it switches to tau-leaping when
+// automatic switching is enabled, which is 6 for the reactions above. Measured over all of the combinations of the
+// ends of the slider ranges, the largest steady-state propensity of a single gene, with or without autoregulation, is
+// about 1.5, so it only switches during bursts, e.g. of mRNA degradation when that rate is raised from its minimum to
+// its maximum, which reaches about 20. The toggle switch and the repressilator peak at about 8 with the default
+// parameters and 20 at the ends of the ranges, so they switch at times in steady state too.
+const TAU_LEAPING_PROPENSITY_THRESHOLD = MAX_REACTIONS_PER_FRAME / ( SIMULATOR_TIME_SCALE / 60 );
+
+// Relative change in the response of a cell to the signal below which it isn't passed on to the simulator. Setting a
+// rate makes the simulator recompute the times of all of its reactions, which is too costly to do for every cell on
+// every step while the signal changes slowly, and a change this small has no visible effect on the cell.
+const SIGNAL_RESPONSE_TOLERANCE = 0.01;
+
+// Parameters of the protein synthesis simulator that vary from cell to cell when extrinsic variability is enabled. The
+// names are those of species, for counts that must be whole numbers, or of reactions, for rates, which are set for
+// every gene of a multi-gene circuit.
+const VARIED_PARAMETERS = {
+  ribosome: { isCount: true },
+  polymerase: { isCount: true },
+  proteinDegradation: { isCount: false },
+  messengerRnaDegradation: { isCount: false }
+};
+
+/**
+ * @param {number} [randomSeed] seed for the cell's own random number stream, if omitted the sim's shared random number
+ * generator is used
+ * @constructor
+ */
+function HeadlessCell( randomSeed ) {
+  const self = this;
+
+  // @public {number|null} - ID of the cell in its population, assigned by CellLineage, null if it isn't in one
+  this.id = null;
+
+  // @public (read-only) - the simulator in which the protein synthesis is modeled
+  this.proteinSynthesisSimulator = new CellProteinSynthesisSimulator( RIBOSOME_COUNT, {
+    random: randomSeed === undefined ? null : new Random( { seed: randomSeed } )
+  } );
+
+  // @private {Object.<string, number>} - values of the varied parameters as set by the clients of this cell, before the
+  // cell's own variation is applied
+  this.nominalParameterValues = {
+    ribosome: RIBOSOME_COUNT,
+    polymerase: this.proteinSynthesisSimulator.getCount( 'polymerase' ),
+    proteinDegradation: CellProteinSynthesisSimulator.DefaultProteinDegradationRate,
+    messengerRnaDegradation: CellProteinSynthesisSimulator.DefaultMRNADegradationRate
+  };
+
+  // @private {Object.<string, number>} - a standard normal deviate for each varied parameter, drawn once when the cell
+  // is created. Each parameter is multiplied by exp( spread * deviate ), so it is lognormally distributed across the
+  // population, and changing the spread scales this cell's variation rather than drawing a new one.
+  this.parameterDeviates = {};
+  Object.keys( VARIED_PARAMETERS ).forEach( function( name ) {
+    self.parameterDeviates[ name ] = self.proteinSynthesisSimulator.random.nextGaussian();
+  } );
+
+  // @private {number} - standard deviation of the logarithm of the varied parameters, zero for no variation
+  this.parameterSpread = 0;
+
+  // @private {number} - rate at which the transcription factor binds to the genes as set by the clients of this cell,
+  // and the factor by which cell-cell signaling multiplies it, see SignalField
+  this.transcriptionFactorAssociationRate = CellProteinSynthesisSimulator.DefaultTFAssociationProbability;
+  this.signalResponse = 1;
+
+  // @private {boolean} - whether the cell grows and divides
+  this.growing = false;
+
+  // @private {number} - time since the cell was born, in seconds. The initial cells start at random points in the cell
+  // cycle so that they don't all divide at once.
+  this.age = this.proteinSynthesisSimulator.random.nextDouble() * CELL_CYCLE_DURATION;
+}
+
+geneExpressionEssentials.register( 'HeadlessCell', HeadlessCell );
+
+inherit( Object, HeadlessCell, {
+
+  /**
+   * @param {number} dt - in seconds
+   * @public
+   */
+  step: function( dt ) {
+    if ( this.growing ) {
+      this.age += dt;
+      this.proteinSynthesisSimulator.setVolume( Math.pow( 2, this.age / CELL_CYCLE_DURATION ) );
+    }
+    this.proteinSynthesisSimulator.step( dt * SIMULATOR_TIME_SCALE );
+  },
+
+  /**
+   * Set whether the cell grows and divides. When growth is turned off, the cell returns to its birth volume.
+   * @param {boolean} growing
+   * @public
+   */
+  setGrowing: function( growing ) {
+    this.growing = growing;
+    this.proteinSynthesisSimulator.setVolume( growing ? Math.pow( 2, this.age / CELL_CYCLE_DURATION ) : 1 );
+  },
+
+  /**
+   * @returns {boolean} - true if the cell has reached the end of its cycle and should be divided
+   * @public
+   */
+  isReadyToDivide: function() {
+    return this.growing && this.age >= CELL_CYCLE_DURATION;
+  },
+
+  /**
+   * Divide this cell, splitting its molecules with a new daughter cell. Both cells start a new cycle, and the daughter
+   * has the same parameters as this cell, including its extrinsic variation.
+   * @param {number} randomSeed - seed for the daughter's random number stream
+   * @returns {HeadlessCell} the daughter
+   * @public
+   */
+  divide: function( randomSeed ) {
+    const daughter = new HeadlessCell( randomSeed );
+    daughter.proteinSynthesisSimulator = this.proteinSynthesisSimulator.divide(
+      daughter.proteinSynthesisSimulator.random
+    );
+    daughter.nominalParameterValues = merge( {}, this.nominalParameterValues );
+    daughter.parameterDeviates = merge( {}, this.parameterDeviates );
+    daughter.parameterSpread = this.parameterSpread;
+    daughter.transcriptionFactorAssociationRate = this.transcriptionFactorAssociationRate;
+    daughter.signalResponse = this.signalResponse;
+    daughter.growing = this.growing;
+    daughter.age = 0;
+    this.age = 0;
+    return daughter;
+  },
+
+  /**
+   * @param {number} tfCount
+   * @public
+   */
+  setTranscriptionFactorCount: function( tfCount ) {
+    this.proteinSynthesisSimulator.setTranscriptionFactorCount( tfCount );
+  },
+
+  /**
+   * @param {number} polymeraseCount
+   * @public
+   */
+  setPolymeraseCount: function( polymeraseCount ) {
+    this.setNominalParameterValue( 'polymerase', polymeraseCount );
+  },
+
+  /**
+   * @param {number} newRate
+   * @public
+   */
+  setGeneTranscriptionFactorAssociationRate: function( newRate ) {
+    assert && assert( CellProteinSynthesisSimulator.TFAssociationProbabilityRange.contains( newRate ) );
+    this.transcriptionFactorAssociationRate = newRate;
+    this.applyTranscriptionFactorAssociationRate();
+  },
+
+  /**
+   * Set the factor by which the signal that reaches this cell multiplies the rate at which the transcription factor
+   * binds to its genes. The result may be outside of the range of the rates that can be set directly. Changes that are
+   * smaller than SIGNAL_RESPONSE_TOLERANCE are ignored, except for a return to no effect, so that the rate is exactly
+   * the nominal one when signaling is turned off.
+   * @param {number} signalResponse - one for no effect
+   * @public
+   */
+  setSignalResponse: function( signalResponse ) {
+    if ( signalResponse === this.signalResponse ||
+         ( signalResponse !== 1 &&
+           Math.abs( signalResponse - this.signalResponse ) < SIGNAL_RESPONSE_TOLERANCE * this.signalResponse ) ) {
+      return;
+    }
+    this.signalResponse = signalResponse;
+    this.applyTranscriptionFactorAssociationRate();
+  },
+
+  /**
+   * @param {number} newRate
+   * @public
+   */
+  setPolymeraseAssociationRate: function( newRate ) {
+    this.proteinSynthesisSimulator.setPolymeraseAssociationRate( newRate );
+  },
+
+  /**
+   * @param {number} newRate
+   * @public
+   */
+  setRNARibosomeAssociationRate: function( newRate ) {
+    this.proteinSynthesisSimulator.setRNARibosomeAssociationRate( newRate );
+  },
+
+  /**
+   * @param {number} newRate
+   * @public
+   */
+  setProteinDegradationRate: function( newRate ) {
+    assert && assert( CellProteinSynthesisSimulator.ProteinDegradationRange.contains( newRate ) );
+    this.setNominalParameterValue( 'proteinDegradation', newRate );
+  },
+
+  /**
+   * @param {number} mRnaDegradationRate
+   * @public
+   */
+  setMRnaDegradationRate: function( mRnaDegradationRate ) {
+    assert && assert( CellProteinSynthesisSimulator.MRNADegradationRateRange.contains( mRnaDegradationRate ) );
+    this.setNominalParameterValue( 'messengerRnaDegradation', mRnaDegradationRate );
+  },
+
+  /**
+   * @param {AutoregulationType} autoregulationType
+   * @public
+   */
+  setAutoregulationType: function( autoregulationType ) {
+    this.proteinSynthesisSimulator.setAutoregulationType( autoregulationType );
+  },
+
+  /**
+   * @param {number} newRate
+   * @public
+   */
+  setProteinBindingRate: function( newRate ) {
+    this.proteinSynthesisSimulator.setProteinBindingRate( newRate );
+  },
+
+  /**
+   * @param {GeneCircuitType} geneCircuitType
+   * @public
+   */
+  setGeneCircuitType: function( geneCircuitType ) {
+    this.proteinSynthesisSimulator.setGeneCircuitType( geneCircuitType );
+  },
+
+  /**
+   * @param {CellSolverType} solverType
+   * @public
+   */
+  setSolverType: function( solverType ) {
+    this.proteinSynthesisSimulator.setSolverType( solverType );
+  },
+
+  /**
+   * Set whether the cell switches to tau-leaping when its total propensity exceeds TAU_LEAPING_PROPENSITY_THRESHOLD.
+   * @param {boolean} automaticTauLeaping
+   * @public
+   */
+  setAutomaticTauLeaping: function( automaticTauLeaping ) {
+    this.proteinSynthesisSimulator.setTauLeapingThreshold(
+      automaticTauLeaping ? TAU_LEAPING_PROPENSITY_THRESHOLD : null
+    );
+  },
+
+  /**
+   * @returns {Object.<string, number>} map of species names to counts
+   * @public
+   */
+  getSpeciesCounts: function() {
+    return this.proteinSynthesisSimulator.getCounts();
+  },
+
+  /**
+   * @returns {Object.<string, number>} map of reaction names to rate constants, including this cell's variation
+   * @public
+   */
+  getRates: function() {
+    return this.proteinSynthesisSimulator.getRates();
+  },
+
+  /**
+   * Set the amount of extrinsic variability, i.e. how much this cell's ribosome and polymerase counts and degradation
+   * rates differ from the nominal values. The cell's deviation from the nominal values is fixed when the cell is
+   * created, so this only scales it.
+   * @param {number} parameterSpread - standard deviation of the logarithm of the parameters, zero for no variation
+   * @public
+   */
+  setParameterSpread: function( parameterSpread ) {
+    const self = this;
+    assert && assert( parameterSpread >= 0, 'invalid parameterSpread: ' + parameterSpread );
+    this.parameterSpread = parameterSpread;
+    Object.keys( VARIED_PARAMETERS ).forEach( function( name ) {
+      self.applyParameter( name );
+    } );
+  },
+
+  /**
+   * @param {string} name - name of one of the varied parameters
+   * @param {number} value
+   * @private
+   */
+  setNominalParameterValue: function( name, value ) {
+    this.nominalParameterValues[ name ] = value;
+    this.applyParameter( name );
+  },
+
+  /**
+   * @private
+   */
+  applyTranscriptionFactorAssociationRate: function() {
+    this.proteinSynthesisSimulator.setGeneRate(
+      'transcriptionFactorAssociation',
+      this.transcriptionFactorAssociationRate * this.signalResponse
+    );
+  },
+
+  /**
+   * Set the value of a varied parameter in the simulator, including this cell's variation.
+   * @param {string} name - name of one of the varied parameters
+   * @private
+   */
+  applyParameter: function( name ) {
+    const value = this.nominalParameterValues[ name ] *
+                  Math.exp( this.parameterSpread * this.parameterDeviates[ name ] );
+    if ( VARIED_PARAMETERS[ name ].isCount ) {
+      this.proteinSynthesisSimulator.setCount( name, Math.round( value ) );
+    }
+    else {
+      this.proteinSynthesisSimulator.setGeneRate( name, value );
+    }
+  }
+}, {
+
+  // statics
+  CellCycleDuration: CELL_CYCLE_DURATION,
+  RibosomeCount: RIBOSOME_COUNT,
+  SimulatorTimeScale: SIMULATOR_TIME_SCALE
+} );
+
+export default HeadlessCell;
@@ -0,0 +1,148 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A binary min-heap of a fixed set of items, each identified by an integer index, that supports changing the key of
+ * any item in O(log n) time. This is the "indexed priority queue" described by Gibson and Bruck (2000) for use with
+ * the next reaction method, where the items are reactions and the keys are the absolute times at which the reactions
+ * will next occur.
+ *
+ * @author agent
+ */
+
+import inherit from '../../../../phet-core/js/inherit.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+/**
+ * @param {Array.<number>} keys - initial key for each item, the item index is the index into this array
+ * @constructor
+ */
+function IndexedPriorityQueue( keys ) {
+
+  // @private {Array.<number>} - key for each item, indexed by item
+  this.keys = keys.slice();
+
+  // @private {Array.<number>} - item indices arranged as a binary heap, so heap[ 0 ] is the item with the lowest key
+  this.heap = [];
+
+  // @private {Array.<number>} - position in the heap of each item, indexed by item
+  this.positions = [];
+
+  for ( let i = 0; i < this.keys.length; i++ ) {
+    this.heap.push( i );
+    this.positions.push( i );
+  }
+
+  // heapify from the bottom up
+  for ( let i = Math.floor( this.heap.length / 2 ) - 1; i >= 0; i-- ) {
+    this.sink( i );
+  }
+}
+
+geneExpressionEssentials.register( 'IndexedPriorityQueue', IndexedPriorityQueue );
+
+inherit( Object, IndexedPriorityQueue, {
+
+  /**
+   * Get the index of the item with the lowest key.
+   * @returns {number}
+   * @public
+   */
+  getMinIndex: function() {
+    return this.heap[ 0 ];
+  },
+
+  /**
+   * Get the lowest key in the queue.
+   * @returns {number}
+   * @public
+   */
+  getMinKey: function() {
+    return this.keys[ this.heap[ 0 ] ];
+  },
+
+  /**
+   * @param {number} index
+   * @returns {number}
+   * @public
+   */
+  getKey: function( index ) {
+    return this.keys[ index ];
+  },
+
+  /**
+   * Change the key of the specified item and restore the heap ordering.
+   * @param {number} index
+   * @param {number} key
+   * @public
+   */
+  update: function( index, key ) {
+    const previousKey = this.keys[ index ];
+    this.keys[ index ] = key;
+    if ( key < previousKey ) {
+      this.swim( this.positions[ index ] );
+    }
+    else if ( key > previousKey ) {
+      this.sink( this.positions[ index ] );
+    }
+  },
+
+  /**
+   * Move the item at the given heap position up until its parent has a lower key.
+   * @param {number} position
+   * @private
+   */
+  swim: function( position ) {
+    while ( position > 0 ) {
+      const parent = Math.floor( ( position - 1 ) / 2 );
+      if ( this.keys[ this.heap[ parent ] ] <= this.keys[ this.heap[ position ] ] ) {
+        break;
+      }
+      this.swap( position, parent );
+      position = parent;
+    }
+  },
+
+  /**
+   * Move the item at the given heap position down until both of its children have higher keys.
+   * @param {number} position
+   * @private
+   */
+  sink: function( position ) {
+    let child = this.getLowerChild( position );
+    while ( child !== null && this.keys[ this.heap[ child ] ] < this.keys[ this.heap[ position ] ] ) {
+      this.swap( position, child );
+      position = child;
+      child = this.getLowerChild( position );
+    }
+  },
+
+  /**
+   * @param {number} position
+   * @returns {number|null} heap position of the child of the given position with the lower key, null if it has none
+   * @private
+   */
+  getLowerChild: function( position ) {
+    const left = 2 * position + 1;
+    const right = left + 1;
+    if ( left >= this.heap.length ) {
+      return null;
+    }
+    return right < this.heap.length && this.keys[ this.heap[ right ] ] < this.keys[ this.heap[ left ] ] ? right : left;
+  },
+
+  /**
+   * @param {number} positionA
+   * @param {number} positionB
+   * @private
+   */
+  swap: function( positionA, positionB ) {
+    const itemA = this.heap[ positionA ];
+    const itemB = this.heap[ positionB ];
+    this.heap[ positionA ] = itemB;
+    this.heap[ positionB ] = itemA;
+    this.positions[ itemA ] = positionB;
+    this.positions[ itemB ] = positionA;
+  }
+} );
+
+export default IndexedPriorityQueue;
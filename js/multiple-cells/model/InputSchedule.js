@@ -0,0 +1,206 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A program of changes to the parameters of the Multiple Cells model over time, such as a step of the transcription
+ * factor level up and back down, or a sinusoidal mRNA degradation rate. The schedule of each parameter is a list of
+ * segments, see InputSegmentType, which are applied in the order of their start times, each starting from the value
+ * left by the ones before it. Times are in seconds from the start of the schedule.
+ *
+ * The times at which the segments start and end are the edges of the schedule, which are marked on the chart so that
+ * the response of the cells to them can be seen.
+ *
+ * @author agent
+ */
+
+import inherit from '../../../../phet-core/js/inherit.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import InputSegmentType from './InputSegmentType.js';
+
+// constants
+
+// names of the fields that each type of segment must have, besides the type
+const REQUIRED_FIELDS = {};
+REQUIRED_FIELDS[ InputSegmentType.STEP ] = [ 'time', 'value' ];
+REQUIRED_FIELDS[ InputSegmentType.PULSE ] = [ 'startTime', 'endTime', 'value' ];
+REQUIRED_FIELDS[ InputSegmentType.RAMP ] = [ 'startTime', 'endTime', 'value' ];
+REQUIRED_FIELDS[ InputSegmentType.SINE ] = [ 'startTime', 'amplitude', 'period' ];
+
+/**
+ * @param {Object.<string, Array.<Object>>} segmentLists - the segments of the schedule of each parameter, keyed by the
+ * name of the parameter. Each segment has a type, which is an InputSegmentType, and the fields for that type:
+ *   STEP: time, value
+ *   PULSE and RAMP: startTime, endTime, value
+ *   SINE: startTime, endTime (optional, forever if omitted), amplitude (fraction of the previous value), period
+ * @constructor
+ */
+function InputSchedule( segmentLists ) {
+
+  // @private {Object.<string, Array.<Object>>} - the segments of each parameter, sorted by start time
+  this.segmentLists = {};
+
+  const self = this;
+  Object.keys( segmentLists ).forEach( function( parameterName ) {
+    segmentLists[ parameterName ].forEach( function( segment ) {
+      assert && assert( InputSegmentType.includes( segment.type ), 'invalid segment type: ' + segment.type );
+      assert && REQUIRED_FIELDS[ segment.type ].forEach( function( field ) {
+        assert( typeof segment[ field ] === 'number', 'segment of ' + parameterName + ' is missing ' + field );
+      } );
+      assert && assert( segment.type !== InputSegmentType.SINE || segment.endTime === undefined ||
+                        typeof segment.endTime === 'number', 'the end time of a sine must be a number if given' );
+      assert && assert( getEndTime( segment ) >= getStartTime( segment ), 'segment ends before it starts' );
+    } );
+    self.segmentLists[ parameterName ] = _.sortBy( segmentLists[ parameterName ], getStartTime );
+  } );
+}
+
+geneExpressionEssentials.register( 'InputSchedule', InputSchedule );
+
+inherit( Object, InputSchedule, {
+
+  /**
+   * @returns {Array.<string>} - the names of the parameters that the schedule changes
+   * @public
+   */
+  getParameterNames: function() {
+    return Object.keys( this.segmentLists );
+  },
+
+  /**
+   * Get the value of a parameter at a time.
+   * @param {string} parameterName
+   * @param {number} time - in seconds from the start of the schedule
+   * @param {number} initialValue - value of the parameter before the schedule changes it
+   * @returns {number}
+   * @public
+   */
+  getValue: function( parameterName, time, initialValue ) {
+    let value = initialValue;
+    const segments = this.segmentLists[ parameterName ];
+    for ( let i = 0; i < segments.length && getStartTime( segments[ i ] ) <= time; i++ ) {
+      const segment = segments[ i ];
+      const inSegment = time < getEndTime( segment );
+      if ( segment.type === InputSegmentType.STEP ) {
+        value = segment.value;
+      }
+      else if ( segment.type === InputSegmentType.PULSE ) {
+        value = inSegment ? segment.value : value;
+      }
+      else if ( segment.type === InputSegmentType.RAMP ) {
+        value = inSegment ?
+                value + ( segment.value - value ) * ( time - segment.startTime ) /
+                ( segment.endTime - segment.startTime ) :
+                segment.value;
+      }
+      else if ( inSegment ) {
+        value = value * ( 1 + segment.amplitude * Math.sin( 2 * Math.PI * ( time - segment.startTime ) /
+                                                                segment.period ) );
+      }
+    }
+    return value;
+  },
+
+  /**
+   * Get the times at which the segments start and end, i.e. at which the parameters start to change or stop changing.
+   * @returns {Array.<{time: number, parameterName: string}>} - in order of time
+   * @public
+   */
+  getEdges: function() {
+    const edges = [];
+    const self = this;
+    this.getParameterNames().forEach( function( parameterName ) {
+      self.segmentLists[ parameterName ].forEach( function( segment ) {
+        edges.push( { time: getStartTime( segment ), parameterName: parameterName } );
+        if ( getEndTime( segment ) !== getStartTime( segment ) && getEndTime( segment ) < Number.POSITIVE_INFINITY ) {
+          edges.push( { time: getEndTime( segment ), parameterName: parameterName } );
+        }
+      } );
+    } );
+    return _.sortBy( edges, 'time' );
+  }
+}, {
+
+  /**
+   * Create a schedule from its description in JSON, in which the types of the segments are given by their names, e.g.
+   * {"transcriptionFactorLevel":[{"type":"PULSE","startTime":20,"endTime":60,"value":10000}]}
+   * Everything that the constructor asserts is checked here with real errors, since the JSON comes from the user.
+   * @param {string} json
+   * @param {Array.<string>} parameterNames - names of the parameters that can be scheduled
+   * @returns {InputSchedule}
+   * @throws {Error} if the description isn't valid
+   * @public
+   */
+  fromJSON: function( json, parameterNames ) {
+    let segmentLists;
+    try {
+      segmentLists = JSON.parse( json );
+    }
+    catch( error ) {
+      throw new Error( 'the input schedule is not valid JSON: ' + error.message );
+    }
+    if ( !segmentLists || typeof segmentLists !== 'object' || Array.isArray( segmentLists ) ) {
+      throw new Error( 'the input schedule must be an object with a list of segments for each parameter' );
+    }
+    Object.keys( segmentLists ).forEach( function( parameterName ) {
+      if ( parameterNames.indexOf( parameterName ) === -1 ) {
+        throw new Error( 'unknown parameter: ' + parameterName + ', it must be one of ' + parameterNames.join( ', ' ) );
+      }
+      if ( !Array.isArray( segmentLists[ parameterName ] ) ) {
+        throw new Error( 'the schedule of ' + parameterName + ' must be a list of segments' );
+      }
+      segmentLists[ parameterName ] = segmentLists[ parameterName ].map( function( segment ) {
+        const type = segment ? InputSegmentType[ segment.type ] : undefined;
+        if ( !InputSegmentType.includes( type ) ) {
+          throw new Error( 'invalid segment type for ' + parameterName + ': ' + ( segment && segment.type ) );
+        }
+        REQUIRED_FIELDS[ type ].forEach( function( field ) {
+          if ( !isFiniteNumber( segment[ field ] ) ) {
+            throw new Error( 'a ' + segment.type + ' segment of ' + parameterName + ' must have a number for ' +
+                             field );
+          }
+        } );
+        if ( type === InputSegmentType.SINE ) {
+          if ( segment.endTime !== undefined && !isFiniteNumber( segment.endTime ) ) {
+            throw new Error( 'the endTime of a SINE segment of ' + parameterName + ' must be a number if it is given' );
+          }
+          if ( segment.period <= 0 ) {
+            throw new Error( 'the period of a SINE segment of ' + parameterName + ' must be positive' );
+          }
+        }
+        const typedSegment = _.assign( {}, segment, { type: type } );
+        if ( getEndTime( typedSegment ) < getStartTime( typedSegment ) ) {
+          throw new Error( 'a ' + segment.type + ' segment of ' + parameterName + ' ends before it starts' );
+        }
+        return typedSegment;
+      } );
+    } );
+    return new InputSchedule( segmentLists );
+  }
+} );
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isFiniteNumber( value ) {
+  return typeof value === 'number' && isFinite( value );
+}
+
+/**
+ * @param {Object} segment
+ * @returns {number}
+ */
+function getStartTime( segment ) {
+  return segment.type === InputSegmentType.STEP ? segment.time : segment.startTime;
+}
+
+/**
+ * @param {Object} segment
+ * @returns {number} - infinite for a sine that doesn't end
+ */
+function getEndTime( segment ) {
+  return segment.type === InputSegmentType.STEP ? segment.time :
+         segment.endTime === undefined ? Number.POSITIVE_INFINITY :
+         segment.endTime;
+}
+
+export default InputSchedule;
@@ -0,0 +1,23 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Enumeration of the kinds of segments of which an InputSchedule is made. Each segment starts from the value that the
+ * parameter had before it, which is called the previous value here.
+ *
+ * STEP - the parameter changes to a value at a time, and keeps it
+ * PULSE - the parameter changes to a value at a start time, and returns to the previous value at an end time
+ * RAMP - the parameter changes linearly from the previous value to a value between a start time and an end time, and
+ *        keeps it
+ * SINE - the parameter oscillates around the previous value between a start time and an optional end time, with an
+ *        amplitude that is a fraction of the previous value, so that it stays positive
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+const InputSegmentType = Enumeration.byKeys( [ 'STEP', 'PULSE', 'RAMP', 'SINE' ] );
+
+geneExpressionEssentials.register( 'InputSegmentType', InputSegmentType );
+export default InputSegmentType;
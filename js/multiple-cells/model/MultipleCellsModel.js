@@ -7,19 +7,45 @@
  * @author Aadish Gupta
  */
 
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
 import createObservableArray from '../../../../axon/js/createObservableArray.js';
+import Emitter from '../../../../axon/js/Emitter.js';
 import Property from '../../../../axon/js/Property.js';
 import Bounds2 from '../../../../dot/js/Bounds2.js';
 import Random from '../../../../dot/js/Random.js';
+import Range from '../../../../dot/js/Range.js';
 import inherit from '../../../../phet-core/js/inherit.js';
+import GEEQueryParameters from '../../common/GEEQueryParameters.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import AutoregulationType from './AutoregulationType.js';
 import Cell from './Cell.js';
+import CellDataRecorder from './CellDataRecorder.js';
+import CellLineage from './CellLineage.js';
+import CellParameters from './CellParameters.js';
 import CellProteinSynthesisSimulator from './CellProteinSynthesisSimulator.js';
+import CellSolverType from './CellSolverType.js';
+import FluorescenceMicroscope from './FluorescenceMicroscope.js';
+import GeneCircuitType from './GeneCircuitType.js';
+import InputSchedule from './InputSchedule.js';
+import ParameterSweep from './ParameterSweep.js';
+import PopulationStatistics from './PopulationStatistics.js';
+import SignalField from './SignalField.js';
 
 // constants
-const MAX_CELLS = 90;
+const MAX_CELLS = CellLineage.PopulationSize;
 const NOMINAL_TIME_STEP = 1 / 60; // standard frame rate of browsers
 
+// Range of the cell-to-cell parameter spread, which is the standard deviation of the logarithm of the parameters that
+// vary between cells. At the maximum, about two thirds of the cells are within a factor of 1.65 of the nominal values.
+const PARAMETER_SPREAD_RANGE = new Range( 0, 0.5 );
+
+// maximum number of cells that the user can select to have their protein and mRNA levels plotted individually
+const MAX_TRACKED_CELLS = 4;
+
+// wall-clock time after which the parameter sweep stops running on each step, in milliseconds, which leaves most of a
+// frame for the cells and the view
+const PARAMETER_SWEEP_TIME_PER_STEP = 5;
+
 const boundingShapeWidth = Cell.DefaultCellSize.width * 20;
 const boundingShapeHeight = boundingShapeWidth * 0.35;
 const bounds = new Bounds2(
@@ -33,6 +59,13 @@ const bounds = new Bounds2(
 const POSITION_RANDOMIZER_SEED = 226;
 const SIZE_AND_ORIENTATION_RANDOMIZER_SEED = 25214903912;
 
+// map of the values of the cellSolver query parameter to solver types
+const QUERY_PARAMETER_SOLVER_TYPES = {
+  direct: CellSolverType.DIRECT,
+  nextReaction: CellSolverType.NEXT_REACTION,
+  tauLeaping: CellSolverType.TAU_LEAPING
+};
+
 /**
  * @constructor
  */
@@ -68,9 +101,73 @@ function MultipleCellsModel() {
   );
   this.mRnaDegradationRateProperty = new Property( CellProteinSynthesisSimulator.DefaultMRNADegradationRate, { reentrant: true } );
 
+  // @public - the circuit of genes in each cell, which is a single gene by default
+  this.geneCircuitTypeProperty = new Property( GeneCircuitType.SINGLE_GENE, {
+    validValues: GeneCircuitType.VALUES
+  } );
+
+  // Properties that control whether and how the protein regulates its own gene when there is a single gene, and how
+  // strongly it binds to the gene when it does.
+  // @public
+  this.autoregulationTypeProperty = new Property( AutoregulationType.NONE, {
+    validValues: AutoregulationType.VALUES
+  } );
+  this.proteinBindingRateProperty = new Property( CellProteinSynthesisSimulator.DefaultProteinBindingRate );
+
+  // Property that controls how much the ribosome and polymerase counts and degradation rates vary from cell to cell,
+  // i.e. the amount of extrinsic noise. Zero means that all cells have the same parameters, so that all of the
+  // variation between them is intrinsic noise.
+  // @public
+  this.parameterSpreadProperty = new Property( 0 );
+
+  // @public - whether the cells grow and divide. When they do, each daughter replaces another cell of the population,
+  // see CellLineage.divideCells.
+  this.cellDivisionEnabledProperty = new BooleanProperty( GEEQueryParameters.cellDivision );
+
+  // @public (read-only) - emits when a cell in cellList is replaced by a new one as the result of a division, with the
+  // old cell and the new one as arguments
+  this.cellReplacedEmitter = new Emitter( {
+    parameters: [ { valueType: Cell }, { valueType: Cell } ]
+  } );
+
+  // @public {Property.<CellSolverType>} - algorithm used to simulate the cells, all cells use the same one
+  this.solverTypeProperty = new Property( QUERY_PARAMETER_SOLVER_TYPES[ GEEQueryParameters.cellSolver ], {
+    validValues: CellSolverType.VALUES
+  } );
+
+  // @public - whether the cells signal to each other with a diffusible molecule, see SignalField
+  this.signalingEnabledProperty = new BooleanProperty( false );
+
+  // @public (read-only) - the signal that the visible cells secrete, which covers the area where the cells are placed
+  this.signalField = new SignalField( bounds );
+
+  // @public - whether cells switch to tau-leaping when their total propensity exceeds a threshold, see HeadlessCell,
+  // which keeps the frame rate up when the reaction rates are high
+  this.automaticTauLeapingProperty = new BooleanProperty( GEEQueryParameters.autoTauLeaping );
+
   // Property that tracks the average protein level of all the cells.
   this.averageProteinLevelProperty = new Property( 0.0 ); // @public( read-only )
 
+  // Statistics of the protein and mRNA counts of the visible cells, which quantify the noise in gene expression.
+  // @public (read-only)
+  this.proteinStatistics = new PopulationStatistics();
+  this.messengerRnaStatistics = new PopulationStatistics();
+
+  // Property that tracks the average over the visible cells of the fraction of the genes that have a transcription
+  // factor bound to them.
+  this.averageBoundGeneFractionProperty = new Property( 0.0 ); // @public( read-only )
+
+  // Property that tracks the protein level predicted by the deterministic rate equations for the same parameters, i.e.
+  // the level that the cells would have in the absence of noise.
+  this.deterministicProteinLevelProperty = new Property( 0.0 ); // @public( read-only )
+
+  // Cells that the user has selected to be tracked, each in a slot that determines how it is depicted, or null for an
+  // empty slot. Only visible cells are tracked.
+  // @public (read-only) {Array.<Property.<Cell|null>>}
+  this.trackedCellProperties = _.times( MAX_TRACKED_CELLS, function() {
+    return new Property( null );
+  } );
+
   // Random number generators, used to vary the shape and position of the cells. Seeds are chosen empirically.
   // @private
   this.sizeAndRotationRandomizer = new Random( {
@@ -80,22 +177,49 @@ function MultipleCellsModel() {
     seed: POSITION_RANDOMIZER_SEED
   } );
 
+  // Supplies the seed of each cell's own random number stream, so that the behavior of each cell depends only on the
+  // master seed and not on what the other cells do, and chooses the cells that the daughters of divisions replace.
+  // @private
+  this.cellLineage = new CellLineage(
+    QueryStringMachine.containsKey( 'cellSeed' ) ? GEEQueryParameters.cellSeed : phet.joist.random.nextDouble()
+  );
+
   // Add the max number of cells to the list of invisible cells.
   while ( this.cellList.length < MAX_CELLS ) {
     var newCell;
     if ( this.cellList.length === 0 ) {
       // The first cell is centered and level.
-      newCell = new Cell( 0 );
+      newCell = new Cell( 0, undefined, this.cellLineage.createFounder() );
       newCell.positionX = 0;
       newCell.positionY = 0;
     }
     else {
-      newCell = new Cell( Math.PI * 2 * this.sizeAndRotationRandomizer.nextDouble() );
-      this.placeCellInOpenPosition( newCell );
+      newCell = new Cell(
+        Math.PI * 2 * this.sizeAndRotationRandomizer.nextDouble(),
+        undefined,
+        this.cellLineage.createFounder()
+      );
+      const placed = this.placeCellInOpenPosition( newCell );
+      assert && assert( placed, 'exited placement loop without having found open position' );
     }
     this.cellList.push( newCell );
   }
 
+  // A cell that is never shown, and whose protein synthesis is modeled deterministically, used to produce the
+  // mean-field counterpart of the stochastic cells. Its parameters are kept the same as those of the other cells.
+  // @private
+  this.deterministicCell = new Cell( 0 );
+  this.deterministicCell.setSolverType( CellSolverType.RATE_EQUATIONS );
+
+  // Stop tracking cells that are hidden, so that the cells that remain visible keep their slots.
+  this.visibleCellList.addItemRemovedListener( function( removedCell ) {
+    self.trackedCellProperties.forEach( function( trackedCellProperty ) {
+      if ( trackedCellProperty.get() === removedCell ) {
+        trackedCellProperty.set( null );
+      }
+    } );
+  } );
+
   // Hook up the property that controls the number of visible cells.
   this.numberOfVisibleCellsProperty.link( function( numVisibleCells ) {
     assert && assert( numVisibleCells >= 1 && numVisibleCells <= MAX_CELLS );
@@ -107,32 +231,164 @@ function MultipleCellsModel() {
     self.cellList.forEach( function( cell ) {
       cell.setTranscriptionFactorCount( transcriptionFactorLevel );
     } );
+    self.deterministicCell.setTranscriptionFactorCount( transcriptionFactorLevel );
   } );
 
   this.polymeraseAssociationProbabilityProperty.link( function( polymeraseAssociationProbability ) {
     self.cellList.forEach( function( cell ) {
       cell.setPolymeraseAssociationRate( polymeraseAssociationProbability );
     } );
+    self.deterministicCell.setPolymeraseAssociationRate( polymeraseAssociationProbability );
   } );
 
   this.transcriptionFactorAssociationProbabilityProperty.link( function( transcriptionFactorAssociationProbability ) {
     self.cellList.forEach( function( cell ) {
       cell.setGeneTranscriptionFactorAssociationRate( transcriptionFactorAssociationProbability );
     } );
+    self.deterministicCell.setGeneTranscriptionFactorAssociationRate( transcriptionFactorAssociationProbability );
   } );
 
   this.proteinDegradationRateProperty.link( function( proteinDegradationRate ) {
     self.cellList.forEach( function( cell ) {
       cell.setProteinDegradationRate( proteinDegradationRate );
     } );
+    self.deterministicCell.setProteinDegradationRate( proteinDegradationRate );
   } );
 
   this.mRnaDegradationRateProperty.link( function( mRnaDegradationRate ) {
     self.cellList.forEach( function( cell ) {
       cell.setMRnaDegradationRate( mRnaDegradationRate );
     } );
+    self.deterministicCell.setMRnaDegradationRate( mRnaDegradationRate );
+  } );
+
+  // The binding rate is set again after the network is changed, since the new network starts with its default rates.
+  this.autoregulationTypeProperty.link( function( autoregulationType ) {
+    const proteinBindingRate = self.proteinBindingRateProperty.get();
+    self.cellList.forEach( function( cell ) {
+      cell.setAutoregulationType( autoregulationType );
+      cell.setProteinBindingRate( proteinBindingRate );
+    } );
+    self.deterministicCell.setAutoregulationType( autoregulationType );
+    self.deterministicCell.setProteinBindingRate( proteinBindingRate );
   } );
 
+  // As above, the binding rate is set again in case the network for a single gene has been switched to.
+  this.geneCircuitTypeProperty.link( function( geneCircuitType ) {
+    const proteinBindingRate = self.proteinBindingRateProperty.get();
+    self.cellList.forEach( function( cell ) {
+      cell.setGeneCircuitType( geneCircuitType );
+      cell.setProteinBindingRate( proteinBindingRate );
+    } );
+    self.deterministicCell.setGeneCircuitType( geneCircuitType );
+    self.deterministicCell.setProteinBindingRate( proteinBindingRate );
+  } );
+
+  this.proteinBindingRateProperty.link( function( proteinBindingRate ) {
+    self.cellList.forEach( function( cell ) {
+      cell.setProteinBindingRate( proteinBindingRate );
+    } );
+    self.deterministicCell.setProteinBindingRate( proteinBindingRate );
+  } );
+
+  // The deterministic cell is left out, since it represents a cell with the nominal parameters.
+  this.parameterSpreadProperty.link( function( parameterSpread ) {
+    assert && assert( PARAMETER_SPREAD_RANGE.contains( parameterSpread ) );
+    self.cellList.forEach( function( cell ) {
+      cell.setParameterSpread( parameterSpread );
+    } );
+  } );
+
+  // The signal is cleared when signaling is turned off, so that it builds up from nothing when it's turned on again.
+  // The deterministic cell never responds to the signal, so it continues to represent a cell with the nominal
+  // parameters.
+  this.signalingEnabledProperty.link( function( signalingEnabled ) {
+    if ( !signalingEnabled ) {
+      self.signalField.clear();
+      self.cellList.forEach( function( cell ) {
+        cell.setSignalResponse( 1 );
+      } );
+    }
+  } );
+
+  // The deterministic cell doesn't grow, so it continues to represent a cell with the nominal parameters.
+  this.cellDivisionEnabledProperty.link( function( cellDivisionEnabled ) {
+    self.cellList.forEach( function( cell ) {
+      cell.setGrowing( cellDivisionEnabled );
+    } );
+  } );
+
+  this.solverTypeProperty.link( function( solverType ) {
+    self.cellList.forEach( function( cell ) {
+      cell.setSolverType( solverType );
+    } );
+  } );
+
+  this.automaticTauLeapingProperty.link( function( automaticTauLeaping ) {
+    self.cellList.forEach( function( cell ) {
+      cell.setAutomaticTauLeaping( automaticTauLeaping );
+    } );
+  } );
+
+  // @public (read-only) {Object.<string, Property.<number>>} - the Properties of the parameters in CellParameters,
+  // keyed by their names, which are also the names that input schedules and parameter sweeps use
+  this.cellParameterProperties = {};
+  Object.keys( CellParameters ).forEach( function( name ) {
+    self.cellParameterProperties[ name ] = self[ name + 'Property' ];
+  } );
+
+  // @public - records the counts in the visible cells for export
+  this.recorder = new CellDataRecorder( this );
+
+  // @public - takes synthetic micrographs of the visible cells
+  this.fluorescenceMicroscope = new FluorescenceMicroscope();
+
+  // @public (read-only) {Property.<InputSchedule|null>} - the program of parameter changes that is being applied
+  this.inputScheduleProperty = new Property( null );
+
+  // @private {number} - simulation time since the input schedule was started, in seconds
+  this.inputScheduleTime = 0;
+
+  // @private {Object.<string, number>} - values of the scheduled parameters when the schedule was started, which they
+  // are returned to when it's stopped
+  this.inputScheduleInitialValues = {};
+
+  // @private {Object.<string, number>} - values that the schedule last gave the parameters. The parameters are only set
+  // when these change, so that they can be adjusted with the sliders between the changes.
+  this.inputScheduleAppliedValues = {};
+
+  // @public - emits the name of a parameter when the input schedule passes one of the edges of its schedule
+  this.inputScheduleEdgeEmitter = new Emitter( {
+    parameters: [ { valueType: 'string' } ]
+  } );
+
+  // @private {InputSchedule|null} - schedule given by the inputSchedule query parameter, which is started whenever the
+  // cells have been brought to steady state. If the schedule isn't valid, there's a warning, and the screen works as if
+  // there were no schedule.
+  this.queryParameterInputSchedule = null;
+  if ( GEEQueryParameters.inputSchedule ) {
+    try {
+      this.queryParameterInputSchedule = InputSchedule.fromJSON(
+        GEEQueryParameters.inputSchedule,
+        Object.keys( CellParameters )
+      );
+    }
+    catch( error ) {
+      QueryStringMachine.addWarning( 'inputSchedule', GEEQueryParameters.inputSchedule, error.message );
+    }
+  }
+
+  // @private {ParameterSweep|null} - the parameter sweep that is running, if any
+  this.parameterSweep = null;
+
+  // @public (read-only) {Property.<number|null>} - fraction of the running parameter sweep that is done, null if none
+  // is running
+  this.parameterSweepProgressProperty = new Property( null );
+
+  // @public (read-only) {Property.<Object|null>} - results of the last parameter sweep that was completed, see
+  // ParameterSweep.getResults
+  this.parameterSweepResultsProperty = new Property( null );
+
   // Get the protein levels to steady state before depicting them to the user so that they don't start at zero.
   this.stepToSteadyState();
 }
@@ -148,6 +404,23 @@ inherit( Object, MultipleCellsModel, {
     if ( this.clockRunningProperty.get() ) {
       this.stepInTime( dt );
     }
+
+    // The parameter sweep doesn't involve the cells that are shown, so it runs whether or not the clock is running. As
+    // much of it is run on each step as fits in a fixed amount of time, so that the sim stays responsive.
+    if ( this.parameterSweep ) {
+      const startTime = Date.now();
+      do {
+        this.parameterSweep.step();
+      } while ( !this.parameterSweep.isComplete() && Date.now() - startTime < PARAMETER_SWEEP_TIME_PER_STEP );
+      if ( this.parameterSweep.isComplete() ) {
+        this.parameterSweepResultsProperty.set( this.parameterSweep.getResults() );
+        this.parameterSweep = null;
+        this.parameterSweepProgressProperty.set( null );
+      }
+      else {
+        this.parameterSweepProgressProperty.set( this.parameterSweep.getProgress() );
+      }
+    }
   },
 
   /**
@@ -155,25 +428,60 @@ inherit( Object, MultipleCellsModel, {
    * @public
    */
   stepInTime: function( dt ) {
-    // Step each of the cells.
-    // Update the average protein level. Note that only the visible cells are used for this calculation. This helps
-    // convey the concept that the more cells there are, the more even the average level is.
+    if ( GEEQueryParameters.fixedTimeStep ) {
+      dt = NOMINAL_TIME_STEP;
+    }
 
-    const self = this;
-    let totalProteinCount = 0;
+    this.stepInputSchedule( dt );
+
+    // Only the visible cells secrete the signal, so that it depends on the size of the population that the user sees,
+    // but all of the cells respond to it where they are.
+    if ( this.signalingEnabledProperty.get() ) {
+      const signalField = this.signalField;
+      signalField.step( dt, this.visibleCellList );
+      this.cellList.forEach( function( cell ) {
+        cell.setSignalResponse( signalField.getResponse( cell.positionX, cell.positionY ) );
+      } );
+    }
+
+    // Step each of the cells.
     this.cellList.forEach( function( cell ) {
       cell.step( dt );
-      if ( self.visibleCellList.includes( cell ) ) {
-        totalProteinCount += cell.proteinCount.get();
-      }
     } );
-    this.averageProteinLevelProperty.set( totalProteinCount / this.visibleCellList.length );
+
+    // Update the average protein level and the other statistics. Note that only the visible cells are used for this
+    // calculation. This helps convey the concept that the more cells there are, the more even the average level is.
+    const proteinCounts = [];
+    const messengerRnaCounts = [];
+    let totalBoundGeneFraction = 0;
+    this.visibleCellList.forEach( function( cell ) {
+      proteinCounts.push( cell.proteinCount.get() );
+      messengerRnaCounts.push( cell.messengerRnaCount.get() );
+      totalBoundGeneFraction += cell.boundGeneFraction.get();
+    } );
+    this.proteinStatistics.update( proteinCounts );
+    this.messengerRnaStatistics.update( messengerRnaCounts );
+    this.averageProteinLevelProperty.set( this.proteinStatistics.meanProperty.get() );
+    this.averageBoundGeneFractionProperty.set( totalBoundGeneFraction / this.visibleCellList.length );
+
+    if ( this.cellDivisionEnabledProperty.get() ) {
+      const self = this;
+      this.cellLineage.divideCells( this.cellList, function( daughter, replacedIndex ) {
+        self.replaceCell( replacedIndex, daughter );
+      } );
+    }
+
+    this.deterministicCell.step( dt );
+    this.deterministicProteinLevelProperty.set( this.deterministicCell.proteinCount.get() );
+
+    this.recorder.step( dt );
   },
 
   /**
    * @public
    */
   reset: function() {
+    this.stopInputSchedule();
 
     // Reset all the cell control parameters.
     this.numberOfVisibleCellsProperty.reset();
@@ -182,8 +490,21 @@ inherit( Object, MultipleCellsModel, {
     this.transcriptionFactorAssociationProbabilityProperty.reset();
     this.polymeraseAssociationProbabilityProperty.reset();
     this.mRnaDegradationRateProperty.reset();
+    this.geneCircuitTypeProperty.reset();
+    this.autoregulationTypeProperty.reset();
+    this.proteinBindingRateProperty.reset();
+    this.parameterSpreadProperty.reset();
+    this.cellDivisionEnabledProperty.reset();
+    this.signalingEnabledProperty.reset();
+    this.signalField.reset();
     this.clockRunningProperty.reset();
+    this.cancelParameterSweep();
+    this.parameterSweepResultsProperty.reset();
+    this.fluorescenceMicroscope.reset();
     this.setNumVisibleCells( this.numberOfVisibleCellsProperty.get() );
+    this.trackedCellProperties.forEach( function( trackedCellProperty ) {
+      trackedCellProperty.reset();
+    } );
 
     this.stepToSteadyState();
   },
@@ -197,6 +518,83 @@ inherit( Object, MultipleCellsModel, {
     for ( let i = 0; i < 1000; i++ ) {
       this.step( NOMINAL_TIME_STEP );
     }
+
+    // Start the recorder from scratch, so that its times start when the cells are shown to the user.
+    this.recorder.reset();
+
+    if ( this.queryParameterInputSchedule ) {
+      this.startInputSchedule( this.queryParameterInputSchedule );
+    }
+  },
+
+  /**
+   * Start applying an input schedule from its beginning, stopping the one that was being applied, if any.
+   * @param {InputSchedule} inputSchedule
+   * @public
+   */
+  startInputSchedule: function( inputSchedule ) {
+    this.stopInputSchedule();
+    const self = this;
+    this.inputScheduleInitialValues = {};
+    inputSchedule.getParameterNames().forEach( function( parameterName ) {
+      assert && assert( CellParameters[ parameterName ], 'unknown parameter: ' + parameterName );
+      self.inputScheduleInitialValues[ parameterName ] = self.cellParameterProperties[ parameterName ].get();
+    } );
+    this.inputScheduleAppliedValues = {};
+    this.inputScheduleTime = 0;
+    this.inputScheduleProperty.set( inputSchedule );
+  },
+
+  /**
+   * Stop applying the input schedule, if there is one, and return the parameters that it changed to the values that
+   * they had when it was started, unless they have been changed with the sliders since.
+   * @public
+   */
+  stopInputSchedule: function() {
+    const self = this;
+    if ( this.inputScheduleProperty.get() ) {
+      Object.keys( this.inputScheduleInitialValues ).forEach( function( parameterName ) {
+        const property = self.cellParameterProperties[ parameterName ];
+        if ( property.get() === self.inputScheduleAppliedValues[ parameterName ] ) {
+          property.set( self.inputScheduleInitialValues[ parameterName ] );
+        }
+      } );
+      this.inputScheduleProperty.set( null );
+    }
+  },
+
+  /**
+   * Advance the input schedule, if there is one, and set the parameters to their scheduled values.
+   * @param {number} dt
+   * @private
+   */
+  stepInputSchedule: function( dt ) {
+    const inputSchedule = this.inputScheduleProperty.get();
+    if ( !inputSchedule ) {
+      return;
+    }
+
+    const self = this;
+    const previousTime = this.inputScheduleTime;
+    this.inputScheduleTime += dt;
+    inputSchedule.getEdges().forEach( function( edge ) {
+      if ( edge.time >= previousTime && edge.time < self.inputScheduleTime ) {
+        self.inputScheduleEdgeEmitter.emit( edge.parameterName );
+      }
+    } );
+
+    // The scheduled values are kept within the ranges of the sliders.
+    inputSchedule.getParameterNames().forEach( function( parameterName ) {
+      const value = CellParameters[ parameterName ].range.constrainValue( inputSchedule.getValue(
+        parameterName,
+        self.inputScheduleTime,
+        self.inputScheduleInitialValues[ parameterName ]
+      ) );
+      if ( value !== self.inputScheduleAppliedValues[ parameterName ] ) {
+        self.inputScheduleAppliedValues[ parameterName ] = value;
+        self.cellParameterProperties[ parameterName ].set( value );
+      }
+    } );
   },
 
   /**
@@ -215,15 +613,103 @@ inherit( Object, MultipleCellsModel, {
       }
     }
     else if ( this.visibleCellList.length > numCells ) {
-      // Remove cells from the visible list.  Take them off the end.
+      // Remove cells from the visible list.  Take them off the end of cellList, since the daughters that replace
+      // visible cells are added to the end of the visible list.
       while ( this.visibleCellList.length > numCells ) {
-        this.visibleCellList.pop();
+        this.visibleCellList.remove( this.cellList[ this.visibleCellList.length - 1 ] );
+      }
+    }
+  },
+
+  /**
+   * Start a sweep of one or two parameters over their full ranges, with the other parameters and the type of circuit
+   * as they're currently set. Any sweep that is already running is canceled. The results are put in
+   * parameterSweepResultsProperty when it's complete.
+   * @param {Array.<string>} parameterNames - see ParameterSweep.ParameterNames
+   * @public
+   */
+  startParameterSweep: function( parameterNames ) {
+    this.parameterSweep = new ParameterSweep( {
+      parameters: parameterNames.map( function( name ) { return { name: name }; } ),
+      fixedParameterValues: _.mapValues( this.cellParameterProperties, function( property ) {
+        return property.get();
+      } ),
+      autoregulationType: this.autoregulationTypeProperty.get(),
+      geneCircuitType: this.geneCircuitTypeProperty.get(),
+      solverType: this.solverTypeProperty.get()
+    } );
+    this.parameterSweepProgressProperty.set( 0 );
+  },
+
+  /**
+   * Stop the parameter sweep that is running, if any, without producing results.
+   * @public
+   */
+  cancelParameterSweep: function() {
+    this.parameterSweep = null;
+    this.parameterSweepProgressProperty.set( null );
+  },
+
+  /**
+   * Start tracking the given cell in the first empty slot, or stop tracking it if it's already tracked. Nothing happens
+   * if all of the slots are taken.
+   * @param {Cell} cell - a visible cell
+   * @public
+   */
+  toggleCellTracking: function( cell ) {
+    assert && assert( this.visibleCellList.includes( cell ), 'only visible cells can be tracked' );
+    const trackedCellProperty = _.find( this.trackedCellProperties, function( trackedCellProperty ) {
+      return trackedCellProperty.get() === cell;
+    } );
+    if ( trackedCellProperty ) {
+      trackedCellProperty.set( null );
+    }
+    else {
+      const emptySlotProperty = _.find( this.trackedCellProperties, function( trackedCellProperty ) {
+        return trackedCellProperty.get() === null;
+      } );
+      if ( emptySlotProperty ) {
+        emptySlotProperty.set( cell );
       }
     }
   },
 
+  /**
+   * Replace a cell with the daughter of a division, see CellLineage.divideCells. The daughter takes the place of the
+   * replaced cell in cellList, so it is visible if the replaced cell was.
+   * @param {number} index - index in cellList of the cell that is replaced
+   * @param {HeadlessCell} daughter
+   * @private
+   */
+  replaceCell: function( index, daughter ) {
+    const replacedCell = this.cellList[ index ];
+    const newCell = new Cell( Math.PI * 2 * this.sizeAndRotationRandomizer.nextDouble(), undefined, daughter );
+
+    // A visible cell is hidden while it's still in cellList, so that its node and its tracking slot are released.
+    const replacedCellVisible = this.visibleCellList.includes( replacedCell );
+    if ( replacedCellVisible ) {
+      this.visibleCellList.remove( replacedCell );
+    }
+
+    this.cellList.splice( index, 1 );
+    if ( !this.placeCellInOpenPosition( newCell ) ) {
+
+      // The spot that the replaced cell occupied is open, so use it if no other open spot was found.
+      newCell.positionX = replacedCell.positionX;
+      newCell.positionY = replacedCell.positionY;
+    }
+    this.cellList.splice( index, 0, newCell );
+    this.cellReplacedEmitter.emit( replacedCell, newCell );
+
+    if ( replacedCellVisible ) {
+      this.visibleCellList.add( newCell );
+    }
+  },
+
   /**
    * find a position for the given cell that doesn't overlap with other cells on the list
+   * @param {Cell} cell
+   * @returns {boolean} - true if an open position was found
    * @private
    */
   placeCellInOpenPosition: function( cell ) {
@@ -253,16 +739,18 @@ inherit( Object, MultipleCellsModel, {
         }
         if ( !overlapDetected ) {
           // Found an open spot.
-          return;
+          return true;
         }
       }
     }
-    assert && assert( false, 'exited placement loop without having found open position' );
+    return false;
   }
 }, {
 
   // statics
-  MaxCells: MAX_CELLS
+  MaxCells: MAX_CELLS,
+  ParameterSpreadRange: PARAMETER_SPREAD_RANGE,
+  MaxTrackedCells: MAX_TRACKED_CELLS
 } );
 
 export default MultipleCellsModel;
@@ -0,0 +1,123 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Exact stochastic solver for CellProteinSynthesisSimulator that uses the "next reaction method" from Gibson and Bruck,
+ * "Efficient Exact Stochastic Simulation of Chemical Systems with Many Species and Many Channels", 2000. Each reaction
+ * has a putative absolute firing time that is kept in an indexed priority queue, and after a reaction occurs only the
+ * propensities of the reactions that depend on the changed species are recalculated. The times of the other affected
+ * reactions are rescaled rather than redrawn, so only one random number is used per reaction. The trajectories that
+ * this produces are statistically identical to those produced by the direct method.
+ *
+ * @author agent
+ */
+
+import inherit from '../../../../phet-core/js/inherit.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import IndexedPriorityQueue from './IndexedPriorityQueue.js';
+
+/**
+ * @param {CellProteinSynthesisSimulator} simulator - the simulator whose counts and propensities are used
+ * @constructor
+ */
+function NextReactionSolver( simulator ) {
+
+  // @private
+  this.simulator = simulator;
+
+  // @private {number} - current time in the simulation, in the same units as the reaction rates
+  this.time = 0;
+
+  // @private {Array.<number>} - most recently calculated propensity for each reaction
+  this.propensities = [];
+
+  // @private {IndexedPriorityQueue|null} - absolute time of the next occurrence of each reaction, null when the times
+  // need to be regenerated, for instance after a rate or count has been changed from the outside
+  this.reactionTimes = null;
+}
+
+geneExpressionEssentials.register( 'NextReactionSolver', NextReactionSolver );
+
+inherit( Object, NextReactionSolver, {
+
+  /**
+   * Indicate that the state of the simulator has been changed by something other than a reaction, such as a new rate
+   * being set, so the stored propensities and reaction times are no longer valid. Since the process is memoryless,
+   * it is statistically correct to simply draw new reaction times the next time that the solver is stepped.
+   * @public
+   */
+  invalidate: function() {
+    this.reactionTimes = null;
+  },
+
+  /**
+   * Moves forward one time step of specified length.
+   * @param {number} dt
+   * @public
+   */
+  step: function( dt ) {
+    if ( !this.reactionTimes ) {
+      this.initializeReactionTimes();
+    }
+
+    const dependencyGraph = this.simulator.reactionNetwork.getDependencyGraph();
+    const endTime = this.time + dt;
+
+    while ( this.reactionTimes.getMinKey() <= endTime ) {
+      const mu = this.reactionTimes.getMinIndex();
+      this.time = this.reactionTimes.getMinKey();
+      this.simulator.conductReaction( mu );
+
+      // Update the propensities and times of the reactions affected by this one, including this one.
+      const dependents = dependencyGraph[ mu ];
+      for ( let i = 0; i < dependents.length; i++ ) {
+        const alpha = dependents[ i ];
+        const previousPropensity = this.propensities[ alpha ];
+        const propensity = this.simulator.calculatePropensity( alpha );
+        this.propensities[ alpha ] = propensity;
+
+        let reactionTime;
+        if ( propensity === 0 ) {
+          reactionTime = Number.POSITIVE_INFINITY;
+        }
+        else if ( alpha !== mu && previousPropensity > 0 ) {
+
+          // Reuse the previously drawn waiting time, rescaled to the new propensity.
+          reactionTime = this.time + ( previousPropensity / propensity ) * ( this.reactionTimes.getKey( alpha ) - this.time );
+        }
+        else {
+          reactionTime = this.time + this.nextWaitingTime( propensity );
+        }
+        this.reactionTimes.update( alpha, reactionTime );
+      }
+    }
+
+    // The reaction times are absolute, so nothing is lost by advancing to the end of the step.
+    this.time = endTime;
+  },
+
+  /**
+   * Calculate all propensities and draw a putative time for each reaction.
+   * @private
+   */
+  initializeReactionTimes: function() {
+    const times = [];
+    for ( let i = 0; i < this.simulator.reactionNetwork.getNumberOfReactions(); i++ ) {
+      const propensity = this.simulator.calculatePropensity( i );
+      this.propensities[ i ] = propensity;
+      times.push( propensity > 0 ? this.time + this.nextWaitingTime( propensity ) : Number.POSITIVE_INFINITY );
+    }
+    this.reactionTimes = new IndexedPriorityQueue( times );
+  },
+
+  /**
+   * Draw an exponentially distributed waiting time for a reaction with the given propensity.
+   * @param {number} propensity
+   * @returns {number}
+   * @private
+   */
+  nextWaitingTime: function( propensity ) {
+    return Math.log( 1 / this.simulator.random.nextDouble() ) / propensity;
+  }
+} );
+
+export default NextReactionSolver;
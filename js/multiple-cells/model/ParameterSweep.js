@@ -0,0 +1,392 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Sweep of one or two of the parameters of the Multiple Cells model over a grid of values, which produces the mean and
+ * variance of the protein and mRNA counts at steady state for each point of the grid, e.g. a dose-response curve for
+ * the transcription factor level. It runs without a view, on populations of HeadlessCell instances with the nominal
+ * parameters, so it shows the intrinsic noise only.
+ *
+ * At each grid point, a new population of cells is created and simulated in windows of time until it has burned in,
+ * i.e. until the mean protein count of a window is within a tolerance of that of the previous window, or until the
+ * maximum burn-in time has passed. The counts are then sampled over a period of time. The mean and variance over the
+ * cells are taken at each sample time and averaged over the sample times, so the variance is that between the cells,
+ * without the variation over time.
+ *
+ * A sweep can be run all at once with run(), e.g. from the browser console via
+ * phet.geneExpressionEssentials.ParameterSweep.run( { parameters: [ { name: 'transcriptionFactorLevel' } ] } ), or a
+ * sample interval at a time with step(), which is a small enough piece of work that the sim can run a few of them on
+ * each frame without freezing.
+ *
+ * @author agent
+ */
+
+import Random from '../../../../dot/js/Random.js';
+import Utils from '../../../../dot/js/Utils.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import merge from '../../../../phet-core/js/merge.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import AutoregulationType from './AutoregulationType.js';
+import CellParameters from './CellParameters.js';
+import CellSolverType from './CellSolverType.js';
+import DistributionUtils from './DistributionUtils.js';
+import GeneCircuitType from './GeneCircuitType.js';
+import HeadlessCell from './HeadlessCell.js';
+
+// constants
+
+// number of values of a swept parameter when only its range is given
+const DEFAULT_NUMBER_OF_VALUES = 8;
+
+/**
+ * @param {Object} [options]
+ * @constructor
+ */
+function ParameterSweep( options ) {
+
+  options = merge( {
+
+    // {Array.<{name: string, values: Array.<number>}|{name: string, min: number, max: number, numberOfValues: number}>}
+    // - the one or two parameters that are swept, see CellParameters for the names. The values can be given
+    // explicitly, or as a range, which defaults to the full range of the parameter, and a number of values, which
+    // defaults to DEFAULT_NUMBER_OF_VALUES.
+    parameters: [ { name: 'transcriptionFactorLevel' } ],
+
+    // {Object.<string, number>} - values of the parameters that aren't swept, the defaults are used for any that are
+    // missing
+    fixedParameterValues: {},
+
+    autoregulationType: AutoregulationType.NONE,
+    geneCircuitType: GeneCircuitType.SINGLE_GENE,
+    solverType: CellSolverType.DIRECT,
+
+    // number of cells simulated at each grid point
+    numberOfCells: 20,
+
+    // Length of the windows of time in which the burn-in is checked, and the maximum total length of the burn-in, in
+    // seconds. The default maximum is many times the lifetime of a protein.
+    burnInWindow: 2,
+    maxBurnInTime: 60,
+
+    // The burn-in is over when the mean protein count changes by less than this fraction of itself from one window to
+    // the next, or by less than the noise in the means.
+    burnInTolerance: 0.05,
+
+    // period over which the counts are sampled after the burn-in, and the interval between samples, in seconds
+    samplingTime: 10,
+    sampleInterval: 0.1,
+
+    // {number|null} - seed of the random number generator that supplies the seeds of the cells, null for a random one
+    seed: null
+  }, options );
+
+  assert && assert( options.parameters.length === 1 || options.parameters.length === 2,
+    'one or two parameters can be swept' );
+  assert && options.parameters.forEach( function( parameter ) {
+    assert( CellParameters[ parameter.name ], 'unknown parameter: ' + parameter.name );
+  } );
+
+  // @public (read-only) {Array.<string>}
+  this.parameterNames = _.map( options.parameters, 'name' );
+
+  // @public (read-only) {Array.<Array.<number>>} - the values of each of the swept parameters
+  this.parameterValues = options.parameters.map( function( parameter ) {
+    return parameter.values || ParameterSweep.createValues( parameter.name, parameter );
+  } );
+
+  // @private {Array.<Object.<string, number>>} - the values of all of the parameters at each grid point, in the order
+  // in which they're run, which is with the first parameter varying fastest
+  this.gridPoints = [];
+  const self = this;
+  const secondParameterValues = this.parameterValues[ 1 ] || [ null ];
+  secondParameterValues.forEach( function( secondValue ) {
+    self.parameterValues[ 0 ].forEach( function( firstValue ) {
+      const gridPoint = {};
+      Object.keys( CellParameters ).forEach( function( name ) {
+        gridPoint[ name ] = options.fixedParameterValues.hasOwnProperty( name ) ?
+                            options.fixedParameterValues[ name ] :
+                            CellParameters[ name ].defaultValue;
+      } );
+      gridPoint[ self.parameterNames[ 0 ] ] = firstValue;
+      if ( secondValue !== null ) {
+        gridPoint[ self.parameterNames[ 1 ] ] = secondValue;
+      }
+      self.gridPoints.push( gridPoint );
+    } );
+  } );
+
+  // @private
+  this.options = options;
+  this.random = new Random( { seed: options.seed } );
+
+  // @public (read-only) {Array.<Object>} - the results of the grid points that have been completed, see getResults
+  this.points = [];
+
+  // @private {Array.<HeadlessCell>} - the population of the grid point that is being run
+  this.cells = null;
+
+  // @private {number} - simulation time since the population of the current grid point was created, in seconds
+  this.time = 0;
+
+  // @private {Object|null} - the window of time of the burn-in or the sampling that is being run, see startWindow
+  this.window = null;
+
+  // @private {Object|null} - statistics of the protein counts in the previous burn-in window
+  this.previousWindowStatistics = null;
+
+  // @private {number|null} - time at which the burn-in of the current grid point ended, null while burning in
+  this.burnInTime = null;
+
+  // @private {boolean} - whether the burn-in of the current grid point ended by meeting the tolerance
+  this.converged = false;
+}
+
+geneExpressionEssentials.register( 'ParameterSweep', ParameterSweep );
+
+inherit( Object, ParameterSweep, {
+
+  /**
+   * Whether all of the grid points have been run.
+   * @returns {boolean}
+   * @public
+   */
+  isComplete: function() {
+    return this.points.length === this.gridPoints.length;
+  },
+
+  /**
+   * Fraction of the work that has been done, from 0 to 1.
+   * @returns {number}
+   * @public
+   */
+  getProgress: function() {
+    return this.points.length / this.gridPoints.length;
+  },
+
+  /**
+   * Run the next sample interval of the current window of the burn-in or of the sampling of the current grid point,
+   * starting the next window or grid point if needed.
+   * @public
+   */
+  step: function() {
+    assert && assert( !this.isComplete(), 'the sweep is already complete' );
+    const options = this.options;
+
+    if ( this.cells === null ) {
+      this.startGridPoint( this.gridPoints[ this.points.length ] );
+    }
+    if ( this.window === null ) {
+      this.startWindow( this.burnInTime === null ? options.burnInWindow : options.samplingTime );
+    }
+
+    this.sampleCells();
+    if ( this.window.proteinStatistics.length < this.window.numberOfSamples ) {
+      return;
+    }
+
+    const statistics = this.endWindow();
+    if ( this.burnInTime === null ) {
+      const windowStatistics = statistics.protein;
+      const previous = this.previousWindowStatistics;
+      if ( previous ) {
+        const change = Math.abs( windowStatistics.mean - previous.mean );
+        const standardError = Math.sqrt( ( windowStatistics.variance + previous.variance ) / options.numberOfCells );
+        this.converged = change <= Math.max( options.burnInTolerance * previous.mean, 2 * standardError );
+      }
+      this.previousWindowStatistics = windowStatistics;
+      if ( this.converged || this.time >= options.maxBurnInTime ) {
+        this.burnInTime = this.time;
+      }
+    }
+    else {
+      this.points.push( {
+        parameterValues: _.pick( this.gridPoints[ this.points.length ], this.parameterNames ),
+        protein: statistics.protein,
+        messengerRna: statistics.messengerRna,
+        burnInTime: Utils.toFixedNumber( this.burnInTime, 3 ),
+        converged: this.converged
+      } );
+      this.cells = null;
+    }
+  },
+
+  /**
+   * Run the rest of the sweep.
+   * @returns {Object} - see getResults
+   * @public
+   */
+  run: function() {
+    while ( !this.isComplete() ) {
+      this.step();
+    }
+    return this.getResults();
+  },
+
+  /**
+   * Get the results of the grid points that have been completed.
+   * @returns {{parameterNames: Array.<string>, parameterValues: Array.<Array.<number>>, points: Array.<Object>}} - each
+   * point has the values of the swept parameters, the mean and variance of the protein and mRNA counts, the time it
+   * took to burn in, and whether the burn-in converged before the maximum burn-in time. The points are in the order in
+   * which they were run, with the first parameter varying fastest.
+   * @public
+   */
+  getResults: function() {
+    return {
+      parameterNames: this.parameterNames,
+      parameterValues: this.parameterValues,
+      points: this.points
+    };
+  },
+
+  /**
+   * Create the population of cells for a grid point.
+   * @param {Object.<string, number>} gridPoint
+   * @private
+   */
+  startGridPoint: function( gridPoint ) {
+    const options = this.options;
+    this.cells = [];
+    for ( let i = 0; i < options.numberOfCells; i++ ) {
+      const cell = new HeadlessCell( this.random.nextDouble() );
+      cell.setSolverType( options.solverType );
+      cell.setGeneCircuitType( options.geneCircuitType );
+      cell.setAutoregulationType( options.autoregulationType );
+      Object.keys( CellParameters ).forEach( function( name ) {
+        CellParameters[ name ].setValue( cell, gridPoint[ name ] );
+      } );
+      this.cells.push( cell );
+    }
+    this.time = 0;
+    this.window = null;
+    this.previousWindowStatistics = null;
+    this.burnInTime = null;
+    this.converged = false;
+  },
+
+  /**
+   * Start a window of time, in which the counts of the population are sampled at regular intervals.
+   * @param {number} duration - in seconds
+   * @private
+   */
+  startWindow: function( duration ) {
+    const numberOfSamples = Math.max( Math.round( duration / this.options.sampleInterval ), 1 );
+    this.window = {
+      duration: duration,
+      numberOfSamples: numberOfSamples,
+      sampleInterval: duration / numberOfSamples,
+
+      // statistics of the counts over the population at each of the sample times so far
+      proteinStatistics: [],
+      messengerRnaStatistics: []
+    };
+  },
+
+  /**
+   * Simulate the population for one sample interval of the current window, and sample the counts of the first gene.
+   * @private
+   */
+  sampleCells: function() {
+    const sampleInterval = this.window.sampleInterval;
+    const proteinCounts = [];
+    const messengerRnaCounts = [];
+    this.cells.forEach( function( cell ) {
+      cell.step( sampleInterval );
+      proteinCounts.push( cell.proteinSynthesisSimulator.getProteinCount() );
+      messengerRnaCounts.push( cell.proteinSynthesisSimulator.getMessengerRnaCount() );
+    } );
+    this.window.proteinStatistics.push( ParameterSweep.getStatistics( proteinCounts ) );
+    this.window.messengerRnaStatistics.push( ParameterSweep.getStatistics( messengerRnaCounts ) );
+  },
+
+  /**
+   * End the current window.
+   * @returns {{protein: {mean: number, variance: number}, messengerRna: {mean: number, variance: number}}} - the means
+   * over the sample times of the population mean and variance of the counts
+   * @private
+   */
+  endWindow: function() {
+    const endedWindow = this.window;
+    this.time += endedWindow.duration;
+    this.window = null;
+    return {
+      protein: ParameterSweep.averageStatistics( endedWindow.proteinStatistics ),
+      messengerRna: ParameterSweep.averageStatistics( endedWindow.messengerRnaStatistics )
+    };
+  }
+}, {
+
+  /**
+   * Run a sweep all at once.
+   * @param {Object} [options] - see constructor
+   * @returns {Object} - see getResults
+   * @public
+   */
+  run: function( options ) {
+    return new ParameterSweep( options ).run();
+  },
+
+  /**
+   * Create evenly spaced values of a parameter, which are spaced logarithmically if the parameter's range spans orders
+   * of magnitude. Counts are rounded to whole numbers.
+   * @param {string} name
+   * @param {Object} [options]
+   * @returns {Array.<number>}
+   * @public
+   */
+  createValues: function( name, options ) {
+    const parameter = CellParameters[ name ];
+    options = merge( {
+      min: parameter.range.min,
+      max: parameter.range.max,
+      numberOfValues: DEFAULT_NUMBER_OF_VALUES
+    }, options );
+    assert && assert( options.numberOfValues >= 2, 'there must be at least two values' );
+
+    return _.range( options.numberOfValues ).map( function( index ) {
+      const fraction = index / ( options.numberOfValues - 1 );
+      let value = parameter.logarithmic ?
+                  options.min * Math.pow( options.max / options.min, fraction ) :
+                  options.min + ( options.max - options.min ) * fraction;
+
+      // The ends are exact, so that they're the same as the ends of the slider.
+      if ( index === 0 || index === options.numberOfValues - 1 ) {
+        value = index === 0 ? options.min : options.max;
+      }
+      if ( parameter.isCount ) {
+        value = Utils.roundSymmetric( value );
+      }
+
+      // Keep rounding errors from taking the values out of the range that the simulator accepts.
+      return Utils.clamp( value, parameter.range.min, parameter.range.max );
+    } );
+  },
+
+  /**
+   * @param {Array.<number>} values
+   * @returns {{mean: number, variance: number}}
+   * @public
+   */
+  getStatistics: function( values ) {
+    return {
+      mean: DistributionUtils.calculateMean( values ),
+      variance: DistributionUtils.calculateVariance( values )
+    };
+  },
+
+  /**
+   * @param {Array.<{mean: number, variance: number}>} statistics
+   * @returns {{mean: number, variance: number}}
+   * @private
+   */
+  averageStatistics: function( statistics ) {
+    return {
+      mean: DistributionUtils.calculateMean( _.map( statistics, 'mean' ) ),
+      variance: DistributionUtils.calculateMean( _.map( statistics, 'variance' ) )
+    };
+  },
+
+  // statics
+  ParameterNames: Object.keys( CellParameters ),
+  DefaultNumberOfValues: DEFAULT_NUMBER_OF_VALUES
+} );
+
+export default ParameterSweep;
@@ -0,0 +1,70 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Observable summary statistics of a quantity, such as the protein count, over a population of cells. Besides the mean
+ * and variance, these include two measures of noise: the coefficient of variation, which is the standard deviation
+ * relative to the mean, and the Fano factor, which is the variance relative to the mean. The Fano factor is one for a
+ * Poisson distribution, so it shows how much burstier than a simple birth-death process the expression of a gene is.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import DistributionUtils from './DistributionUtils.js';
+
+/**
+ * @constructor
+ */
+function PopulationStatistics() {
+
+  // @public (read-only) {Property.<number>}
+  this.meanProperty = new Property( 0 );
+  this.varianceProperty = new Property( 0 );
+  this.minProperty = new Property( 0 );
+  this.maxProperty = new Property( 0 );
+
+  // @public (read-only) {Property.<number|null>} - null when the mean is zero, since they are undefined then
+  this.coefficientOfVariationProperty = new Property( null );
+  this.fanoFactorProperty = new Property( null );
+}
+
+geneExpressionEssentials.register( 'PopulationStatistics', PopulationStatistics );
+
+inherit( Object, PopulationStatistics, {
+
+  /**
+   * Calculate the statistics of the values, treating them as the whole population.
+   * @param {Array.<number>} values
+   * @public
+   */
+  update: function( values ) {
+    if ( values.length === 0 ) {
+      this.reset();
+      return;
+    }
+    const mean = DistributionUtils.calculateMean( values );
+    const variance = DistributionUtils.calculateVariance( values );
+    this.meanProperty.set( mean );
+    this.varianceProperty.set( variance );
+    this.minProperty.set( Math.min.apply( null, values ) );
+    this.maxProperty.set( Math.max.apply( null, values ) );
+    this.coefficientOfVariationProperty.set( mean > 0 ? Math.sqrt( variance ) / mean : null );
+    this.fanoFactorProperty.set( mean > 0 ? variance / mean : null );
+  },
+
+  /**
+   * @public
+   */
+  reset: function() {
+    this.meanProperty.reset();
+    this.varianceProperty.reset();
+    this.minProperty.reset();
+    this.maxProperty.reset();
+    this.coefficientOfVariationProperty.reset();
+    this.fanoFactorProperty.reset();
+  }
+} );
+
+export default PopulationStatistics;
@@ -0,0 +1,143 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Deterministic solver for CellProteinSynthesisSimulator that integrates the mass-action rate equations for the same
+ * reactions and rate constants that the stochastic solvers use. This is the "mean field" approximation of the cell,
+ * where the counts are treated as continuous quantities, so the results show how the cell would behave in the absence
+ * of noise. The equations are integrated with the adaptive Dormand-Prince Runge-Kutta 5(4) method.
+ *
+ * @author agent
+ */
+
+import inherit from '../../../../phet-core/js/inherit.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+// constants
+
+// Dormand-Prince coefficients, see Hairer, Norsett and Wanner, "Solving Ordinary Differential Equations I", table 5.2
+const A = [
+  [],
+  [ 1 / 5 ],
+  [ 3 / 40, 9 / 40 ],
+  [ 44 / 45, -56 / 15, 32 / 9 ],
+  [ 19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729 ],
+  [ 9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656 ],
+  [ 35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84 ]
+];
+
+// weights for the 5th order solution, which is the one that is kept
+const B = [ 35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0 ];
+
+// differences between the 5th and 4th order weights, used to estimate the error
+const E = [
+  35 / 384 - 5179 / 57600,
+  0,
+  500 / 1113 - 7571 / 16695,
+  125 / 192 - 393 / 640,
+  -2187 / 6784 + 92097 / 339200,
+  11 / 84 - 187 / 2100,
+  -1 / 40
+];
+
+// error tolerances, per count
+const ABSOLUTE_TOLERANCE = 1E-6;
+const RELATIVE_TOLERANCE = 1E-6;
+
+// limits on how much the step size can change after each attempted step
+const SAFETY_FACTOR = 0.9;
+const MIN_STEP_SCALE = 0.2;
+const MAX_STEP_SCALE = 5;
+
+/**
+ * @param {CellProteinSynthesisSimulator} simulator - the simulator whose counts and rate constants are used
+ * @constructor
+ */
+function RateEquationSolver( simulator ) {
+
+  // @private
+  this.simulator = simulator;
+
+  // @private {number} - integration step size, adapted as the solver runs and kept between steps
+  this.stepSize = 1;
+}
+
+geneExpressionEssentials.register( 'RateEquationSolver', RateEquationSolver );
+
+inherit( Object, RateEquationSolver, {
+
+  /**
+   * Moves forward one time step of specified length.
+   * @param {number} dt
+   * @public
+   */
+  step: function( dt ) {
+    const counts = this.simulator.objectCounts;
+    const n = counts.length;
+    const stages = [];
+    const stageState = [];
+    const newCounts = [];
+
+    let time = 0;
+    while ( time < dt ) {
+      const h = Math.min( this.stepSize, dt - time );
+
+      // Evaluate the derivatives at each of the stages.
+      for ( let s = 0; s < A.length; s++ ) {
+        for ( let i = 0; i < n; i++ ) {
+          let value = counts[ i ];
+          for ( let j = 0; j < s; j++ ) {
+            value += h * A[ s ][ j ] * stages[ j ][ i ];
+          }
+          stageState[ i ] = value;
+        }
+        stages[ s ] = this.calculateDerivatives( stageState );
+      }
+
+      // Calculate the new counts and the scaled estimate of their error.
+      let error = 0;
+      for ( let i = 0; i < n; i++ ) {
+        let value = counts[ i ];
+        let errorEstimate = 0;
+        for ( let s = 0; s < A.length; s++ ) {
+          value += h * B[ s ] * stages[ s ][ i ];
+          errorEstimate += h * E[ s ] * stages[ s ][ i ];
+        }
+        newCounts[ i ] = value;
+        const scale = ABSOLUTE_TOLERANCE + RELATIVE_TOLERANCE * Math.max( Math.abs( counts[ i ] ), Math.abs( value ) );
+        error = Math.max( error, Math.abs( errorEstimate ) / scale );
+      }
+
+      if ( error <= 1 ) {
+        for ( let i = 0; i < n; i++ ) {
+
+          // Counts can't be negative, though the integration error can make them very slightly so.
+          counts[ i ] = Math.max( newCounts[ i ], 0 );
+        }
+        time += h;
+      }
+
+      const stepScale = error === 0 ? MAX_STEP_SCALE : SAFETY_FACTOR * Math.pow( error, -1 / 5 );
+      this.stepSize = h * Math.min( Math.max( stepScale, MIN_STEP_SCALE ), MAX_STEP_SCALE );
+    }
+  },
+
+  /**
+   * Calculate the rate of change of each count for the given state using mass-action kinetics.
+   * @param {Array.<number>} state - a value for each count
+   * @returns {Array.<number>}
+   * @private
+   */
+  calculateDerivatives: function( state ) {
+    const reactionNetwork = this.simulator.reactionNetwork;
+    const rates = this.simulator.reactionProbabilities;
+    const volume = this.simulator.volume;
+    const derivatives = state.map( function() { return 0; } );
+
+    for ( let j = 0; j < reactionNetwork.getNumberOfReactions(); j++ ) {
+      reactionNetwork.applyReaction( j, derivatives, reactionNetwork.calculateFlux( j, state, rates, volume ) );
+    }
+    return derivatives;
+  }
+} );
+
+export default RateEquationSolver;
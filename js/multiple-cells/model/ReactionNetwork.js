@@ -0,0 +1,331 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Declarative definition of a well-mixed chemical reaction network, used by CellProteinSynthesisSimulator. A network
+ * consists of a set of named species, each with an initial count, and a set of named reactions, each with a mass-action
+ * rate constant and the stoichiometry of its reactants and products. For example:
+ *
+ *   new ReactionNetwork( {
+ *     species: [
+ *       { name: 'messengerRna', initialCount: 0 },
+ *       { name: 'protein', initialCount: 0 }
+ *     ],
+ *     reactions: [
+ *       { name: 'translation', reactants: { messengerRna: 1 }, products: { messengerRna: 1, protein: 1 }, rate: 0.01 },
+ *       { name: 'proteinDegradation', reactants: { protein: 1 }, products: {}, rate: 0.001 }
+ *     ]
+ *   } );
+ *
+ * Species can optionally be flagged to describe how they behave as the cell grows and divides:
+ *   isGenomic - part of the genome, such as a gene or a complex bound to it. The count doesn't change as the cell
+ *               grows, and both daughters get the full count at division, since the DNA is replicated.
+ *   isBuffered - held at a constant concentration by the cell, such as polymerases and ribosomes, so the count is
+ *                interpreted as the amount in the unit volume. Growth doesn't dilute it, and both daughters get the
+ *                same total amount as the mother at division, including the amount bound in complexes.
+ *   components - for complexes, a map of the names of the species that the complex is made of to their
+ *                stoichiometry, which is needed to determine the bound amounts of buffered species.
+ * All other species are diluted as the cell grows and are split randomly between the daughters.
+ *
+ * Rate constants apply at unit volume. At other volumes, the propensity of a reaction is scaled by volume^(1 - n),
+ * where n is the number of reactant molecules that are not buffered, so that it follows mass action on concentrations.
+ *
+ * The definition is compiled into index-based structures so that the solvers don't need to look anything up by name.
+ *
+ * @author agent
+ */
+
+import inherit from '../../../../phet-core/js/inherit.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+/**
+ * @param {Object} definition - see example above
+ * @constructor
+ */
+function ReactionNetwork( definition ) {
+  const self = this;
+
+  assert && assert( definition.species.length > 0, 'a network must have at least one species' );
+  assert && assert( definition.reactions.length > 0, 'a network must have at least one reaction' );
+
+  // @public (read-only) {Array.<{name: string, initialCount: number, isGenomic: boolean, isBuffered: boolean,
+  // components: Array.<{index: number, stoichiometry: number}>}>} - the components are filled in below, once the
+  // indices of all species are known
+  this.species = definition.species.map( function( species ) {
+    assert && assert( species.initialCount >= 0, 'invalid initial count for species ' + species.name );
+    assert && assert( !( species.isGenomic && species.isBuffered ),
+      'species cannot be both genomic and buffered: ' + species.name );
+    return {
+      name: species.name,
+      initialCount: species.initialCount,
+      isGenomic: !!species.isGenomic,
+      isBuffered: !!species.isBuffered,
+      components: []
+    };
+  } );
+
+  // @private {Object.<string, number>} - map of species names to indices
+  this.speciesIndices = {};
+  this.species.forEach( function( species, index ) {
+    assert && assert( self.speciesIndices[ species.name ] === undefined, 'duplicate species: ' + species.name );
+    self.speciesIndices[ species.name ] = index;
+  } );
+
+  // Converts a map of species names to stoichiometric coefficients into a list of indices and coefficients.
+  function compileStoichiometry( stoichiometry, ownerName ) {
+    return Object.keys( stoichiometry ).map( function( speciesName ) {
+      assert && assert( self.speciesIndices[ speciesName ] !== undefined,
+        ownerName + ' refers to unknown species ' + speciesName );
+      assert && assert( Number.isInteger( stoichiometry[ speciesName ] ) && stoichiometry[ speciesName ] > 0,
+        'invalid stoichiometry for ' + speciesName + ' in ' + ownerName );
+      return { index: self.speciesIndices[ speciesName ], stoichiometry: stoichiometry[ speciesName ] };
+    } );
+  }
+
+  definition.species.forEach( function( species, index ) {
+    if ( species.components ) {
+      self.species[ index ].components = compileStoichiometry( species.components, 'species ' + species.name );
+    }
+  } );
+
+  // @public (read-only) {Array.<Object>} - the reactions, with the stoichiometry converted to species indices, the net
+  // change in the count of each species caused by one occurrence of the reaction, and the power of the volume that
+  // scales the propensity
+  this.reactions = definition.reactions.map( function( reaction ) {
+    assert && assert( reaction.rate >= 0, 'invalid rate for reaction ' + reaction.name );
+
+    const reactants = compileStoichiometry( reaction.reactants, 'reaction ' + reaction.name );
+    const products = compileStoichiometry( reaction.products, 'reaction ' + reaction.name );
+
+    const netChanges = self.species.map( function() { return 0; } );
+    reactants.forEach( function( reactant ) { netChanges[ reactant.index ] -= reactant.stoichiometry; } );
+    products.forEach( function( product ) { netChanges[ product.index ] += product.stoichiometry; } );
+    const stateChanges = [];
+    netChanges.forEach( function( change, index ) {
+      if ( change !== 0 ) {
+        stateChanges.push( { index: index, change: change } );
+      }
+    } );
+
+    return {
+      name: reaction.name,
+      rate: reaction.rate,
+      reactants: reactants,
+      products: products,
+      stateChanges: stateChanges,
+      order: reactants.reduce( function( order, reactant ) { return order + reactant.stoichiometry; }, 0 ),
+      volumeExponent: 1 - reactants.reduce( function( order, reactant ) {
+        return self.species[ reactant.index ].isBuffered ? order : order + reactant.stoichiometry;
+      }, 0 )
+    };
+  } );
+
+  // @private {boolean} - whether the propensity of any reaction depends on the volume
+  this.volumeDependent = this.reactions.some( function( reaction ) { return reaction.volumeExponent !== 0; } );
+
+  // @private {Object.<string, number>} - map of reaction names to indices
+  this.reactionIndices = {};
+  this.reactions.forEach( function( reaction, index ) {
+    assert && assert( self.reactionIndices[ reaction.name ] === undefined, 'duplicate reaction: ' + reaction.name );
+    self.reactionIndices[ reaction.name ] = index;
+  } );
+
+  // @private {Array.<Array.<number>>} - for each reaction, the reactions whose propensities may change when it occurs,
+  // including itself
+  this.dependencyGraph = this.reactions.map( function( reaction, reactionIndex ) {
+    const dependents = [];
+    self.reactions.forEach( function( dependent, dependentIndex ) {
+      const isAffected = reaction.stateChanges.some( function( stateChange ) {
+        return dependent.reactants.some( function( reactant ) {
+          return reactant.index === stateChange.index;
+        } );
+      } );
+      if ( isAffected || dependentIndex === reactionIndex ) {
+        dependents.push( dependentIndex );
+      }
+    } );
+    return dependents;
+  } );
+}
+
+geneExpressionEssentials.register( 'ReactionNetwork', ReactionNetwork );
+
+inherit( Object, ReactionNetwork, {
+
+  /**
+   * @returns {number}
+   * @public
+   */
+  getNumberOfSpecies: function() {
+    return this.species.length;
+  },
+
+  /**
+   * @returns {number}
+   * @public
+   */
+  getNumberOfReactions: function() {
+    return this.reactions.length;
+  },
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   * @public
+   */
+  hasSpecies: function( name ) {
+    return this.speciesIndices[ name ] !== undefined;
+  },
+
+  /**
+   * @param {string} name
+   * @returns {number}
+   * @public
+   */
+  getSpeciesIndex: function( name ) {
+    assert && assert( this.hasSpecies( name ), 'no such species: ' + name );
+    return this.speciesIndices[ name ];
+  },
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   * @public
+   */
+  hasReaction: function( name ) {
+    return this.reactionIndices[ name ] !== undefined;
+  },
+
+  /**
+   * @param {string} name
+   * @returns {number}
+   * @public
+   */
+  getReactionIndex: function( name ) {
+    assert && assert( this.hasReaction( name ), 'no such reaction: ' + name );
+    return this.reactionIndices[ name ];
+  },
+
+  /**
+   * Whether the propensities of any of the reactions depend on the volume of the cell.
+   * @returns {boolean}
+   * @public
+   */
+  isVolumeDependent: function() {
+    return this.volumeDependent;
+  },
+
+  /**
+   * Calculates the amount of a species that is bound in complexes, based on the components of the complexes.
+   * @param {number} speciesIndex
+   * @param {Array.<number>} counts - count of each species
+   * @returns {number}
+   * @public
+   */
+  calculateBoundCount: function( speciesIndex, counts ) {
+    let boundCount = 0;
+    for ( let i = 0; i < this.species.length; i++ ) {
+      const components = this.species[ i ].components;
+      for ( let j = 0; j < components.length; j++ ) {
+        if ( components[ j ].index === speciesIndex ) {
+          boundCount += counts[ i ] * components[ j ].stoichiometry;
+        }
+      }
+    }
+    return boundCount;
+  },
+
+  /**
+   * Get a new array containing the initial count of each species.
+   * @returns {Array.<number>}
+   * @public
+   */
+  createInitialCounts: function() {
+    return this.species.map( function( species ) { return species.initialCount; } );
+  },
+
+  /**
+   * Get a new array containing the rate constant of each reaction.
+   * @returns {Array.<number>}
+   * @public
+   */
+  createRateConstants: function() {
+    return this.reactions.map( function( reaction ) { return reaction.rate; } );
+  },
+
+  /**
+   * Calculates the stochastic mass-action propensity of a reaction, which is its rate constant times the number of
+   * distinct combinations of reactant molecules.
+   * @param {number} reactionIndex
+   * @param {Array.<number>} counts - count of each species
+   * @param {Array.<number>} rates - rate constant of each reaction
+   * @param {number} [volume] - volume of the cell, relative to the volume at which the rates apply, defaults to one
+   * @returns {number}
+   * @public
+   */
+  calculatePropensity: function( reactionIndex, counts, rates, volume ) {
+    const reaction = this.reactions[ reactionIndex ];
+    const reactants = reaction.reactants;
+    let propensity = rates[ reactionIndex ];
+    if ( volume !== undefined && reaction.volumeExponent !== 0 ) {
+      propensity *= Math.pow( volume, reaction.volumeExponent );
+    }
+    for ( let i = 0; i < reactants.length; i++ ) {
+      const count = counts[ reactants[ i ].index ];
+      for ( let m = 0; m < reactants[ i ].stoichiometry; m++ ) {
+        propensity *= ( count - m ) / ( m + 1 );
+      }
+    }
+    return propensity;
+  },
+
+  /**
+   * Calculates the deterministic mass-action rate of a reaction for continuous amounts of the species.
+   * @param {number} reactionIndex
+   * @param {Array.<number>} amounts - amount of each species
+   * @param {Array.<number>} rates - rate constant of each reaction
+   * @param {number} [volume] - volume of the cell, relative to the volume at which the rates apply, defaults to one
+   * @returns {number}
+   * @public
+   */
+  calculateFlux: function( reactionIndex, amounts, rates, volume ) {
+    const reaction = this.reactions[ reactionIndex ];
+    const reactants = reaction.reactants;
+    let flux = rates[ reactionIndex ];
+    if ( volume !== undefined && reaction.volumeExponent !== 0 ) {
+      flux *= Math.pow( volume, reaction.volumeExponent );
+    }
+    for ( let i = 0; i < reactants.length; i++ ) {
+      const amount = amounts[ reactants[ i ].index ];
+      for ( let m = 0; m < reactants[ i ].stoichiometry; m++ ) {
+        flux *= amount / ( m + 1 );
+      }
+    }
+    return flux;
+  },
+
+  /**
+   * Updates the counts to reflect the specified number of occurrences of a reaction.
+   * @param {number} reactionIndex
+   * @param {Array.<number>} counts - count of each species, modified in place
+   * @param {number} [firings] - number of occurrences, defaults to one
+   * @public
+   */
+  applyReaction: function( reactionIndex, counts, firings ) {
+    firings = firings === undefined ? 1 : firings;
+    const stateChanges = this.reactions[ reactionIndex ].stateChanges;
+    for ( let i = 0; i < stateChanges.length; i++ ) {
+      counts[ stateChanges[ i ].index ] += firings * stateChanges[ i ].change;
+    }
+  },
+
+  /**
+   * Get the reactions whose propensities may change when each reaction occurs, including the reaction itself.
+   * @returns {Array.<Array.<number>>}
+   * @public
+   */
+  getDependencyGraph: function() {
+    return this.dependencyGraph;
+  }
+} );
+
+export default ReactionNetwork;
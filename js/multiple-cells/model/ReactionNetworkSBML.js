@@ -0,0 +1,520 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Reader and writer for SBML (Systems Biology Markup Language) Level 3 core documents, which map to and from the
+ * ReactionNetwork instances simulated by CellProteinSynthesisSimulator.
+ *
+ * The mapping is:
+ *   - SBML species <-> network species, using initialAmount for the initial count and an annotation in the
+ *     ANNOTATION_NAMESPACE for the isGenomic and isBuffered flags and the components of complexes
+ *   - SBML global parameters <-> rate constants, one parameter per reaction, named k_<reactionId>
+ *   - SBML reactions with mass-action kinetic laws <-> network reactions
+ *
+ * Only the subset of SBML that the simulator can represent is supported. Documents that use rules, events, function
+ * definitions, initial assignments, constraints, reversible reactions, or kinetic laws that aren't mass-action cause an
+ * error that describes the unsupported construct, rather than having it silently dropped. Since the rate constants
+ * apply at unit volume, so do the documents: every compartment must have size one, and species are amounts, i.e.
+ * hasOnlySubstanceUnits must be true. A compartment id in a kinetic law is therefore a factor of one. Parameters
+ * must have finite, non-negative values, and initial amounts must be non-negative integers.
+ *
+ * Buffered species are not SBML boundary species, since their counts are changed by the reactions, and SBML boundary
+ * or constant species are rejected.
+ *
+ * The network's rate constants are stochastic, i.e. in terms of molecule counts. SBML mass-action laws are written as
+ * k * x^n for a reactant with stoichiometry n, while the network uses the number of combinations x^n / n!, so the
+ * parameter values are scaled by the factorials where needed. For the default network all stoichiometries are one and
+ * the values are the same.
+ *
+ * Example usage from the console, exporting the current counts and rates of a simulator and reading them back:
+ *   const sbml = phet.geneExpressionEssentials.ReactionNetworkSBML.writeSimulator( simulator );
+ *   const network = phet.geneExpressionEssentials.ReactionNetworkSBML.read( sbml );
+ *
+ * @author agent
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import ReactionNetwork from './ReactionNetwork.js';
+
+// constants
+const SBML_NAMESPACE = 'http://www.sbml.org/sbml/level3/version2/core';
+const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+const COMPARTMENT_ID = 'cell';
+const RATE_PARAMETER_PREFIX = 'k_';
+
+// namespace and prefix of the annotations that carry the species flags that SBML has no equivalent for
+const ANNOTATION_NAMESPACE = 'https://phet.colorado.edu/sims/gene-expression-essentials/sbml';
+const ANNOTATION_PREFIX = 'gee';
+
+// SBML identifiers, see the SId type in the SBML specification
+const SID_REGEX = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// elements of the SBML model that the simulator has no way to represent
+const UNSUPPORTED_MODEL_ELEMENTS = {
+  listOfFunctionDefinitions: 'function definitions',
+  listOfInitialAssignments: 'initial assignments',
+  listOfRules: 'rules',
+  listOfConstraints: 'constraints',
+  listOfEvents: 'events'
+};
+
+const ReactionNetworkSBML = {
+
+  /**
+   * Write a reaction network as an SBML Level 3 Version 2 core document.
+   * @param {ReactionNetwork} reactionNetwork
+   * @param {Object} [options]
+   * @returns {string}
+   * @public
+   */
+  write: function( reactionNetwork, options ) {
+
+    options = merge( {
+
+      // {string} - id of the SBML model
+      modelId: 'geneExpression',
+
+      // {Array.<number>|null} - counts to use as the initial amounts, null to use the network's initial counts
+      counts: null,
+
+      // {Array.<number>|null} - rate constants, null to use the network's rates
+      rates: null
+    }, options );
+
+    const counts = options.counts || reactionNetwork.createInitialCounts();
+    const rates = options.rates || reactionNetwork.createRateConstants();
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<sbml xmlns="' + SBML_NAMESPACE + '" level="3" version="2">',
+      '  <model id="' + validateId( options.modelId ) + '" substanceUnits="item" extentUnits="item">',
+      '    <listOfCompartments>',
+      '      <compartment id="' + COMPARTMENT_ID + '" spatialDimensions="3" size="1" constant="true"/>',
+      '    </listOfCompartments>',
+      '    <listOfSpecies>'
+    ];
+
+    reactionNetwork.species.forEach( function( species, index ) {
+      const speciesElement = '      <species id="' + validateId( species.name ) + '" compartment="' + COMPARTMENT_ID +
+                             '" initialAmount="' + counts[ index ] + '" hasOnlySubstanceUnits="true"' +
+                             ' boundaryCondition="false" constant="false"';
+      if ( !species.isGenomic && !species.isBuffered && species.components.length === 0 ) {
+        lines.push( speciesElement + '/>' );
+      }
+      else {
+        const flagsElement = '          <' + ANNOTATION_PREFIX + ':species xmlns:' + ANNOTATION_PREFIX + '="' +
+                             ANNOTATION_NAMESPACE + '" isGenomic="' + species.isGenomic + '" isBuffered="' +
+                             species.isBuffered + '"';
+        lines.push( speciesElement + '>', '        <annotation>' );
+        if ( species.components.length === 0 ) {
+          lines.push( flagsElement + '/>' );
+        }
+        else {
+          lines.push( flagsElement + '>' );
+          species.components.forEach( function( component ) {
+            lines.push( '            <' + ANNOTATION_PREFIX + ':component species="' +
+                        reactionNetwork.species[ component.index ].name + '" stoichiometry="' +
+                        component.stoichiometry + '"/>' );
+          } );
+          lines.push( '          </' + ANNOTATION_PREFIX + ':species>' );
+        }
+        lines.push( '        </annotation>', '      </species>' );
+      }
+    } );
+
+    lines.push( '    </listOfSpecies>', '    <listOfParameters>' );
+    reactionNetwork.reactions.forEach( function( reaction, index ) {
+      lines.push( '      <parameter id="' + RATE_PARAMETER_PREFIX + validateId( reaction.name ) + '" value="' +
+                  rates[ index ] / getFactorialProduct( reaction.reactants ) + '" constant="true"/>' );
+    } );
+
+    lines.push( '    </listOfParameters>', '    <listOfReactions>' );
+    reactionNetwork.reactions.forEach( function( reaction ) {
+      lines.push( '      <reaction id="' + reaction.name + '" reversible="false">' );
+      [ [ 'listOfReactants', reaction.reactants ], [ 'listOfProducts', reaction.products ] ].forEach( function( list ) {
+        if ( list[ 1 ].length > 0 ) {
+          lines.push( '        <' + list[ 0 ] + '>' );
+          list[ 1 ].forEach( function( speciesReference ) {
+            lines.push( '          <speciesReference species="' + reactionNetwork.species[ speciesReference.index ].name +
+                        '" stoichiometry="' + speciesReference.stoichiometry + '" constant="true"/>' );
+          } );
+          lines.push( '        </' + list[ 0 ] + '>' );
+        }
+      } );
+
+      // mass-action kinetic law, the rate parameter times each reactant raised to its stoichiometry
+      const factors = [ '<ci> ' + RATE_PARAMETER_PREFIX + reaction.name + ' </ci>' ];
+      reaction.reactants.forEach( function( reactant ) {
+        const speciesName = reactionNetwork.species[ reactant.index ].name;
+        factors.push( reactant.stoichiometry === 1 ?
+                      '<ci> ' + speciesName + ' </ci>' :
+                      '<apply><power/><ci> ' + speciesName + ' </ci><cn type="integer"> ' + reactant.stoichiometry +
+                      ' </cn></apply>' );
+      } );
+      lines.push(
+        '        <kineticLaw>',
+        '          <math xmlns="' + MATHML_NAMESPACE + '">',
+        '            ' + ( factors.length === 1 ? factors[ 0 ] : '<apply><times/>' + factors.join( '' ) + '</apply>' ),
+        '          </math>',
+        '        </kineticLaw>',
+        '      </reaction>'
+      );
+    } );
+
+    lines.push( '    </listOfReactions>', '  </model>', '</sbml>' );
+    return lines.join( '\n' );
+  },
+
+  /**
+   * Write the network of a simulator as an SBML document, with its current counts and rates rather than the defaults
+   * of the network. The rates are scaled to the current volume of the cell, so that the document, which is at unit
+   * volume, has the same propensities as the simulator. Counts from the rate equations are rounded to whole numbers.
+   * @param {CellProteinSynthesisSimulator} simulator
+   * @param {Object} [options] - see write, the counts and rates are set here
+   * @returns {string}
+   * @public
+   */
+  writeSimulator: function( simulator, options ) {
+    const reactionNetwork = simulator.reactionNetwork;
+    return ReactionNetworkSBML.write( reactionNetwork, merge( {}, options, {
+      counts: simulator.objectCounts.map( function( count ) { return Math.round( count ); } ),
+      rates: reactionNetwork.reactions.map( function( reaction, index ) {
+        return simulator.reactionProbabilities[ index ] * Math.pow( simulator.volume, reaction.volumeExponent );
+      } )
+    } ) );
+  },
+
+  /**
+   * Read an SBML Level 3 core document and create the equivalent reaction network.
+   * @param {string} sbml - contents of the SBML document
+   * @returns {ReactionNetwork}
+   * @throws {Error} if the document is not valid SBML Level 3 or uses constructs that are not supported
+   * @public
+   */
+  read: function( sbml ) {
+    const document = new DOMParser().parseFromString( sbml, 'application/xml' );
+    if ( document.getElementsByTagName( 'parsererror' ).length > 0 ) {
+      throw new Error( 'SBML document is not well-formed XML' );
+    }
+
+    const sbmlElement = document.documentElement;
+    if ( !sbmlElement || sbmlElement.localName !== 'sbml' || sbmlElement.getAttribute( 'level' ) !== '3' ) {
+      throw new Error( 'only SBML Level 3 documents are supported' );
+    }
+
+    const modelElement = getChild( sbmlElement, 'model' );
+    if ( !modelElement ) {
+      throw new Error( 'SBML document has no model' );
+    }
+
+    Object.keys( UNSUPPORTED_MODEL_ELEMENTS ).forEach( function( elementName ) {
+      const element = getChild( modelElement, elementName );
+      if ( element && getChildren( element ).length > 0 ) {
+        throw new Error( 'SBML ' + UNSUPPORTED_MODEL_ELEMENTS[ elementName ] + ' are not supported' );
+      }
+    } );
+
+    // The size of a compartment is its value in kinetic laws, and only the unit volume of the rate constants is
+    // supported.
+    const parameterValues = {};
+    getListItems( modelElement, 'listOfCompartments', 'compartment' ).forEach( function( compartmentElement ) {
+      const id = compartmentElement.getAttribute( 'id' );
+      if ( getNumberAttribute( compartmentElement, 'size' ) !== 1 ) {
+        throw new Error( 'compartment ' + id + ' must have size 1, since the rate constants apply at unit volume' );
+      }
+      parameterValues[ id ] = 1;
+    } );
+
+    // global parameters
+    getListItems( modelElement, 'listOfParameters', 'parameter' ).forEach( function( parameterElement ) {
+      parameterValues[ parameterElement.getAttribute( 'id' ) ] = getParameterValue( parameterElement );
+    } );
+
+    const species = getListItems( modelElement, 'listOfSpecies', 'species' ).map( function( speciesElement ) {
+      const id = speciesElement.getAttribute( 'id' );
+      if ( speciesElement.hasAttribute( 'initialConcentration' ) ) {
+        throw new Error( 'species ' + id + ' uses initialConcentration, only initialAmount is supported' );
+      }
+      if ( speciesElement.getAttribute( 'hasOnlySubstanceUnits' ) !== 'true' ) {
+        throw new Error( 'species ' + id + ' must have hasOnlySubstanceUnits="true", ' +
+                         'concentrations are not supported' );
+      }
+      if ( parameterValues[ speciesElement.getAttribute( 'compartment' ) ] === undefined ) {
+        throw new Error( 'species ' + id + ' is in an unknown compartment' );
+      }
+      if ( speciesElement.getAttribute( 'boundaryCondition' ) === 'true' ||
+           speciesElement.getAttribute( 'constant' ) === 'true' ) {
+        throw new Error( 'species ' + id + ' is a boundary or constant species, which is not supported' );
+      }
+      const initialAmount = getNumberAttribute( speciesElement, 'initialAmount' );
+      if ( !Number.isInteger( initialAmount ) || initialAmount < 0 ) {
+        throw new Error( 'initial amount of species ' + id + ' must be a non-negative integer' );
+      }
+      return merge( { name: id, initialCount: initialAmount }, readSpeciesAnnotation( speciesElement ) );
+    } );
+
+    const speciesIds = species.map( function( species ) { return species.name; } );
+    species.forEach( function( species ) {
+      if ( species.isGenomic && species.isBuffered ) {
+        throw new Error( 'species ' + species.name + ' cannot be both genomic and buffered' );
+      }
+      Object.keys( species.components ).forEach( function( componentId ) {
+        if ( speciesIds.indexOf( componentId ) < 0 ) {
+          throw new Error( 'species ' + species.name + ' has unknown component ' + componentId );
+        }
+      } );
+    } );
+
+    const reactions = getListItems( modelElement, 'listOfReactions', 'reaction' ).map( function( reactionElement ) {
+      const id = reactionElement.getAttribute( 'id' );
+      if ( reactionElement.getAttribute( 'reversible' ) === 'true' ) {
+        throw new Error( 'reaction ' + id + ' is reversible, split it into forward and reverse reactions' );
+      }
+
+      const reactants = readSpeciesReferences( reactionElement, 'listOfReactants', id, speciesIds );
+      const products = readSpeciesReferences( reactionElement, 'listOfProducts', id, speciesIds );
+
+      const kineticLawElement = getChild( reactionElement, 'kineticLaw' );
+      if ( !kineticLawElement ) {
+        throw new Error( 'reaction ' + id + ' has no kinetic law' );
+      }
+
+      // local parameters take precedence over global ones
+      const localParameterValues = merge( {}, parameterValues );
+      getListItems( kineticLawElement, 'listOfLocalParameters', 'localParameter' ).forEach( function( element ) {
+        localParameterValues[ element.getAttribute( 'id' ) ] = getParameterValue( element );
+      } );
+
+      const rate = readMassActionRate( kineticLawElement, id, reactants, localParameterValues, speciesIds );
+      return { name: id, reactants: reactants, products: products, rate: rate };
+    } );
+
+    return new ReactionNetwork( { species: species, reactions: reactions } );
+  }
+};
+
+/**
+ * @param {string} id
+ * @returns {string}
+ */
+function validateId( id ) {
+  if ( !SID_REGEX.test( id ) ) {
+    throw new Error( 'not a valid SBML identifier: ' + id );
+  }
+  return id;
+}
+
+/**
+ * Product of the factorials of the stoichiometries, which converts between SBML and network rate constants.
+ * @param {Array.<{index: number, stoichiometry: number}>} reactants
+ * @returns {number}
+ */
+function getFactorialProduct( reactants ) {
+  let product = 1;
+  reactants.forEach( function( reactant ) {
+    for ( let i = 2; i <= reactant.stoichiometry; i++ ) {
+      product *= i;
+    }
+  } );
+  return product;
+}
+
+/**
+ * @param {Element} element
+ * @returns {Array.<Element>} child elements, skipping text and comments
+ */
+function getChildren( element ) {
+  const children = [];
+  for ( let i = 0; i < element.childNodes.length; i++ ) {
+    if ( element.childNodes[ i ].nodeType === 1 ) {
+      children.push( element.childNodes[ i ] );
+    }
+  }
+  return children;
+}
+
+/**
+ * @param {Element} element
+ * @param {string} name
+ * @returns {Element|null} the first child element with the given name
+ */
+function getChild( element, name ) {
+  return getChildren( element ).find( function( child ) { return child.localName === name; } ) || null;
+}
+
+/**
+ * @param {Element} element
+ * @param {string} listName - e.g. listOfSpecies
+ * @param {string} itemName - e.g. species
+ * @returns {Array.<Element>}
+ */
+function getListItems( element, listName, itemName ) {
+  const list = getChild( element, listName );
+  return list ? getChildren( list ).filter( function( child ) { return child.localName === itemName; } ) : [];
+}
+
+/**
+ * @param {Element} element
+ * @param {string} name
+ * @returns {number}
+ */
+function getNumberAttribute( element, name ) {
+  const value = Number( element.getAttribute( name ) );
+  if ( !element.hasAttribute( name ) || isNaN( value ) ) {
+    throw new Error( element.localName + ' ' + element.getAttribute( 'id' ) + ' has no valid ' + name );
+  }
+  return value;
+}
+
+/**
+ * Get the value of a global or local parameter. Since parameters can only be factors of mass-action rates, the value
+ * must be finite and non-negative.
+ * @param {Element} element
+ * @returns {number}
+ */
+function getParameterValue( element ) {
+  const value = getNumberAttribute( element, 'value' );
+  if ( !isFinite( value ) || value < 0 ) {
+    throw new Error( element.localName + ' ' + element.getAttribute( 'id' ) +
+                     ' must have a finite, non-negative value' );
+  }
+  return value;
+}
+
+/**
+ * Read the flags and components of a species from its annotation, if it has one.
+ * @param {Element} speciesElement
+ * @returns {{isGenomic: boolean, isBuffered: boolean, components: Object.<string, number>}}
+ */
+function readSpeciesAnnotation( speciesElement ) {
+  const flags = { isGenomic: false, isBuffered: false, components: {} };
+  const annotationElement = getChild( speciesElement, 'annotation' );
+  const flagsElement = annotationElement && getChildren( annotationElement ).find( function( child ) {
+    return child.namespaceURI === ANNOTATION_NAMESPACE && child.localName === 'species';
+  } );
+  if ( flagsElement ) {
+    flags.isGenomic = flagsElement.getAttribute( 'isGenomic' ) === 'true';
+    flags.isBuffered = flagsElement.getAttribute( 'isBuffered' ) === 'true';
+    getChildren( flagsElement ).forEach( function( element ) {
+      if ( element.namespaceURI === ANNOTATION_NAMESPACE && element.localName === 'component' ) {
+        const stoichiometry = getNumberAttribute( element, 'stoichiometry' );
+        if ( !Number.isInteger( stoichiometry ) || stoichiometry <= 0 ) {
+          throw new Error( 'stoichiometry of component ' + element.getAttribute( 'species' ) + ' of species ' +
+                           speciesElement.getAttribute( 'id' ) + ' must be a positive integer' );
+        }
+        flags.components[ element.getAttribute( 'species' ) ] = stoichiometry;
+      }
+    } );
+  }
+  return flags;
+}
+
+/**
+ * @param {Element} reactionElement
+ * @param {string} listName - listOfReactants or listOfProducts
+ * @param {string} reactionId
+ * @param {Array.<string>} speciesIds
+ * @returns {Object.<string, number>} map of species ids to stoichiometries
+ */
+function readSpeciesReferences( reactionElement, listName, reactionId, speciesIds ) {
+  const stoichiometry = {};
+  getListItems( reactionElement, listName, 'speciesReference' ).forEach( function( element ) {
+    const speciesId = element.getAttribute( 'species' );
+    if ( speciesIds.indexOf( speciesId ) < 0 ) {
+      throw new Error( 'reaction ' + reactionId + ' refers to unknown species ' + speciesId );
+    }
+    const value = element.hasAttribute( 'stoichiometry' ) ? getNumberAttribute( element, 'stoichiometry' ) : 1;
+    if ( !Number.isInteger( value ) || value <= 0 ) {
+      throw new Error( 'stoichiometry of ' + speciesId + ' in reaction ' + reactionId + ' must be a positive integer' );
+    }
+    stoichiometry[ speciesId ] = ( stoichiometry[ speciesId ] || 0 ) + value;
+  } );
+  return stoichiometry;
+}
+
+/**
+ * Interpret a kinetic law as mass action, i.e. a product of constants and parameters times each reactant raised to
+ * its stoichiometry, and return the equivalent network rate constant.
+ * @param {Element} kineticLawElement
+ * @param {string} reactionId
+ * @param {Object.<string, number>} reactants - map of species ids to stoichiometries
+ * @param {Object.<string, number>} parameterValues - map of parameter and compartment ids to values
+ * @param {Array.<string>} speciesIds
+ * @returns {number}
+ */
+function readMassActionRate( kineticLawElement, reactionId, reactants, parameterValues, speciesIds ) {
+  const notMassAction = new Error( 'kinetic law of reaction ' + reactionId + ' is not mass-action, only products of ' +
+                                   'parameters, numbers and reactant species are supported' );
+
+  const mathElement = getChild( kineticLawElement, 'math' );
+  if ( !mathElement || getChildren( mathElement ).length !== 1 ) {
+    throw notMassAction;
+  }
+
+  let constant = 1;
+  const exponents = {};
+
+  // Accumulates a single factor of the product into constant and exponents.
+  function addFactor( element, power ) {
+    const name = element.localName;
+    if ( name === 'ci' ) {
+      const id = element.textContent.trim();
+      if ( speciesIds.indexOf( id ) >= 0 ) {
+        exponents[ id ] = ( exponents[ id ] || 0 ) + power;
+      }
+      else if ( parameterValues[ id ] !== undefined ) {
+        constant *= Math.pow( parameterValues[ id ], power );
+      }
+      else {
+        throw new Error( 'kinetic law of reaction ' + reactionId + ' refers to unknown identifier ' + id );
+      }
+    }
+    else if ( name === 'cn' ) {
+      const value = Number( element.textContent.trim() );
+      if ( isNaN( value ) ) {
+        throw notMassAction;
+      }
+      constant *= Math.pow( value, power );
+    }
+    else if ( name === 'apply' ) {
+      const children = getChildren( element );
+      const operator = children[ 0 ] && children[ 0 ].localName;
+      if ( operator === 'times' ) {
+        children.slice( 1 ).forEach( function( child ) { addFactor( child, power ); } );
+      }
+      else if ( operator === 'power' && children.length === 3 && children[ 2 ].localName === 'cn' ) {
+        const exponent = Number( children[ 2 ].textContent.trim() );
+        if ( !Number.isInteger( exponent ) || exponent < 0 ) {
+          throw notMassAction;
+        }
+        addFactor( children[ 1 ], power * exponent );
+      }
+      else {
+        throw notMassAction;
+      }
+    }
+    else {
+      throw notMassAction;
+    }
+  }
+
+  addFactor( getChildren( mathElement )[ 0 ], 1 );
+
+  // The species in the law must be exactly the reactants, each raised to its stoichiometry.
+  const lawSpecies = Object.keys( exponents );
+  const reactantSpecies = Object.keys( reactants );
+  const matchesReactants = lawSpecies.length === reactantSpecies.length && reactantSpecies.every( function( id ) {
+    return exponents[ id ] === reactants[ id ];
+  } );
+  if ( !matchesReactants ) {
+    throw notMassAction;
+  }
+
+  return constant * getFactorialProduct( reactantSpecies.map( function( id ) {
+    return { stoichiometry: reactants[ id ] };
+  } ) );
+}
+
+geneExpressionEssentials.register( 'ReactionNetworkSBML', ReactionNetworkSBML );
+
+export default ReactionNetworkSBML;
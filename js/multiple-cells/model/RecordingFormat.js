@@ -0,0 +1,18 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Enumeration of the file formats in which the data recorded by CellDataRecorder can be exported.
+ *
+ * CSV - comma-separated values in long format, i.e. one row per value, preceded by comment lines with the metadata
+ * JSON - an object with the metadata and a list of the samples
+ *
+ * @author agent
+ */
+
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+const RecordingFormat = Enumeration.byKeys( [ 'CSV', 'JSON' ] );
+
+geneExpressionEssentials.register( 'RecordingFormat', RecordingFormat );
+export default RecordingFormat;
@@ -0,0 +1,118 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Utilities for drawing random variates from distributions that are not directly supported by dot's Random, used by
+ * the stochastic model on the Multiple Cells screen.
+ *
+ * @author agent
+ */
+
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+// constants
+
+// Means below this are sampled by multiplying uniform variates, above it the transformed rejection method is used.
+const POISSON_INVERSION_THRESHOLD = 10;
+
+// constant term of the Stirling series used by logFactorial
+const LOG_SQRT_2_PI = 0.5 * Math.log( 2 * Math.PI );
+
+const SamplingUtils = {
+
+  /**
+   * Draw a Poisson-distributed integer with the given mean. Small means use Knuth's multiplication method, larger
+   * means use the "PTRS" transformed rejection method from Hörmann, "The transformed rejection method for generating
+   * Poisson random variables", 1993, which takes constant expected time regardless of the mean.
+   *
+   * @param {Random} random
+   * @param {number} mean
+   * @returns {number}
+   * @public
+   */
+  nextPoisson: function( random, mean ) {
+    assert && assert( mean >= 0, 'mean must be non-negative: ' + mean );
+
+    if ( mean === 0 ) {
+      return 0;
+    }
+
+    if ( mean < POISSON_INVERSION_THRESHOLD ) {
+      const limit = Math.exp( -mean );
+      let count = 0;
+      let product = random.nextDouble();
+      while ( product > limit ) {
+        count++;
+        product *= random.nextDouble();
+      }
+      return count;
+    }
+
+    const logMean = Math.log( mean );
+    const b = 0.931 + 2.53 * Math.sqrt( mean );
+    const a = -0.059 + 0.02483 * b;
+    const inverseAlpha = 1.1239 + 1.1328 / ( b - 3.4 );
+    const vr = 0.9277 - 3.6224 / ( b - 2 );
+
+    // Candidates are drawn until one passes either the quick acceptance test or, if it isn't in a region that is
+    // rejected outright, the exact one.
+    let k = 0;
+    let accepted = false;
+    while ( !accepted ) {
+      const u = random.nextDouble() - 0.5;
+      const v = random.nextDouble();
+      const us = 0.5 - Math.abs( u );
+      k = Math.floor( ( 2 * a / us + b ) * u + mean + 0.43 );
+      accepted = ( us >= 0.07 && v <= vr ) ||
+                 ( k >= 0 && ( us >= 0.013 || v <= us ) &&
+                   Math.log( v * inverseAlpha / ( a / ( us * us ) + b ) ) <=
+                   -mean + k * logMean - SamplingUtils.logFactorial( k ) );
+    }
+    return k;
+  },
+
+  /**
+   * Draw a binomially-distributed integer, i.e. the number of successes in n independent trials that each succeed with
+   * probability p. The trials are simulated directly, which is fast enough for the molecule counts in a cell.
+   *
+   * @param {Random} random
+   * @param {number} n - a non-negative integer
+   * @param {number} p
+   * @returns {number}
+   * @public
+   */
+  nextBinomial: function( random, n, p ) {
+    assert && assert( Number.isInteger( n ) && n >= 0, 'n must be a non-negative integer: ' + n );
+    assert && assert( p >= 0 && p <= 1, 'p must be a probability: ' + p );
+
+    let successes = 0;
+    for ( let i = 0; i < n; i++ ) {
+      if ( random.nextDouble() < p ) {
+        successes++;
+      }
+    }
+    return successes;
+  },
+
+  /**
+   * Natural log of n!, using a direct sum for small values and the Stirling series for larger ones.
+   * @param {number} n - a non-negative integer
+   * @returns {number}
+   * @public
+   */
+  logFactorial: function( n ) {
+    if ( n < 10 ) {
+      let result = 0;
+      for ( let i = 2; i <= n; i++ ) {
+        result += Math.log( i );
+      }
+      return result;
+    }
+    const n1 = n + 1;
+    return ( n1 - 0.5 ) * Math.log( n1 ) - n1 + LOG_SQRT_2_PI +
+           1 / ( 12 * n1 ) - 1 / ( 360 * n1 * n1 * n1 );
+  }
+};
+
+geneExpressionEssentials.register( 'SamplingUtils', SamplingUtils );
+
+export default SamplingUtils;
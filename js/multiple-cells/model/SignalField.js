@@ -0,0 +1,194 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Concentration of a diffusible signal molecule over the area occupied by the cells on the Multiple Cells screen, which
+ * is used to model cell-cell signaling, i.e. quorum sensing. The cells secrete the signal at a rate proportional to
+ * their protein levels, and it spreads by diffusion and decays. It is modeled on a coarse grid with an explicit finite
+ * difference scheme, and is lost at the edges of the grid, which are a margin away from the cells, so a few isolated
+ * cells can't build up much of it but a dense population can. The signal raises the rate at which the transcription
+ * factor binds to the genes of the cells where it is present, so when the population is dense enough, the cells switch
+ * on together.
+ *
+ * @author agent
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Range from '../../../../dot/js/Range.js';
+import inherit from '../../../../phet-core/js/inherit.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+// constants
+
+// Size of the squares of the grid, and margin around the cells that the grid covers, in meters.
+const GRID_SPACING = 1E-6;
+const MARGIN = 3E-6;
+
+// Diffusion coefficient in square meters per second, and decay rate in inverse seconds. Together these spread the
+// signal from a cell over a distance of about ten microns, which is a good part of the area taken up by the cells.
+const DIFFUSION_COEFFICIENT = 1E-11;
+const DECAY_RATE = 0.1;
+
+// Rate at which each protein molecule causes signal molecules to be secreted, in molecules per second.
+const SECRETION_RATE_RANGE = new Range( 0.01, 1 );
+const DEFAULT_SECRETION_RATE = 0.1;
+
+// The rate at which the transcription factor binds to a gene is multiplied by one plus MAX_RESPONSE times a Hill
+// function of the concentration of the signal, in molecules per grid square, with this half-maximal concentration.
+const MAX_RESPONSE = 20;
+const HALF_RESPONSE_CONCENTRATION = 4;
+const HILL_COEFFICIENT = 2;
+
+// largest fraction of a grid square's signal that may leave it through each side in one time step, which keeps the
+// explicit scheme stable
+const MAX_DIFFUSION_FRACTION = 0.2;
+
+/**
+ * @param {Bounds2} cellBounds - the area that the centers of the cells are in
+ * @constructor
+ */
+function SignalField( cellBounds ) {
+
+  // @public - how much signal the cells secrete for their protein levels
+  this.secretionRateProperty = new NumberProperty( DEFAULT_SECRETION_RATE, { range: SECRETION_RATE_RANGE } );
+
+  // @public (read-only) {number} - size of the grid
+  this.columns = Math.ceil( ( cellBounds.width + 2 * MARGIN ) / GRID_SPACING );
+  this.rows = Math.ceil( ( cellBounds.height + 2 * MARGIN ) / GRID_SPACING );
+
+  // @public (read-only) {Bounds2} - the area covered by the grid
+  this.bounds = new Bounds2(
+    cellBounds.centerX - this.columns * GRID_SPACING / 2,
+    cellBounds.centerY - this.rows * GRID_SPACING / 2,
+    cellBounds.centerX + this.columns * GRID_SPACING / 2,
+    cellBounds.centerY + this.rows * GRID_SPACING / 2
+  );
+
+  // @public (read-only) {Float64Array} - signal molecules in each grid square, in rows from the bottom of the grid
+  this.concentrations = new Float64Array( this.columns * this.rows );
+
+  // @private {Float64Array} - space for the next concentrations during a diffusion step
+  this.nextConcentrations = new Float64Array( this.columns * this.rows );
+}
+
+geneExpressionEssentials.register( 'SignalField', SignalField );
+
+inherit( Object, SignalField, {
+
+  /**
+   * Have the given cells secrete the signal, and let it diffuse and decay.
+   * @param {number} dt - in seconds
+   * @param {Array.<Cell>} cells - the cells that secrete the signal
+   * @public
+   */
+  step: function( dt, cells ) {
+    const self = this;
+
+    const secretionRate = this.secretionRateProperty.get();
+    cells.forEach( function( cell ) {
+      const index = self.getIndex( cell.positionX, cell.positionY );
+      if ( index !== null ) {
+        self.concentrations[ index ] += secretionRate * cell.proteinCount.get() * dt;
+      }
+    } );
+
+    // Larger time steps are split up so that the scheme stays stable.
+    const diffusionFraction = DIFFUSION_COEFFICIENT * dt / ( GRID_SPACING * GRID_SPACING );
+    const numberOfSubsteps = Math.ceil( diffusionFraction / MAX_DIFFUSION_FRACTION );
+    for ( let i = 0; i < numberOfSubsteps; i++ ) {
+      this.diffuse( diffusionFraction / numberOfSubsteps );
+    }
+
+    const decayFactor = Math.exp( -DECAY_RATE * dt );
+    for ( let i = 0; i < this.concentrations.length; i++ ) {
+      this.concentrations[ i ] *= decayFactor;
+    }
+  },
+
+  /**
+   * Move the given fraction of the signal in each grid square to each of its neighbors. Signal that moves off of the
+   * grid is lost.
+   * @param {number} fraction
+   * @private
+   */
+  diffuse: function( fraction ) {
+    const columns = this.columns;
+    const rows = this.rows;
+    const concentrations = this.concentrations;
+    for ( let row = 0; row < rows; row++ ) {
+      for ( let column = 0; column < columns; column++ ) {
+        const index = row * columns + column;
+        const left = column > 0 ? concentrations[ index - 1 ] : 0;
+        const right = column < columns - 1 ? concentrations[ index + 1 ] : 0;
+        const below = row > 0 ? concentrations[ index - columns ] : 0;
+        const above = row < rows - 1 ? concentrations[ index + columns ] : 0;
+        this.nextConcentrations[ index ] = concentrations[ index ] +
+                                           fraction * ( left + right + below + above - 4 * concentrations[ index ] );
+      }
+    }
+    this.concentrations = this.nextConcentrations;
+    this.nextConcentrations = concentrations;
+  },
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @returns {number} - concentration of the signal at the given point, zero if it's off of the grid
+   * @public
+   */
+  getConcentration: function( x, y ) {
+    const index = this.getIndex( x, y );
+    return index === null ? 0 : this.concentrations[ index ];
+  },
+
+  /**
+   * Get the factor by which the signal multiplies the rate at which the transcription factor binds to the genes of a
+   * cell at the given point.
+   * @param {number} x
+   * @param {number} y
+   * @returns {number}
+   * @public
+   */
+  getResponse: function( x, y ) {
+    const concentration = Math.pow( this.getConcentration( x, y ), HILL_COEFFICIENT );
+    return 1 + MAX_RESPONSE * concentration /
+               ( Math.pow( HALF_RESPONSE_CONCENTRATION, HILL_COEFFICIENT ) + concentration );
+  },
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @returns {number|null} - index of the grid square that contains the given point, null if it's off of the grid
+   * @private
+   */
+  getIndex: function( x, y ) {
+    const column = Math.floor( ( x - this.bounds.minX ) / GRID_SPACING );
+    const row = Math.floor( ( y - this.bounds.minY ) / GRID_SPACING );
+    if ( column < 0 || column >= this.columns || row < 0 || row >= this.rows ) {
+      return null;
+    }
+    return row * this.columns + column;
+  },
+
+  /**
+   * Remove all of the signal.
+   * @public
+   */
+  clear: function() {
+    this.concentrations.fill( 0 );
+  },
+
+  /**
+   * @public
+   */
+  reset: function() {
+    this.secretionRateProperty.reset();
+    this.clear();
+  }
+}, {
+
+  // statics
+  HalfResponseConcentration: HALF_RESPONSE_CONCENTRATION
+} );
+
+export default SignalField;
@@ -0,0 +1,159 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Approximate stochastic solver for CellProteinSynthesisSimulator that uses tau-leaping. Rather than simulating every
+ * reaction individually, the number of times that each reaction fires during a leap of length tau is drawn from a
+ * Poisson distribution. The leap length is chosen adaptively using the method from Cao, Gillespie and Petzold,
+ * "Efficient step size selection for the tau-leaping simulation method", 2006, so that no propensity is expected to
+ * change by more than a small fraction during the leap. Leaps that would drive any count negative are rejected and
+ * retried with half the length, and when the selected leap is so short that few reactions would occur in it the
+ * solver falls back to the exact direct method.
+ *
+ * @author agent
+ */
+
+import inherit from '../../../../phet-core/js/inherit.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import SamplingUtils from './SamplingUtils.js';
+
+// constants
+
+// Error control parameter from Cao et al., the maximum expected relative change in any propensity during one leap.
+const EPSILON = 0.03;
+
+// If a leap would contain fewer than this many reactions on average, exact steps are done instead.
+const MIN_REACTIONS_PER_LEAP = 10;
+
+// Number of exact steps done each time the solver falls back to the direct method.
+const EXACT_STEPS_PER_FALLBACK = 100;
+
+/**
+ * @param {CellProteinSynthesisSimulator} simulator - the simulator whose counts and propensities are used
+ * @constructor
+ */
+function TauLeapingSolver( simulator ) {
+  const self = this;
+
+  // @private
+  this.simulator = simulator;
+
+  // @private {Array.<number>} - for each species, the highest order of any reaction in which it is a reactant, which
+  // is zero for species that are not reactants. This is used as "g" from Cao et al., which is exact when reactions
+  // have distinct reactants and a slight overestimate of the allowed leap otherwise.
+  this.highestReactionOrders = simulator.objectCounts.map( function() { return 0; } );
+  simulator.reactionNetwork.reactions.forEach( function( reaction ) {
+    reaction.reactants.forEach( function( reactant ) {
+      self.highestReactionOrders[ reactant.index ] = Math.max( self.highestReactionOrders[ reactant.index ], reaction.order );
+    } );
+  } );
+}
+
+geneExpressionEssentials.register( 'TauLeapingSolver', TauLeapingSolver );
+
+inherit( Object, TauLeapingSolver, {
+
+  /**
+   * Moves forward one time step of specified length.
+   * @param {number} dt
+   * @public
+   */
+  step: function( dt ) {
+    let remainingTime = dt;
+    while ( remainingTime > 0 ) {
+      const a = this.simulator.calculateA();
+      const a0 = this.simulator.sum( a );
+      if ( a0 === 0 ) {
+        break;
+      }
+
+      let tau = Math.min( this.selectLeapLength( a ), remainingTime );
+      if ( tau * a0 < MIN_REACTIONS_PER_LEAP ) {
+
+        // Leaping wouldn't save anything here, so simulate some reactions exactly.
+        for ( let i = 0; i < EXACT_STEPS_PER_FALLBACK && remainingTime > 0; i++ ) {
+          const timeIncrement = this.simulator.simulateOneReaction( remainingTime );
+          remainingTime = timeIncrement === 0 ? 0 : remainingTime - timeIncrement;
+        }
+      }
+      else {
+        while ( !this.leap( a, tau ) ) {
+          tau = tau / 2;
+        }
+        remainingTime -= tau;
+      }
+    }
+  },
+
+  /**
+   * Select the leap length using the species-based bounds from Cao et al. (2006), equation 33.
+   * @param {Array.<number>} a - current propensities
+   * @returns {number}
+   * @private
+   */
+  selectLeapLength: function( a ) {
+    const counts = this.simulator.objectCounts;
+    const reactions = this.simulator.reactionNetwork.reactions;
+    let tau = Number.POSITIVE_INFINITY;
+
+    for ( let i = 0; i < counts.length; i++ ) {
+      if ( this.highestReactionOrders[ i ] === 0 ) {
+        continue;
+      }
+
+      // expected change in this count per unit time, and its variance
+      let mean = 0;
+      let variance = 0;
+      for ( let j = 0; j < reactions.length; j++ ) {
+        const stateChanges = reactions[ j ].stateChanges;
+        for ( let k = 0; k < stateChanges.length; k++ ) {
+          if ( stateChanges[ k ].index === i ) {
+            const change = stateChanges[ k ].change;
+            mean += change * a[ j ];
+            variance += change * change * a[ j ];
+          }
+        }
+      }
+
+      const bound = Math.max( EPSILON * counts[ i ] / this.highestReactionOrders[ i ], 1 );
+      if ( mean !== 0 ) {
+        tau = Math.min( tau, bound / Math.abs( mean ) );
+      }
+      if ( variance > 0 ) {
+        tau = Math.min( tau, bound * bound / variance );
+      }
+    }
+    return tau;
+  },
+
+  /**
+   * Attempt a single leap. The leap is rejected, leaving the counts unchanged, if it would make any count negative.
+   * @param {Array.<number>} a - current propensities
+   * @param {number} tau - length of the leap
+   * @returns {boolean} true if the leap was taken
+   * @private
+   */
+  leap: function( a, tau ) {
+    const reactionNetwork = this.simulator.reactionNetwork;
+    const newCounts = this.simulator.objectCounts.slice();
+
+    for ( let j = 0; j < a.length; j++ ) {
+      const firings = SamplingUtils.nextPoisson( this.simulator.random, a[ j ] * tau );
+      if ( firings > 0 ) {
+        reactionNetwork.applyReaction( j, newCounts, firings );
+      }
+    }
+
+    for ( let i = 0; i < newCounts.length; i++ ) {
+      if ( newCounts[ i ] < 0 ) {
+        return false;
+      }
+    }
+
+    for ( let i = 0; i < newCounts.length; i++ ) {
+      this.simulator.objectCounts[ i ] = newCounts[ i ];
+    }
+    return true;
+  }
+} );
+
+export default TauLeapingSolver;
@@ -3,7 +3,9 @@
 /**
  * Node that represents a cell (as in a biological organism) that changes color as the level of protein within the cell
  * changes. The color change is meant to represent a cell that is expressing a fluorescent protein, something like
- * Green Fluorescent Protein, or GFP.
+ * Green Fluorescent Protein, or GFP. When the cell has a circuit of several genes, the protein of each gene is depicted
+ * as a fluorescent protein of a different color, and the colors are added together. A cell that is being tracked is
+ * outlined in the color of its tracking slot.
  *
  * @author John Blanco
  * @author Mohamed Safi
@@ -24,13 +26,27 @@ const FLORESCENT_FILL_COLOR = new Color( 200, 255, 58 );
 const LINE_WIDTH = 2;
 const STROKE_COLOR = Color.WHITE;
 
+// Colors of the fluorescent proteins of the genes in a circuit, in the order of the genes. The first gene uses the
+// same color as a single gene, and the others are red and blue so that each combination of genes is distinct.
+const CHANNEL_FILL_COLORS = [ FLORESCENT_FILL_COLOR, new Color( 255, 40, 40 ), new Color( 50, 110, 255 ) ];
+
+// Colors of the outlines of the tracked cells, one for each tracking slot, chosen to stand out from the fluorescent
+// colors and from each other.
+const TRACKING_COLORS = [
+  new Color( 255, 0, 255 ),
+  new Color( 0, 170, 200 ),
+  new Color( 255, 150, 0 ),
+  new Color( 120, 60, 200 )
+];
+const TRACKING_LINE_WIDTH = 5;
+
 /**
  * @param {Cell} cell
  * @param {ModelViewTransform2} modelViewTransform
  * @constructor
  */
 function ColorChangingCellNode( cell, modelViewTransform ) {
-  Node.call( this );
+  Node.call( this, { cursor: 'pointer' } );
 
   const cellBody = new Path( modelViewTransform.modelToViewShape( cell.getShape() ), {
     fill: NOMINAL_FILL_COLOR,
@@ -41,21 +57,77 @@ function ColorChangingCellNode( cell, modelViewTransform ) {
     center: modelViewTransform.modelToViewXY( cell.positionX, cell.positionY )
   } );
 
-  cell.proteinCount.lazyLink( function( proteinCount ) {
-    const florescenceAmount = Utils.clamp( ( proteinCount - Cell.ProteinLevelWhereColorChangeStarts ) /
-                                           ( Cell.ProteinLevelWhereColorChangeCompletes - Cell.ProteinLevelWhereColorChangeStarts ), 0, 1.0 );
-    cellBody.fill = Color.interpolateRGBA( NOMINAL_FILL_COLOR, FLORESCENT_FILL_COLOR, florescenceAmount );
+  // Each protein adds its share of the difference between its color and the nominal color, so with a single gene this
+  // is the same as interpolating between the two.
+  function updateFill() {
+    let red = NOMINAL_FILL_COLOR.red;
+    let green = NOMINAL_FILL_COLOR.green;
+    let blue = NOMINAL_FILL_COLOR.blue;
+    cell.proteinCounts.forEach( function( proteinCount, index ) {
+      const florescenceAmount = Utils.clamp(
+        ( proteinCount.get() - Cell.ProteinLevelWhereColorChangeStarts ) /
+        ( Cell.ProteinLevelWhereColorChangeCompletes - Cell.ProteinLevelWhereColorChangeStarts ),
+        0,
+        1.0
+      );
+      red += ( CHANNEL_FILL_COLORS[ index ].red - NOMINAL_FILL_COLOR.red ) * florescenceAmount;
+      green += ( CHANNEL_FILL_COLORS[ index ].green - NOMINAL_FILL_COLOR.green ) * florescenceAmount;
+      blue += ( CHANNEL_FILL_COLORS[ index ].blue - NOMINAL_FILL_COLOR.blue ) * florescenceAmount;
+    } );
+    cellBody.fill = new Color( Math.min( red, 255 ), Math.min( green, 255 ), Math.min( blue, 255 ) );
+  }
+
+  cell.proteinCounts.forEach( function( proteinCount ) {
+    proteinCount.lazyLink( updateFill );
   } );
   this.addChild( cellBody );
+
+  // @private - cells outlive their nodes when the nodes are replaced, see MultipleCellsModel.cellReplacedEmitter
+  this.disposeColorChangingCellNode = function() {
+    cell.proteinCounts.forEach( function( proteinCount ) {
+      proteinCount.unlink( updateFill );
+    } );
+  };
+
+  // @private - outline that is shown when the cell is tracked
+  this.trackingOutline = new Path( cellBody.shape, {
+    lineWidth: TRACKING_LINE_WIDTH,
+    lineJoin: 'round',
+    center: cellBody.center,
+    visible: false,
+    pickable: false
+  } );
+  this.addChild( this.trackingOutline );
 }
 
 geneExpressionEssentials.register( 'ColorChangingCellNode', ColorChangingCellNode );
 
-inherit( Node, ColorChangingCellNode, {}, {
+inherit( Node, ColorChangingCellNode, {
+
+  /**
+   * @public
+   */
+  dispose: function() {
+    this.disposeColorChangingCellNode();
+    Node.prototype.dispose.call( this );
+  },
+
+  /**
+   * Outline the cell in the given color to show that it is tracked, or remove the outline.
+   * @param {Color|null} color - null if the cell isn't tracked
+   * @public
+   */
+  setTrackingColor: function( color ) {
+    this.trackingOutline.visible = color !== null;
+    this.trackingOutline.stroke = color;
+  }
+}, {
 
   // statics
   NominalFillColor: NOMINAL_FILL_COLOR,
-  FlorescentFillColor: FLORESCENT_FILL_COLOR
+  FlorescentFillColor: FLORESCENT_FILL_COLOR,
+  ChannelFillColors: CHANNEL_FILL_COLORS,
+  TrackingColors: TRACKING_COLORS
 } );
 
 export default ColorChangingCellNode;
\ No newline at end of file
@@ -0,0 +1,124 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Controls for recording the counts in the cells on the Multiple Cells screen and downloading the recording as a file,
+ * see CellDataRecorder.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import stepTimer from '../../../../axon/js/stepTimer.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import HorizontalAquaRadioButtonGroup from '../../../../sun/js/HorizontalAquaRadioButtonGroup.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+import RecordingFormat from '../model/RecordingFormat.js';
+
+// constants
+const FONT = new PhetFont( 13 );
+const MAX_TEXT_WIDTH = 110;
+const FILE_NAME = 'multiple-cells-recording';
+
+// time after which the URL of a downloaded file is revoked, in milliseconds
+const REVOKE_URL_DELAY = 10000;
+
+// file extension and media type of each format
+const FILE_TYPES = {};
+FILE_TYPES[ RecordingFormat.CSV ] = { extension: '.csv', mediaType: 'text/csv' };
+FILE_TYPES[ RecordingFormat.JSON ] = { extension: '.json', mediaType: 'application/json' };
+
+const csvString = geneExpressionEssentialsStrings.csv;
+const downloadString = geneExpressionEssentialsStrings.download;
+const jsonString = geneExpressionEssentialsStrings.json;
+const recordString = geneExpressionEssentialsStrings.record;
+const samplesPatternString = geneExpressionEssentialsStrings.samplesPattern;
+
+class DataRecordingNode extends VBox {
+
+  /**
+   * @param {CellDataRecorder} recorder
+   */
+  constructor( recorder ) {
+
+    // format of the downloaded file
+    const formatProperty = new Property( RecordingFormat.CSV, { validValues: RecordingFormat.VALUES } );
+
+    const recordCheckbox = new Checkbox(
+      new Text( recordString, { font: FONT, maxWidth: MAX_TEXT_WIDTH } ),
+      recorder.recordingProperty,
+      { boxWidth: 14 }
+    );
+
+    const numberOfSamplesText = new Text( '', { font: new PhetFont( 12 ), maxWidth: MAX_TEXT_WIDTH } );
+    recorder.numberOfSamplesProperty.link( function( numberOfSamples ) {
+      numberOfSamplesText.text = StringUtils.fillIn( samplesPatternString, { numberOfSamples: numberOfSamples } );
+    } );
+
+    const formatRadioButtonGroup = new HorizontalAquaRadioButtonGroup( formatProperty, [
+      { node: new Text( csvString, { font: FONT, maxWidth: 40 } ), value: RecordingFormat.CSV },
+      { node: new Text( jsonString, { font: FONT, maxWidth: 40 } ), value: RecordingFormat.JSON }
+    ], {
+      spacing: 10,
+      radioButtonOptions: { radius: 7 }
+    } );
+
+    const downloadButton = new RectangularPushButton( {
+      content: new Text( downloadString, { font: FONT, maxWidth: MAX_TEXT_WIDTH } ),
+      baseColor: 'white',
+      listener: function() {
+        const format = formatProperty.get();
+        downloadFile( recorder.export( format ), FILE_NAME + FILE_TYPES[ format ].extension,
+          FILE_TYPES[ format ].mediaType );
+      }
+    } );
+
+    // There is nothing to download until a sample has been recorded.
+    recorder.numberOfSamplesProperty.link( function( numberOfSamples ) {
+      downloadButton.enabled = numberOfSamples > 0;
+    } );
+
+    super( {
+      spacing: 8,
+      align: 'left',
+      children: [ recordCheckbox, numberOfSamplesText, formatRadioButtonGroup, downloadButton ]
+    } );
+
+    // @private
+    this.formatProperty = formatProperty;
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.formatProperty.reset();
+  }
+}
+
+/**
+ * Have the browser save a file with the given contents.
+ * @param {string} contents
+ * @param {string} fileName
+ * @param {string} mediaType
+ */
+function downloadFile( contents, fileName, mediaType ) {
+  const url = window.URL.createObjectURL( new window.Blob( [ contents ], { type: mediaType } ) );
+  const link = document.createElement( 'a' );
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild( link );
+  link.click();
+  document.body.removeChild( link );
+
+  // Some browsers start the download asynchronously, so the URL is revoked later rather than right after the click.
+  stepTimer.setTimeout( function() { window.URL.revokeObjectURL( url ); }, REVOKE_URL_DELAY );
+}
+
+geneExpressionEssentials.register( 'DataRecordingNode', DataRecordingNode );
+export default DataRecordingNode;
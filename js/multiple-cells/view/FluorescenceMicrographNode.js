@@ -0,0 +1,81 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Shows a synthetic micrograph of the cells, as taken by a FluorescenceMicroscope, in place of the usual depiction of
+ * the cells, and allows it to be saved as a PNG file so that it can be compared with the picture of real cells.
+ *
+ * @author agent
+ */
+
+import Image from '../../../../scenery/js/nodes/Image.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+
+// constants
+const FILE_NAME = 'multiple-cells-micrograph.png';
+
+class FluorescenceMicrographNode extends Node {
+
+  /**
+   * @param {FluorescenceMicroscope} microscope
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Object} [options]
+   */
+  constructor( microscope, modelViewTransform, options ) {
+    super( options );
+
+    // @private - the picture is drawn on this at the resolution of the camera, and scaled to fit the cells
+    this.canvas = document.createElement( 'canvas' );
+    this.canvas.width = 1;
+    this.canvas.height = 1;
+    this.imageNode = new Image( this.canvas, { pickable: false } );
+    this.addChild( this.imageNode );
+
+    // @private
+    this.microscope = microscope;
+    this.modelViewTransform = modelViewTransform;
+  }
+
+  /**
+   * Take a new picture of the given cells.
+   * @param {Array.<Cell>} cells
+   * @public
+   */
+  update( cells ) {
+    const picture = this.microscope.takePicture( cells );
+
+    this.canvas.width = picture.width;
+    this.canvas.height = picture.height;
+    const context = this.canvas.getContext( '2d' );
+    const imageData = context.createImageData( picture.width, picture.height );
+    for ( let i = 0; i < picture.grayLevels.length; i++ ) {
+      imageData.data[ 4 * i ] = picture.grayLevels[ i ];
+      imageData.data[ 4 * i + 1 ] = picture.grayLevels[ i ];
+      imageData.data[ 4 * i + 2 ] = picture.grayLevels[ i ];
+      imageData.data[ 4 * i + 3 ] = 255;
+    }
+    context.putImageData( imageData, 0, 0 );
+    this.imageNode.invalidateImage();
+
+    // Each pixel of the canvas covers its area of the model.
+    const viewBounds = this.modelViewTransform.modelToViewBounds( picture.bounds );
+    this.imageNode.setScaleMagnitude( viewBounds.width / picture.width, viewBounds.height / picture.height );
+    this.imageNode.leftTop = viewBounds.leftTop;
+  }
+
+  /**
+   * Have the browser save the current picture as a PNG file, at the resolution of the camera.
+   * @public
+   */
+  savePicture() {
+    const link = document.createElement( 'a' );
+    link.href = this.canvas.toDataURL( 'image/png' );
+    link.download = FILE_NAME;
+    document.body.appendChild( link );
+    link.click();
+    document.body.removeChild( link );
+  }
+}
+
+geneExpressionEssentials.register( 'FluorescenceMicrographNode', FluorescenceMicrographNode );
+export default FluorescenceMicrographNode;
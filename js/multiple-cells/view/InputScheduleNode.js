@@ -0,0 +1,129 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Controls for choosing one of a set of preset input schedules, which change the parameters of the Multiple Cells
+ * model over time, and for restarting it, see InputSchedule. Other schedules can be given with the inputSchedule query
+ * parameter.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import VerticalAquaRadioButtonGroup from '../../../../sun/js/VerticalAquaRadioButtonGroup.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+import CellProteinSynthesisSimulator from '../model/CellProteinSynthesisSimulator.js';
+import InputSchedule from '../model/InputSchedule.js';
+import InputSegmentType from '../model/InputSegmentType.js';
+
+// constants
+const FONT = new PhetFont( 13 );
+const MAX_TEXT_WIDTH = 120;
+
+const noneString = geneExpressionEssentialsStrings.none;
+const oscillatingMRnaDegradationString = geneExpressionEssentialsStrings.oscillatingMRnaDegradation;
+const restartString = geneExpressionEssentialsStrings.restart;
+const transcriptionFactorPulseString = geneExpressionEssentialsStrings.transcriptionFactorPulse;
+const transcriptionFactorRampString = geneExpressionEssentialsStrings.transcriptionFactorRamp;
+
+const TRANSCRIPTION_FACTOR_COUNT_RANGE = CellProteinSynthesisSimulator.TranscriptionFactorCountRange;
+
+// The preset schedules, each with a function that creates it, or null for none. The pulse and ramps go far up and
+// down the range of the transcription factor level, so that the response to them is clear.
+const PRESETS = [
+  { label: noneString, createSchedule: null },
+  {
+    label: transcriptionFactorPulseString,
+    createSchedule: function() {
+      return new InputSchedule( {
+        transcriptionFactorLevel: [
+          { type: InputSegmentType.PULSE, startTime: 20, endTime: 60, value: TRANSCRIPTION_FACTOR_COUNT_RANGE.max / 2 }
+        ]
+      } );
+    }
+  },
+  {
+    label: transcriptionFactorRampString,
+    createSchedule: function() {
+      return new InputSchedule( {
+        transcriptionFactorLevel: [
+          { type: InputSegmentType.RAMP, startTime: 10, endTime: 40, value: TRANSCRIPTION_FACTOR_COUNT_RANGE.max },
+          { type: InputSegmentType.RAMP, startTime: 60, endTime: 90, value: TRANSCRIPTION_FACTOR_COUNT_RANGE.min }
+        ]
+      } );
+    }
+  },
+  {
+    label: oscillatingMRnaDegradationString,
+    createSchedule: function() {
+      return new InputSchedule( {
+        mRnaDegradationRate: [ { type: InputSegmentType.SINE, startTime: 0, amplitude: 0.8, period: 20 } ]
+      } );
+    }
+  }
+];
+
+class InputScheduleNode extends VBox {
+
+  /**
+   * @param {MultipleCellsModel} model
+   */
+  constructor( model ) {
+
+    const presetProperty = new Property( PRESETS[ 0 ], { validValues: PRESETS } );
+
+    const presetRadioButtonGroup = new VerticalAquaRadioButtonGroup( presetProperty, PRESETS.map( function( preset ) {
+      return { node: new Text( preset.label, { font: FONT, maxWidth: MAX_TEXT_WIDTH } ), value: preset };
+    } ), {
+      spacing: 6,
+      radioButtonOptions: { radius: 7 }
+    } );
+
+    // the schedule that was last started from this node, so that choosing none doesn't stop one that was started from
+    // the query parameter
+    let presetSchedule = null;
+    const startPreset = function() {
+      const preset = presetProperty.get();
+      if ( preset.createSchedule ) {
+        presetSchedule = preset.createSchedule();
+        model.startInputSchedule( presetSchedule );
+      }
+      else if ( presetSchedule && model.inputScheduleProperty.get() === presetSchedule ) {
+        model.stopInputSchedule();
+      }
+    };
+    presetProperty.lazyLink( startPreset );
+
+    const restartButton = new RectangularPushButton( {
+      content: new Text( restartString, { font: FONT, maxWidth: MAX_TEXT_WIDTH } ),
+      baseColor: 'white',
+      listener: startPreset
+    } );
+    presetProperty.link( function( preset ) {
+      restartButton.enabled = preset.createSchedule !== null;
+    } );
+
+    super( {
+      spacing: 8,
+      align: 'left',
+      children: [ presetRadioButtonGroup, restartButton ]
+    } );
+
+    // @private
+    this.presetProperty = presetProperty;
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.presetProperty.reset();
+  }
+}
+
+geneExpressionEssentials.register( 'InputScheduleNode', InputScheduleNode );
+export default InputScheduleNode;
@@ -7,43 +7,101 @@
  * @author Aadish Gupta
  */
 
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Range from '../../../../dot/js/Range.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import ScreenView from '../../../../joist/js/ScreenView.js';
 import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
 import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import TimeControlNode from '../../../../scenery-phet/js/TimeControlNode.js';
+import FireListener from '../../../../scenery/js/listeners/FireListener.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
 import Color from '../../../../scenery/js/util/Color.js';
 import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
 import Panel from '../../../../sun/js/Panel.js';
+import VerticalAquaRadioButtonGroup from '../../../../sun/js/VerticalAquaRadioButtonGroup.js';
 import GEEConstants from '../../common/GEEConstants.js';
 import ControllerNode from '../../common/view/ControllerNode.js';
+import ScrollingChartNode from '../../common/view/ScrollingChartNode.js';
 import geneExpressionEssentials from '../../geneExpressionEssentials.js';
 import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+import AutoregulationType from '../model/AutoregulationType.js';
 import CellProteinSynthesisSimulator from '../model/CellProteinSynthesisSimulator.js';
+import GeneCircuitType from '../model/GeneCircuitType.js';
 import MultipleCellsModel from '../model/MultipleCellsModel.js';
 import ColorChangingCellNode from './ColorChangingCellNode.js';
+import DataRecordingNode from './DataRecordingNode.js';
+import FluorescenceMicrographNode from './FluorescenceMicrographNode.js';
 import FluorescentCellsPictureDialog from './FluorescentCellsPictureDialog.js';
+import InputScheduleNode from './InputScheduleNode.js';
+import NoiseStatisticsNode from './NoiseStatisticsNode.js';
 import ParameterControlAccordionBox from './ParameterControlAccordionBox.js';
-import ProteinLevelChartNode from './ProteinLevelChartNode.js';
+import ParameterSweepNode from './ParameterSweepNode.js';
+import ProteinHistogramNode from './ProteinHistogramNode.js';
+import SignalHeatMapNode from './SignalHeatMapNode.js';
 
+const activatorString = geneExpressionEssentialsStrings.activator;
 const affinitiesString = geneExpressionEssentialsStrings.affinities;
+const autoregulationString = geneExpressionEssentialsStrings.autoregulation;
+const binWidthString = geneExpressionEssentialsStrings.binWidth;
+const boundGenesString = geneExpressionEssentialsStrings.boundGenes;
+const cellDivisionString = geneExpressionEssentialsStrings.cellDivision;
+const cellSignalingString = geneExpressionEssentialsStrings.cellSignaling;
 const cellsString = geneExpressionEssentialsStrings.cells;
+const cellToCellVariationString = geneExpressionEssentialsStrings.cellToCellVariation;
 const concentrationString = geneExpressionEssentialsStrings.concentration;
+const dataRecordingString = geneExpressionEssentialsStrings.dataRecording;
 const degradationString = geneExpressionEssentialsStrings.degradation;
+const downloadString = geneExpressionEssentialsStrings.download;
+const exposureString = geneExpressionEssentialsStrings.exposure;
 const fastString = geneExpressionEssentialsStrings.fast;
+const gainString = geneExpressionEssentialsStrings.gain;
+const geneCircuitString = geneExpressionEssentialsStrings.geneCircuit;
 const highString = geneExpressionEssentialsStrings.high;
+const inputScheduleString = geneExpressionEssentialsStrings.inputSchedule;
+const longString = geneExpressionEssentialsStrings.long;
 const lowString = geneExpressionEssentialsStrings.low;
 const manyString = geneExpressionEssentialsStrings.many;
+const micrographString = geneExpressionEssentialsStrings.micrograph;
 const mRnaDestroyerString = geneExpressionEssentialsStrings.mRnaDestroyer;
+const mRnaString = geneExpressionEssentialsStrings.mRna;
+const narrowString = geneExpressionEssentialsStrings.narrow;
+const noiseFreeModelString = geneExpressionEssentialsStrings.noiseFreeModel;
+const noiseStatisticsString = geneExpressionEssentialsStrings.noiseStatistics;
+const noneString = geneExpressionEssentialsStrings.none;
 const oneString = geneExpressionEssentialsStrings.one;
+const parameterSpreadString = geneExpressionEssentialsStrings.parameterSpread;
+const parameterSweepString = geneExpressionEssentialsStrings.parameterSweep;
 const polymeraseString = geneExpressionEssentialsStrings.polymerase;
 const positiveTranscriptionFactorString = geneExpressionEssentialsStrings.positiveTranscriptionFactor;
+const proteinBindingString = geneExpressionEssentialsStrings.proteinBinding;
+const proteinDistributionString = geneExpressionEssentialsStrings.proteinDistribution;
 const proteinString = geneExpressionEssentialsStrings.protein;
+const quorumSensingString = geneExpressionEssentialsStrings.quorumSensing;
+const repressilatorString = geneExpressionEssentialsStrings.repressilator;
+const repressorString = geneExpressionEssentialsStrings.repressor;
+const secretionString = geneExpressionEssentialsStrings.secretion;
+const shortString = geneExpressionEssentialsStrings.short;
+const showMicrographString = geneExpressionEssentialsStrings.showMicrograph;
 const showRealCellsString = geneExpressionEssentialsStrings.showRealCells;
+const showSignalString = geneExpressionEssentialsStrings.showSignal;
+const singleGeneString = geneExpressionEssentialsStrings.singleGene;
 const slowString = geneExpressionEssentialsStrings.slow;
+const toggleSwitchString = geneExpressionEssentialsStrings.toggleSwitch;
+const wideString = geneExpressionEssentialsStrings.wide;
+
+// constants
+
+// indices of the series of the averages in the chart, which precede those of the tracked cells
+const AVERAGE_PROTEIN_SERIES_INDEX = 0;
+const AVERAGE_MRNA_SERIES_INDEX = 2;
+const NUMBER_OF_AVERAGE_SERIES = 4;
 
 class MultipleCellsScreenView extends ScreenView {
   /**
@@ -88,10 +146,98 @@ class MultipleCellsScreenView extends ScreenView {
     showRealCellsButton.top = this.layoutBounds.minY + 10;
     this.addChild( showRealCellsButton );
 
-    this.proteinLevelChartNode = new ProteinLevelChartNode( model.averageProteinLevelProperty );
-    this.addChild( this.proteinLevelChartNode );
-    this.proteinLevelChartNode.top = showRealCellsButton.top;
-    this.proteinLevelChartNode.left = showRealCellsButton.right + 10;
+    // Each tracked cell has a series for its protein level and a dashed one for its mRNA level, which have no value
+    // while the slot is empty.
+    const trackedCellSeriesDescriptions = [];
+    model.trackedCellProperties.forEach( function( trackedCellProperty, slotIndex ) {
+      trackedCellSeriesDescriptions.push( {
+        getValue: function() {
+          const cell = trackedCellProperty.get();
+          return cell ? cell.proteinCount.get() : null;
+        },
+        color: ColorChangingCellNode.TrackingColors[ slotIndex ],
+        lineWidth: 1,
+        axisName: 'protein',
+        axisRange: new Range( 0, 160 ),
+        visibleProperty: new BooleanProperty( false ),
+        showInReadout: false
+      }, {
+        getValue: function() {
+          const cell = trackedCellProperty.get();
+          return cell ? cell.messengerRnaCount.get() : null;
+        },
+        color: ColorChangingCellNode.TrackingColors[ slotIndex ],
+        lineWidth: 1,
+        lineDash: [ 4, 3 ],
+        axisName: 'messengerRna',
+        axisRange: new Range( 0, 4 ),
+        visibleProperty: new BooleanProperty( false ),
+        showInReadout: false
+      } );
+    } );
+
+    // @private - chart of the averages over the visible cells, with the noise-free protein level for comparison, and
+    // the levels in the tracked cells
+    this.chartNode = new ScrollingChartNode( [
+      {
+        label: proteinString,
+        property: model.averageProteinLevelProperty,
+        color: PhetColorScheme.RED_COLORBLIND,
+        axisName: 'protein',
+        axisRange: new Range( 0, 160 ),
+        decimalPlaces: 1
+      },
+      {
+        label: noiseFreeModelString,
+        property: model.deterministicProteinLevelProperty,
+        color: 'black',
+        lineWidth: 1,
+        axisName: 'protein',
+        axisRange: new Range( 0, 160 ),
+        decimalPlaces: 1,
+        visible: false
+      },
+      {
+        label: mRnaString,
+        property: model.messengerRnaStatistics.meanProperty,
+        color: 'blue',
+        axisName: 'messengerRna',
+        axisRange: new Range( 0, 4 ),
+        decimalPlaces: 2
+      },
+      {
+        label: boundGenesString,
+        property: model.averageBoundGeneFractionProperty,
+        color: PhetColorScheme.GREEN_COLORBLIND,
+        axisName: 'fraction',
+        axisRange: new Range( 0, 1 ),
+        fixedAxisRange: true,
+        decimalPlaces: 2,
+        visible: false
+      }
+    ].concat( trackedCellSeriesDescriptions ), model.clockRunningProperty );
+    this.addChild( this.chartNode );
+
+    // The series of a tracked cell are shown along with the averages that they're compared to, and are cleared when a
+    // different cell is tracked in the slot, so that the history of one cell isn't continued by another.
+    const averageProteinVisibleProperty = this.chartNode.seriesVisibleProperties[ AVERAGE_PROTEIN_SERIES_INDEX ];
+    const averageMessengerRnaVisibleProperty = this.chartNode.seriesVisibleProperties[ AVERAGE_MRNA_SERIES_INDEX ];
+    model.trackedCellProperties.forEach( function( trackedCellProperty, slotIndex ) {
+      const proteinSeriesIndex = NUMBER_OF_AVERAGE_SERIES + 2 * slotIndex;
+      const messengerRnaSeriesIndex = proteinSeriesIndex + 1;
+      Property.multilink( [ trackedCellProperty, averageProteinVisibleProperty ], function( cell, visible ) {
+        self.chartNode.seriesVisibleProperties[ proteinSeriesIndex ].set( cell !== null && visible );
+      } );
+      Property.multilink( [ trackedCellProperty, averageMessengerRnaVisibleProperty ], function( cell, visible ) {
+        self.chartNode.seriesVisibleProperties[ messengerRnaSeriesIndex ].set( cell !== null && visible );
+      } );
+      trackedCellProperty.lazyLink( function() {
+        self.chartNode.clearSeries( proteinSeriesIndex );
+        self.chartNode.clearSeries( messengerRnaSeriesIndex );
+      } );
+    } );
+    this.chartNode.top = showRealCellsButton.top;
+    this.chartNode.left = showRealCellsButton.right + 10;
 
     // Add the Reset All button.
     const resetAllButton = new ResetAllButton( {
@@ -100,7 +246,24 @@ class MultipleCellsScreenView extends ScreenView {
         concentrationControlPanel.expandedProperty.reset();
         affinityControlPanel.expandedProperty.reset();
         degradationControlPanel.expandedProperty.reset();
-        self.proteinLevelChartNode.reset();
+        variationControlPanel.expandedProperty.reset();
+        noiseStatisticsControlPanel.expandedProperty.reset();
+        parameterSweepControlPanel.expandedProperty.reset();
+        signalingControlPanel.expandedProperty.reset();
+        self.signalVisibleProperty.reset();
+        geneCircuitControlPanel.expandedProperty.reset();
+        autoregulationControlPanel.expandedProperty.reset();
+        dataRecordingControlPanel.expandedProperty.reset();
+        inputScheduleControlPanel.expandedProperty.reset();
+        micrographControlPanel.expandedProperty.reset();
+        self.micrographVisibleProperty.reset();
+        self.distributionControlPanel.expandedProperty.reset();
+        self.chartNode.reset();
+        self.proteinHistogramNode.reset();
+        self.noiseStatisticsNode.reset();
+        self.dataRecordingNode.reset();
+        self.parameterSweepNode.reset();
+        self.inputScheduleNode.reset();
       },
       right: this.layoutBounds.maxX - 10,
       bottom: this.layoutBounds.maxY - 10
@@ -117,7 +280,7 @@ class MultipleCellsScreenView extends ScreenView {
         stepForwardButtonOptions: {
           listener: function() {
             model.stepInTime( 0.016 );
-            self.proteinLevelChartNode.addDataPoint( 0.016 );
+            self.chartNode.addDataPoint( 0.016 );
           },
           radius: 15,
           touchAreaDilation: 5
@@ -126,10 +289,35 @@ class MultipleCellsScreenView extends ScreenView {
     } );
     this.addChild( timeControlNode );
 
+    // @private - behind the cells, so that they can be seen in the signal that surrounds them
+    this.signalHeatMapNode = new SignalHeatMapNode( model.signalField, this.modelViewTransform, { visible: false } );
+    this.addChild( this.signalHeatMapNode );
+
+    // @private - whether the heat map of the signal is shown
+    this.signalVisibleProperty = new BooleanProperty( false );
+    this.signalVisibleProperty.link( function( signalVisible ) {
+      self.signalHeatMapNode.visible = signalVisible;
+      if ( signalVisible ) {
+        self.updateSignalHeatMap();
+      }
+    } );
+
     const cellLayer = new Node();
     const invisibleCellLayer = new Node(); // for performance improvement load all cells at start of the sim
     this.addChild( cellLayer );
 
+    // @private
+    this.cellLayer = cellLayer;
+
+    // @private - shown in place of the cells when the micrograph is turned on, at the same scale and position
+    this.micrographNode = new FluorescenceMicrographNode( model.fluorescenceMicroscope, this.modelViewTransform, {
+      visible: false
+    } );
+    this.addChild( this.micrographNode );
+
+    // @private {number} - time since the last micrograph was taken, in seconds
+    this.timeSinceMicrograph = 0;
+
     const cellNumberController = new ControllerNode(
       model.numberOfVisibleCellsProperty,
       1,
@@ -150,6 +338,15 @@ class MultipleCellsScreenView extends ScreenView {
     cellNumberLabel.centerX = cellNumberController.centerX;
     cellNumberLabel.bottom = cellNumberController.top - 5;
 
+    const cellDivisionCheckbox = new Checkbox(
+      new Text( cellDivisionString, { font: new PhetFont( 14 ), maxWidth: 150 } ),
+      model.cellDivisionEnabledProperty,
+      { boxWidth: 16 }
+    );
+    cellNumberControllerNode.addChild( cellDivisionCheckbox );
+    cellDivisionCheckbox.centerX = cellNumberController.centerX;
+    cellDivisionCheckbox.top = cellNumberController.bottom + 8;
+
     const cellNumberControllerPanel = new Panel( cellNumberControllerNode, {
       cornerRadius: GEEConstants.CORNER_RADIUS,
       xMargin: 10,
@@ -159,16 +356,41 @@ class MultipleCellsScreenView extends ScreenView {
 
     this.addChild( cellNumberControllerPanel );
     cellNumberControllerPanel.bottom = resetAllButton.bottom;
-    cellNumberControllerPanel.centerX = this.proteinLevelChartNode.centerX;
+    cellNumberControllerPanel.centerX = this.chartNode.centerX;
+
+    // Clicking on a cell starts or stops tracking it.
+    function createCellNode( cell ) {
+      const cellNode = new ColorChangingCellNode( cell, self.modelViewTransform );
+      cellNode.addInputListener( new FireListener( {
+        fire: function() {
+          model.toggleCellTracking( cell );
+        }
+      } ) );
+      return cellNode;
+    }
 
     const cellNodes = [];
 
     for ( let i = 0; i < model.cellList.length; i++ ) {
-      const cellNode = new ColorChangingCellNode( model.cellList[ i ], this.modelViewTransform );
+      const cellNode = createCellNode( model.cellList[ i ] );
       cellNodes.push( cellNode );
       invisibleCellLayer.addChild( cellNode );
     }
 
+    // Outline the tracked cells in the colors of their slots.
+    function updateTrackingOutlines() {
+      cellNodes.forEach( function( cellNode, index ) {
+        const slotIndex = _.findIndex( model.trackedCellProperties, function( trackedCellProperty ) {
+          return trackedCellProperty.get() === model.cellList[ index ];
+        } );
+        cellNode.setTrackingColor( slotIndex >= 0 ? ColorChangingCellNode.TrackingColors[ slotIndex ] : null );
+      } );
+    }
+
+    model.trackedCellProperties.forEach( function( trackedCellProperty ) {
+      trackedCellProperty.lazyLink( updateTrackingOutlines );
+    } );
+
     function addCellView( addedCellIndex ) {
       cellLayer.addChild( cellNodes[ addedCellIndex ] );
 
@@ -178,22 +400,31 @@ class MultipleCellsScreenView extends ScreenView {
           cellLayer.removeChild( cellNodes[ addedCellIndex ] );
           model.visibleCellList.removeItemRemovedListener( removalListener );
           cellLayer.setScaleMagnitude( 1 );
-          const scaleFactor = Math.min( ( cellNumberControllerPanel.top - self.proteinLevelChartNode.bottom ) / cellLayer.height, 1 );
+          const scaleFactor = Math.min( ( cellNumberControllerPanel.top - self.chartNode.bottom ) / cellLayer.height, 1 );
           cellLayer.setScaleMagnitude( scaleFactor * 0.9 );
-          cellLayer.centerX = self.proteinLevelChartNode.centerX;
-          cellLayer.centerY = self.proteinLevelChartNode.bottom +
-                              ( cellNumberControllerPanel.top - self.proteinLevelChartNode.bottom ) / 2;
+          cellLayer.centerX = self.chartNode.centerX;
+          cellLayer.centerY = self.chartNode.bottom +
+                              ( cellNumberControllerPanel.top - self.chartNode.bottom ) / 2;
         }
       } );
       cellLayer.setScaleMagnitude( 1 );
-      const scaleFactor = Math.min( ( cellNumberControllerPanel.top - self.proteinLevelChartNode.bottom ) / cellLayer.height, 1 );
+      const scaleFactor = Math.min( ( cellNumberControllerPanel.top - self.chartNode.bottom ) / cellLayer.height, 1 );
       cellLayer.setScaleMagnitude( scaleFactor * 0.9 );
-      cellLayer.centerX = self.proteinLevelChartNode.centerX;
-      cellLayer.centerY = self.proteinLevelChartNode.bottom +
-                          ( cellNumberControllerPanel.top - self.proteinLevelChartNode.bottom ) / 2;
+      cellLayer.centerX = self.chartNode.centerX;
+      cellLayer.centerY = self.chartNode.bottom +
+                          ( cellNumberControllerPanel.top - self.chartNode.bottom ) / 2;
 
     }
 
+    // When a cell is replaced by the daughter of a dividing cell, replace its node too.
+    model.cellReplacedEmitter.addListener( function( replacedCell, newCell ) {
+      const index = model.cellList.indexOf( newCell );
+      invisibleCellLayer.removeChild( cellNodes[ index ] );
+      cellNodes[ index ].dispose();
+      cellNodes[ index ] = createCellNode( newCell );
+      invisibleCellLayer.addChild( cellNodes[ index ] );
+    } );
+
     // Set up an observer of the list of cells in the model so that the view representations can come and go as needed.
     model.visibleCellList.addItemAddedListener( function( addedCell ) {
       addCellView( model.cellList.indexOf( addedCell ) );
@@ -272,21 +503,360 @@ class MultipleCellsScreenView extends ScreenView {
       degradationControllers
     );
 
-    this.addChild( concentrationControlPanel );
-    this.addChild( affinityControlPanel );
-    this.addChild( degradationControlPanel );
+    const variationControllers = [
+      {
+        label: parameterSpreadString,
+        controlProperty: model.parameterSpreadProperty,
+        minValue: MultipleCellsModel.ParameterSpreadRange.min,
+        maxValue: MultipleCellsModel.ParameterSpreadRange.max,
+        minLabel: noneString,
+        maxLabel: highString,
+        logScale: false
+      }
+    ];
+
+    // This one starts out collapsed, since it is only needed for exploring extrinsic noise and there isn't room for all
+    // of the panels to be expanded at once.
+    var variationControlPanel = new ParameterControlAccordionBox(
+      cellToCellVariationString,
+      variationControllers,
+      { expandedProperty: new BooleanProperty( false ) }
+    );
+
+    // @private
+    this.noiseStatisticsNode = new NoiseStatisticsNode( model.proteinStatistics, model.messengerRnaStatistics );
+
+    // This one has no sliders, and goes below the variation panel since the two are used together to explore the
+    // sources of noise. It starts out collapsed.
+    var noiseStatisticsControlPanel = new ParameterControlAccordionBox( noiseStatisticsString, [], {
+      topControl: this.noiseStatisticsNode,
+      expandedProperty: new BooleanProperty( false )
+    } );
+
+    // layer for the lists of the combo boxes, which is in front of everything else
+    const comboBoxListParent = new Node();
 
-    concentrationControlPanel.right = this.layoutBounds.maxX - 10;
-    concentrationControlPanel.top = this.layoutBounds.minY + 10;
+    // @private
+    this.parameterSweepNode = new ParameterSweepNode( model, comboBoxListParent );
 
-    affinityControlPanel.right = concentrationControlPanel.right;
-    affinityControlPanel.top = concentrationControlPanel.bottom + 10;
+    // This one has no sliders, and goes below the noise statistics panel. It starts out collapsed.
+    var parameterSweepControlPanel = new ParameterControlAccordionBox( parameterSweepString, [], {
+      topControl: this.parameterSweepNode,
+      expandedProperty: new BooleanProperty( false )
+    } );
+
+    const signalingControllers = [
+      {
+        label: secretionString,
+        controlProperty: model.signalField.secretionRateProperty,
+        minValue: model.signalField.secretionRateProperty.range.min,
+        maxValue: model.signalField.secretionRateProperty.range.max,
+        minLabel: lowString,
+        maxLabel: highString,
+        logScale: true
+      }
+    ];
 
-    degradationControlPanel.right = affinityControlPanel.right;
-    degradationControlPanel.top = affinityControlPanel.bottom + 10;
+    // This one goes below the parameter sweep panel, and starts out collapsed.
+    var signalingControlPanel = new ParameterControlAccordionBox( cellSignalingString, signalingControllers, {
+      topControl: new VBox( {
+        spacing: 8,
+        align: 'left',
+        children: [
+          new Checkbox(
+            new Text( quorumSensingString, { font: new PhetFont( 13 ), maxWidth: 150 } ),
+            model.signalingEnabledProperty,
+            { boxWidth: 14 }
+          ),
+          new Checkbox(
+            new Text( showSignalString, { font: new PhetFont( 13 ), maxWidth: 150 } ),
+            this.signalVisibleProperty,
+            { boxWidth: 14 }
+          )
+        ]
+      } ),
+      expandedProperty: new BooleanProperty( false )
+    } );
 
+    const geneCircuitTypeRadioButtonGroup = new VerticalAquaRadioButtonGroup( model.geneCircuitTypeProperty, [
+      {
+        node: new Text( singleGeneString, { font: new PhetFont( 13 ), maxWidth: 150 } ),
+        value: GeneCircuitType.SINGLE_GENE
+      },
+      {
+        node: new Text( toggleSwitchString, { font: new PhetFont( 13 ), maxWidth: 150 } ),
+        value: GeneCircuitType.TOGGLE_SWITCH
+      },
+      {
+        node: new Text( repressilatorString, { font: new PhetFont( 13 ), maxWidth: 150 } ),
+        value: GeneCircuitType.REPRESSILATOR
+      }
+    ], {
+      spacing: 6,
+      radioButtonOptions: { radius: 7 }
+    } );
+
+    // This one has no sliders, and goes in the column on the left along with the autoregulation panel below.
+    var geneCircuitControlPanel = new ParameterControlAccordionBox( geneCircuitString, [], {
+      topControl: geneCircuitTypeRadioButtonGroup,
+      minWidth: showRealCellsButton.width,
+      maxWidth: showRealCellsButton.width
+    } );
+
+    const autoregulationTypeRadioButtonGroup = new VerticalAquaRadioButtonGroup( model.autoregulationTypeProperty, [
+      { node: new Text( noneString, { font: new PhetFont( 13 ), maxWidth: 150 } ), value: AutoregulationType.NONE },
+      {
+        node: new Text( repressorString, { font: new PhetFont( 13 ), maxWidth: 150 } ),
+        value: AutoregulationType.REPRESSION
+      },
+      {
+        node: new Text( activatorString, { font: new PhetFont( 13 ), maxWidth: 150 } ),
+        value: AutoregulationType.ACTIVATION
+      }
+    ], {
+      spacing: 6,
+      radioButtonOptions: { radius: 7 }
+    } );
+
+    const autoregulationControllers = [
+      {
+        label: proteinBindingString,
+        controlProperty: model.proteinBindingRateProperty,
+        minValue: CellProteinSynthesisSimulator.ProteinBindingRateRange.min,
+        maxValue: CellProteinSynthesisSimulator.ProteinBindingRateRange.max,
+        minLabel: lowString,
+        maxLabel: highString,
+        logScale: true
+      }
+    ];
+
+    // There is no room for this one in the column on the right, so it goes in the column below the button on the left.
+    // The panels in that column are made no wider than the button so that they stay clear of the chart. This one only
+    // applies to a single gene, and starts out collapsed.
+    var autoregulationControlPanel = new ParameterControlAccordionBox(
+      autoregulationString,
+      autoregulationControllers,
+      {
+        topControl: autoregulationTypeRadioButtonGroup,
+        expandedProperty: new BooleanProperty( false ),
+        minWidth: showRealCellsButton.width,
+        maxWidth: showRealCellsButton.width
+      }
+    );
+
+    // @private
+    this.dataRecordingNode = new DataRecordingNode( model.recorder );
+
+    // This one goes at the bottom of the column on the left, and starts out collapsed.
+    var dataRecordingControlPanel = new ParameterControlAccordionBox( dataRecordingString, [], {
+      topControl: this.dataRecordingNode,
+      expandedProperty: new BooleanProperty( false ),
+      minWidth: showRealCellsButton.width,
+      maxWidth: showRealCellsButton.width
+    } );
+
+    // @private
+    this.inputScheduleNode = new InputScheduleNode( model );
+
+    // This one goes below the data recording panel, and starts out collapsed.
+    var inputScheduleControlPanel = new ParameterControlAccordionBox( inputScheduleString, [], {
+      topControl: this.inputScheduleNode,
+      expandedProperty: new BooleanProperty( false ),
+      minWidth: showRealCellsButton.width,
+      maxWidth: showRealCellsButton.width
+    } );
+
+    // Mark the changes of the inputs on the chart, so that the responses of the cells to them can be seen.
+    model.inputScheduleEdgeEmitter.addListener( function() {
+      self.chartNode.addMarker();
+    } );
+
+    // @private - whether the micrograph is shown in place of the cells
+    this.micrographVisibleProperty = new BooleanProperty( false );
+    this.micrographVisibleProperty.link( function( micrographVisible ) {
+      cellLayer.visible = !micrographVisible;
+      self.micrographNode.visible = micrographVisible;
+      if ( micrographVisible ) {
+        self.updateMicrograph();
+      }
+    } );
+
+    const saveMicrographButton = new RectangularPushButton( {
+      content: new Text( downloadString, { font: new PhetFont( 13 ), maxWidth: 120 } ),
+      baseColor: 'white',
+      listener: function() {
+        self.micrographNode.savePicture();
+      }
+    } );
+    this.micrographVisibleProperty.link( function( micrographVisible ) {
+      saveMicrographButton.enabled = micrographVisible;
+    } );
+
+    const micrographControllers = [
+      {
+        label: exposureString,
+        controlProperty: model.fluorescenceMicroscope.exposureTimeProperty,
+        minValue: model.fluorescenceMicroscope.exposureTimeProperty.range.min,
+        maxValue: model.fluorescenceMicroscope.exposureTimeProperty.range.max,
+        minLabel: shortString,
+        maxLabel: longString,
+        logScale: true
+      },
+      {
+        label: gainString,
+        controlProperty: model.fluorescenceMicroscope.gainProperty,
+        minValue: model.fluorescenceMicroscope.gainProperty.range.min,
+        maxValue: model.fluorescenceMicroscope.gainProperty.range.max,
+        minLabel: lowString,
+        maxLabel: highString,
+        logScale: true
+      }
+    ];
+
+    // Show the effect of the settings straight away, rather than with the next picture.
+    function updateVisibleMicrograph() {
+      if ( self.micrographVisibleProperty.get() ) {
+        self.updateMicrograph();
+      }
+    }
+
+    model.fluorescenceMicroscope.exposureTimeProperty.lazyLink( updateVisibleMicrograph );
+    model.fluorescenceMicroscope.gainProperty.lazyLink( updateVisibleMicrograph );
+
+    // This one goes below the input schedule panel, and starts out collapsed.
+    var micrographControlPanel = new ParameterControlAccordionBox( micrographString, micrographControllers, {
+      topControl: new VBox( {
+        spacing: 8,
+        align: 'left',
+        children: [
+          new Checkbox(
+            new Text( showMicrographString, { font: new PhetFont( 13 ), maxWidth: 120 } ),
+            this.micrographVisibleProperty,
+            { boxWidth: 14 }
+          ),
+          saveMicrographButton
+        ]
+      } ),
+      expandedProperty: new BooleanProperty( false ),
+      minWidth: showRealCellsButton.width,
+      maxWidth: showRealCellsButton.width
+    } );
+
+    // @private
+    this.proteinHistogramNode = new ProteinHistogramNode( model.visibleCellList );
+
+    const distributionControllers = [
+      {
+        label: binWidthString,
+        controlProperty: this.proteinHistogramNode.binWidthProperty,
+        minValue: this.proteinHistogramNode.binWidthProperty.range.min,
+        maxValue: this.proteinHistogramNode.binWidthProperty.range.max,
+        minLabel: narrowString,
+        maxLabel: wideString,
+        logScale: false
+      }
+    ];
+
+    // @private - This one goes in the bottom left corner, where it covers some of the cells when it is expanded, so it
+    // starts out collapsed.
+    this.distributionControlPanel = new ParameterControlAccordionBox(
+      proteinDistributionString,
+      distributionControllers,
+      {
+        topControl: this.proteinHistogramNode,
+        expandedProperty: new BooleanProperty( false )
+      }
+    );
+
+    // The panels go in a column on the right and a column on the left below the button.
+    const rightPanels = [
+      concentrationControlPanel,
+      affinityControlPanel,
+      degradationControlPanel,
+      variationControlPanel,
+      noiseStatisticsControlPanel,
+      parameterSweepControlPanel,
+      signalingControlPanel
+    ];
+    const leftPanels = [
+      geneCircuitControlPanel,
+      autoregulationControlPanel,
+      dataRecordingControlPanel,
+      inputScheduleControlPanel,
+      micrographControlPanel
+    ];
+    const rightPanelColumn = new Node( { children: rightPanels } );
+    const leftPanelColumn = new Node( { children: leftPanels } );
+    this.addChild( rightPanelColumn );
+    this.addChild( leftPanelColumn );
+    this.addChild( this.distributionControlPanel );
+    this.addChild( comboBoxListParent );
+
+    // The panels that start out collapsed are extras for exploring further, and there isn't room for more than one of
+    // them to be expanded at a time, so expanding one collapses the others.
+    const optionalPanels = [
+      variationControlPanel,
+      noiseStatisticsControlPanel,
+      parameterSweepControlPanel,
+      signalingControlPanel,
+      autoregulationControlPanel,
+      dataRecordingControlPanel,
+      inputScheduleControlPanel,
+      micrographControlPanel,
+      this.distributionControlPanel
+    ];
+    optionalPanels.forEach( function( panel ) {
+      panel.expandedProperty.lazyLink( function( expanded ) {
+        if ( expanded ) {
+          optionalPanels.forEach( function( otherPanel ) {
+            if ( otherPanel !== panel ) {
+              otherPanel.expandedProperty.set( false );
+            }
+          } );
+        }
+      } );
+    } );
+
+    // Stack the panels of a column, and scale the column down if it is taller than the space that it has.
+    function layOutColumn( column, panels, maxHeight ) {
+      column.setScaleMagnitude( 1 );
+      panels.forEach( function( panel, index ) {
+        panel.right = 0;
+        panel.top = index === 0 ? 0 : panels[ index - 1 ].bottom + 10;
+      } );
+      column.setScaleMagnitude( Math.min( maxHeight / column.height, 1 ) );
+    }
+
+    // The column on the right stays above the Reset All button, and the column on the left stays above the distribution
+    // panel, which keeps its bottom in the bottom left corner as it expands and collapses.
+    Property.multilink( _.map( rightPanels.concat( leftPanels, this.distributionControlPanel ), 'expandedProperty' ),
+      function() {
+        layOutColumn( rightPanelColumn, rightPanels, resetAllButton.top - self.layoutBounds.minY - 20 );
+        rightPanelColumn.right = self.layoutBounds.maxX - 10;
+        rightPanelColumn.top = self.layoutBounds.minY + 10;
+
+        self.distributionControlPanel.left = self.layoutBounds.minX + 10;
+        self.distributionControlPanel.bottom = self.layoutBounds.maxY - 10;
+
+        layOutColumn(
+          leftPanelColumn,
+          leftPanels,
+          self.distributionControlPanel.top - showRealCellsButton.bottom - 20
+        );
+        leftPanelColumn.left = showRealCellsButton.left;
+        leftPanelColumn.top = showRealCellsButton.bottom + 10;
+      } );
+
+    // Show the current distribution when the panel expands.
+    this.distributionControlPanel.expandedProperty.link( function( expanded ) {
+      if ( expanded ) {
+        self.proteinHistogramNode.update();
+      }
+    } );
+
+    // The time controls go to the left of the column on the right at its full width.
     timeControlNode.bottom = resetAllButton.bottom;
-    timeControlNode.right = degradationControlPanel.left - 20;
+    timeControlNode.right = this.layoutBounds.maxX - degradationControlPanel.width - 30;
   }
 
   /**
@@ -296,8 +866,48 @@ class MultipleCellsScreenView extends ScreenView {
    */
   step( dt ) {
     if ( this.model.clockRunningProperty.get() ) {
-      this.proteinLevelChartNode.addDataPoint( dt );
+      this.chartNode.addDataPoint( dt );
+      this.noiseStatisticsNode.addDataPoint( dt );
+    }
+
+    // The histogram is updated even when the clock is paused, so that it reflects the cells that are added or removed
+    // and the steps that are taken with the step button.
+    if ( this.distributionControlPanel.expandedProperty.get() ) {
+      this.proteinHistogramNode.update();
+    }
+
+    // The heat map is updated on every frame while it's shown, so that it follows the signal as the model is stepped.
+    if ( this.signalVisibleProperty.get() ) {
+      this.updateSignalHeatMap();
     }
+
+    // Like the histogram, the micrograph is updated while the clock is paused, as a camera keeps taking pictures. A new
+    // one is taken whenever the exposure of the last one is over.
+    if ( this.micrographVisibleProperty.get() ) {
+      this.timeSinceMicrograph += dt;
+      if ( this.timeSinceMicrograph >= this.model.fluorescenceMicroscope.exposureTimeProperty.get() ) {
+        this.updateMicrograph();
+      }
+    }
+  }
+
+  /**
+   * Show the current signal, lined up with the cells.
+   * @private
+   */
+  updateSignalHeatMap() {
+    this.signalHeatMapNode.matrix = this.cellLayer.matrix;
+    this.signalHeatMapNode.update();
+  }
+
+  /**
+   * Take a new picture of the visible cells, and line it up with them.
+   * @private
+   */
+  updateMicrograph() {
+    this.micrographNode.matrix = this.cellLayer.matrix;
+    this.micrographNode.update( this.model.visibleCellList );
+    this.timeSinceMicrograph = 0;
   }
 }
 
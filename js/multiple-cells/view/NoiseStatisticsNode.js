@@ -0,0 +1,227 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Node that shows a table of the statistics of the protein and mRNA counts of the visible cells, and optionally a small
+ * chart of their Fano factors over time, so that the amount of noise in the gene expression can be seen and compared
+ * as the parameters are changed.
+ *
+ * @author agent
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import DynamicSeries from '../../../../griddle/js/DynamicSeries.js';
+import XYChartNode from '../../../../griddle/js/XYChartNode.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import Checkbox from '../../../../sun/js/Checkbox.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+
+// constants
+const LABEL_COLUMN_WIDTH = 110;
+const VALUE_COLUMN_WIDTH = 55;
+const ROW_HEIGHT = 18;
+const FONT = new PhetFont( 12 );
+const HEADER_FONT = new PhetFont( { size: 12, weight: 'bold' } );
+const PLOT_WIDTH = LABEL_COLUMN_WIDTH + 2 * VALUE_COLUMN_WIDTH;
+const PLOT_HEIGHT = 70;
+const TIME_SPAN = 30;
+
+// The Fano factor of the protein count is around one for the default parameters, and rises as expression gets burstier.
+const FANO_FACTOR_RANGE = new Range( 0, 5 );
+
+// text shown in place of a statistic that is undefined, i.e. a ratio to a mean of zero
+const UNDEFINED_VALUE_STRING = '–';
+
+const coefficientOfVariationString = geneExpressionEssentialsStrings.coefficientOfVariation;
+const fanoFactorString = geneExpressionEssentialsStrings.fanoFactor;
+const maximumString = geneExpressionEssentialsStrings.maximum;
+const meanString = geneExpressionEssentialsStrings.mean;
+const minimumString = geneExpressionEssentialsStrings.minimum;
+const mRnaString = geneExpressionEssentialsStrings.mRna;
+const plotOverTimeString = geneExpressionEssentialsStrings.plotOverTime;
+const proteinString = geneExpressionEssentialsStrings.protein;
+const varianceString = geneExpressionEssentialsStrings.variance;
+
+class NoiseStatisticsNode extends Node {
+
+  /**
+   * @param {PopulationStatistics} proteinStatistics
+   * @param {PopulationStatistics} messengerRnaStatistics
+   */
+  constructor( proteinStatistics, messengerRnaStatistics ) {
+    super();
+
+    const self = this;
+
+    // column headers
+    [ proteinString, mRnaString ].forEach( function( header, index ) {
+      self.addChild( new Text( header, {
+        font: HEADER_FONT,
+        maxWidth: VALUE_COLUMN_WIDTH - 5,
+        right: LABEL_COLUMN_WIDTH + ( index + 1 ) * VALUE_COLUMN_WIDTH,
+        centerY: ROW_HEIGHT / 2
+      } ) );
+    } );
+
+    // one row per statistic, each with a label and the values of the protein and mRNA counts
+    const rows = [
+      { label: meanString, propertyName: 'meanProperty', decimalPlaces: 1 },
+      { label: varianceString, propertyName: 'varianceProperty', decimalPlaces: 1 },
+      { label: coefficientOfVariationString, propertyName: 'coefficientOfVariationProperty', decimalPlaces: 2 },
+      { label: fanoFactorString, propertyName: 'fanoFactorProperty', decimalPlaces: 2 },
+      { label: minimumString, propertyName: 'minProperty', decimalPlaces: 0 },
+      { label: maximumString, propertyName: 'maxProperty', decimalPlaces: 0 }
+    ];
+    rows.forEach( function( row, rowIndex ) {
+      const centerY = ( rowIndex + 1.5 ) * ROW_HEIGHT;
+      self.addChild( new Text( row.label, {
+        font: FONT,
+        maxWidth: LABEL_COLUMN_WIDTH - 5,
+        left: 0,
+        centerY: centerY
+      } ) );
+      [ proteinStatistics, messengerRnaStatistics ].forEach( function( statistics, columnIndex ) {
+        const valueText = new Text( '', { font: FONT, maxWidth: VALUE_COLUMN_WIDTH - 5 } );
+        self.addChild( valueText );
+        statistics[ row.propertyName ].link( function( value ) {
+          valueText.text = value === null ? UNDEFINED_VALUE_STRING : Utils.toFixed( value, row.decimalPlaces );
+          valueText.right = LABEL_COLUMN_WIDTH + ( columnIndex + 1 ) * VALUE_COLUMN_WIDTH;
+          valueText.centerY = centerY;
+        } );
+      } );
+    } );
+
+    // checkbox for showing the chart of the Fano factors
+    const plotOverTimeProperty = new BooleanProperty( false );
+    const plotOverTimeCheckbox = new Checkbox(
+      new Text( plotOverTimeString, { font: FONT, maxWidth: PLOT_WIDTH - 30 } ),
+      plotOverTimeProperty,
+      { boxWidth: 14, left: 0, top: ( rows.length + 1 ) * ROW_HEIGHT + 5 }
+    );
+    this.addChild( plotOverTimeCheckbox );
+
+    const chart = new XYChartNode( {
+      width: PLOT_WIDTH,
+      height: PLOT_HEIGHT,
+      cornerRadius: 0,
+
+      defaultModelXRange: new Range( 0, TIME_SPAN ),
+      defaultModelYRange: FANO_FACTOR_RANGE,
+
+      majorHorizontalLineSpacing: 1,
+      majorVerticalLineSpacing: 5,
+
+      gridNodeOptions: {
+        majorLineOptions: {
+          lineDash: [ 2, 1 ],
+          stroke: 'grey'
+        }
+      },
+
+      showVerticalGridLabels: false,
+      gridLabelOptions: {
+        font: new PhetFont( 10 )
+      }
+    } );
+
+    const proteinDataSeries = new DynamicSeries( {
+      color: PhetColorScheme.RED_COLORBLIND,
+      lineWidth: 2,
+      lineJoin: 'round'
+    } );
+    const messengerRnaDataSeries = new DynamicSeries( {
+      color: 'blue',
+      lineWidth: 1,
+      lineJoin: 'round'
+    } );
+    chart.addDynamicSeries( proteinDataSeries );
+    chart.addDynamicSeries( messengerRnaDataSeries );
+
+    // title of the chart, with the colors of the series as the key
+    const chartTitle = new Node( {
+      children: [
+        new Text( fanoFactorString + ':', { font: FONT, maxWidth: LABEL_COLUMN_WIDTH - 5 } ),
+        new Text( proteinString, {
+          font: FONT,
+          fill: PhetColorScheme.RED_COLORBLIND,
+          maxWidth: VALUE_COLUMN_WIDTH - 5,
+          right: LABEL_COLUMN_WIDTH + VALUE_COLUMN_WIDTH
+        } ),
+        new Text( mRnaString, {
+          font: FONT,
+          fill: 'blue',
+          maxWidth: VALUE_COLUMN_WIDTH - 5,
+          right: LABEL_COLUMN_WIDTH + 2 * VALUE_COLUMN_WIDTH
+        } )
+      ]
+    } );
+    const chartNode = new Node( { children: [ chartTitle, chart ] } );
+    chart.top = chartTitle.bottom + 5;
+    chartNode.left = 0;
+    chartNode.top = plotOverTimeCheckbox.bottom + 8;
+
+    // The chart is added and removed rather than made invisible so that the enclosing panel shrinks when it's hidden.
+    plotOverTimeProperty.link( function( plotOverTime ) {
+      if ( plotOverTime ) {
+        self.addChild( chartNode );
+      }
+      else if ( self.hasChild( chartNode ) ) {
+        self.removeChild( chartNode );
+      }
+    } );
+
+    // @private
+    this.simRunningTime = 0;
+    this.timeOffset = 0;
+    this.proteinStatistics = proteinStatistics;
+    this.messengerRnaStatistics = messengerRnaStatistics;
+    this.proteinDataSeries = proteinDataSeries;
+    this.messengerRnaDataSeries = messengerRnaDataSeries;
+    this.plotOverTimeProperty = plotOverTimeProperty;
+  }
+
+  /**
+   * Add the current Fano factors to the chart. Undefined values are left out of the curves.
+   * @param {number} dt
+   * @public
+   */
+  addDataPoint( dt ) {
+    this.simRunningTime += dt;
+    if ( this.simRunningTime - this.timeOffset > TIME_SPAN ) {
+
+      // if the end of the chart has been reached, clear it
+      this.proteinDataSeries.clear();
+      this.messengerRnaDataSeries.clear();
+      this.timeOffset = this.simRunningTime;
+    }
+
+    const time = this.simRunningTime - this.timeOffset;
+    const proteinFanoFactor = this.proteinStatistics.fanoFactorProperty.get();
+    const messengerRnaFanoFactor = this.messengerRnaStatistics.fanoFactorProperty.get();
+    if ( proteinFanoFactor !== null ) {
+      this.proteinDataSeries.addXYDataPoint( time, Math.min( proteinFanoFactor, FANO_FACTOR_RANGE.max ) );
+    }
+    if ( messengerRnaFanoFactor !== null ) {
+      this.messengerRnaDataSeries.addXYDataPoint( time, Math.min( messengerRnaFanoFactor, FANO_FACTOR_RANGE.max ) );
+    }
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.simRunningTime = 0;
+    this.timeOffset = 0;
+    this.proteinDataSeries.clear();
+    this.messengerRnaDataSeries.clear();
+    this.plotOverTimeProperty.reset();
+  }
+}
+
+geneExpressionEssentials.register( 'NoiseStatisticsNode', NoiseStatisticsNode );
+export default NoiseStatisticsNode;
@@ -8,6 +8,7 @@
  * @author Aadish Gupta
  */
 
+import merge from '../../../../phet-core/js/merge.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
 import VBox from '../../../../scenery/js/nodes/VBox.js';
@@ -22,8 +23,17 @@ class ParameterControlAccordionBox extends AccordionBox {
   /**
    * @param {String} title
    * @param {Array<Object>}controllers
+   * @param {Object} [options] - passed to the AccordionBox, except for those below
    */
-  constructor( title, controllers ) {
+  constructor( title, controllers, options ) {
+
+    options = merge( {
+
+      // {Node|null} - additional control that is placed above the sliders, such as a set of radio buttons
+      topControl: null
+    }, options );
+    const topControl = options.topControl;
+    delete options.topControl;
 
     const controllerNodes = [];
 
@@ -54,10 +64,10 @@ class ParameterControlAccordionBox extends AccordionBox {
 
     const contentNode = new VBox( {
       spacing: 5,
-      children: controllerNodes
+      children: topControl ? [ topControl ].concat( controllerNodes ) : controllerNodes
     } );
 
-    super( contentNode, {
+    super( contentNode, merge( {
       titleNode: new Text( title, {
         font: new PhetFont( { size: 16, weight: 'bold' } ),
         maxWidth: 200
@@ -74,7 +84,7 @@ class ParameterControlAccordionBox extends AccordionBox {
         touchAreaYDilation: 8
       },
       minWidth: 200
-    } );
+    }, options ) );
   }
 }
 
@@ -0,0 +1,320 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Controls for running a sweep of one or two parameters of the Multiple Cells model, and a plot of the results, see
+ * ParameterSweep. A sweep of one parameter is plotted as a curve of the mean protein count, with bars of plus and minus
+ * one standard deviation, and a sweep of two as a heat map of the mean protein count in the fluorescent colors of the
+ * cells. The values of the parameters are evenly spaced across the plot, which is logarithmic for the parameters whose
+ * values are spaced logarithmically.
+ *
+ * @author agent
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Shape from '../../../../kite/js/Shape.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import LinearGradient from '../../../../scenery/js/util/LinearGradient.js';
+import RectangularPushButton from '../../../../sun/js/buttons/RectangularPushButton.js';
+import ComboBox from '../../../../sun/js/ComboBox.js';
+import ComboBoxItem from '../../../../sun/js/ComboBoxItem.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+import ParameterSweep from '../model/ParameterSweep.js';
+import ColorChangingCellNode from './ColorChangingCellNode.js';
+
+// constants
+const PLOT_WIDTH = 180;
+const PLOT_HEIGHT = 100;
+const FONT = new PhetFont( 13 );
+const TICK_LABEL_FONT = new PhetFont( 12 );
+const COMBO_BOX_TEXT_WIDTH = 130;
+const COLOR_KEY_WIDTH = 80;
+
+// The vertical scale of the curve is a multiple of this number of proteins.
+const VERTICAL_SCALE_INCREMENT = 20;
+
+const cancelString = geneExpressionEssentialsStrings.cancel;
+const highString = geneExpressionEssentialsStrings.high;
+const lowString = geneExpressionEssentialsStrings.low;
+const mRnaDegradationString = geneExpressionEssentialsStrings.mRnaDegradation;
+const noneString = geneExpressionEssentialsStrings.none;
+const percentDonePatternString = geneExpressionEssentialsStrings.percentDonePattern;
+const polymeraseAffinityString = geneExpressionEssentialsStrings.polymeraseAffinity;
+const proteinBindingString = geneExpressionEssentialsStrings.proteinBinding;
+const proteinDegradationString = geneExpressionEssentialsStrings.proteinDegradation;
+const proteinString = geneExpressionEssentialsStrings.protein;
+const runString = geneExpressionEssentialsStrings.run;
+const transcriptionFactorAffinityString = geneExpressionEssentialsStrings.transcriptionFactorAffinity;
+const transcriptionFactorLevelString = geneExpressionEssentialsStrings.transcriptionFactorLevel;
+const varyString = geneExpressionEssentialsStrings.vary;
+const versusString = geneExpressionEssentialsStrings.versus;
+
+// labels of the parameters that can be swept, keyed by the names used by ParameterSweep
+const PARAMETER_LABELS = {
+  transcriptionFactorLevel: transcriptionFactorLevelString,
+  transcriptionFactorAssociationProbability: transcriptionFactorAffinityString,
+  polymeraseAssociationProbability: polymeraseAffinityString,
+  mRnaDegradationRate: mRnaDegradationString,
+  proteinDegradationRate: proteinDegradationString,
+  proteinBindingRate: proteinBindingString
+};
+
+class ParameterSweepNode extends VBox {
+
+  /**
+   * @param {MultipleCellsModel} model
+   * @param {Node} listParent - node in which the lists of the combo boxes are shown
+   */
+  constructor( model, listParent ) {
+
+    // the parameters that are chosen for the next sweep, the second of which is optional
+    const firstParameterNameProperty = new Property( 'transcriptionFactorLevel', {
+      validValues: ParameterSweep.ParameterNames
+    } );
+    const secondParameterNameProperty = new Property( null, {
+      validValues: [ null ].concat( ParameterSweep.ParameterNames )
+    } );
+
+    // A parameter can't be swept against itself, so choosing the second one as the first one clears the second one.
+    firstParameterNameProperty.link( function( firstParameterName ) {
+      if ( secondParameterNameProperty.get() === firstParameterName ) {
+        secondParameterNameProperty.set( null );
+      }
+    } );
+
+    const createItem = function( parameterName ) {
+      const label = parameterName === null ? noneString : PARAMETER_LABELS[ parameterName ];
+      return new ComboBoxItem( new Text( label, { font: FONT, maxWidth: COMBO_BOX_TEXT_WIDTH } ), parameterName );
+    };
+    const comboBoxOptions = { xMargin: 6, yMargin: 3 };
+    const firstParameterComboBox = new ComboBox(
+      ParameterSweep.ParameterNames.map( createItem ),
+      firstParameterNameProperty,
+      listParent,
+      comboBoxOptions
+    );
+    const secondParameterComboBox = new ComboBox(
+      [ null ].concat( ParameterSweep.ParameterNames ).map( createItem ),
+      secondParameterNameProperty,
+      listParent,
+      comboBoxOptions
+    );
+
+    const runButtonText = new Text( runString, { font: FONT, maxWidth: 80 } );
+    const runButton = new RectangularPushButton( {
+      content: runButtonText,
+      baseColor: 'white',
+      listener: function() {
+        if ( model.parameterSweepProgressProperty.get() === null ) {
+          const parameterNames = [ firstParameterNameProperty.get() ];
+
+          // Choosing the first parameter as the second one as well is the same as choosing none.
+          if ( secondParameterNameProperty.get() !== null &&
+               secondParameterNameProperty.get() !== firstParameterNameProperty.get() ) {
+            parameterNames.push( secondParameterNameProperty.get() );
+          }
+          model.startParameterSweep( parameterNames );
+        }
+        else {
+          model.cancelParameterSweep();
+        }
+      }
+    } );
+    const progressText = new Text( '', { font: new PhetFont( 12 ), maxWidth: 90 } );
+    model.parameterSweepProgressProperty.link( function( progress ) {
+      runButtonText.text = progress === null ? runString : cancelString;
+      progressText.text = progress === null ? '' : StringUtils.fillIn( percentDonePatternString, {
+        percent: Math.round( progress * 100 )
+      } );
+    } );
+
+    const plotNode = new Node();
+
+    super( {
+      spacing: 8,
+      align: 'left',
+      children: [
+        new HBox( {
+          spacing: 6,
+          children: [ new Text( varyString, { font: FONT, maxWidth: 40 } ), firstParameterComboBox ]
+        } ),
+        new HBox( {
+          spacing: 6,
+          children: [ new Text( versusString, { font: FONT, maxWidth: 40 } ), secondParameterComboBox ]
+        } ),
+        new HBox( { spacing: 10, children: [ runButton, progressText ] } ),
+        plotNode
+      ]
+    } );
+
+    plotNode.addChild( new Rectangle( 0, 0, PLOT_WIDTH, PLOT_HEIGHT, {
+      fill: 'white',
+      stroke: 'black',
+      lineWidth: 1
+    } ) );
+
+    // @private - cells of the heat map, for a sweep of two parameters
+    this.heatMapNode = new Node();
+    plotNode.addChild( this.heatMapNode );
+
+    // @private - curve and bars, for a sweep of one parameter
+    this.errorBarsPath = new Path( null, { stroke: 'gray', lineWidth: 1 } );
+    plotNode.addChild( this.errorBarsPath );
+    this.curvePath = new Path( null, {
+      stroke: PhetColorScheme.RED_COLORBLIND,
+      lineWidth: 2,
+      lineJoin: 'round'
+    } );
+    plotNode.addChild( this.curvePath );
+
+    // The ends of the axes are labeled low and high, like the sliders for the parameters.
+    plotNode.addChild( new Text( lowString, { font: TICK_LABEL_FONT, left: 0, top: PLOT_HEIGHT + 3 } ) );
+    plotNode.addChild( new Text( highString, { font: TICK_LABEL_FONT, right: PLOT_WIDTH, top: PLOT_HEIGHT + 3 } ) );
+
+    // @private
+    this.horizontalAxisLabel = new Text( '', { font: FONT, maxWidth: PLOT_WIDTH - 70 } );
+    plotNode.addChild( this.horizontalAxisLabel );
+    this.verticalAxisLabel = new Text( '', { font: FONT, maxWidth: PLOT_HEIGHT, rotation: 3 * Math.PI / 2 } );
+    plotNode.addChild( this.verticalAxisLabel );
+    this.maxVerticalLabel = new Text( '', { font: TICK_LABEL_FONT } );
+    plotNode.addChild( this.maxVerticalLabel );
+
+    // @private - key to the colors of the heat map
+    this.colorKeyNode = new Node( { top: PLOT_HEIGHT + 22 } );
+    this.colorKeyNode.addChild( new Rectangle( 0, 0, COLOR_KEY_WIDTH, 10, {
+      fill: new LinearGradient( 0, 0, COLOR_KEY_WIDTH, 0 )
+        .addColorStop( 0, ColorChangingCellNode.NominalFillColor )
+        .addColorStop( 1, ColorChangingCellNode.FlorescentFillColor ),
+      stroke: 'black',
+      lineWidth: 0.5
+    } ) );
+    this.colorKeyNode.addChild( new Text( '0', { font: TICK_LABEL_FONT, right: -3, centerY: 5 } ) );
+    this.maxColorKeyLabel = new Text( '', { font: TICK_LABEL_FONT, left: COLOR_KEY_WIDTH + 3, centerY: 5 } );
+    this.colorKeyNode.addChild( this.maxColorKeyLabel );
+    plotNode.addChild( this.colorKeyNode );
+
+    // @private
+    this.firstParameterNameProperty = firstParameterNameProperty;
+    this.secondParameterNameProperty = secondParameterNameProperty;
+
+    const self = this;
+    model.parameterSweepResultsProperty.link( function( results ) {
+      self.update( results );
+    } );
+  }
+
+  /**
+   * Plot the results of a sweep.
+   * @param {Object|null} results - see ParameterSweep.getResults, null for none
+   * @private
+   */
+  update( results ) {
+    const twoParameters = results !== null && results.parameterNames.length === 2;
+    this.curvePath.visible = results !== null && !twoParameters;
+    this.errorBarsPath.visible = this.curvePath.visible;
+    this.heatMapNode.visible = twoParameters;
+    this.colorKeyNode.visible = twoParameters;
+
+    this.horizontalAxisLabel.text = results === null ? '' : PARAMETER_LABELS[ results.parameterNames[ 0 ] ];
+    this.verticalAxisLabel.text = twoParameters ? PARAMETER_LABELS[ results.parameterNames[ 1 ] ] : proteinString;
+    this.horizontalAxisLabel.centerX = PLOT_WIDTH / 2;
+    this.horizontalAxisLabel.top = PLOT_HEIGHT + 3;
+    this.verticalAxisLabel.centerY = PLOT_HEIGHT / 2;
+    this.verticalAxisLabel.right = -5;
+
+    // The protein count is only on the vertical axis of the curve, where its tick labels are inside the plot, since the
+    // axis label is beside it.
+    this.maxVerticalLabel.visible = this.curvePath.visible;
+    if ( twoParameters ) {
+      this.updateHeatMap( results );
+    }
+    else if ( results !== null ) {
+      let maxValue = 0;
+      results.points.forEach( function( point ) {
+        maxValue = Math.max( maxValue, point.protein.mean + Math.sqrt( point.protein.variance ) );
+      } );
+      maxValue = Math.max( Math.ceil( maxValue / VERTICAL_SCALE_INCREMENT ), 1 ) * VERTICAL_SCALE_INCREMENT;
+      this.maxVerticalLabel.text = maxValue;
+      this.maxVerticalLabel.left = 3;
+      this.maxVerticalLabel.top = 2;
+      this.updateCurve( results, maxValue );
+    }
+  }
+
+  /**
+   * @param {Object} results - of a sweep of one parameter
+   * @param {number} maxValue - protein count at the top of the plot
+   * @private
+   */
+  updateCurve( results, maxValue ) {
+    const numberOfValues = results.parameterValues[ 0 ].length;
+    const curveShape = new Shape();
+    const errorBarsShape = new Shape();
+    results.points.forEach( function( point, index ) {
+      const x = index / ( numberOfValues - 1 ) * PLOT_WIDTH;
+      const standardDeviation = Math.sqrt( point.protein.variance );
+      const toY = function( value ) { return PLOT_HEIGHT - value / maxValue * PLOT_HEIGHT; };
+      if ( index === 0 ) {
+        curveShape.moveTo( x, toY( point.protein.mean ) );
+      }
+      else {
+        curveShape.lineTo( x, toY( point.protein.mean ) );
+      }
+      errorBarsShape.moveTo( x, toY( Math.max( point.protein.mean - standardDeviation, 0 ) ) );
+      errorBarsShape.lineTo( x, toY( point.protein.mean + standardDeviation ) );
+    } );
+    this.curvePath.shape = curveShape;
+    this.errorBarsPath.shape = errorBarsShape;
+  }
+
+  /**
+   * @param {Object} results - of a sweep of two parameters
+   * @private
+   */
+  updateHeatMap( results ) {
+    const numberOfColumns = results.parameterValues[ 0 ].length;
+    const numberOfRows = results.parameterValues[ 1 ].length;
+    const cellWidth = PLOT_WIDTH / numberOfColumns;
+    const cellHeight = PLOT_HEIGHT / numberOfRows;
+
+    let maxMean = 0;
+    results.points.forEach( function( point ) {
+      maxMean = Math.max( maxMean, point.protein.mean );
+    } );
+
+    // The points are in rows of the second parameter, with the first one varying fastest.
+    this.heatMapNode.children = results.points.map( function( point, index ) {
+      const column = index % numberOfColumns;
+      const row = Math.floor( index / numberOfColumns );
+      return new Rectangle( column * cellWidth, PLOT_HEIGHT - ( row + 1 ) * cellHeight, cellWidth, cellHeight, {
+        fill: Color.interpolateRGBA(
+          ColorChangingCellNode.NominalFillColor,
+          ColorChangingCellNode.FlorescentFillColor,
+          maxMean > 0 ? point.protein.mean / maxMean : 0
+        )
+      } );
+    } );
+    this.maxColorKeyLabel.text = Math.round( maxMean );
+    this.colorKeyNode.left = ( PLOT_WIDTH - COLOR_KEY_WIDTH ) / 2;
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.firstParameterNameProperty.reset();
+    this.secondParameterNameProperty.reset();
+  }
+}
+
+geneExpressionEssentials.register( 'ParameterSweepNode', ParameterSweepNode );
+export default ParameterSweepNode;
@@ -0,0 +1,232 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Node that shows the distribution of the protein counts of a population of cells as a histogram, optionally with a
+ * fitted gamma or negative binomial distribution overlaid on it. The histogram is only updated when update is called,
+ * so that it doesn't cost anything while it isn't shown.
+ *
+ * @author agent
+ */
+
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import Range from '../../../../dot/js/Range.js';
+import Shape from '../../../../kite/js/Shape.js';
+import PhetColorScheme from '../../../../scenery-phet/js/PhetColorScheme.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VerticalAquaRadioButtonGroup from '../../../../sun/js/VerticalAquaRadioButtonGroup.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import geneExpressionEssentialsStrings from '../../geneExpressionEssentialsStrings.js';
+import DistributionFitType from '../model/DistributionFitType.js';
+import DistributionUtils from '../model/DistributionUtils.js';
+import ColorChangingCellNode from './ColorChangingCellNode.js';
+
+// constants
+const PLOT_WIDTH = 200;
+const PLOT_HEIGHT = 100;
+
+// Largest protein count shown. Cells with more protein than this are counted in the last bin.
+const MAX_PROTEIN_COUNT = 200;
+
+const BIN_WIDTH_RANGE = new Range( 1, 25 );
+const DEFAULT_BIN_WIDTH = 5;
+
+// The vertical scale is a multiple of this number of cells.
+const VERTICAL_SCALE_INCREMENT = 5;
+
+// number of points used to draw the gamma distribution
+const NUMBER_OF_CURVE_POINTS = 100;
+
+const cellsString = geneExpressionEssentialsStrings.cells;
+const gammaString = geneExpressionEssentialsStrings.gamma;
+const negativeBinomialString = geneExpressionEssentialsStrings.negativeBinomial;
+const noneString = geneExpressionEssentialsStrings.none;
+const proteinString = geneExpressionEssentialsStrings.protein;
+
+class ProteinHistogramNode extends Node {
+
+  /**
+   * @param {ObservableArray.<Cell>} cells - the cells whose protein counts are shown
+   */
+  constructor( cells ) {
+    super();
+
+    // @public - width of the bins in numbers of proteins, rounded to a whole number when the histogram is made
+    this.binWidthProperty = new NumberProperty( DEFAULT_BIN_WIDTH, { range: BIN_WIDTH_RANGE } );
+
+    // @public - distribution that is fitted to the protein counts and overlaid on the histogram
+    this.fitTypeProperty = new Property( DistributionFitType.NONE, {
+      validValues: DistributionFitType.VALUES
+    } );
+
+    const plotBackground = new Rectangle( 0, 0, PLOT_WIDTH, PLOT_HEIGHT, {
+      fill: 'white',
+      stroke: 'black',
+      lineWidth: 1
+    } );
+    this.addChild( plotBackground );
+
+    // @private
+    this.barsPath = new Path( null, {
+      fill: ColorChangingCellNode.FlorescentFillColor,
+      stroke: ColorChangingCellNode.NominalFillColor,
+      lineWidth: 0.5
+    } );
+    this.addChild( this.barsPath );
+
+    // @private
+    this.fitPath = new Path( null, {
+      stroke: PhetColorScheme.RED_COLORBLIND,
+      lineWidth: 2,
+      lineJoin: 'round'
+    } );
+    this.addChild( this.fitPath );
+
+    const tickLabelFont = new PhetFont( 12 );
+    const minProteinLabel = new Text( '0', { font: tickLabelFont, centerX: 0, top: PLOT_HEIGHT + 3 } );
+    const maxProteinLabel = new Text( MAX_PROTEIN_COUNT + '+', {
+      font: tickLabelFont,
+      centerX: PLOT_WIDTH,
+      top: PLOT_HEIGHT + 3
+    } );
+    const proteinLabel = new Text( proteinString, {
+      font: new PhetFont( 13 ),
+      maxWidth: PLOT_WIDTH - 60,
+      centerX: PLOT_WIDTH / 2,
+      top: PLOT_HEIGHT + 3
+    } );
+    this.addChild( minProteinLabel );
+    this.addChild( maxProteinLabel );
+    this.addChild( proteinLabel );
+
+    // @private - label for the number of cells at the top of the plot, which changes as the vertical scale changes
+    this.maxCellCountLabel = new Text( '', { font: tickLabelFont } );
+    this.addChild( this.maxCellCountLabel );
+
+    const cellsLabel = new Text( cellsString, {
+      font: new PhetFont( 13 ),
+      maxWidth: PLOT_HEIGHT - 30,
+      rotation: 3 * Math.PI / 2,
+      centerY: PLOT_HEIGHT / 2,
+      right: -5
+    } );
+    this.addChild( cellsLabel );
+
+    const fitTypeRadioButtonGroup = new VerticalAquaRadioButtonGroup( this.fitTypeProperty, [
+      { node: new Text( noneString, { font: new PhetFont( 13 ), maxWidth: 150 } ), value: DistributionFitType.NONE },
+      { node: new Text( gammaString, { font: new PhetFont( 13 ), maxWidth: 150 } ), value: DistributionFitType.GAMMA },
+      {
+        node: new Text( negativeBinomialString, { font: new PhetFont( 13 ), maxWidth: 150 } ),
+        value: DistributionFitType.NEGATIVE_BINOMIAL
+      }
+    ], {
+      spacing: 6,
+      radioButtonOptions: { radius: 7 },
+      left: 0,
+      top: proteinLabel.bottom + 8
+    } );
+    this.addChild( fitTypeRadioButtonGroup );
+
+    // @private
+    this.cells = cells;
+
+    // Update right away when the settings change, so that the change can be seen even if the clock is paused.
+    const self = this;
+    this.binWidthProperty.lazyLink( function() { self.update(); } );
+    this.fitTypeProperty.lazyLink( function() { self.update(); } );
+  }
+
+  /**
+   * Bin the current protein counts of the cells and redraw the histogram and the fit.
+   * @public
+   */
+  update() {
+    const proteinCounts = this.cells.map( function( cell ) { return cell.proteinCount.get(); } );
+    const binWidth = Math.round( this.binWidthProperty.get() );
+    const numberOfBins = Math.ceil( MAX_PROTEIN_COUNT / binWidth );
+    const binCounts = DistributionUtils.createHistogram( proteinCounts, binWidth, numberOfBins );
+
+    const maxCellCount = Math.max(
+      Math.ceil( Math.max.apply( null, binCounts ) / VERTICAL_SCALE_INCREMENT ) * VERTICAL_SCALE_INCREMENT,
+      VERTICAL_SCALE_INCREMENT
+    );
+    const xScale = PLOT_WIDTH / MAX_PROTEIN_COUNT;
+    const yScale = PLOT_HEIGHT / maxCellCount;
+
+    const barsShape = new Shape();
+    binCounts.forEach( function( binCount, index ) {
+      if ( binCount > 0 ) {
+        const left = index * binWidth * xScale;
+        const right = Math.min( ( index + 1 ) * binWidth * xScale, PLOT_WIDTH );
+        barsShape.rect( left, PLOT_HEIGHT - binCount * yScale, right - left, binCount * yScale );
+      }
+    } );
+    this.barsPath.setShape( barsShape );
+
+    // The fitted distributions are scaled to the expected number of cells in a bin. The probability of each count of a
+    // negative binomial distribution is plotted at the middle of the interval between it and the next count, which is
+    // the interval that the gamma distribution is compared with.
+    const fitPoints = [];
+    const fitType = this.fitTypeProperty.get();
+    const fitScale = proteinCounts.length * binWidth;
+    if ( fitType === DistributionFitType.GAMMA ) {
+      const gamma = DistributionUtils.fitGamma( proteinCounts );
+      if ( gamma ) {
+        for ( let i = 0; i < NUMBER_OF_CURVE_POINTS; i++ ) {
+          const proteinCount = ( i + 0.5 ) * MAX_PROTEIN_COUNT / NUMBER_OF_CURVE_POINTS;
+          fitPoints.push( {
+            x: proteinCount,
+            y: fitScale * DistributionUtils.gammaDensity( proteinCount, gamma.shape, gamma.scale )
+          } );
+        }
+      }
+    }
+    else if ( fitType === DistributionFitType.NEGATIVE_BINOMIAL ) {
+      const negativeBinomial = DistributionUtils.fitNegativeBinomial( proteinCounts );
+      if ( negativeBinomial ) {
+        for ( let k = 0; k < MAX_PROTEIN_COUNT; k++ ) {
+          fitPoints.push( {
+            x: k + 0.5,
+            y: fitScale * DistributionUtils.negativeBinomialProbability(
+              k,
+              negativeBinomial.size,
+              negativeBinomial.probability
+            )
+          } );
+        }
+      }
+    }
+
+    const fitShape = new Shape();
+    fitPoints.forEach( function( point, index ) {
+      const x = point.x * xScale;
+      const y = PLOT_HEIGHT - Math.min( point.y, maxCellCount ) * yScale;
+      if ( index === 0 ) {
+        fitShape.moveTo( x, y );
+      }
+      else {
+        fitShape.lineTo( x, y );
+      }
+    } );
+    this.fitPath.setShape( fitShape );
+
+    this.maxCellCountLabel.text = maxCellCount.toString();
+    this.maxCellCountLabel.right = -5;
+    this.maxCellCountLabel.top = 0;
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.binWidthProperty.reset();
+    this.fitTypeProperty.reset();
+  }
+}
+
+geneExpressionEssentials.register( 'ProteinHistogramNode', ProteinHistogramNode );
+export default ProteinHistogramNode;
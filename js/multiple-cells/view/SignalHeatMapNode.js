@@ -0,0 +1,75 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Heat map of the concentration of the signal that the cells use to communicate with each other, see SignalField. It
+ * is drawn behind the cells, with each square of the grid more opaque the more signal there is in it, and is smoothed
+ * when it is scaled up so that it looks like a diffusing cloud rather than a grid.
+ *
+ * @author agent
+ */
+
+import Image from '../../../../scenery/js/nodes/Image.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import geneExpressionEssentials from '../../geneExpressionEssentials.js';
+import SignalField from '../model/SignalField.js';
+
+// constants
+const COLOR = { red: 255, green: 120, blue: 200 };
+
+class SignalHeatMapNode extends Node {
+
+  /**
+   * @param {SignalField} signalField
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Object} [options]
+   */
+  constructor( signalField, modelViewTransform, options ) {
+    super( options );
+
+    // @private - one pixel per square of the grid
+    this.canvas = document.createElement( 'canvas' );
+    this.canvas.width = signalField.columns;
+    this.canvas.height = signalField.rows;
+    this.imageNode = new Image( this.canvas, { pickable: false } );
+    this.addChild( this.imageNode );
+
+    // The grid doesn't change, so neither does its place in the view.
+    const viewBounds = modelViewTransform.modelToViewBounds( signalField.bounds );
+    this.imageNode.setScaleMagnitude( viewBounds.width / signalField.columns, viewBounds.height / signalField.rows );
+    this.imageNode.leftTop = viewBounds.leftTop;
+
+    // @private
+    this.signalField = signalField;
+    this.imageData = this.canvas.getContext( '2d' ).createImageData( signalField.columns, signalField.rows );
+  }
+
+  /**
+   * Show the current concentration of the signal.
+   * @public
+   */
+  update() {
+    const columns = this.signalField.columns;
+    const rows = this.signalField.rows;
+    const concentrations = this.signalField.concentrations;
+    const data = this.imageData.data;
+
+    // The rows of the grid go up from the bottom of the model, and those of the image go down from its top. The squares
+    // are half opaque where the response of the cells is half of its maximum, and the opacity saturates smoothly above
+    // that so that the whole range of the response can be seen.
+    for ( let row = 0; row < rows; row++ ) {
+      for ( let column = 0; column < columns; column++ ) {
+        const relativeConcentration = concentrations[ row * columns + column ] / SignalField.HalfResponseConcentration;
+        const pixelIndex = 4 * ( ( rows - 1 - row ) * columns + column );
+        data[ pixelIndex ] = COLOR.red;
+        data[ pixelIndex + 1 ] = COLOR.green;
+        data[ pixelIndex + 2 ] = COLOR.blue;
+        data[ pixelIndex + 3 ] = 255 * relativeConcentration / ( relativeConcentration + 1 );
+      }
+    }
+    this.canvas.getContext( '2d' ).putImageData( this.imageData, 0, 0 );
+    this.imageNode.invalidateImage();
+  }
+}
+
+geneExpressionEssentials.register( 'SignalHeatMapNode', SignalHeatMapNode );
+export default SignalHeatMapNode;
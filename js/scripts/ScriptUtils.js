@@ -0,0 +1,61 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Functions shared by the command-line scripts that run parts of the model under plain Node.
+ *
+ * @author agent
+ */
+
+/* eslint-env node */
+
+import { createRequire } from 'module';
+
+const ScriptUtils = {
+
+  /**
+   * Provide the globals that the model code expects from the sim's preloads, without any of the view. Assertions are
+   * disabled, as in a built sim. This must be called before any of the model is imported, since its modules use the
+   * globals when they're loaded.
+   * @public
+   */
+  installGlobals: function() {
+    const require = createRequire( import.meta.url );
+    global.window = global;
+    global.phet = {};
+    global.assert = false;
+    global._ = require( '../../../sherpa/lib/lodash-4.17.4.js' );
+    Math.seedrandom = require( '../../../sherpa/lib/seedrandom-2.4.2.js' );
+  },
+
+  /**
+   * Get a number from the command line.
+   * @param {string} value
+   * @param {string} optionName
+   * @returns {number}
+   * @public
+   */
+  getNumber: function( value, optionName ) {
+    const number = Number( value );
+    if ( value.trim() === '' || !isFinite( number ) ) {
+      throw new Error( 'invalid number for --' + optionName + ': ' + value );
+    }
+    return number;
+  },
+
+  /**
+   * Get a whole number of at least 1 from the command line.
+   * @param {string} value
+   * @param {string} optionName
+   * @returns {number}
+   * @public
+   */
+  getCount: function( value, optionName ) {
+    const number = ScriptUtils.getNumber( value, optionName );
+    if ( !( Number.isInteger( number ) && number >= 1 ) ) {
+      throw new Error( '--' + optionName + ' must be a whole number of at least 1' );
+    }
+    return number;
+  }
+};
+
+export default ScriptUtils;
@@ -0,0 +1,93 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Checks that two time courses of the counts of the cells of the Multiple Cells screen are the same, e.g. a recording
+ * exported as CSV from the sim run with the cellSeed and fixedTimeStep query parameters and the output of run-cells.js
+ * with the same seed. The counts are compared wherever both files have a count for the same time, cell and species,
+ * and the parameters in the sim's recordings are ignored. It writes the number of counts compared and any that differ
+ * to stdout, and exits with a failure if any differ or if the files have no counts in common. For example:
+ *
+ * node js/scripts/run-cells.js --seed 3 --division --sample-interval 0.017 --duration 120 > cells.csv
+ * node js/scripts/compare-recordings.js recording.csv cells.csv
+ *
+ * The sim's samples aren't evenly spaced in time, so the time course is sampled on every step.
+ *
+ * @author agent
+ */
+
+/* eslint-env node */
+
+import fs from 'fs';
+
+// constants
+const USAGE = 'Usage: node js/scripts/compare-recordings.js <file> <file>\n';
+
+// number of differences that are written out in full
+const MAX_DIFFERENCES_SHOWN = 20;
+
+/**
+ * Read the counts of the cells from a CSV file with the columns time, cell, variable and value.
+ * @param {string} path
+ * @returns {Map.<string, string>} the counts, keyed by the time, cell and variable
+ */
+function readCounts( path ) {
+  const counts = new Map();
+  let headerRead = false;
+  fs.readFileSync( path, 'utf8' ).split( '\n' ).forEach( function( line ) {
+    if ( line.length === 0 || line.startsWith( '#' ) ) {
+      return;
+    }
+    if ( !headerRead ) {
+      if ( line !== 'time,cell,variable,value' ) {
+        throw new Error( path + ' doesn\'t have the columns of a recording: ' + line );
+      }
+      headerRead = true;
+      return;
+    }
+    const fields = line.split( ',' );
+
+    // The rows without a cell are the values of the parameters.
+    if ( fields[ 1 ] !== '' ) {
+      counts.set( fields.slice( 0, 3 ).join( ',' ), fields[ 3 ] );
+    }
+  } );
+  return counts;
+}
+
+function main() {
+  const paths = process.argv.slice( 2 );
+  if ( paths.length !== 2 ) {
+    process.stderr.write( USAGE );
+    process.exitCode = 1;
+    return;
+  }
+
+  const counts = readCounts( paths[ 0 ] );
+  const otherCounts = readCounts( paths[ 1 ] );
+  let numberCompared = 0;
+  let numberOfDifferences = 0;
+  counts.forEach( function( value, key ) {
+    if ( otherCounts.has( key ) ) {
+      numberCompared++;
+      if ( otherCounts.get( key ) !== value ) {
+        numberOfDifferences++;
+        if ( numberOfDifferences <= MAX_DIFFERENCES_SHOWN ) {
+          process.stdout.write( 'differs at ' + key + ': ' + value + ' vs ' + otherCounts.get( key ) + '\n' );
+        }
+      }
+    }
+  } );
+
+  process.stdout.write( numberCompared + ' counts compared, ' + numberOfDifferences + ' differ\n' );
+  if ( numberCompared === 0 || numberOfDifferences > 0 ) {
+    process.exitCode = 1;
+  }
+}
+
+try {
+  main();
+}
+catch( error ) {
+  process.stderr.write( error.message + '\n' );
+  process.exitCode = 1;
+}
@@ -0,0 +1,153 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Command-line runner for the cells of the Multiple Cells screen, which simulates a population of them under plain
+ * Node with the same code as the sim, see CellTimeCourse, and writes the time course of their molecule counts to
+ * stdout as CSV. Apart from the number of cells, the sim takes only the seed, the solver and whether the cells
+ * switch to tau-leaping or divide from query parameters, and the cells of a run with just those options have exactly
+ * the counts that the sim records with the same query parameters and fixedTimeStep, which
+ * js/scripts/compare-recordings.js checks. It needs the sibling repos that the sim's model uses (dot, phet-core and
+ * sherpa), and a version of Node that loads ES modules from packages without a type, i.e. 20.19 or later. For example:
+ *
+ * node js/scripts/run-cells.js --seed 3 --cells 10 --duration 30 --sample-interval 1 --transcriptionFactorLevel 4000
+ * node js/scripts/run-cells.js --seed 3 --cells 10 --division --sample-interval 0.5
+ *
+ * The second of these gives the counts of the cells that ?cellSeed=3&cellDivision&fixedTimeStep shows when the number
+ * of cells is set to 10.
+ *
+ * Run with --help for all of the options.
+ *
+ * @author agent
+ */
+
+/* eslint-env node */
+
+import ScriptUtils from './ScriptUtils.js';
+import { parseArgs } from 'util';
+
+// constants
+
+const USAGE = 'Usage: node js/scripts/run-cells.js [options]\n' +
+              '  --seed <number>             master seed of the cells, like the cellSeed query parameter\n' +
+              '                              (default 0)\n' +
+              '  --cells <number>            number of cells, the first of the population (default 20)\n' +
+              '  --division                  the cells grow and divide, like the cellDivision query parameter\n' +
+              '  --duration <seconds>        length of the time course after steady state (default 60)\n' +
+              '  --sample-interval <seconds> interval between samples (default 0.5)\n' +
+              '  --time-step <seconds>       time step of the simulation (default 1/60)\n' +
+              '  --autoregulation <type>     NONE, REPRESSION or ACTIVATION (default NONE)\n' +
+              '  --circuit <type>            a GeneCircuitType, e.g. SINGLE_GENE (default) or TOGGLE_SWITCH\n' +
+              '  --solver <type>             a CellSolverType, e.g. DIRECT (default) or TAU_LEAPING\n' +
+              '  --auto-tau-leaping          switch to tau-leaping during bursts, like the autoTauLeaping query\n' +
+              '                              parameter\n' +
+              '  --parameter-spread <number> cell-to-cell variation of the parameters (default 0)\n' +
+              '  --<parameter> <number>      value of one of the parameters:\n';
+
+/**
+ * Get the value of an enumeration from its name on the command line.
+ * @param {Enumeration} enumeration
+ * @param {string} name
+ * @param {string} optionName
+ * @returns {Object}
+ */
+function getEnumerationValue( enumeration, name, optionName ) {
+  if ( !enumeration.includes( enumeration[ name ] ) ) {
+    throw new Error( 'invalid value for --' + optionName + ': ' + name + ', expected one of ' +
+                     enumeration.KEYS.join( ', ' ) );
+  }
+  return enumeration[ name ];
+}
+
+async function main() {
+  ScriptUtils.installGlobals();
+
+  // The model is imported after the globals have been installed, since its modules use them when they're loaded.
+  const AutoregulationType = ( await import( '../multiple-cells/model/AutoregulationType.js' ) ).default;
+  const CellSolverType = ( await import( '../multiple-cells/model/CellSolverType.js' ) ).default;
+  const CellTimeCourse = ( await import( '../multiple-cells/model/CellTimeCourse.js' ) ).default;
+  const GeneCircuitType = ( await import( '../multiple-cells/model/GeneCircuitType.js' ) ).default;
+
+  const options = {
+    help: { type: 'boolean' },
+    seed: { type: 'string' },
+    cells: { type: 'string' },
+    division: { type: 'boolean' },
+    duration: { type: 'string' },
+    'sample-interval': { type: 'string' },
+    'time-step': { type: 'string' },
+    autoregulation: { type: 'string' },
+    circuit: { type: 'string' },
+    solver: { type: 'string' },
+    'auto-tau-leaping': { type: 'boolean' },
+    'parameter-spread': { type: 'string' }
+  };
+  CellTimeCourse.ParameterNames.forEach( function( name ) {
+    options[ name ] = { type: 'string' };
+  } );
+  const values = parseArgs( { options: options } ).values;
+
+  if ( values.help ) {
+    process.stdout.write( USAGE + CellTimeCourse.ParameterNames.map( function( name ) {
+      return '                                ' + name + '\n';
+    } ).join( '' ) );
+    return;
+  }
+
+  const timeCourseOptions = {
+    parameterValues: {},
+    automaticTauLeaping: !!values[ 'auto-tau-leaping' ],
+    cellDivision: !!values.division
+  };
+  if ( values.cells !== undefined ) {
+    timeCourseOptions.numberOfCells = ScriptUtils.getCount( values.cells, 'cells' );
+    if ( values.division && timeCourseOptions.numberOfCells > CellTimeCourse.PopulationSize ) {
+      throw new Error( '--cells must be at most ' + CellTimeCourse.PopulationSize + ' with --division' );
+    }
+  }
+  const numberOptions = {
+    seed: 'seed',
+    duration: 'duration',
+    'sample-interval': 'sampleInterval',
+    'time-step': 'timeStep',
+    'parameter-spread': 'parameterSpread'
+  };
+  Object.keys( numberOptions ).forEach( function( optionName ) {
+    if ( values[ optionName ] !== undefined ) {
+      timeCourseOptions[ numberOptions[ optionName ] ] = ScriptUtils.getNumber( values[ optionName ], optionName );
+    }
+  } );
+  if ( values.autoregulation !== undefined ) {
+    timeCourseOptions.autoregulationType = getEnumerationValue( AutoregulationType, values.autoregulation,
+      'autoregulation' );
+  }
+  if ( values.circuit !== undefined ) {
+    timeCourseOptions.geneCircuitType = getEnumerationValue( GeneCircuitType, values.circuit, 'circuit' );
+  }
+  if ( values.solver !== undefined ) {
+    timeCourseOptions.solverType = getEnumerationValue( CellSolverType, values.solver, 'solver' );
+  }
+  CellTimeCourse.ParameterNames.forEach( function( name ) {
+    if ( values[ name ] !== undefined ) {
+      timeCourseOptions.parameterValues[ name ] = ScriptUtils.getNumber( values[ name ], name );
+    }
+  } );
+  const timeStep = timeCourseOptions.timeStep === undefined ? CellTimeCourse.NominalTimeStep :
+                   timeCourseOptions.timeStep;
+  if ( !( timeStep > 0 ) ) {
+    throw new Error( '--time-step must be greater than zero' );
+  }
+  if ( timeCourseOptions.sampleInterval !== undefined && timeCourseOptions.sampleInterval < timeStep ) {
+    throw new Error( '--sample-interval must be at least the time step' );
+  }
+
+  const timeCourse = new CellTimeCourse( timeCourseOptions );
+  process.stdout.write( timeCourse.getCSVHeader() );
+  timeCourse.run( function( sample ) {
+    process.stdout.write( timeCourse.sampleToCSV( sample ) );
+  } );
+}
+
+main().catch( function( error ) {
+  process.stderr.write( error.message + '\n' );
+  process.exitCode = 1;
+} );
@@ -0,0 +1,108 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Command-line runner for CellSolverBenchmark, which times the stochastic solvers of the cells of the Multiple Cells
+ * screen under plain Node and checks that the distributions of their counts match those of the direct method at
+ * several points in time. It writes a table of the results to stdout and exits with a failure if any solver differs.
+ * It has the same requirements as run-cells.js. For example:
+ *
+ * node js/scripts/run-solver-benchmark.js --cells 200 --steps 2000 --samples 10
+ *
+ * @author agent
+ */
+
+/* eslint-env node */
+
+import ScriptUtils from './ScriptUtils.js';
+import { parseArgs } from 'util';
+
+// constants
+const USAGE = 'Usage: node js/scripts/run-solver-benchmark.js [options]\n' +
+              '  --cells <number>   number of cells simulated with each solver (default 90)\n' +
+              '  --steps <number>   number of frames simulated, at 60 per second (default 1000)\n' +
+              '  --samples <number> number of times at which the distributions are compared (default 5)\n' +
+              '  --seed <number>    seed of the cells (default 0)\n';
+
+// headings of the columns written by formatComparison
+const COLUMN_HEADINGS = pad( 'mean', 9 ) + pad( 'DIRECT', 9 ) + pad( 'variance', 11 ) + pad( 'DIRECT', 11 ) +
+                        pad( 'KS', 7 ) + ' ';
+
+/**
+ * @param {string} text
+ * @param {number} width
+ * @returns {string}
+ */
+function pad( text, width ) {
+  return text.padStart( width );
+}
+
+/**
+ * Describe the comparison of the counts of one molecule at one time, see CellSolverBenchmark.compareSamples.
+ * @param {Object} comparison
+ * @returns {string}
+ */
+function formatComparison( comparison ) {
+  return pad( comparison.mean.toFixed( 1 ), 9 ) + pad( comparison.referenceMean.toFixed( 1 ), 9 ) +
+         pad( comparison.variance.toFixed( 1 ), 11 ) + pad( comparison.referenceVariance.toFixed( 1 ), 11 ) +
+         pad( comparison.ksStatistic.toFixed( 3 ), 7 ) + ( comparison.consistent ? ' ' : '*' );
+}
+
+async function main() {
+  ScriptUtils.installGlobals();
+
+  // The model is imported after the globals have been installed, since its modules use them when they're loaded.
+  const CellSolverBenchmark = ( await import( '../multiple-cells/model/CellSolverBenchmark.js' ) ).default;
+
+  const values = parseArgs( {
+    options: {
+      help: { type: 'boolean' },
+      cells: { type: 'string' },
+      steps: { type: 'string' },
+      samples: { type: 'string' },
+      seed: { type: 'string' }
+    }
+  } ).values;
+
+  if ( values.help ) {
+    process.stdout.write( USAGE );
+    return;
+  }
+
+  const options = {};
+  if ( values.cells !== undefined ) {
+    options.numberOfCells = ScriptUtils.getCount( values.cells, 'cells' );
+  }
+  if ( values.steps !== undefined ) {
+    options.numberOfSteps = ScriptUtils.getCount( values.steps, 'steps' );
+  }
+  if ( values.samples !== undefined ) {
+    options.numberOfSamples = ScriptUtils.getCount( values.samples, 'samples' );
+  }
+  if ( values.seed !== undefined ) {
+    options.seed = ScriptUtils.getNumber( values.seed, 'seed' );
+  }
+
+  const results = CellSolverBenchmark.run( options );
+
+  CellSolverBenchmark.SolverTypes.forEach( function( solverType ) {
+    const result = results[ solverType ];
+    process.stdout.write( solverType + ': ' + result.elapsedTime + ' ms, speedup ' + result.speedup.toFixed( 2 ) +
+                          ', ' + ( result.consistent ? 'consistent with' : 'differs from' ) + ' DIRECT\n' );
+    process.stdout.write( pad( '', 12 ) + 'protein'.padEnd( 48 ) + '  mRNA\n' );
+    process.stdout.write( pad( 'time (s)', 10 ) + '  ' + COLUMN_HEADINGS + '  ' + COLUMN_HEADINGS + '\n' );
+    result.samples.forEach( function( sample ) {
+      process.stdout.write( pad( sample.time.toFixed( 2 ), 10 ) + '  ' + formatComparison( sample.protein ) +
+                            '  ' + formatComparison( sample.messengerRna ) + '\n' );
+    } );
+  } );
+  process.stdout.write( '* the distribution differs from that of DIRECT\n' );
+
+  if ( !CellSolverBenchmark.SolverTypes.every( function( solverType ) { return results[ solverType ].consistent; } ) ) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch( function( error ) {
+  process.stderr.write( error.message + '\n' );
+  process.exitCode = 1;
+} );